@@ -1,7 +1,7 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
 import { ToastContainer } from 'react-toastify';
-import { Search, Upload, FolderOpen, Eye, Edit3, Database } from 'lucide-react';
+import { Search, Upload, FolderOpen, Eye, Edit3, Database, LogOut, Trash2, Settings as SettingsIcon } from 'lucide-react';
 
 import { ModeProvider, useMode } from './context/ModeContext';
 
@@ -13,17 +13,23 @@ import Settings from './components/Settings';
 import ProfessionalWorkflow from './components/ProfessionalWorkflow';
 import Projects from './components/Projects';
 import Dashboard from './components/Dashboard';
+import Trash from './components/Trash';
+import DuplicateReview from './components/DuplicateReview';
+import SimilarImages from './components/SimilarImages';
 import SimpleThumbnailSetter from './components/SimpleThumbnailSetter';
 import SimpleImageGallery from './components/SimpleImageGallery';
 import TestImage from './components/TestImage';
 import ErrorBoundary from './components/ErrorBoundary';
+import Login from './components/Login';
+import LoadingSpinner from './components/LoadingSpinner';
+import JobsTray from './components/JobsTray';
 
 import 'react-toastify/dist/ReactToastify.css';
 import './App.css';
 
 // Navigation component that uses mode context
 function Navigation() {
-  const { isEditMode, formatTimeRemaining, canUpload } = useMode();
+  const { user, isEditMode, hasEditPermission, canUpload, canDelete, logout } = useMode();
 
   return (
     <nav className="bg-white shadow-lg border-b">
@@ -49,13 +55,10 @@ function Navigation() {
                     ? 'bg-green-100 text-green-800 border border-green-200' 
                     : 'bg-gray-100 text-gray-600 border border-gray-200'
                 }`}
-                title={`Mode toggle: Press ESC then E`}
+                title={hasEditPermission ? 'Mode toggle: Press ESC then E' : 'Your role only allows viewing'}
               >
                 {isEditMode ? <Edit3 className="h-3 w-3" /> : <Eye className="h-3 w-3" />}
                 <span>{isEditMode ? 'Edit Mode' : 'View Mode'}</span>
-                {isEditMode && formatTimeRemaining() && (
-                  <span className="text-green-600 ml-1">({formatTimeRemaining()})</span>
-                )}
               </div>
             </div>
 
@@ -93,6 +96,40 @@ function Navigation() {
               <Database className="h-4 w-4" />
               <span>Dashboard</span>
             </Link>
+
+            {canDelete && (
+              <Link
+                to="/trash"
+                className="flex items-center space-x-1 px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:text-gray-900 hover:bg-gray-50"
+              >
+                <Trash2 className="h-4 w-4" />
+                <span>Trash</span>
+              </Link>
+            )}
+
+            <Link
+              to="/settings"
+              className="flex items-center space-x-1 px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:text-gray-900 hover:bg-gray-50"
+            >
+              <SettingsIcon className="h-4 w-4" />
+              <span>Settings</span>
+            </Link>
+
+            <JobsTray />
+
+            <div className="flex items-center space-x-2 pl-4 border-l border-gray-200">
+              <span className="text-sm text-gray-700" title={user.email}>
+                {user.name || user.email}
+                <span className="ml-1 text-xs text-gray-500">({user.role})</span>
+              </span>
+              <button
+                onClick={logout}
+                className="p-2 rounded-md text-gray-500 hover:text-gray-900 hover:bg-gray-50"
+                title="Sign out"
+              >
+                <LogOut className="h-4 w-4" />
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -101,7 +138,20 @@ function Navigation() {
 }
 
 function AppContent() {
-  const { canUpload, canAccessProWorkflow, canAccessSettings } = useMode();
+  const { authLoading, isAuthenticated, canUpload, canAccessProWorkflow, isAdmin } = useMode();
+
+  if (authLoading) {
+    return <LoadingSpinner fullScreen message="Checking your session..." />;
+  }
+
+  if (!isAuthenticated) {
+    return (
+      <>
+        <Login />
+        <ToastContainer position="top-right" autoClose={5000} theme="light" />
+      </>
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gray-100">
@@ -113,6 +163,7 @@ function AppContent() {
           <Route path="/" element={<ErrorBoundary><ImageGallery /></ErrorBoundary>} />
           {canUpload && <Route path="/upload" element={<ErrorBoundary><ImageUpload /></ErrorBoundary>} />}
           <Route path="/image/:id" element={<ErrorBoundary><ImageEditor /></ErrorBoundary>} />
+          <Route path="/similar/:id" element={<ErrorBoundary><SimilarImages /></ErrorBoundary>} />
           <Route path="/tags" element={<ErrorBoundary><TagManager /></ErrorBoundary>} />
           {canAccessProWorkflow && <Route path="/workflow" element={<ErrorBoundary><ProfessionalWorkflow /></ErrorBoundary>} />}
           <Route path="/projects" element={<ErrorBoundary><Projects /></ErrorBoundary>} />
@@ -123,10 +174,12 @@ function AppContent() {
           <Route path="/projects/current/:projectId" element={<ErrorBoundary><Projects /></ErrorBoundary>} />
           <Route path="/projects/current/:projectId/:tabId" element={<ErrorBoundary><Projects /></ErrorBoundary>} />
           <Route path="/dashboard" element={<ErrorBoundary><Dashboard /></ErrorBoundary>} />
+          <Route path="/trash" element={<ErrorBoundary><Trash /></ErrorBoundary>} />
+          {isAdmin && <Route path="/duplicates" element={<ErrorBoundary><DuplicateReview /></ErrorBoundary>} />}
           <Route path="/set-thumbnail/:projectId" element={<ErrorBoundary><SimpleThumbnailSetter /></ErrorBoundary>} />
           <Route path="/simple-gallery" element={<ErrorBoundary><SimpleImageGallery /></ErrorBoundary>} />
           <Route path="/test-image" element={<ErrorBoundary><TestImage /></ErrorBoundary>} />
-          {canAccessSettings && <Route path="/settings" element={<ErrorBoundary><Settings /></ErrorBoundary>} />}
+          <Route path="/settings" element={<ErrorBoundary><Settings /></ErrorBoundary>} />
         </Routes>
       </main>
 
@@ -1,16 +1,46 @@
 import React, { useState } from 'react';
 import { 
   Search, 
-  X
+  X,
+  HelpCircle,
+  Palette
 } from 'lucide-react';
 
-const AdvancedSearch = ({ onSearch, initialFilters = {} }) => {
+// Mirrors the query language parsed by server/utils/searchQuery.js
+const SEARCH_SYNTAX = [
+  { example: 'wood kitch', description: 'Images matching both words - word beginnings match too, and "kitchens" finds "kitchen"' },
+  { example: '"timber cladding"', description: 'Exact phrase' },
+  { example: '-archier  or  NOT archier', description: 'Exclude a word (works in front of any term)' },
+  { example: 'tag:kitchen  -tag:wip', description: 'Has / doesn\'t have a tag or one of its child tags - quote tags with spaces' },
+  { example: 'project:de-witt room:kitchen stage:wip', description: 'Project assignments' },
+  { example: 'source:pinterest', description: 'Source URL contains' },
+  { example: 'after:2023 before:2024-06-15', description: 'Upload date (year, month or day)' },
+  { example: 'width>2000  height<=1200', description: 'Pixel dimensions' },
+  { example: 'orientation:landscape', description: 'landscape, portrait or square' },
+  { example: 'color:#c8a27a  color:#5a7d4e~25', description: 'Has a colour close to this one in its palette - ~0 to 100 sets the tolerance (default 15)' }
+];
+
+// Facet groups returned by POST /api/images/search with facets: true
+const FACET_GROUPS = [
+  { key: 'tags', label: 'Tags' },
+  { key: 'projects', label: 'Projects' },
+  { key: 'rooms', label: 'Rooms' },
+  { key: 'stages', label: 'Stages' },
+  { key: 'sources', label: 'Sources' },
+  { key: 'orientations', label: 'Orientation' },
+  { key: 'years', label: 'Year' }
+];
+
+const AdvancedSearch = ({ onSearch, initialFilters = {}, facets = null, resultCount = 0 }) => {
   const [filters, setFilters] = useState({
     searchTerm: '',
     tags: [],
     dateRange: { start: '', end: '' },
     ...initialFilters
   });
+  const [showSyntaxHelp, setShowSyntaxHelp] = useState(false);
+  const [showColorPicker, setShowColorPicker] = useState(false);
+  const [pickedColor, setPickedColor] = useState({ hex: '#c8a27a', tolerance: 15 });
 
 
   // Removed auto-search - searches now only happen on explicit user action
@@ -30,6 +60,37 @@ const AdvancedSearch = ({ onSearch, initialFilters = {} }) => {
     setFilters(prev => ({ ...prev, [key]: value }));
   };
 
+  // Add a facet's search term to the query and search again
+  const applyRefinement = (bucket) => {
+    const searchTerm = [filters.searchTerm.trim(), bucket.query].filter(Boolean).join(' ');
+    const searchParams = {
+      ...filters,
+      searchTerm,
+      tags: filters.tags.filter(Boolean)
+    };
+
+    setFilters(searchParams);
+    onSearch(searchParams);
+  };
+
+  // Add the picked colour as a color: term and search again
+  const applyColor = () => {
+    applyRefinement({ query: `color:${pickedColor.hex}~${pickedColor.tolerance}` });
+    setShowColorPicker(false);
+  };
+
+  // Buckets that would narrow the results - ones matching every result change nothing
+  const facetGroups = facets
+    ? FACET_GROUPS
+        .map(group => ({
+          ...group,
+          buckets: (facets[group.key] || []).filter(bucket =>
+            bucket.count < resultCount && !filters.searchTerm.includes(bucket.query)
+          )
+        }))
+        .filter(group => group.buckets.length > 0)
+    : [];
+
   const clearFilters = () => {
     setFilters({
       searchTerm: '',
@@ -51,7 +112,7 @@ const AdvancedSearch = ({ onSearch, initialFilters = {} }) => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
             <input
               type="text"
-              placeholder="Search images by title, description, filename..."
+              placeholder='Search, e.g. wood kitchen -tag:archier project:de-witt orientation:landscape'
               value={filters.searchTerm}
               onChange={(e) => updateFilter('searchTerm', e.target.value)}
               onKeyDown={(e) => {
@@ -60,11 +121,26 @@ const AdvancedSearch = ({ onSearch, initialFilters = {} }) => {
                   handleSearch();
                 }
               }}
-              className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              className="w-full pl-10 pr-10 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
+            <button
+              type="button"
+              onClick={() => setShowSyntaxHelp(!showSyntaxHelp)}
+              className={`absolute right-3 top-1/2 transform -translate-y-1/2 ${showSyntaxHelp ? 'text-blue-500' : 'text-gray-400 hover:text-gray-600'}`}
+              title="Search syntax"
+            >
+              <HelpCircle className="h-5 w-5" />
+            </button>
           </div>
-          
 
+          <button
+            type="button"
+            onClick={() => setShowColorPicker(!showColorPicker)}
+            className={`p-3 border rounded-lg transition-colors ${showColorPicker ? 'border-blue-500 text-blue-500' : 'border-gray-300 text-gray-600 hover:bg-gray-50'}`}
+            title="Search by colour"
+          >
+            <Palette className="h-5 w-5" />
+          </button>
           
           <button
             onClick={handleSearch}
@@ -85,6 +161,76 @@ const AdvancedSearch = ({ onSearch, initialFilters = {} }) => {
         </div>
       </div>
 
+      {showColorPicker && (
+        <div className="p-4 border-b border-gray-200 flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            Colour
+            <input
+              type="color"
+              value={pickedColor.hex}
+              onChange={(e) => setPickedColor(prev => ({ ...prev, hex: e.target.value }))}
+              className="h-8 w-12 p-0 border border-gray-300 rounded cursor-pointer"
+            />
+            <code className="text-gray-500">{pickedColor.hex}</code>
+          </label>
+          <label className="flex items-center gap-2 text-gray-700">
+            Tolerance
+            <input
+              type="range"
+              min="0"
+              max="50"
+              value={pickedColor.tolerance}
+              onChange={(e) => setPickedColor(prev => ({ ...prev, tolerance: parseInt(e.target.value, 10) }))}
+            />
+            <span className="w-6 text-gray-500">{pickedColor.tolerance}</span>
+          </label>
+          <button
+            onClick={applyColor}
+            className="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600"
+          >
+            Add to search
+          </button>
+        </div>
+      )}
+
+      {facetGroups.length > 0 && (
+        <div className="p-4 border-b border-gray-200 space-y-2">
+          {facetGroups.map(group => (
+            <div key={group.key} className="flex items-start gap-3">
+              <span className="w-24 flex-shrink-0 pt-1 text-xs font-medium text-gray-500 uppercase">{group.label}</span>
+              <div className="flex flex-wrap gap-2">
+                {group.buckets.map(bucket => (
+                  <button
+                    key={bucket.query}
+                    onClick={() => applyRefinement(bucket)}
+                    className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded-full hover:bg-blue-100 hover:text-blue-800 transition-colors"
+                    title={`Refine with ${bucket.query}`}
+                  >
+                    {bucket.label} <span className="text-gray-500">({bucket.count})</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showSyntaxHelp && (
+        <div className="p-4 text-sm">
+          <table className="w-full">
+            <tbody>
+              {SEARCH_SYNTAX.map(({ example, description }) => (
+                <tr key={example}>
+                  <td className="py-1 pr-4 whitespace-nowrap">
+                    <code className="px-1 bg-gray-100 rounded">{example}</code>
+                  </td>
+                  <td className="py-1 text-gray-600">{description}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 };
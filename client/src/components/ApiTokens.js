@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Key, Copy, Trash2, Plus } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+
+// Personal API tokens for the Chrome extension and scripts (Settings page)
+const ApiTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [newTokenName, setNewTokenName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [createdToken, setCreatedToken] = useState(null);
+
+  const loadTokens = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiCall('/api/tokens');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setTokens(data.tokens);
+    } catch (error) {
+      console.error('Error loading API tokens:', error);
+      toast.error('Failed to load API tokens');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTokens();
+  }, [loadTokens]);
+
+  const createToken = async (event) => {
+    event.preventDefault();
+    setCreating(true);
+
+    try {
+      const response = await apiCall('/api/tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newTokenName })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create token');
+      }
+
+      setCreatedToken(data.token);
+      setNewTokenName('');
+      loadTokens();
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      toast.error(error.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const revokeToken = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Anything using it will stop working immediately.`)) return;
+
+    try {
+      const response = await apiCall(`/api/tokens/${token.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revoke token');
+      }
+
+      toast.success(`Revoked "${token.name}"`);
+      loadTokens();
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      toast.success('Token copied to clipboard');
+    } catch (error) {
+      toast.error('Could not copy - select the token and copy it manually');
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex items-center gap-2 mb-2">
+        <Key className="h-5 w-5 text-amber-600" />
+        <h3 className="text-lg font-semibold">API Tokens</h3>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Paste a token into the SnapTag Chrome extension (or send it as <code>Authorization: Bearer &lt;token&gt;</code> from scripts).
+        Images saved with a token are recorded as added by you, and the token has the same permissions as your account.
+      </p>
+
+      <form onSubmit={createToken} className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={newTokenName}
+          onChange={(e) => setNewTokenName(e.target.value)}
+          placeholder="Token name, e.g. Chrome extension - work laptop"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          required
+        />
+        <button
+          type="submit"
+          disabled={creating || !newTokenName.trim()}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4" />
+          Generate Token
+        </button>
+      </form>
+
+      {createdToken && (
+        <div className="mb-4 p-3 rounded-md bg-green-50 border border-green-200">
+          <p className="text-sm text-green-800 mb-2">
+            Copy this token now - it won't be shown again.
+          </p>
+          <div className="flex gap-2">
+            <code className="flex-1 px-2 py-1 bg-white border border-green-200 rounded text-sm break-all">{createdToken}</code>
+            <button
+              onClick={copyToken}
+              className="flex items-center gap-1 px-3 py-1 text-sm text-green-700 border border-green-300 rounded-md hover:bg-green-100"
+            >
+              <Copy className="h-4 w-4" />
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-500">Loading tokens...</p>
+      ) : tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">You haven't created any tokens yet.</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+              <th className="py-2">Name</th>
+              <th className="py-2">Token</th>
+              <th className="py-2">Created</th>
+              <th className="py-2">Last Used</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {tokens.map(token => (
+              <tr key={token.id} className={`text-sm ${token.revoked_at ? 'text-gray-400' : ''}`}>
+                <td className="py-2">{token.name}</td>
+                <td className="py-2"><code>{token.token_prefix}…</code></td>
+                <td className="py-2">{new Date(token.created_at).toLocaleDateString()}</td>
+                <td className="py-2">
+                  {token.last_used_at ? new Date(token.last_used_at).toLocaleString() : 'Never'}
+                </td>
+                <td className="py-2 text-right">
+                  {token.revoked_at ? (
+                    <span className="text-xs">Revoked {new Date(token.revoked_at).toLocaleDateString()}</span>
+                  ) : (
+                    <button
+                      onClick={() => revokeToken(token)}
+                      className="flex items-center gap-1 ml-auto px-2 py-1 text-red-600 hover:text-red-800"
+                      title="Revoke token"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                      Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ApiTokens;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Activity, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+import { formatAuditAction, describeAuditChanges } from '../utils/auditFormat';
+
+const PAGE_SIZE = 50;
+const EMPTY_FILTERS = { userId: '', action: '', from: '', to: '' };
+
+// Admin-only feed of every recorded change (shown as the Activity section of the Dashboard)
+const AuditFeed = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [users, setUsers] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const response = await apiCall(`/api/audit?${params.toString()}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setEntries(data.entries);
+      setTotal(data.total);
+      setUsers(data.users);
+      setActions(data.actions);
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      toast.error('Failed to load activity');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, offset]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setOffset(0);
+  };
+
+  // Entity types ("image", "tag", ...) as well as exact actions
+  const entityTypes = [...new Set(actions.map(action => action.split('.')[0]))];
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex items-center gap-2 mb-4">
+        <Activity className="h-5 w-5 text-indigo-600" />
+        <h3 className="text-lg font-semibold">Activity ({total})</h3>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-4">
+        <select
+          value={filters.userId}
+          onChange={(e) => updateFilter('userId', e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="">All users</option>
+          {users.map(user => (
+            <option key={user.id} value={user.id}>{user.name || user.email}</option>
+          ))}
+        </select>
+        <select
+          value={filters.action}
+          onChange={(e) => updateFilter('action', e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="">All actions</option>
+          {entityTypes.map(type => (
+            <optgroup key={type} label={type}>
+              <option value={type}>All {type} actions</option>
+              {actions.filter(action => action.startsWith(`${type}.`)).map(action => (
+                <option key={action} value={action}>{formatAuditAction(action)}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => updateFilter('from', e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          title="From"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => updateFilter('to', e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          title="To"
+        />
+        <button
+          onClick={() => { setFilters(EMPTY_FILTERS); setOffset(0); }}
+          className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          Clear Filters
+        </button>
+      </div>
+
+      {loading && entries.length === 0 ? (
+        <p className="text-gray-500">Loading activity...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No activity matches these filters.</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+              <th className="py-2">When</th>
+              <th className="py-2">User</th>
+              <th className="py-2">Action</th>
+              <th className="py-2">Target</th>
+              <th className="py-2">Changes</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {entries.map(entry => (
+              <tr key={entry.id} className="text-sm align-top">
+                <td className="py-2 pr-4 text-gray-500 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</td>
+                <td className="py-2 pr-4">{entry.user_email || 'system'}</td>
+                <td className="py-2 pr-4">
+                  <div>{entry.action}</div>
+                  <div className="text-xs text-gray-400">{entry.route}</div>
+                </td>
+                <td className="py-2 pr-4">
+                  {entry.image_id ? (
+                    <Link to={`/image/${entry.image_id}`} className="text-blue-600 hover:underline">
+                      Image {entry.image_id}
+                    </Link>
+                  ) : entry.entity_id ? (
+                    `${entry.entity_type} ${entry.entity_id}`
+                  ) : (
+                    entry.entity_type
+                  )}
+                </td>
+                <td className="py-2 text-xs text-gray-700">
+                  {describeAuditChanges(entry).join(', ')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+          <span>
+            {offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+              disabled={offset === 0}
+              className="flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+            >
+              <ChevronLeft className="h-4 w-4" />
+              Newer
+            </button>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={offset + PAGE_SIZE >= total}
+              className="flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+            >
+              Older
+              <ChevronRight className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditFeed;
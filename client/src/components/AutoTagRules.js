@@ -0,0 +1,444 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Tag, ChevronUp, ChevronDown, Plus, Trash2, Eye, Save, Play, RefreshCw, AlertCircle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+import { waitForJob } from '../utils/jobs';
+
+const LIST_FIELDS = [
+  { key: 'domains', label: 'From sites', placeholder: 'dezeen.com, archdaily.com' },
+  { key: 'all', label: 'Has all of', placeholder: 'tag, tag, ...' },
+  { key: 'any', label: 'Has any of', placeholder: 'tag, tag, ...' },
+  { key: 'none', label: 'Has none of', placeholder: 'tag, tag, ...' },
+  { key: 'add', label: 'Add tags', placeholder: 'tag, tag, ...' },
+  { key: 'remove', label: 'Remove tags', placeholder: 'tag, tag, ...' }
+];
+
+const NUMBER_FIELDS = [
+  { key: 'minWidth', label: 'Min width (px)', step: '1' },
+  { key: 'minHeight', label: 'Min height (px)', step: '1' },
+  { key: 'minAspectRatio', label: 'Min width / height', step: '0.1' },
+  { key: 'maxAspectRatio', label: 'Max width / height', step: '0.1' }
+];
+
+const EMPTY_RULE = {
+  name: '',
+  domains: '',
+  filenamePattern: '',
+  minWidth: '',
+  minHeight: '',
+  minAspectRatio: '',
+  maxAspectRatio: '',
+  all: '',
+  any: '',
+  none: '',
+  projects: [],
+  add: '',
+  remove: '',
+  enabled: true
+};
+
+// Lists are edited as comma-separated text, empty numbers as ''
+const toForm = (rule) => ({
+  ...rule,
+  filenamePattern: rule.filenamePattern || '',
+  ...Object.fromEntries(LIST_FIELDS.map(({ key }) => [key, rule[key].join(', ')])),
+  ...Object.fromEntries(NUMBER_FIELDS.map(({ key }) => [key, rule[key] === null ? '' : String(rule[key])]))
+});
+
+const splitList = (text) => text.split(',').map(item => item.trim()).filter(item => item.length > 0);
+
+const toRule = (form) => ({
+  name: form.name,
+  filenamePattern: form.filenamePattern,
+  projects: form.projects,
+  enabled: form.enabled,
+  ...Object.fromEntries(LIST_FIELDS.map(({ key }) => [key, splitList(form[key])])),
+  ...Object.fromEntries(NUMBER_FIELDS.map(({ key }) => [key, form[key]]))
+});
+
+// Auto-tagging rules (the Auto-tagging section of the Dashboard): tags added or removed on upload
+// and extension saves, by source, filename, size, tags and project. Changes can be tested against
+// the library before saving, and the saved rules run over the library as a background job.
+const AutoTagRules = () => {
+  const [rules, setRules] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await apiCall('/api/auto-tag-rules');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setRules(data.rules.map(toForm));
+      setPreview(null);
+      setDirty(false);
+    } catch (error) {
+      console.error('Error loading auto-tagging rules:', error);
+      toast.error('Failed to load auto-tagging rules');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  useEffect(() => {
+    const loadProjects = async () => {
+      try {
+        const response = await apiCall('/api/projects');
+        if (response.ok) {
+          setProjects(await response.json());
+        }
+      } catch (error) {
+        console.error('Error loading projects:', error);
+      }
+    };
+    loadProjects();
+  }, []);
+
+  const changeRules = (update) => {
+    setRules(update);
+    setPreview(null);
+    setDirty(true);
+  };
+
+  const updateRule = (index, key, value) => {
+    changeRules(prev => prev.map((rule, i) => (i === index ? { ...rule, [key]: value } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    changeRules(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const removeRule = (index) => {
+    changeRules(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const addRule = () => {
+    changeRules(prev => [...prev, { ...EMPTY_RULE }]);
+  };
+
+  const previewRules = async () => {
+    try {
+      setPreviewing(true);
+      const response = await apiCall('/api/auto-tag-rules/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: rules.map(toRule) })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+      setPreview(result);
+    } catch (error) {
+      console.error('Error previewing auto-tagging rules:', error);
+      toast.error(`Test failed: ${error.message}`);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const saveRules = async () => {
+    try {
+      setSaving(true);
+      const response = await apiCall('/api/auto-tag-rules', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: rules.map(toRule) })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        if (result.errors) {
+          setPreview({ errors: result.errors, warnings: [], impact: null, samples: [] });
+        }
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+      toast.success(result.message);
+      setRules(result.rules.map(toForm));
+      setDirty(false);
+    } catch (error) {
+      console.error('Error saving auto-tagging rules:', error);
+      toast.error(`Failed to save auto-tagging rules: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runRules = async () => {
+    if (!window.confirm('Run the saved auto-tagging rules over every image in the library? Images whose tags change are renamed and moved to match.')) {
+      return;
+    }
+
+    try {
+      setRunning(true);
+      const response = await apiCall('/api/auto-tag-rules/run', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const queued = await response.json();
+      if (!response.ok) {
+        throw new Error(queued.error || `HTTP ${response.status}`);
+      }
+      const result = await waitForJob(queued.jobId);
+      toast.success(result.message);
+      setPreview(null);
+    } catch (error) {
+      console.error('Error running auto-tagging rules:', error);
+      toast.error(`Auto-tagging failed: ${error.message}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const ruleMessages = (index) => preview
+    ? [...preview.errors, ...preview.warnings].filter(message => message.rule === index)
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-lg shadow space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Tag className="h-5 w-5 text-indigo-600" />
+            <h3 className="text-lg font-semibold">Auto-tagging rules</h3>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={loadRules}
+              disabled={!dirty || saving}
+              className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Discard changes
+            </button>
+            <button
+              onClick={saveRules}
+              disabled={!dirty || saving}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+              Save rules
+            </button>
+          </div>
+        </div>
+        <p className="text-sm text-gray-600">
+          Every enabled rule whose conditions an image meets adds and removes its tags, in order - a rule
+          sees the tags earlier rules gave the image. Empty conditions are ignored. Filename patterns use{' '}
+          <code>*</code> and <code>?</code> as wildcards. New uploads and extension saves use the saved
+          rules; run them on the library to update existing images, including ones assigned to a project since.
+        </p>
+
+        <div className="space-y-3">
+          {rules.map((rule, index) => (
+            <div key={index} className={`p-4 border rounded-md space-y-3 ${rule.enabled ? 'border-gray-200' : 'border-gray-200 bg-gray-50 opacity-75'}`}>
+              <div className="flex items-center gap-3">
+                <span className="text-sm text-gray-500 w-6">{index + 1}.</span>
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => updateRule(index, 'name', e.target.value)}
+                  placeholder="Rule name"
+                  className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                />
+                <label className="flex items-center gap-1 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updateRule(index, 'enabled', e.target.checked)}
+                  />
+                  Enabled
+                </label>
+                <button
+                  onClick={() => moveRule(index, -1)}
+                  disabled={index === 0}
+                  className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                  title="Run this rule earlier"
+                >
+                  <ChevronUp className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => moveRule(index, 1)}
+                  disabled={index === rules.length - 1}
+                  className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                  title="Run this rule later"
+                >
+                  <ChevronDown className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => removeRule(index)}
+                  className="p-1 text-gray-500 hover:text-red-600"
+                  title="Remove rule"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 pl-9">
+                {LIST_FIELDS.map(({ key, label, placeholder }) => (
+                  <label key={key} className="text-sm text-gray-700">
+                    <span className="block mb-1">{label}</span>
+                    <input
+                      type="text"
+                      value={rule[key]}
+                      onChange={(e) => updateRule(index, key, e.target.value)}
+                      placeholder={placeholder}
+                      className="w-full px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </label>
+                ))}
+                <label className="text-sm text-gray-700">
+                  <span className="block mb-1">Filename matches</span>
+                  <input
+                    type="text"
+                    value={rule.filenamePattern}
+                    onChange={(e) => updateRule(index, 'filenamePattern', e.target.value)}
+                    placeholder="e.g. *render*"
+                    className="w-full px-3 py-1 text-sm font-mono border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+                <label className="text-sm text-gray-700">
+                  <span className="block mb-1">Assigned to any of</span>
+                  <select
+                    multiple
+                    value={rule.projects}
+                    onChange={(e) => updateRule(index, 'projects', Array.from(e.target.selectedOptions, option => option.value))}
+                    className="w-full h-20 px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {projects.map(project => (
+                      <option key={project.id} value={project.id}>{project.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 md:col-span-2">
+                  {NUMBER_FIELDS.map(({ key, label, step }) => (
+                    <label key={key} className="text-sm text-gray-700">
+                      <span className="block mb-1">{label}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step={step}
+                        value={rule[key]}
+                        onChange={(e) => updateRule(index, key, e.target.value)}
+                        className="w-full px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {ruleMessages(index).map(({ message }) => (
+                <p key={message} className={`pl-9 text-xs ${preview.errors.some(error => error.message === message) ? 'text-red-600' : 'text-yellow-700'}`}>
+                  {message}
+                </p>
+              ))}
+              {preview && preview.impact && (
+                <p className="pl-9 text-xs text-gray-500">
+                  {preview.impact.byRule[index].images} images in the library meet this rule
+                </p>
+              )}
+            </div>
+          ))}
+          {rules.length === 0 && (
+            <p className="text-sm text-gray-500">No rules yet - uploads keep exactly the tags they are given.</p>
+          )}
+        </div>
+
+        <button
+          onClick={addRule}
+          className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 border border-dashed border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          <Plus className="h-4 w-4" />
+          Add rule
+        </button>
+      </div>
+
+      <div className="bg-white p-6 rounded-lg shadow space-y-4">
+        <div className="flex flex-wrap items-center justify-end gap-3">
+          <button
+            onClick={previewRules}
+            disabled={previewing}
+            className="flex items-center gap-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            {previewing ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Eye className="h-4 w-4" />}
+            Test against library
+          </button>
+          <button
+            onClick={runRules}
+            disabled={running || dirty}
+            title={dirty ? 'Save the rules before running them' : undefined}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {running ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+            Run on library
+          </button>
+        </div>
+
+        {preview && (
+          <div className="space-y-3">
+            {preview.errors.filter(error => error.rule === null).map(({ message }) => (
+              <p key={message} className="flex items-center gap-2 text-sm text-red-600">
+                <AlertCircle className="h-4 w-4" />
+                {message}
+              </p>
+            ))}
+            {preview.errors.length > 0 && (
+              <p className="text-sm text-red-600">Fix the errors above before these rules can be saved.</p>
+            )}
+
+            {preview.impact && (
+              <p className="text-sm text-gray-700">
+                {preview.impact.changing === 0
+                  ? `These rules would leave the tags of all ${preview.impact.images} images as they are.`
+                  : `${preview.impact.changing} of ${preview.impact.images} images would change: ${preview.impact.added} tags added, ${preview.impact.removed} removed.`}
+              </p>
+            )}
+
+            {preview.samples.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-xs">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-2 py-1 text-left font-medium text-gray-700">Image</th>
+                      <th className="px-2 py-1 text-left font-medium text-gray-700">Tags now</th>
+                      <th className="px-2 py-1 text-left font-medium text-gray-700">Change</th>
+                      <th className="px-2 py-1 text-left font-medium text-gray-700">Rules</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {preview.samples.map(sample => (
+                      <tr key={sample.id}>
+                        <td className="px-2 py-1 text-gray-700 break-all">{sample.filename}</td>
+                        <td className="px-2 py-1 text-gray-500">{sample.tags.join(', ')}</td>
+                        <td className="px-2 py-1 font-mono">
+                          {sample.added.map(tag => <div key={`+${tag}`} className="text-green-700">+ {tag}</div>)}
+                          {sample.removed.map(tag => <div key={`-${tag}`} className="text-red-700">- {tag}</div>)}
+                        </td>
+                        <td className="px-2 py-1 text-gray-700">{sample.rules.join(', ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {preview.impact && preview.impact.changing > preview.samples.length && (
+                  <p className="mt-2 text-xs text-gray-500">Showing {preview.samples.length} of {preview.impact.changing} images.</p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AutoTagRules;
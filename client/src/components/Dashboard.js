@@ -1,8 +1,16 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Database, Folder, Eye, Edit3, Save, TestTube, Check, AlertCircle, RefreshCw, Droplets, Search, Plus, Trash2, X, Box } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
 import { useMode } from '../context/ModeContext';
 import { toast } from 'react-toastify';
 import { apiCall } from '../utils/apiConfig';
+import UserManager from './UserManager';
+import AuditFeed from './AuditFeed';
+import Maintenance from './Maintenance';
+import FolderRules from './FolderRules';
+import AutoTagRules from './AutoTagRules';
+import FilenameTemplates from './FilenameTemplates';
+import { UndoToast } from './TagChanges';
 
 // Utility function to capitalize text for display
 const capitalizeForDisplay = (text) => {
@@ -238,8 +246,9 @@ const EditRoomFormInline = ({ room, onSave, onCancel }) => {
 };
 
 const Dashboard = () => {
-  const { canEdit } = useMode();
-  const [activeSection, setActiveSection] = useState('tags');
+  const { canEdit, canAccessSettings, isAdmin, hasEditPermission } = useMode();
+  const [searchParams] = useSearchParams();
+  const [activeSection, setActiveSection] = useState(searchParams.get('section') || 'tags');
 
   // Projects state
   const [currentProjects, setCurrentProjects] = useState([]);
@@ -934,8 +943,11 @@ const Dashboard = () => {
         
         setEditingTag(null);
         toast.success(
-          `Successfully merged "${currentTag.name}" into "${existingTag.name}". ` +
-          `${result.mergedImageCount} images updated.`
+          <UndoToast
+            message={`Successfully merged "${currentTag.name}" into "${existingTag.name}". ${result.mergedImageCount} images updated.`}
+            operationId={result.operationId}
+            onUndone={loadTags}
+          />
         );
         
       } catch (error) {
@@ -963,6 +975,8 @@ const Dashboard = () => {
 
       if (!response.ok) throw new Error('Failed to update tag');
 
+      const result = await response.json();
+
       // Update the tag in the local state
       setTags(prev => 
         prev.map(tag => 
@@ -970,7 +984,7 @@ const Dashboard = () => {
         ).sort((a, b) => a.name.localeCompare(b.name))
       );
       setEditingTag(null);
-      toast.success('Tag updated successfully');
+      toast.success(<UndoToast message="Tag updated successfully" operationId={result.operationId} onUndone={loadTags} />);
     } catch (error) {
       console.error('Error updating tag:', error);
       toast.error('Failed to update tag');
@@ -1121,7 +1135,8 @@ const Dashboard = () => {
       `This will:\n` +
       `• Move all ${sourceTag.usage_count || 0} images from "${sourceTag.name}" to "${targetTag.name}"\n` +
       `• Delete the "${sourceTag.name}" tag\n` +
-      `• Keep the "${targetTag.name}" tag\n\n` +
+      `• Keep the "${targetTag.name}" tag\n` +
+      `• Turn "${sourceTag.name}" into "${targetTag.name}" whenever it is typed again (an alias - see Tags)\n\n` +
       `Click OK to merge, or Cancel to skip.`
     );
     
@@ -1135,7 +1150,8 @@ const Dashboard = () => {
         },
         body: JSON.stringify({ 
           sourceTagId: sourceTag.id, 
-          targetTagId: targetTag.id 
+          targetTagId: targetTag.id,
+          keepAsAlias: true
         }),
       });
 
@@ -1159,8 +1175,11 @@ const Dashboard = () => {
       );
       
       toast.success(
-        `Successfully merged "${sourceTag.name}" into "${targetTag.name}". ` +
-        `${result.mergedImageCount} images updated.`
+        <UndoToast
+          message={`Successfully merged "${sourceTag.name}" into "${targetTag.name}". ${result.mergedImageCount} images updated.`}
+          operationId={result.operationId}
+          onUndone={loadTags}
+        />
       );
       
     } catch (error) {
@@ -1289,7 +1308,7 @@ const Dashboard = () => {
   }, []);
 
   useEffect(() => {
-    if (activeSection === 'settings' && canEdit) {
+    if (activeSection === 'settings' && canAccessSettings) {
       // Stagger API calls to prevent 429 rate limiting
       loadSettings();
       setTimeout(() => loadStats(), 500);
@@ -1303,7 +1322,7 @@ const Dashboard = () => {
       setTimeout(() => loadStages(), 500);
       setTimeout(() => loadRooms(), 1000);
     }
-  }, [activeSection, canEdit]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [activeSection, canAccessSettings]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const sections = [
     { id: 'tags', label: 'Tags Database', description: '' },
@@ -1312,8 +1331,8 @@ const Dashboard = () => {
     { id: 'workflow', label: 'Pro Workflow', description: '' },
   ];
 
-  // Only show settings in edit mode
-  if (canEdit) {
+  // Settings change server configuration, so they need the admin role
+  if (canAccessSettings) {
     sections.push({
       id: 'settings', 
       label: 'Settings', 
@@ -1321,6 +1340,18 @@ const Dashboard = () => {
     });
   }
 
+  if (isAdmin) {
+    sections.push({ id: 'users', label: 'Users', description: 'Manage accounts and their viewer, editor or admin roles' });
+    sections.push({ id: 'activity', label: 'Activity', description: 'Every tag, project and file change, who made it and when' });
+    sections.push({ id: 'folders', label: 'Folders', description: 'Which Dropbox folder images are filed in, decided by their tags' });
+    sections.push({ id: 'auto-tagging', label: 'Auto-tagging', description: 'Tags added or removed automatically, by source, filename, size, tags and project' });
+  }
+
+  // Which maintenance tasks show depends on the role each one asks for
+  if (hasEditPermission) {
+    sections.push({ id: 'maintenance', label: 'Maintenance', description: 'Preview and run bulk data fixes and checks, and see earlier runs' });
+  }
+
   return (
     <div className="max-w-7xl mx-auto p-6">
       {/* Header */}
@@ -2362,7 +2393,27 @@ const Dashboard = () => {
           </div>
         )}
 
-        {activeSection === 'settings' && canEdit && (
+        {activeSection === 'users' && isAdmin && (
+          <UserManager />
+        )}
+
+        {activeSection === 'activity' && isAdmin && (
+          <AuditFeed />
+        )}
+
+        {activeSection === 'folders' && isAdmin && (
+          <FolderRules />
+        )}
+
+        {activeSection === 'auto-tagging' && isAdmin && (
+          <AutoTagRules />
+        )}
+
+        {activeSection === 'maintenance' && hasEditPermission && (
+          <Maintenance />
+        )}
+
+        {activeSection === 'settings' && canAccessSettings && (
           <div className="space-y-6">
             {/* Settings Header */}
             <div className="bg-white p-6 rounded-lg shadow">
@@ -2480,6 +2531,9 @@ const Dashboard = () => {
               </div>
             </div>
 
+            {/* Filename Templates */}
+            <FilenameTemplates />
+
             {/* Stats */}
             {stats.totalImages && (
               <div className="bg-white p-6 rounded-lg shadow">
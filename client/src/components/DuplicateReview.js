@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Copy, Check, RefreshCw, GitMerge, SkipForward } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+import { waitForJob } from '../utils/jobs';
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return 'Unknown size';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const sourceDomain = (sourceUrl) => {
+  try {
+    return new URL(sourceUrl).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return sourceUrl;
+  }
+};
+
+// Suggested keeper: the highest resolution copy, then the oldest
+const suggestKeeper = (images) => [...images].sort((a, b) =>
+  ((b.width || 0) * (b.height || 0)) - ((a.width || 0) * (a.height || 0)) || a.id - b.id
+)[0].id;
+
+// Side-by-side review of visual duplicate groups (admin). Resolving a group merges the tags,
+// focused-tag regions and project assignments of the other copies into the one kept.
+const DuplicateReview = () => {
+  const [groups, setGroups] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [keepers, setKeepers] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busyGroup, setBusyGroup] = useState(null);
+  const [hashing, setHashing] = useState(false);
+
+  const loadGroups = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiCall('/api/admin/duplicates');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      setGroups(data.groups);
+      setStats(data.stats);
+      setKeepers(Object.fromEntries(data.groups.map((group, index) => [index, suggestKeeper(group.images)])));
+    } catch (error) {
+      console.error('Error loading duplicates:', error);
+      toast.error('Failed to load duplicates: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadGroups();
+  }, [loadGroups]);
+
+  // Images without a perceptual hash aren't compared - hash them with the duplicate scan job, then rescan
+  const hashMissingImages = async () => {
+    try {
+      setHashing(true);
+      const response = await apiCall('/api/admin/scan-visual-duplicates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ autoRemove: false })
+      });
+      const queued = await response.json();
+      if (!response.ok) {
+        throw new Error(queued.error || `HTTP ${response.status}`);
+      }
+
+      toast.info(`Hashing ${stats.unhashed} images - follow its progress in the jobs tray.`);
+      await waitForJob(queued.jobId);
+      await loadGroups();
+    } catch (error) {
+      console.error('Error hashing images:', error);
+      toast.error('Failed to hash images: ' + error.message);
+    } finally {
+      setHashing(false);
+    }
+  };
+
+  const dismissGroup = (groupIndex) => {
+    setGroups(prev => prev.map((group, index) => (index === groupIndex ? { ...group, resolved: true } : group)));
+  };
+
+  const mergeGroup = async (groupIndex) => {
+    const group = groups[groupIndex];
+    const keepId = keepers[groupIndex];
+    const discardIds = group.images.filter(image => image.id !== keepId).map(image => image.id);
+
+    if (!window.confirm(`Keep image #${keepId}, copy the tags, regions and project assignments of ${discardIds.length} other ${discardIds.length === 1 ? 'copy' : 'copies'} onto it, and move ${discardIds.length === 1 ? 'it' : 'them'} to the trash?`)) return;
+
+    try {
+      setBusyGroup(groupIndex);
+      const response = await apiCall('/api/admin/duplicates/merge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ keepId, discardIds })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to merge duplicates');
+      }
+
+      toast.success(data.message);
+      if (data.errors > 0) {
+        toast.warning(`${data.errors} copies could not be moved to the trash`);
+      }
+      dismissGroup(groupIndex);
+    } catch (error) {
+      console.error('Error merging duplicates:', error);
+      toast.error(error.message);
+    } finally {
+      setBusyGroup(null);
+    }
+  };
+
+  // Tags the keeper would gain from the other copies
+  const tagsToAdd = (group, keepId) => {
+    const keeper = group.images.find(image => image.id === keepId);
+    const keeperTags = keeper.tags.map(tag => tag.toLowerCase());
+    const extra = group.images
+      .filter(image => image.id !== keepId)
+      .flatMap(image => image.tags)
+      .filter(tag => !keeperTags.includes(tag.toLowerCase()));
+    return [...new Set(extra)];
+  };
+
+  const openGroups = groups.map((group, index) => ({ group, index })).filter(({ group }) => !group.resolved);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Duplicate Review</h1>
+          <p className="text-sm text-gray-600">
+            Pick the copy to keep in each group. Tags, focused-tag regions and project assignments from the
+            other copies are merged into it before they are moved to the <Link to="/trash" className="text-blue-600 hover:underline">trash</Link>.
+          </p>
+        </div>
+        <button
+          onClick={loadGroups}
+          disabled={loading}
+          className="flex items-center gap-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Rescan
+        </button>
+      </div>
+
+      {!loading && stats && stats.unhashed > 0 && (
+        <div className="flex justify-between items-center p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+          <p className="text-sm text-yellow-800">
+            {stats.unhashed} images have no perceptual hash yet, so they aren't compared.
+          </p>
+          <button
+            onClick={hashMissingImages}
+            disabled={hashing}
+            className="flex items-center gap-2 px-3 py-1 text-sm text-yellow-800 border border-yellow-300 rounded-md hover:bg-yellow-100 disabled:opacity-50"
+          >
+            <RefreshCw className={`h-4 w-4 ${hashing ? 'animate-spin' : ''}`} />
+            {hashing ? 'Hashing...' : 'Hash them and rescan'}
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-500">Scanning for visual duplicates...</p>
+      ) : openGroups.length === 0 ? (
+        <div className="bg-white p-12 rounded-lg shadow text-center text-gray-500">
+          <Copy className="h-12 w-12 mx-auto mb-4 text-gray-300" />
+          {groups.length === 0 ? 'No visual duplicates found.' : 'All duplicate groups have been reviewed.'}
+          {stats && stats.errors > 0 && (
+            <p className="mt-2 text-sm text-red-600">{stats.errors} images could not be checked.</p>
+          )}
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600">{openGroups.length} groups to review</p>
+          {openGroups.map(({ group, index }) => {
+            const keepId = keepers[index];
+            const addedTags = tagsToAdd(group, keepId);
+
+            return (
+              <div key={index} className="bg-white p-4 rounded-lg shadow">
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="font-semibold">Group {index + 1} ({group.images.length} images)</h3>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => dismissGroup(index)}
+                      disabled={busyGroup === index}
+                      className="flex items-center gap-1 px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                      title="Leave these images as they are"
+                    >
+                      <SkipForward className="h-4 w-4" />
+                      Not duplicates
+                    </button>
+                    <button
+                      onClick={() => mergeGroup(index)}
+                      disabled={busyGroup === index}
+                      className="flex items-center gap-1 px-3 py-1 text-sm bg-indigo-500 text-white rounded-md hover:bg-indigo-600 disabled:opacity-50"
+                    >
+                      <GitMerge className="h-4 w-4" />
+                      Merge into #{keepId}
+                    </button>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {group.images.map(image => {
+                    const isKeeper = image.id === keepId;
+                    return (
+                      <div
+                        key={image.id}
+                        className={`rounded-lg border-2 overflow-hidden ${isKeeper ? 'border-green-500' : 'border-gray-200'}`}
+                      >
+                        <div className="aspect-square bg-gray-100">
+                          {image.url ? (
+                            <img
+                              src={image.url}
+                              alt={image.filename}
+                              className={`w-full h-full object-contain ${isKeeper ? '' : 'opacity-75'}`}
+                            />
+                          ) : (
+                            <div className="w-full h-full flex items-center justify-center text-xs text-gray-400">No preview</div>
+                          )}
+                        </div>
+                        <div className="p-3 space-y-1 text-xs text-gray-600">
+                          <label className="flex items-center gap-2 text-sm font-medium text-gray-900 cursor-pointer">
+                            <input
+                              type="radio"
+                              name={`keeper-${index}`}
+                              checked={isKeeper}
+                              onChange={() => setKeepers(prev => ({ ...prev, [index]: image.id }))}
+                            />
+                            {isKeeper ? 'Keep' : 'Merge & trash'}
+                            <Link to={`/image/${image.id}`} className="ml-auto text-blue-600 hover:underline font-normal">
+                              #{image.id}
+                            </Link>
+                          </label>
+                          <div className="truncate" title={image.dropbox_path}>{image.filename}</div>
+                          <div>
+                            {image.width && image.height ? `${image.width} × ${image.height}` : 'Unknown resolution'}
+                            {' · '}{formatFileSize(image.file_size)}
+                          </div>
+                          <div>Uploaded {new Date(image.upload_date).toLocaleDateString()}</div>
+                          {image.source_url && (
+                            <div className="truncate">
+                              Source:{' '}
+                              <a href={image.source_url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                                {sourceDomain(image.source_url)}
+                              </a>
+                            </div>
+                          )}
+                          {image.project_assignments.length > 0 && (
+                            <div>
+                              Projects: {image.project_assignments.map(assignment =>
+                                [assignment.projectName, assignment.room, assignment.stage].filter(Boolean).join(' / ')
+                              ).join(', ')}
+                            </div>
+                          )}
+                          {image.focused_tags.length > 0 && (
+                            <div>{image.focused_tags.length} focused-tag regions</div>
+                          )}
+                          <div className="flex flex-wrap gap-1 pt-1">
+                            {image.tags.map(tag => (
+                              <span key={tag} className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full">{tag}</span>
+                            ))}
+                            {isKeeper && addedTags.map(tag => (
+                              <span key={tag} className="flex items-center gap-1 px-2 py-0.5 bg-green-100 text-green-800 rounded-full" title="Merged from another copy">
+                                <Check className="h-3 w-3" />
+                                {tag}
+                              </span>
+                            ))}
+                          </div>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateReview;
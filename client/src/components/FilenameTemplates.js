@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText, Plus, Trash2, Edit3, Check, Save, X, RefreshCw } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+
+const EMPTY_FORM = { id: null, name: '', template: '' };
+const PREVIEW_DELAY_MS = 400;
+
+// Filename templates (Settings): the active one names uploaded, saved and re-tagged images.
+// Edits show what the template would call the most recent images as you type.
+const FilenameTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [tokens, setTokens] = useState({});
+  const [form, setForm] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await apiCall('/api/filename-templates');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setTemplates(data.templates);
+      setTokens(data.tokens);
+    } catch (error) {
+      console.error('Error loading filename templates:', error);
+      toast.error('Failed to load filename templates');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  // Live preview while editing
+  const templateText = form ? form.template : '';
+  useEffect(() => {
+    if (!templateText.trim()) {
+      setPreview(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setPreviewing(true);
+        const response = await apiCall('/api/filename-templates/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ template: templateText })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        if (!cancelled) setPreview(result);
+      } catch (error) {
+        console.error('Error previewing filename template:', error);
+      } finally {
+        if (!cancelled) setPreviewing(false);
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [templateText]);
+
+  const insertToken = (token) => {
+    setForm(prev => ({ ...prev, template: `${prev.template}{${token}}` }));
+  };
+
+  const saveTemplate = async () => {
+    try {
+      setSaving(true);
+      const response = await apiCall(form.id ? `/api/filename-templates/${form.id}` : '/api/filename-templates', {
+        method: form.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: form.name, template: form.template })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+
+      toast.success(`Saved "${result.template.name}"`);
+      setForm(null);
+      loadTemplates();
+    } catch (error) {
+      console.error('Error saving filename template:', error);
+      toast.error(`Failed to save template: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const activateTemplate = async (template) => {
+    try {
+      const response = await apiCall(`/api/filename-templates/${template.id}/activate`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+      toast.success(result.message);
+      loadTemplates();
+    } catch (error) {
+      console.error('Error activating filename template:', error);
+      toast.error(`Failed to activate template: ${error.message}`);
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the filename template "${template.name}"?`)) return;
+
+    try {
+      const response = await apiCall(`/api/filename-templates/${template.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+      toast.success('Template deleted');
+      loadTemplates();
+    } catch (error) {
+      console.error('Error deleting filename template:', error);
+      toast.error(`Failed to delete template: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <FileText className="h-5 w-5 text-indigo-600" />
+          <h3 className="text-lg font-semibold">Filename Templates</h3>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm({ ...EMPTY_FORM })}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            <Plus className="h-4 w-4" />
+            New template
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600">
+        The active template names new uploads, extension saves and images renamed when their tags change.
+        Existing files keep their names until Maintenance → reapply-naming runs.
+      </p>
+
+      <div className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+        {templates.map(template => (
+          <div key={template.id} className="flex items-center justify-between px-4 py-3">
+            <div>
+              <div className="flex items-center gap-2">
+                <span className="font-medium text-gray-900">{template.name}</span>
+                {template.is_active && (
+                  <span className="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">Active</span>
+                )}
+              </div>
+              <code className="text-sm text-gray-600">{template.template}</code>
+            </div>
+            <div className="flex items-center gap-2">
+              {!template.is_active && (
+                <button
+                  onClick={() => activateTemplate(template)}
+                  className="flex items-center gap-1 px-2 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                >
+                  <Check className="h-4 w-4" />
+                  Activate
+                </button>
+              )}
+              <button
+                onClick={() => setForm({ id: template.id, name: template.name, template: template.template })}
+                className="p-1 text-gray-500 hover:text-gray-900"
+                title="Edit"
+              >
+                <Edit3 className="h-4 w-4" />
+              </button>
+              {!template.is_active && (
+                <button
+                  onClick={() => deleteTemplate(template)}
+                  className="p-1 text-gray-500 hover:text-red-600"
+                  title="Delete"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {form && (
+        <div className="p-4 border border-blue-200 bg-blue-50 rounded-md space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Name, e.g. Project and room"
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            />
+            <input
+              type="text"
+              value={form.template}
+              onChange={(e) => setForm(prev => ({ ...prev, template: e.target.value }))}
+              placeholder="e.g. {project}-{room}-{seq}"
+              className="md:col-span-2 px-3 py-2 font-mono border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(tokens).map(([token, description]) => (
+              <button
+                key={token}
+                onClick={() => insertToken(token)}
+                title={description}
+                className="px-2 py-0.5 rounded text-xs font-mono bg-white border border-gray-300 text-gray-700 hover:bg-gray-100"
+              >
+                {`{${token}}`}
+              </button>
+            ))}
+          </div>
+
+          {preview && (
+            <div className="space-y-2">
+              {preview.errors.map(error => (
+                <p key={error} className="text-sm text-red-600">{error}</p>
+              ))}
+              {preview.warnings.map(warning => (
+                <p key={warning} className="text-sm text-yellow-700">{warning}</p>
+              ))}
+              {preview.samples.length > 0 && (
+                <table className="min-w-full text-xs bg-white rounded">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-2 py-1 text-left font-medium text-gray-700">Current name</th>
+                      <th className="px-2 py-1 text-left font-medium text-gray-700">With this template</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {preview.samples.map(sample => (
+                      <tr key={sample.id} title={sample.tags.join(', ')}>
+                        <td className="px-2 py-1 font-mono text-gray-500 break-all">{sample.filename}</td>
+                        <td className={`px-2 py-1 font-mono break-all ${sample.proposed === sample.filename ? 'text-gray-700' : 'text-green-700'}`}>
+                          {sample.proposed}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {preview.samples.some(sample => sample.proposed.includes('{seq}')) && (
+                <p className="text-xs text-gray-500">{'{seq}'} is replaced by the next sequence number when an image without one is renamed.</p>
+              )}
+            </div>
+          )}
+
+          <div className="flex items-center justify-end gap-2">
+            {previewing && <RefreshCw className="h-4 w-4 text-gray-400 animate-spin" />}
+            <button
+              onClick={() => setForm(null)}
+              className="flex items-center gap-1 px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              <X className="h-4 w-4" />
+              Cancel
+            </button>
+            <button
+              onClick={saveTemplate}
+              disabled={saving || !form.name.trim() || !form.template.trim() || (preview && preview.errors.length > 0)}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+            >
+              {saving ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+              Save template
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilenameTemplates;
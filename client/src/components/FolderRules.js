@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Folder, ChevronUp, ChevronDown, Plus, Trash2, Eye, Save, RefreshCw, AlertCircle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+
+const TAG_FIELDS = [
+  { key: 'all', label: 'Has all of' },
+  { key: 'any', label: 'Has any of' },
+  { key: 'none', label: 'Has none of' },
+  { key: 'categories', label: '{category} from' }
+];
+
+const EMPTY_RULE = { name: '', all: '', any: '', none: '', categories: '', categoryOrder: 'list', folder: '', enabled: true };
+
+// Tag lists are edited as comma-separated text
+const toForm = (rule) => ({
+  ...rule,
+  ...Object.fromEntries(TAG_FIELDS.map(({ key }) => [key, rule[key].join(', ')]))
+});
+
+const splitTags = (text) => text.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+
+const toRule = (form) => ({
+  name: form.name,
+  categoryOrder: form.categoryOrder,
+  folder: form.folder,
+  enabled: form.enabled,
+  ...Object.fromEntries(TAG_FIELDS.map(({ key }) => [key, splitTags(form[key])]))
+});
+
+// Folder rules (the Folders section of the Dashboard): the ordered tag conditions that decide
+// where in Dropbox an image is filed. Changes are checked against the library before saving.
+const FolderRules = () => {
+  const [rules, setRules] = useState([]);
+  const [baseFolder, setBaseFolder] = useState('');
+  const [sampleTags, setSampleTags] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await apiCall('/api/folder-rules');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setRules(data.rules.map(toForm));
+      setBaseFolder(data.baseFolder);
+      setPreview(null);
+      setDirty(false);
+    } catch (error) {
+      console.error('Error loading folder rules:', error);
+      toast.error('Failed to load folder rules');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const changeRules = (update) => {
+    setRules(update);
+    setPreview(null);
+    setDirty(true);
+  };
+
+  const updateRule = (index, key, value) => {
+    changeRules(prev => prev.map((rule, i) => (i === index ? { ...rule, [key]: value } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    changeRules(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const removeRule = (index) => {
+    changeRules(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // New rules go before the catch-all at the end
+  const addRule = () => {
+    changeRules(prev => [...prev.slice(0, -1), { ...EMPTY_RULE }, ...prev.slice(-1)]);
+  };
+
+  const previewRules = async () => {
+    try {
+      setPreviewing(true);
+      const response = await apiCall('/api/folder-rules/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: rules.map(toRule), sampleTags: splitTags(sampleTags) })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+      setPreview(result);
+    } catch (error) {
+      console.error('Error previewing folder rules:', error);
+      toast.error(`Preview failed: ${error.message}`);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const saveRules = async () => {
+    try {
+      setSaving(true);
+      const response = await apiCall('/api/folder-rules', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: rules.map(toRule) })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        if (result.errors) {
+          setPreview({ errors: result.errors, warnings: [], impact: null, samples: [], sampleResult: null });
+        }
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+      toast.success(result.message);
+      setRules(result.rules.map(toForm));
+      setDirty(false);
+    } catch (error) {
+      console.error('Error saving folder rules:', error);
+      toast.error(`Failed to save folder rules: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const ruleMessages = (index) => preview
+    ? [...preview.errors, ...preview.warnings].filter(message => message.rule === index)
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-lg shadow space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Folder className="h-5 w-5 text-indigo-600" />
+            <h3 className="text-lg font-semibold">Folder rules</h3>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={loadRules}
+              disabled={!dirty || saving}
+              className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Discard changes
+            </button>
+            <button
+              onClick={saveRules}
+              disabled={!dirty || saving}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+              Save rules
+            </button>
+          </div>
+        </div>
+        <p className="text-sm text-gray-600">
+          Images are filed under <code>{baseFolder}</code> in the folder of the first enabled rule their tags match.
+          Use <code>{'{category}'}</code> in a folder for one of the rule's category tags the image has - the
+          earliest in the rule's list, or the image's first one.
+          The last rule must have no conditions. Saving only affects new uploads and tag changes -
+          run Maintenance → migrate-misplaced-images to move existing images.
+        </p>
+
+        <div className="space-y-3">
+          {rules.map((rule, index) => (
+            <div key={index} className={`p-4 border rounded-md space-y-3 ${rule.enabled ? 'border-gray-200' : 'border-gray-200 bg-gray-50 opacity-75'}`}>
+              <div className="flex items-center gap-3">
+                <span className="text-sm text-gray-500 w-6">{index + 1}.</span>
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => updateRule(index, 'name', e.target.value)}
+                  placeholder="Rule name"
+                  className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                />
+                <label className="flex items-center gap-1 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updateRule(index, 'enabled', e.target.checked)}
+                  />
+                  Enabled
+                </label>
+                <button
+                  onClick={() => moveRule(index, -1)}
+                  disabled={index === 0}
+                  className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                  title="Try this rule earlier"
+                >
+                  <ChevronUp className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => moveRule(index, 1)}
+                  disabled={index === rules.length - 1}
+                  className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                  title="Try this rule later"
+                >
+                  <ChevronDown className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => removeRule(index)}
+                  disabled={rules.length === 1}
+                  className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                  title="Remove rule"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 pl-9">
+                {TAG_FIELDS.map(({ key, label }) => (
+                  <label key={key} className="text-sm text-gray-700">
+                    <span className="block mb-1">{label}</span>
+                    <input
+                      type="text"
+                      value={rule[key]}
+                      onChange={(e) => updateRule(index, key, e.target.value)}
+                      placeholder="tag, tag, ..."
+                      className="w-full px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </label>
+                ))}
+                <label className="text-sm text-gray-700">
+                  <span className="block mb-1">{'{category}'} is</span>
+                  <select
+                    value={rule.categoryOrder}
+                    onChange={(e) => updateRule(index, 'categoryOrder', e.target.value)}
+                    className="w-full px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="list">the earliest of these in the list</option>
+                    <option value="tags">the image's first tag among these</option>
+                  </select>
+                </label>
+                <label className="text-sm text-gray-700">
+                  <span className="block mb-1">Folder</span>
+                  <input
+                    type="text"
+                    value={rule.folder}
+                    onChange={(e) => updateRule(index, 'folder', e.target.value)}
+                    placeholder="e.g. Texture/{category}"
+                    className="w-full px-3 py-1 text-sm font-mono border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+              </div>
+
+              {ruleMessages(index).map(({ message }) => (
+                <p key={message} className={`pl-9 text-xs ${preview.errors.some(error => error.message === message) ? 'text-red-600' : 'text-yellow-700'}`}>
+                  {message}
+                </p>
+              ))}
+              {preview && preview.impact && (
+                <p className="pl-9 text-xs text-gray-500">
+                  {preview.impact.byRule[index].images} images would be filed by this rule
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <button
+          onClick={addRule}
+          className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 border border-dashed border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          <Plus className="h-4 w-4" />
+          Add rule
+        </button>
+      </div>
+
+      <div className="bg-white p-6 rounded-lg shadow space-y-4">
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="flex-1 text-sm text-gray-700">
+            <span className="block mb-1">Try tags (optional)</span>
+            <input
+              type="text"
+              value={sampleTags}
+              onChange={(e) => setSampleTags(e.target.value)}
+              placeholder="e.g. archier, taroona house, wip"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            />
+          </label>
+          <button
+            onClick={previewRules}
+            disabled={previewing}
+            className="flex items-center gap-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            {previewing ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Eye className="h-4 w-4" />}
+            Preview against library
+          </button>
+        </div>
+
+        {preview && (
+          <div className="space-y-3">
+            {preview.errors.filter(error => error.rule === null).map(({ message }) => (
+              <p key={message} className="flex items-center gap-2 text-sm text-red-600">
+                <AlertCircle className="h-4 w-4" />
+                {message}
+              </p>
+            ))}
+            {preview.errors.length > 0 && (
+              <p className="text-sm text-red-600">Fix the errors above before these rules can be saved.</p>
+            )}
+
+            {preview.sampleResult && (
+              <p className="text-sm text-gray-700">
+                <span className="font-medium">{preview.sampleResult.tags.join(', ')}</span> →{' '}
+                <code>{preview.sampleResult.folder}</code> (rule "{preview.sampleResult.rule}")
+              </p>
+            )}
+
+            {preview.impact && (
+              <p className="text-sm text-gray-700">
+                {preview.impact.moving === 0
+                  ? `All ${preview.impact.images} images would stay in the same folder.`
+                  : `${preview.impact.moving} of ${preview.impact.images} images would be filed in a different folder.`}
+              </p>
+            )}
+
+            {preview.samples.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-xs">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-2 py-1 text-left font-medium text-gray-700">Image</th>
+                      <th className="px-2 py-1 text-left font-medium text-gray-700">Tags</th>
+                      <th className="px-2 py-1 text-left font-medium text-gray-700">Rule</th>
+                      <th className="px-2 py-1 text-left font-medium text-gray-700">Folder</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {preview.samples.map(sample => (
+                      <tr key={sample.id}>
+                        <td className="px-2 py-1 text-gray-700 break-all">{sample.filename}</td>
+                        <td className="px-2 py-1 text-gray-500">{sample.tags.join(', ')}</td>
+                        <td className="px-2 py-1 text-gray-700">{sample.rule}</td>
+                        <td className="px-2 py-1 font-mono break-all">
+                          {sample.currentFolder === sample.proposedFolder ? (
+                            <span className="text-gray-700">{sample.proposedFolder}</span>
+                          ) : (
+                            <>
+                              <div className="text-red-700">- {sample.currentFolder}</div>
+                              <div className="text-green-700">+ {sample.proposedFolder}</div>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FolderRules;
@@ -1,9 +1,10 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { useParams, useNavigate, useLocation } from 'react-router-dom';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
 import { fabric } from 'fabric';
-import { Save, Tag, X, ArrowLeft, Trash2, Edit3, ChevronLeft, ChevronRight, Lightbulb, Plus } from 'lucide-react';
+import { Save, Tag, X, ArrowLeft, Trash2, Edit3, ChevronLeft, ChevronRight, Lightbulb, Plus, Layers, Palette } from 'lucide-react';
 import { toast } from 'react-toastify';
 import { useMode } from '../context/ModeContext';
+import ImageHistory from './ImageHistory';
 
 // Utility function to capitalize text for display
 const capitalizeForDisplay = (text) => {
@@ -45,8 +46,12 @@ const ImageEditor = () => {
   const [originalProjectAssignments, setOriginalProjectAssignments] = useState([]);
   
   // Available projects, rooms, stages for dropdowns
-  const [, setAvailableRooms] = useState([]);
-  const [, setAvailableStages] = useState([]);
+  const [availableProjects, setAvailableProjects] = useState([]);
+  const [availableRooms, setAvailableRooms] = useState([]);
+  const [availableStages, setAvailableStages] = useState([]);
+
+  // Tag name -> tag type (category, material, project, ...) for the Properties panel
+  const [tagTypes, setTagTypes] = useState({});
   
   // Navigation state
   const [navigationContext, setNavigationContext] = useState(null);
@@ -64,17 +69,38 @@ const ImageEditor = () => {
     if (id) {
       loadImage();
       loadNavigationContext();
-      loadRoomsAndStages();
+      loadProjectsRoomsAndStages();
     }
   }, [id]); // eslint-disable-line react-hooks/exhaustive-deps
 
-  const loadRoomsAndStages = async () => {
+  useEffect(() => {
+    const loadTagTypes = async () => {
+      try {
+        const response = await fetch('/api/tags');
+        if (response.ok) {
+          const allTags = await response.json();
+          setTagTypes(Object.fromEntries(allTags.map(tag => [tag.name.toLowerCase(), tag.tag_type])));
+        }
+      } catch (error) {
+        console.error('Error loading tag types:', error);
+      }
+    };
+    loadTagTypes();
+  }, []);
+
+  const loadProjectsRoomsAndStages = async () => {
     try {
-      const [roomsResponse, stagesResponse] = await Promise.all([
+      const [projectsResponse, roomsResponse, stagesResponse] = await Promise.all([
+        fetch('/api/projects'),
         fetch('/api/rooms'),
         fetch('/api/stages')
       ]);
 
+      if (projectsResponse.ok) {
+        const projects = await projectsResponse.json();
+        setAvailableProjects(projects);
+      }
+
       if (roomsResponse.ok) {
         const rooms = await roomsResponse.json();
         setAvailableRooms(rooms);
@@ -85,7 +111,7 @@ const ImageEditor = () => {
         setAvailableStages(stages);
       }
     } catch (error) {
-      console.error('Error loading rooms and stages:', error);
+      console.error('Error loading projects, rooms and stages:', error);
     }
   };
 
@@ -690,6 +716,16 @@ const ImageEditor = () => {
     fabricCanvasRef.current.add(group);
   };
 
+  const copyColorHex = async (hex) => {
+    try {
+      await navigator.clipboard.writeText(hex);
+      toast.success(`Copied ${hex}`);
+    } catch (error) {
+      console.error('Error copying colour:', error);
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
   const addGeneralTag = async () => {
     if (!canEdit) return; // Prevent adding in view mode
     if (!newTag.trim() || tags.includes(newTag.trim())) return;
@@ -774,32 +810,17 @@ const ImageEditor = () => {
     if (lowercaseTags.includes('complete')) return 'Complete';
     if (lowercaseTags.includes('wip')) return 'WIP';
     
-    // Check for specific category tags
-    const categoryTags = ['brick', 'carpet', 'concrete', 'fabric', 'metal', 'stone', 'tile', 'wood', 
-                         'art', 'bathrooms', 'details', 'doors', 'exteriors', 'furniture', 'interiors', 
-                         'joinery', 'kitchens', 'landscape', 'lighting', 'spatial', 'stairs', 'structure'];
-    
-    for (const tag of lowercaseTags) {
-      if (categoryTags.includes(tag)) {
-        return capitalizeForDisplay(tag);
-      }
-    }
-    
-    return 'General';
+    // Material and category tags, as typed in Tag Management
+    const categoryTag = lowercaseTags.find(tag => ['material', 'category'].includes(tagTypes[tag]));
+    return categoryTag ? capitalizeForDisplay(categoryTag) : 'General';
   };
 
   const getProject = () => {
     const lowercaseTags = tags.map(tag => tag.toLowerCase());
     
-    // Check for project names
-    const projectNames = ['taroona house', 'corner house', 'oakover preston', 'the boulevard',
-                         'de witt st', 'couvreur', 'yandoit', 'archier'];
-    
-    for (const project of projectNames) {
-      if (lowercaseTags.includes(project)) {
-        return capitalizeForDisplay(project);
-      }
-    }
+    // Project tags, as typed in Tag Management
+    const projectTag = lowercaseTags.find(tag => tagTypes[tag] === 'project');
+    if (projectTag) return capitalizeForDisplay(projectTag);
     
     // Check for team tags
     if (lowercaseTags.includes('archier')) return 'Archier';
@@ -870,38 +891,23 @@ const ImageEditor = () => {
 
   // Project assignment helper functions
   const getCurrentProjects = () => {
-    return [
-      { id: 'de-witt', name: 'De Witt St' },
-      { id: 'couvreur', name: 'Couvreur' }
-    ];
+    return availableProjects.filter(project => project.status !== 'complete');
   };
 
   const getCompleteProjects = () => {
-    return [
-      { id: 'yandoit', name: 'Yandoit' }
-    ];
+    return availableProjects.filter(project => project.status === 'complete');
   };
 
   const getAllProjects = () => {
-    return [...getCurrentProjects(), ...getCompleteProjects()];
+    return availableProjects;
   };
 
   const getRoomOptions = () => {
-    return [
-      { value: 'living', label: 'Living' },
-      { value: 'dining', label: 'Dining' },
-      { value: 'kitchen', label: 'Kitchen' },
-      { value: 'bathroom', label: 'Bathroom' },
-      { value: 'bedroom', label: 'Bedroom' }
-    ];
+    return availableRooms.map(room => ({ value: room.id, label: capitalizeForDisplay(room.name) }));
   };
 
   const getStageOptions = () => {
-    return [
-      { value: 'feasibility', label: 'Feasibility' },
-      { value: 'layout', label: 'Layout' },
-      { value: 'finishes', label: 'Finishes' }
-    ];
+    return availableStages.map(stage => ({ value: stage.id, label: capitalizeForDisplay(stage.name) }));
   };
 
   // Project assignment management functions
@@ -909,10 +915,12 @@ const ImageEditor = () => {
     if (!canEdit) return;
     
     const newAssignment = {
-      id: Date.now(), // temporary ID
+      id: `new-${Date.now()}`, // temporary ID until saved
       projectId: '',
       projectName: '',
+      roomId: null,
       room: '',
+      stageId: null,
       stage: ''
     };
     
@@ -925,6 +933,16 @@ const ImageEditor = () => {
     setProjectAssignments(prev => prev.map(assignment => {
       if (assignment.id === assignmentId) {
         const updated = { ...assignment, [field]: value };
+
+        // Room and stage selects hold ids - keep the display names in step
+        if (field === 'roomId') {
+          updated.roomId = value ? Number(value) : null;
+          updated.room = availableRooms.find(room => room.id === updated.roomId)?.name || '';
+        }
+        if (field === 'stageId') {
+          updated.stageId = value ? Number(value) : null;
+          updated.stage = availableStages.find(stage => stage.id === updated.stageId)?.name || '';
+        }
         
         // If updating projectId, also update projectName and auto-add project tag
         if (field === 'projectId') {
@@ -933,13 +951,7 @@ const ImageEditor = () => {
             updated.projectName = project.name;
             
             // Auto-add project tag (but not room/stage tags)
-            const projectTagMap = {
-              'de-witt': 'de witt st',
-              'couvreur': 'couvreur',
-              'yandoit': 'yandoit'
-            };
-            
-            const projectTag = projectTagMap[value];
+            const projectTag = project.name.toLowerCase();
             if (projectTag && !tags.includes(projectTag)) {
               const newTags = [...tags, projectTag];
               setTags(newTags);
@@ -1110,6 +1122,12 @@ const ImageEditor = () => {
   try {
     return (
       <div className="space-y-6">
+      {image.deleted_at && (
+        <div className="p-3 rounded-md bg-red-50 border border-red-200 text-sm text-red-800">
+          This image is in the trash. Restore it from the <Link to="/trash" className="underline">Trash page</Link> to edit it.
+        </div>
+      )}
+
       {/* Header */}
       <div className="bg-white p-4 rounded-lg shadow flex justify-between items-center">
         <div className="flex items-center gap-4">
@@ -1165,6 +1183,15 @@ const ImageEditor = () => {
               <ChevronRight className="h-5 w-5" />
             </button>
           </div>
+
+          <button
+            onClick={() => navigate(`/similar/${image.id}`)}
+            className="flex items-center gap-2 px-3 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+            title="Find images that look like this one"
+          >
+            <Layers className="h-4 w-4" />
+            More like this
+          </button>
           
           {/* Save button - only show in edit mode */}
           {canEdit && (
@@ -1610,6 +1637,34 @@ const ImageEditor = () => {
             </div>
           </div>
 
+          {/* Colour Palette */}
+          {image.color_palette && image.color_palette.length > 0 && (
+            <div className="bg-white p-4 rounded-lg shadow">
+              <div className="flex items-center gap-2 mb-4">
+                <Palette className="h-4 w-4 text-gray-500" />
+                <h3 className="font-semibold">Colour Palette</h3>
+              </div>
+              <div className="flex h-6 rounded-md overflow-hidden mb-3">
+                {image.color_palette.map(color => (
+                  <div key={color.hex} style={{ backgroundColor: color.hex, flexGrow: color.weight }} />
+                ))}
+              </div>
+              <div className="grid grid-cols-4 gap-2">
+                {image.color_palette.map(color => (
+                  <button
+                    key={color.hex}
+                    onClick={() => copyColorHex(color.hex)}
+                    className="flex flex-col items-center gap-1 p-1 rounded-md hover:bg-gray-50"
+                    title={`Copy ${color.hex} (${Math.round(color.weight * 100)}% of the image)`}
+                  >
+                    <span className="h-8 w-full rounded border border-gray-200" style={{ backgroundColor: color.hex }} />
+                    <code className="text-xs text-gray-600">{color.hex}</code>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Project Assignments */}
           {canEdit && (
             <div className="bg-white p-4 rounded-lg shadow">
@@ -1654,8 +1709,8 @@ const ImageEditor = () => {
                       <div>
                         <label className="block text-xs font-medium text-gray-700 mb-1">Room</label>
                         <select
-                          value={assignment.room}
-                          onChange={(e) => updateProjectAssignment(assignment.id, 'room', e.target.value)}
+                          value={assignment.roomId || ''}
+                          onChange={(e) => updateProjectAssignment(assignment.id, 'roomId', e.target.value)}
                           disabled={!assignment.projectId}
                           className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
                         >
@@ -1670,8 +1725,8 @@ const ImageEditor = () => {
                       <div>
                         <label className="block text-xs font-medium text-gray-700 mb-1">Stage</label>
                         <select
-                          value={assignment.stage}
-                          onChange={(e) => updateProjectAssignment(assignment.id, 'stage', e.target.value)}
+                          value={assignment.stageId || ''}
+                          onChange={(e) => updateProjectAssignment(assignment.id, 'stageId', e.target.value)}
                           disabled={!assignment.projectId}
                           className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
                         >
@@ -1743,6 +1798,9 @@ const ImageEditor = () => {
             </div>
           </div>
 
+          {/* Change History */}
+          <ImageHistory imageId={image.id} />
+
             
               </div>
       </div>
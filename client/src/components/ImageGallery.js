@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Grid, List, Trash2, Edit, RefreshCw, AlertTriangle, Tag, Plus, Download, Lightbulb, Check, X, ChevronDown, SortAsc, SortDesc, FolderPlus } from 'lucide-react';
+import { Search, Grid, List, Trash2, Edit, RefreshCw, AlertTriangle, Tag, Plus, Download, Lightbulb, Check, X, ChevronDown, SortAsc, SortDesc, FolderPlus, Layers } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useMode } from '../context/ModeContext';
 import AdvancedSearch from './AdvancedSearch';
 import { apiCall } from '../utils/apiConfig';
+import { waitForJob } from '../utils/jobs';
 
 const ImageGallery = () => {
   const navigate = useNavigate();
@@ -13,6 +14,7 @@ const ImageGallery = () => {
   const [loading, setLoading] = useState(true);
   const [viewMode, setViewMode] = useState('grid');
   const [currentFilters, setCurrentFilters] = useState({});
+  const [searchFacets, setSearchFacets] = useState(null);
   const [lastErrorTime, setLastErrorTime] = useState(0);
   
   // Pagination state for large galleries
@@ -59,7 +61,8 @@ const ImageGallery = () => {
   const [isSortDropdownOpen, setIsSortDropdownOpen] = useState(false);
   const [sortOptions] = useState([
     { value: 'upload_date', label: 'Upload Date' },
-    { value: 'file_size', label: 'File Size' }
+    { value: 'file_size', label: 'File Size' },
+    { value: 'relevance', label: 'Relevance (search words)' }
   ]);
   const [currentSort, setCurrentSort] = useState({
     sortBy: 'upload_date',
@@ -132,7 +135,7 @@ const ImageGallery = () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(searchFilters)
+        body: JSON.stringify({ ...searchFilters, facets: true })
       });
       } else {
         console.log('📡 Using regular endpoint (no filters or sorting)');
@@ -142,6 +145,11 @@ const ImageGallery = () => {
       if (!response.ok) {
         const errorText = await response.text();
         console.error('❌ API Response not OK:', response.status, errorText);
+        if (response.status === 400) {
+          // Search syntax problems (e.g. "before:yesterday") - tell the user what to fix
+          toast.error(JSON.parse(errorText).error);
+          return;
+        }
         throw new Error(`API Error: ${response.status} - ${errorText}`);
       }
       
@@ -149,6 +157,7 @@ const ImageGallery = () => {
       // Handle both old format (array) and new format (object with pagination)
       const data = Array.isArray(responseData) ? responseData : responseData.images;
       const paginationData = responseData.pagination || null;
+      setSearchFacets(responseData.facets || null);
       
       console.log('✅ Images loaded successfully:', data.length, 'images');
       if (paginationData) {
@@ -357,7 +366,9 @@ const ImageGallery = () => {
         })
       });
       
-      const result = await response.json();
+      // Tagging runs as a background job - wait for its summary
+      const queued = await response.json();
+      const result = queued.jobId ? await waitForJob(queued.jobId) : queued;
       if (result.success) {
         toast.success(result.message);
         
@@ -492,7 +503,9 @@ const ImageGallery = () => {
         })
       });
       
-      const result = await response.json();
+      // Tagging runs as a background job - wait for its summary
+      const queued = await response.json();
+      const result = queued.jobId ? await waitForJob(queued.jobId) : queued;
       if (result.success) {
         toast.success(result.message);
         
@@ -574,29 +587,22 @@ const ImageGallery = () => {
     try {
       setUpdatingTags(true);
       
-      // Apply project assignment to each selected image
-      const promises = selectedGalleryImages.map(async (imageId) => {
-        const response = await fetch(`/api/images/${imageId}/tags`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            projectAssignments: [{
-              id: Date.now() + Math.random(), // Simple unique ID
-              project: bulkProjectAssignment.project,
-              room: bulkProjectAssignment.room,
-              stage: bulkProjectAssignment.stage
-            }]
-          })
-        });
-        
-        if (!response.ok) {
-          throw new Error(`Failed to update image ${imageId}`);
-        }
-        
-        return response.json();
+      // Add the assignment to all selected images in one request (existing assignments are kept)
+      const response = await apiCall('/api/images/bulk-project-assignment', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          imageIds: selectedGalleryImages,
+          projectId: bulkProjectAssignment.project,
+          roomId: Number(bulkProjectAssignment.room),
+          stageId: Number(bulkProjectAssignment.stage)
+        })
       });
-      
-      await Promise.all(promises);
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || 'Failed to assign project');
+      }
       
       // Success: Project assignment applied (no notification needed)
       
@@ -640,13 +646,22 @@ const ImageGallery = () => {
         })
       });
 
+      const queued = await response.json();
       if (response.ok) {
+        // The ZIP is built by a background job - fetch it once the job has finished
+        const result = await waitForJob(queued.jobId);
+        const zipResponse = await apiCall(result.downloadUrl);
+        if (!zipResponse.ok) {
+          const error = await zipResponse.json();
+          throw new Error(error.error || `HTTP ${zipResponse.status}`);
+        }
+
         // Create blob and download
-        const blob = await response.blob();
+        const blob = await zipResponse.blob();
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `snaptag-selection-${new Date().toISOString().split('T')[0]}.zip`;
+        a.download = result.filename;
         document.body.appendChild(a);
         a.click();
         window.URL.revokeObjectURL(url);
@@ -654,12 +669,11 @@ const ImageGallery = () => {
         
         // Success: Images downloaded (no notification needed)
       } else {
-        const error = await response.json();
-        toast.error(`Failed to download images: ${error.error || 'Unable to create ZIP file. This may be due to large file sizes or network issues. Please try downloading fewer images at once.'}`);
+        toast.error(`Failed to download images: ${queued.error || 'Unable to create ZIP file. This may be due to large file sizes or network issues. Please try downloading fewer images at once.'}`);
       }
     } catch (error) {
       console.error('Error downloading images:', error);
-      toast.error('Failed to download images: Network error or server unavailable. Please check your connection and try again.');
+      toast.error(`Failed to download images: ${error.message}`);
     } finally {
       setLoading(false);
     }
@@ -685,7 +699,8 @@ const ImageGallery = () => {
         })
       });
       
-      const result = await response.json();
+      const queued = await response.json();
+      const result = queued.jobId ? await waitForJob(queued.jobId) : queued;
       if (result.success) {
         setImageSuggestions(result.suggestions);
         // Success: Suggestions generated (no notification needed)
@@ -718,7 +733,8 @@ const ImageGallery = () => {
         })
       });
       
-      const result = await response.json();
+      const queued = await response.json();
+      const result = queued.jobId ? await waitForJob(queued.jobId) : queued;
       if (result.success) {
         // console.log('🤖 AI Suggestions received:', result.suggestions);
         setImageSuggestions(prev => ({ ...prev, ...result.suggestions }));
@@ -753,7 +769,9 @@ const ImageGallery = () => {
         })
       });
       
-      const result = await response.json();
+      // Tagging runs as a background job - wait for its summary
+      const queued = await response.json();
+      const result = queued.jobId ? await waitForJob(queued.jobId) : queued;
       if (result.success) {
         toast.success(`Applied ${tags.length} tag(s) to image`);
         
@@ -824,7 +842,7 @@ const ImageGallery = () => {
   };
 
   const deleteImage = async (imageId, imageName) => {
-    if (!window.confirm(`Are you sure you want to delete "${imageName}"? This action cannot be undone.`)) {
+    if (!window.confirm(`Move "${imageName}" to the trash? You can restore it from the Trash page.`)) {
       return;
     }
 
@@ -842,7 +860,7 @@ const ImageGallery = () => {
       setUntaggedImages(prev => prev.filter(img => img.id !== imageId));
       setSelectedUntagged(prev => prev.filter(id => id !== imageId));
       setSelectedGalleryImages(prev => prev.filter(id => id !== imageId));
-      toast.success('Image deleted successfully');
+      toast.success('Image moved to trash');
     } catch (error) {
       console.error('Error deleting image:', error);
       toast.error('Failed to delete image');
@@ -850,7 +868,7 @@ const ImageGallery = () => {
   };
 
   const bulkDeleteUntagged = async () => {
-    if (!window.confirm(`Are you sure you want to delete ${selectedUntagged.length} selected images? This action cannot be undone.`)) {
+    if (!window.confirm(`Move ${selectedUntagged.length} selected images to the trash? You can restore them from the Trash page.`)) {
       return;
     }
 
@@ -879,7 +897,7 @@ const ImageGallery = () => {
       setSelectedUntagged([]);
       setSelectedGalleryImages(prev => prev.filter(id => !deletedIds.includes(id)));
       
-      toast.success(`Successfully deleted ${deletedIds.length} images`);
+      toast.success(`Moved ${deletedIds.length} images to trash`);
     } catch (error) {
       console.error('Error in bulk delete:', error);
       toast.error('Some images failed to delete');
@@ -889,7 +907,7 @@ const ImageGallery = () => {
   };
 
   const bulkDeleteGalleryImages = async () => {
-    if (!window.confirm(`Are you sure you want to delete ${selectedGalleryImages.length} selected images? This action cannot be undone.`)) {
+    if (!window.confirm(`Move ${selectedGalleryImages.length} selected images to the trash? You can restore them from the Trash page.`)) {
       return;
     }
 
@@ -913,7 +931,8 @@ const ImageGallery = () => {
         throw new Error(`Bulk delete failed: ${response.status} - ${errorData}`);
       }
       
-      const result = await response.json();
+      const queued = await response.json();
+      const result = queued.jobId ? await waitForJob(queued.jobId) : queued;
       console.log(`✅ BULK DELETE RESULT:`, result);
       
       // Remove images from local state
@@ -950,7 +969,12 @@ const ImageGallery = () => {
       )}
 
       {/* Advanced Search Interface */}
-      <AdvancedSearch onSearch={handleAdvancedSearch} initialFilters={currentFilters} />
+      <AdvancedSearch
+        onSearch={handleAdvancedSearch}
+        initialFilters={currentFilters}
+        facets={searchFacets}
+        resultCount={images.length}
+      />
 
       {loading ? (
         /* Loading State */
@@ -1647,6 +1671,7 @@ const ImageGallery = () => {
               onTagClick={handleTagClick}
               onDelete={deleteImage}
               onEdit={(id) => navigate(`/image/${id}`)}
+              onFindSimilar={(id) => navigate(`/similar/${id}`)}
               isSelected={selectedGalleryImages.includes(image.id)}
               onSelect={() => toggleGalleryImageSelection(image.id)}
               canEdit={canEdit}
@@ -1707,7 +1732,7 @@ const ImageGallery = () => {
                 >
                   <option value="">Select Project...</option>
                   {availableProjects.map(project => (
-                    <option key={project.id} value={project.name}>
+                    <option key={project.id} value={project.id}>
                       {project.name.charAt(0).toUpperCase() + project.name.slice(1)}
                     </option>
                   ))}
@@ -1724,7 +1749,7 @@ const ImageGallery = () => {
                 >
                   <option value="">Select Room...</option>
                   {availableRooms.map(room => (
-                    <option key={room.id} value={room.name}>
+                    <option key={room.id} value={room.id}>
                       {room.name.charAt(0).toUpperCase() + room.name.slice(1)}
                     </option>
                   ))}
@@ -1741,7 +1766,7 @@ const ImageGallery = () => {
                 >
                   <option value="">Select Stage...</option>
                   {availableStages.map(stage => (
-                    <option key={stage.id} value={stage.name}>
+                    <option key={stage.id} value={stage.id}>
                       {stage.name.charAt(0).toUpperCase() + stage.name.slice(1)}
                     </option>
                   ))}
@@ -1774,7 +1799,7 @@ const ImageGallery = () => {
   );
 };
 
-const ImageCard = ({ image, viewMode, onTagClick, onDelete, onEdit, isSelected, onSelect, canEdit, canDelete }) => {
+const ImageCard = ({ image, viewMode, onTagClick, onDelete, onEdit, onFindSimilar, isSelected, onSelect, canEdit, canDelete }) => {
   const [imageUrl, setImageUrl] = useState('');
   const [imageError, setImageError] = useState(false);
   const [isHovered, setIsHovered] = useState(false);
@@ -1939,6 +1964,13 @@ const ImageCard = ({ image, viewMode, onTagClick, onDelete, onEdit, isSelected,
           <div className="flex justify-between items-start mb-2">
             <h3 className="font-semibold text-gray-900">{image.title || image.filename}</h3>
             <div className="flex gap-2 ml-4">
+              <button
+                onClick={() => onFindSimilar(image.id)}
+                className="p-1 text-gray-500 hover:text-blue-600"
+                title="More like this"
+              >
+                <Layers className="h-4 w-4" />
+              </button>
               <button
                 onClick={() => onEdit(image.id)}
                 className="p-1 text-gray-500 hover:text-blue-600"
@@ -2053,6 +2085,18 @@ const ImageCard = ({ image, viewMode, onTagClick, onDelete, onEdit, isSelected,
               </div>
             )}
             
+            {/* Where the search words matched */}
+            {image.search_highlight && (
+              <div className="text-xs text-gray-300 mb-2">
+                <span className="font-medium">Matches:</span>{' '}
+                {image.search_highlight.map((segment, index) => (
+                  segment.match
+                    ? <mark key={index} className="bg-yellow-300 text-gray-900 rounded px-0.5">{segment.text}</mark>
+                    : <span key={index}>{segment.text}</span>
+                ))}
+              </div>
+            )}
+            
             {/* Name (only if manually entered) */}
             {getName() && (
               <div className="text-sm font-medium text-white truncate">
@@ -2064,6 +2108,16 @@ const ImageCard = ({ image, viewMode, onTagClick, onDelete, onEdit, isSelected,
 
         {/* Action buttons - only visible on hover */}
         <div className={`absolute top-3 right-3 flex gap-2 transition-opacity duration-200 ${isHovered ? 'opacity-100' : 'opacity-0'}`}>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onFindSimilar(image.id);
+            }}
+            className="p-2 bg-white bg-opacity-90 rounded-full shadow-lg text-gray-600 hover:text-blue-600 hover:bg-white transition-colors"
+            title="More like this"
+          >
+            <Layers className="h-4 w-4" />
+          </button>
           <button
             onClick={(e) => {
               e.stopPropagation();
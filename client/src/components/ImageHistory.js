@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, ChevronDown, ChevronRight, RefreshCw } from 'lucide-react';
+import { apiCall } from '../utils/apiConfig';
+import { formatAuditAction, describeAuditChanges } from '../utils/auditFormat';
+
+// Timeline of recorded changes to one image (History panel in the ImageEditor sidebar)
+const ImageHistory = ({ imageId }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiCall(`/api/images/${imageId}/history`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setHistory(data.history);
+    } catch (error) {
+      console.error('Error loading image history:', error);
+      setError('Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [imageId]);
+
+  // Only fetch once the panel is opened
+  useEffect(() => {
+    if (expanded) {
+      loadHistory();
+    }
+  }, [expanded, loadHistory]);
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center gap-2 font-semibold"
+        >
+          {expanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+          <History className="h-4 w-4 text-gray-600" />
+          History
+        </button>
+        {expanded && (
+          <button
+            onClick={loadHistory}
+            disabled={loading}
+            className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            title="Refresh history"
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="mt-4">
+          {error ? (
+            <p className="text-sm text-red-600">{error}</p>
+          ) : loading && history.length === 0 ? (
+            <p className="text-sm text-gray-500">Loading history...</p>
+          ) : history.length === 0 ? (
+            <p className="text-sm text-gray-500">No recorded changes for this image yet.</p>
+          ) : (
+            <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+              {history.map(entry => {
+                const changes = describeAuditChanges(entry);
+                return (
+                  <li key={entry.id} className="ml-4">
+                    <div className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full bg-gray-300 border border-white" />
+                    <div className="text-sm font-medium">{formatAuditAction(entry.action)}</div>
+                    <div className="text-xs text-gray-500">
+                      {entry.user_email || 'system'} · {new Date(entry.created_at).toLocaleString()}
+                    </div>
+                    {changes.length > 0 && (
+                      <ul className="mt-1 text-xs text-gray-700 space-y-0.5">
+                        {changes.map((change, index) => (
+                          <li
+                            key={index}
+                            className={change.startsWith('+ ') ? 'text-green-700' : change.startsWith('- ') ? 'text-red-700' : ''}
+                          >
+                            {change}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImageHistory;
@@ -8,6 +8,30 @@ const ImageUpload = () => {
   const [uploading, setUploading] = useState(false);
   const [tags, setTags] = useState([]);
   const [currentTag, setCurrentTag] = useState('');
+  const [tagAliases, setTagAliases] = useState({});
+
+  // Aliases ("timber") are swapped for their tag ("wood") as they are added - the server does the same
+  useEffect(() => {
+    const loadTagAliases = async () => {
+      try {
+        const response = await fetch('/api/tag-aliases');
+        if (response.ok) {
+          const aliases = await response.json();
+          setTagAliases(Object.fromEntries(aliases.map(alias => [alias.alias, alias.tag_name])));
+        }
+      } catch (error) {
+        console.error('Error loading tag aliases:', error);
+      }
+    };
+    loadTagAliases();
+  }, []);
+
+  const resolveAlias = (tag) => {
+    const canonical = tagAliases[tag.toLowerCase()];
+    if (!canonical) return tag;
+    toast.info(`"${tag}" is saved as "${canonical}"`);
+    return canonical;
+  };
 
   // Cleanup preview URLs when component unmounts
   useEffect(() => {
@@ -60,9 +84,10 @@ const ImageUpload = () => {
   const addFileTag = (fileId, tag) => {
     if (!tag.trim()) return;
     
+    const resolvedTag = resolveAlias(tag.trim());
     setFiles(prev => prev.map(f => 
       f.id === fileId 
-        ? { ...f, tags: [...new Set([...f.tags, tag.trim()])] }
+        ? { ...f, tags: [...new Set([...f.tags, resolvedTag])] }
         : f
     ));
   };
@@ -76,11 +101,12 @@ const ImageUpload = () => {
   };
 
   const addGlobalTag = () => {
-    if (!currentTag.trim() || tags.includes(currentTag.trim())) return;
+    if (!currentTag.trim()) return;
     
-    const newTag = currentTag.trim();
-    setTags(prev => [...prev, newTag]);
+    const newTag = resolveAlias(currentTag.trim());
     setCurrentTag('');
+    if (tags.includes(newTag)) return;
+    setTags(prev => [...prev, newTag]);
     
     // Add to all existing files
     setFiles(prev => prev.map(f => ({
@@ -125,6 +151,20 @@ const ImageUpload = () => {
           throw new Error(error.error || 'Upload failed');
         }
 
+        const result = await response.json();
+        const autoTagging = result.auto_tagging;
+        if (autoTagging && (autoTagging.added.length > 0 || autoTagging.removed.length > 0)) {
+          const changes = [
+            ...autoTagging.added.map(tag => `+${tag}`),
+            ...autoTagging.removed.map(tag => `-${tag}`)
+          ].join(', ');
+          toast.info(`${fileData.file.name}: auto-tagging rules ${changes}`);
+        }
+        if (result.similar_images && result.similar_images.length > 0) {
+          const similarIds = result.similar_images.map(image => `#${image.id}`).join(', ');
+          toast.warning(`${fileData.file.name} looks visually similar to image ${similarIds}`);
+        }
+
         successCount++;
         
         // Clean up preview URL
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Activity, Loader2, CheckCircle, XCircle, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useMode } from '../context/ModeContext';
+import { apiCall } from '../utils/apiConfig';
+import { FINISHED_STATUSES, JOB_QUEUED_EVENT, watchJob } from '../utils/jobs';
+
+const JOB_LABELS = {
+  tag_application: 'Apply tags',
+  bulk_trash: 'Move to trash',
+  bulk_suggestions: 'Tag suggestions',
+  zip_export: 'ZIP download',
+  visual_duplicate_scan: 'Duplicate scan',
+  color_palette_backfill: 'Colour palettes',
+  metadata_update: 'Re-embed metadata',
+  missing_metadata: 'Restore missing tags',
+  dropbox_filename_sync: 'Sync filenames',
+  auto_tagging: 'Auto-tagging',
+  maintenance: 'Maintenance'
+};
+
+const jobLabel = (job) => {
+  const label = JOB_LABELS[job.type] || job.type;
+  return job.type === 'maintenance' && job.payload ? `${label}: ${job.payload.operation}` : label;
+};
+
+const RECENT_JOBS_LIMIT = 8;
+
+// Jobs run one at a time, so streaming the running job and the next in line is enough -
+// the list refresh picks up the rest (browsers allow only a few open connections per server)
+const MAX_LIVE_JOBS = 2;
+const ACTIVE_REFRESH_MS = 15000;
+const IDLE_REFRESH_MS = 60000;
+
+const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return null;
+  if (seconds < 60) return `${seconds}s left`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min left`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m left`;
+};
+
+const isActive = (job) => !FINISHED_STATUSES.includes(job.status);
+
+// Header tray of background jobs (GET /api/jobs): live progress of queued and running jobs,
+// and the outcome of recently finished ones
+const JobsTray = () => {
+  const { user, isAdmin, hasEditPermission } = useMode();
+  const [jobs, setJobs] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const response = await apiCall(`/api/jobs?limit=${RECENT_JOBS_LIMIT}`);
+      if (!response.ok) return;
+      const data = await response.json();
+      // The list has no ETA or item errors - keep the ones the event streams delivered
+      setJobs(prev => data.jobs.map(job => ({ ...prev.find(item => item.id === job.id), ...job })));
+    } catch (error) {
+      console.error('Error loading jobs:', error);
+    }
+  }, []);
+
+  const activeJobs = jobs.filter(isActive);
+  const liveJobIds = activeJobs
+    .map(job => job.id)
+    .sort((a, b) => a - b)
+    .slice(0, MAX_LIVE_JOBS)
+    .join(',');
+
+  useEffect(() => {
+    loadJobs();
+    window.addEventListener(JOB_QUEUED_EVENT, loadJobs);
+    return () => {
+      window.removeEventListener(JOB_QUEUED_EVENT, loadJobs);
+    };
+  }, [loadJobs]);
+
+  useEffect(() => {
+    const timer = setInterval(loadJobs, activeJobs.length > 0 ? ACTIVE_REFRESH_MS : IDLE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [loadJobs, activeJobs.length]);
+
+  // Live progress over each job's event stream
+  useEffect(() => {
+    if (!liveJobIds) return undefined;
+
+    const stops = liveJobIds.split(',').map(id => watchJob(Number(id), (update) => {
+      setJobs(prev => prev.map(job => (job.id === update.id ? { ...job, ...update } : job)));
+    }));
+    return () => stops.forEach(stop => stop());
+  }, [liveJobIds]);
+
+  // Close the tray when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (isOpen && !event.target.closest('.jobs-tray')) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen]);
+
+  const canCancel = (job) => hasEditPermission && (job.created_by === user.id || isAdmin);
+
+  const cancelJob = async (job) => {
+    try {
+      const response = await apiCall(`/api/jobs/${job.id}/cancel`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+
+      toast.info(result.message);
+      setJobs(prev => prev.map(item => (item.id === job.id ? { ...item, ...result.job } : item)));
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      toast.error(`Failed to cancel job: ${error.message}`);
+    }
+  };
+
+  const renderJob = (job) => {
+    const processed = job.completed + job.failed + job.skipped;
+    const percent = job.total ? Math.round((processed / job.total) * 100) : 0;
+    const eta = job.status === 'running' ? formatEta(job.eta_seconds) : null;
+    const itemErrors = job.errors || [];
+
+    return (
+      <li key={job.id} className="px-4 py-3">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2 min-w-0">
+            {isActive(job) && <Loader2 className="h-4 w-4 text-blue-600 animate-spin flex-shrink-0" />}
+            {job.status === 'succeeded' && <CheckCircle className="h-4 w-4 text-green-600 flex-shrink-0" />}
+            {(job.status === 'failed' || job.status === 'cancelled') && <XCircle className="h-4 w-4 text-red-600 flex-shrink-0" />}
+            <span className="text-sm font-medium text-gray-900 truncate">
+              {jobLabel(job)}
+            </span>
+            <span className="text-xs text-gray-500">#{job.id}</span>
+          </div>
+          {isActive(job) && canCancel(job) && !job.cancel_requested && (
+            <button
+              onClick={() => cancelJob(job)}
+              className="flex items-center space-x-1 px-2 py-1 rounded text-xs text-gray-600 hover:text-red-700 hover:bg-red-50"
+              title="Stop this job after the current item"
+            >
+              <X className="h-3 w-3" />
+              <span>Cancel</span>
+            </button>
+          )}
+        </div>
+
+        {job.total !== null && job.total > 0 && (
+          <div className="mt-2">
+            <div className="w-full bg-gray-200 rounded-full h-1.5">
+              <div
+                className={`h-1.5 rounded-full ${job.status === 'failed' || job.status === 'cancelled' ? 'bg-red-500' : job.status === 'succeeded' ? 'bg-green-500' : 'bg-blue-600'}`}
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+            <div className="flex justify-between mt-1 text-xs text-gray-500">
+              <span>
+                {processed}/{job.total}
+                {job.failed > 0 && <span className="text-red-600"> · {job.failed} errors</span>}
+                {job.skipped > 0 && <span> · {job.skipped} skipped</span>}
+              </span>
+              {eta && <span>{eta}</span>}
+            </div>
+          </div>
+        )}
+
+        {job.status === 'queued' && (
+          <p className="mt-1 text-xs text-gray-500">{job.error ? `Waiting to retry: ${job.error}` : 'Waiting to start'}</p>
+        )}
+        {job.status === 'running' && job.current_item && (
+          <p className="mt-1 text-xs text-gray-500 truncate" title={job.current_item}>
+            {job.cancel_requested ? 'Stopping after ' : ''}{job.current_item}
+          </p>
+        )}
+        {job.status === 'failed' && job.error && (
+          <p className="mt-1 text-xs text-red-600">{job.error}</p>
+        )}
+        {itemErrors.length > 0 && (
+          <p className="mt-1 text-xs text-red-600 truncate" title={itemErrors.map(({ error }) => error).join('\n')}>
+            Last error: {itemErrors[itemErrors.length - 1].error}
+          </p>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="relative jobs-tray">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-md text-gray-500 hover:text-gray-900 hover:bg-gray-50"
+        title="Background jobs"
+      >
+        {activeJobs.length > 0 ? <Loader2 className="h-4 w-4 animate-spin" /> : <Activity className="h-4 w-4" />}
+        {activeJobs.length > 0 && (
+          <span className="absolute -top-1 -right-1 flex items-center justify-center h-4 min-w-[1rem] px-1 rounded-full bg-blue-600 text-white text-xs">
+            {activeJobs.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-96 bg-white border border-gray-200 rounded-lg shadow-lg z-50">
+          <div className="px-4 py-2 border-b border-gray-200 text-sm font-medium text-gray-900">
+            Background jobs
+          </div>
+          {jobs.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">No recent jobs</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {jobs.map(renderJob)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobsTray;
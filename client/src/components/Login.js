@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { LogIn } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useMode } from '../context/ModeContext';
+
+const Login = () => {
+  const { login } = useMode();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSigningIn(true);
+    setError(null);
+
+    try {
+      const user = await login(email, password);
+      toast.success(`Signed in as ${user.name || user.email}`);
+    } catch (loginError) {
+      console.error('Login failed:', loginError);
+      setError(loginError.message);
+    } finally {
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center px-4">
+      <div className="w-full max-w-sm bg-white rounded-lg shadow-lg p-8">
+        <div className="flex flex-col items-center mb-6">
+          <img
+            src="/snaptag_logo_vector.png"
+            alt="SnapTag Logo"
+            className="h-12 w-12 mb-2"
+          />
+          <h1 className="text-xl font-bold text-gray-900">Sign in to SnapTag</h1>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+            <input
+              id="email"
+              type="email"
+              autoComplete="username"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
+            />
+          </div>
+
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+            <input
+              id="password"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
+            />
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-600">{error}</p>
+          )}
+
+          <button
+            type="submit"
+            disabled={signingIn}
+            className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            <LogIn className="h-4 w-4" />
+            <span>{signingIn ? 'Signing in...' : 'Sign in'}</span>
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
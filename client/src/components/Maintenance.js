@@ -0,0 +1,437 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Wrench, Eye, Play, RefreshCw, FileText, History } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+import { waitForJob } from '../utils/jobs';
+
+const ACTION_LABELS = {
+  db_update: { label: 'DB update', className: 'bg-blue-100 text-blue-800' },
+  dropbox_move: { label: 'Dropbox move', className: 'bg-amber-100 text-amber-800' },
+  db_delete: { label: 'Delete', className: 'bg-red-100 text-red-800' },
+  tag_merge: { label: 'Tag merge', className: 'bg-purple-100 text-purple-800' },
+  tag_rename: { label: 'Tag rename', className: 'bg-purple-100 text-purple-800' },
+  tag_split: { label: 'Tag split', className: 'bg-purple-100 text-purple-800' },
+  metadata_write: { label: 'Metadata', className: 'bg-green-100 text-green-800' },
+  project_create: { label: 'New project', className: 'bg-indigo-100 text-indigo-800' }
+};
+
+const STATUS_CLASSES = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-yellow-100 text-yellow-800'
+};
+
+// Long plans are shown up to this many changes - the job still applies all of them
+const MAX_ACTIONS_SHOWN = 200;
+const HISTORY_LIMIT = 25;
+
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+// Fields of one planned change that differ, as removed (before) and added (after) lines
+const diffLines = ({ before, after }) => {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys.flatMap(key => {
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return [];
+    return [
+      oldValue !== undefined && { sign: '-', key, value: formatValue(oldValue) },
+      newValue !== undefined && { sign: '+', key, value: formatValue(newValue) }
+    ].filter(Boolean);
+  });
+};
+
+// Form values -> request params; blank fields are left to the task's defaults
+const toParams = (values = {}) => Object.fromEntries(
+  Object.entries(values).filter(([, value]) => value !== '' && value !== undefined)
+);
+
+// Maintenance tasks (the Maintenance section of the Dashboard): preview exactly what a task
+// would change, run that plan as a background job, and see earlier runs
+const Maintenance = () => {
+  const [operations, setOperations] = useState([]);
+  const [paramValues, setParamValues] = useState({});
+  const [plan, setPlan] = useState(null);
+  const [planning, setPlanning] = useState(null);
+  const [runningJob, setRunningJob] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyFilter, setHistoryFilter] = useState('');
+
+  useEffect(() => {
+    const loadOperations = async () => {
+      try {
+        const response = await apiCall('/api/maintenance');
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        setOperations(data.operations);
+      } catch (error) {
+        console.error('Error loading maintenance tasks:', error);
+        toast.error('Failed to load maintenance tasks: ' + error.message);
+      }
+    };
+    loadOperations();
+  }, []);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const query = new URLSearchParams({ limit: HISTORY_LIMIT });
+      if (historyFilter) query.append('operation', historyFilter);
+
+      const response = await apiCall(`/api/maintenance/history?${query.toString()}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setHistory(data.runs);
+    } catch (error) {
+      console.error('Error loading maintenance history:', error);
+      toast.error('Failed to load maintenance history: ' + error.message);
+    }
+  }, [historyFilter]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const updateParam = (operationName, param, value) => {
+    setParamValues(prev => ({ ...prev, [operationName]: { ...prev[operationName], [param]: value } }));
+  };
+
+  const previewOperation = async (operation) => {
+    try {
+      setPlanning(operation.name);
+      setPlan(null);
+      const response = await apiCall(`/api/maintenance/${operation.name}/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ params: toParams(paramValues[operation.name]) })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setPlan(data);
+    } catch (error) {
+      console.error('Error previewing maintenance task:', error);
+      toast.error(error.message);
+    } finally {
+      setPlanning(null);
+    }
+  };
+
+  const runPlan = async () => {
+    if (!window.confirm(`Apply these ${plan.actions.length} changes? This cannot be undone.`)) return;
+
+    try {
+      const response = await apiCall(`/api/maintenance/${plan.operation}/run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ params: plan.params, planId: plan.planId })
+      });
+      const queued = await response.json();
+      if (!response.ok) {
+        throw new Error(queued.error || `HTTP ${response.status}`);
+      }
+
+      setRunningJob({ id: queued.jobId, completed: 0, failed: 0, skipped: 0, total: plan.actions.length });
+      loadHistory();
+      const result = await waitForJob(queued.jobId, setRunningJob);
+      toast.success(result.message);
+      setPlan(null);
+    } catch (error) {
+      console.error('Error running maintenance plan:', error);
+      toast.error(error.message);
+    } finally {
+      setRunningJob(null);
+      loadHistory();
+    }
+  };
+
+  const renderParamInput = (operation, param, schema) => {
+    const value = (paramValues[operation.name] || {})[param];
+    const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500';
+
+    if (schema.type === 'boolean') {
+      return (
+        <input
+          type="checkbox"
+          checked={value === undefined ? Boolean(schema.default) : value}
+          onChange={(e) => updateParam(operation.name, param, e.target.checked)}
+          className="h-4 w-4"
+        />
+      );
+    }
+    if (schema.enum) {
+      return (
+        <select value={value || ''} onChange={(e) => updateParam(operation.name, param, e.target.value)} className={inputClass}>
+          <option value="">{schema.default !== undefined ? `Default (${schema.default})` : 'Any'}</option>
+          {schema.enum.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+      );
+    }
+    return (
+      <input
+        type={schema.type === 'integer' ? 'number' : 'text'}
+        value={value || ''}
+        min={schema.min}
+        max={schema.max}
+        placeholder={schema.default !== undefined ? String(schema.default) : schema.type === 'integer[]' ? '1, 2, 3' : ''}
+        onChange={(e) => updateParam(operation.name, param, e.target.value)}
+        className={`${inputClass} ${schema.type === 'integer' ? 'w-24' : 'w-72'}`}
+      />
+    );
+  };
+
+  const summaryEntries = plan
+    ? Object.entries(plan.summary).filter(([key, value]) => key !== 'byType' && typeof value === 'number')
+    : [];
+
+  const reportColumns = plan && Array.isArray(plan.report) && plan.report.length > 0
+    ? [...new Set(plan.report.flatMap(row => Object.keys(row)))]
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-lg shadow">
+        <div className="flex items-center gap-2 mb-2">
+          <Wrench className="h-5 w-5 text-indigo-600" />
+          <h3 className="text-lg font-semibold">Maintenance</h3>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          These tasks check or change images and tags in bulk. Preview one to see every database update, Dropbox move
+          and deletion it would make, then run exactly that plan as a background job. Reports only show what they find.
+        </p>
+
+        <div className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+          {operations.map(operation => (
+            <div key={operation.name} className="p-4 space-y-2">
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className="font-medium text-gray-900">{operation.description}</div>
+                  <code className="text-xs text-gray-500">{operation.name}</code>
+                  {operation.role !== 'admin' && (
+                    <span className="ml-2 text-xs text-gray-500">({operation.role}s can run this)</span>
+                  )}
+                </div>
+                <button
+                  onClick={() => previewOperation(operation)}
+                  disabled={planning !== null || runningJob !== null}
+                  className="flex items-center gap-2 px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {planning === operation.name
+                    ? <RefreshCw className="h-4 w-4 animate-spin" />
+                    : operation.reportOnly ? <FileText className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                  {operation.reportOnly ? 'Report' : 'Preview'}
+                </button>
+              </div>
+
+              {Object.keys(operation.params).length > 0 && (
+                <div className="flex flex-wrap gap-4">
+                  {Object.entries(operation.params).map(([param, schema]) => (
+                    <label key={param} className="flex items-center gap-2 text-sm text-gray-700" title={schema.description}>
+                      <span>
+                        {param}
+                        {schema.required && <span className="text-red-600">*</span>}
+                      </span>
+                      {renderParamInput(operation, param, schema)}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {plan && (
+        <div className="bg-white p-4 rounded-lg shadow space-y-4">
+          <div className="flex items-start justify-between">
+            <div>
+              <h3 className="font-semibold text-gray-900">{plan.description}</h3>
+              {!plan.reportOnly && (
+                <p className="text-sm text-gray-600">
+                  {plan.actions.length === 0 ? 'Nothing to change.' : `${plan.actions.length} planned changes`}
+                  {Object.entries(plan.summary.byType).map(([type, count]) => (
+                    <span key={type} className={`ml-2 px-2 py-0.5 rounded text-xs ${(ACTION_LABELS[type] || {}).className || 'bg-gray-100 text-gray-700'}`}>
+                      {count} × {(ACTION_LABELS[type] || {}).label || type}
+                    </span>
+                  ))}
+                </p>
+              )}
+              {summaryEntries.length > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {summaryEntries
+                    .filter(([key]) => !(plan.reportOnly && key === 'total'))
+                    .map(([key, value]) => `${key}: ${value}`)
+                    .join(' · ')}
+                </p>
+              )}
+            </div>
+            {plan.actions.length > 0 && (
+              <button
+                onClick={runPlan}
+                disabled={runningJob !== null}
+                className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                {runningJob ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+                Run this plan
+              </button>
+            )}
+          </div>
+
+          {runningJob && runningJob.total > 0 && (
+            <div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-blue-600 h-2 rounded-full"
+                  style={{ width: `${Math.round(((runningJob.completed + runningJob.failed + runningJob.skipped) / runningJob.total) * 100)}%` }}
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Job #{runningJob.id}: {runningJob.completed + runningJob.failed + runningJob.skipped}/{runningJob.total}
+                {runningJob.failed > 0 && `, ${runningJob.failed} errors`}
+              </p>
+            </div>
+          )}
+
+          {reportColumns.length > 0 && (
+            <div className="border border-gray-200 rounded-md max-h-[32rem] overflow-auto">
+              <table className="min-w-full text-xs">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    {reportColumns.map(column => (
+                      <th key={column} className="px-2 py-1 text-left font-medium text-gray-700">{column}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {plan.report.map((row, index) => (
+                    <tr key={index}>
+                      {reportColumns.map(column => (
+                        <td key={column} className="px-2 py-1 text-gray-700 break-all">
+                          {row[column] === undefined ? '' : formatValue(row[column])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {plan.actions.length > 0 && (
+            <div className="border border-gray-200 rounded-md divide-y divide-gray-100 font-mono text-xs max-h-[32rem] overflow-y-auto">
+              {plan.actions.slice(0, MAX_ACTIONS_SHOWN).map((action, index) => (
+                <div key={index} className="p-2">
+                  <div className="flex items-center gap-2 font-sans text-sm text-gray-900">
+                    <span className={`px-2 py-0.5 rounded text-xs ${(ACTION_LABELS[action.type] || {}).className || 'bg-gray-100 text-gray-700'}`}>
+                      {(ACTION_LABELS[action.type] || {}).label || action.type}
+                    </span>
+                    <span className="text-gray-500">{action.entityType} #{action.entityId}</span>
+                  </div>
+                  {diffLines(action).map(({ sign, key, value }, lineIndex) => (
+                    <div
+                      key={lineIndex}
+                      className={`whitespace-pre-wrap break-all ${sign === '-' ? 'text-red-700 bg-red-50' : 'text-green-700 bg-green-50'}`}
+                    >
+                      {sign} {key}: {value}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+          {plan.actions.length > MAX_ACTIONS_SHOWN && (
+            <p className="text-xs text-gray-500">…and {plan.actions.length - MAX_ACTIONS_SHOWN} more changes</p>
+          )}
+          {!plan.reportOnly && (
+            <p className="text-xs text-gray-500">
+              Plan {plan.planId} - if the data changes before the job starts, it stops without changing anything and
+              asks for a new preview.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="bg-white p-6 rounded-lg shadow">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <History className="h-5 w-5 text-indigo-600" />
+            <h3 className="text-lg font-semibold">History</h3>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={historyFilter}
+              onChange={(e) => setHistoryFilter(e.target.value)}
+              className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">All tasks</option>
+              {operations.filter(operation => !operation.reportOnly).map(operation => (
+                <option key={operation.name} value={operation.name}>{operation.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={loadHistory}
+              className="p-1 text-gray-500 hover:text-gray-900"
+              title="Refresh"
+            >
+              <RefreshCw className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-500">No maintenance runs yet</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4 font-medium">Task</th>
+                <th className="py-2 pr-4 font-medium">Status</th>
+                <th className="py-2 pr-4 font-medium">Changes</th>
+                <th className="py-2 pr-4 font-medium">Run by</th>
+                <th className="py-2 font-medium">When</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {history.map(run => (
+                <tr key={run.id} className="align-top">
+                  <td className="py-2 pr-4">
+                    <code className="text-xs text-gray-900">{run.payload.operation}</code>
+                    <div className="text-xs text-gray-500">
+                      #{run.id}
+                      {Object.keys(run.payload.params || {}).length > 0 && ` · ${formatValue(run.payload.params)}`}
+                    </div>
+                  </td>
+                  <td className="py-2 pr-4">
+                    <span className={`px-2 py-0.5 rounded text-xs ${STATUS_CLASSES[run.status] || 'bg-gray-100 text-gray-700'}`}>
+                      {run.status}
+                    </span>
+                    {(run.error || (run.result && run.result.message)) && (
+                      <div className={`text-xs mt-1 ${run.error ? 'text-red-600' : 'text-gray-500'}`}>
+                        {run.error || run.result.message}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 text-xs text-gray-700">
+                    {run.total === null ? '-' : `${run.completed}/${run.total}`}
+                    {run.failed > 0 && <span className="text-red-600"> · {run.failed} errors</span>}
+                    {run.skipped > 0 && <span> · {run.skipped} skipped</span>}
+                  </td>
+                  <td className="py-2 pr-4 text-xs text-gray-700">{run.created_by_email || '-'}</td>
+                  <td className="py-2 text-xs text-gray-500">{new Date(run.created_at).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Maintenance;
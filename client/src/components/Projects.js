@@ -340,16 +340,6 @@ const Projects = () => {
         console.log(`📸 Photos tab with filter '${photosFilter}' - using tags: [${searchTags.join(', ')}]`);
       }
 
-      // Add stage and room filters if specified
-      if (stage) {
-        searchTags.push(stage);
-        console.log(`🏗️ Added stage filter '${stage}' - now: [${searchTags.join(', ')}]`);
-      }
-      if (room) {
-        searchTags.push(room);
-        console.log(`🏠 Added room filter '${room}' - now: [${searchTags.join(', ')}]`);
-      }
-      
       console.log(`🔎 FINAL SEARCH: Looking for images with ALL tags: [${searchTags.join(', ')}]`);
       
       // CRITICAL FIX: Use a more precise search approach
@@ -366,8 +356,8 @@ const Projects = () => {
           tags: [tab], // Must have the type tag (precedent or texture)
           projectAssignment: {
             projectId: project.id,
-            ...(room && { room }),
-            ...(stage && { stage })
+            ...(room && { roomId: Number(room) }),
+            ...(stage && { stageId: Number(stage) })
           }
         };
         
@@ -800,7 +790,7 @@ const Projects = () => {
                   <option disabled>Loading...</option>
                 ) : (
                   stages.map(stage => (
-                    <option key={stage.id} value={stage.name}>
+                    <option key={stage.id} value={stage.id}>
                       {stage.name.charAt(0).toUpperCase() + stage.name.slice(1)}
                     </option>
                   ))
@@ -823,7 +813,7 @@ const Projects = () => {
                   <option disabled>Loading...</option>
                 ) : (
                   rooms.map(room => (
-                    <option key={room.id} value={room.name}>
+                    <option key={room.id} value={room.id}>
                       {room.name.charAt(0).toUpperCase() + room.name.slice(1)}
                     </option>
                   ))
@@ -1,8 +1,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Save, TestTube, Check, AlertCircle, RefreshCw, Database, Droplets, Settings as SettingsIcon, Tag, Copy, Search } from 'lucide-react';
+import { Save, TestTube, Check, AlertCircle, RefreshCw, Database, Droplets, Settings as SettingsIcon, Tag, Copy, Search, Palette } from 'lucide-react';
+import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
+import { useMode } from '../context/ModeContext';
+import ApiTokens from './ApiTokens';
+import { waitForJob } from '../utils/jobs';
 
 const Settings = () => {
+  const { canAccessSettings } = useMode();
   const [settings, setSettings] = useState({
     dropboxToken: '',
     serverUrl: window.location.origin,
@@ -24,6 +29,7 @@ const Settings = () => {
   const [scanningDuplicates, setScanningDuplicates] = useState(false);
   const [duplicateScanStatus, setDuplicateScanStatus] = useState(null);
   const [duplicateResults, setDuplicateResults] = useState(null);
+  const [extractingPalettes, setExtractingPalettes] = useState(false);
   const [stats, setStats] = useState({});
 
   const loadSettings = useCallback(async () => {
@@ -150,7 +156,8 @@ const Settings = () => {
         }
       });
       
-      const result = await response.json();
+      const queued = await response.json();
+      const result = queued.jobId ? await waitForJob(queued.jobId) : queued;
       
       if (result.success) {
         setNormalizeStatus('success');
@@ -180,7 +187,7 @@ const Settings = () => {
       setDuplicateScanStatus(null);
       setDuplicateResults(null);
       
-      toast.info('Starting visual duplicate scan... This may take several minutes.');
+      toast.info('Starting visual duplicate scan... This may take several minutes - follow its progress in the jobs tray.');
       
       const serverUrl = settings.serverUrl || window.location.origin;
       const response = await fetch(`${serverUrl}/api/admin/scan-visual-duplicates`, {
@@ -194,7 +201,8 @@ const Settings = () => {
         })
       });
       
-      const result = await response.json();
+      const queued = await response.json();
+      const result = queued.jobId ? await waitForJob(queued.jobId) : queued;
       
       if (result.success) {
         setDuplicateScanStatus('success');
@@ -221,6 +229,39 @@ const Settings = () => {
     }
   };
 
+  const backfillColorPalettes = async () => {
+    if (!window.confirm('This will extract the dominant colours of every image that has no colour palette yet, and embed them in the image files. This may take several minutes. Continue?')) {
+      return;
+    }
+
+    try {
+      setExtractingPalettes(true);
+      toast.info('Extracting colour palettes... This may take several minutes - follow its progress in the jobs tray.');
+
+      const serverUrl = settings.serverUrl || window.location.origin;
+      const response = await fetch(`${serverUrl}/api/admin/backfill-color-palettes`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const queued = await response.json();
+      const result = queued.jobId ? await waitForJob(queued.jobId) : queued;
+
+      if (result.success) {
+        toast.success(result.message);
+      } else {
+        toast.error(result.error || 'Colour palette extraction failed');
+      }
+    } catch (error) {
+      console.error('Error extracting colour palettes:', error);
+      toast.error('Colour palette extraction failed: ' + error.message);
+    } finally {
+      setExtractingPalettes(false);
+    }
+  };
+
   const resetSettings = () => {
     if (window.confirm('Are you sure you want to reset all settings to default values?')) {
       const defaultSettings = {
@@ -284,6 +325,19 @@ const Settings = () => {
     );
   }
 
+  // Server configuration is admin-only; everyone can manage their own API tokens
+  if (!canAccessSettings) {
+    return (
+      <div className="space-y-6">
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
+          <p className="text-gray-600">Manage your API tokens</p>
+        </div>
+        <ApiTokens />
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -317,6 +371,8 @@ const Settings = () => {
         </div>
       </div>
 
+      <ApiTokens />
+
       {/* Connection Settings */}
       <div className="bg-white p-6 rounded-lg shadow">
         <div className="flex items-center gap-2 mb-4">
@@ -596,6 +652,19 @@ const Settings = () => {
               Scan Visual Duplicates
             </button>
 
+            <button
+              onClick={backfillColorPalettes}
+              disabled={extractingPalettes || !settings.serverUrl}
+              className="flex items-center gap-2 px-4 py-2 bg-amber-500 text-white rounded-md hover:bg-amber-600 disabled:opacity-50"
+            >
+              {extractingPalettes ? (
+                <RefreshCw className="h-4 w-4 animate-spin" />
+              ) : (
+                <Palette className="h-4 w-4" />
+              )}
+              Extract Colour Palettes
+            </button>
+
             {(normalizeStatus || duplicateScanStatus) && (
               <div className="flex gap-2">
                 {normalizeStatus && (
@@ -636,8 +705,9 @@ const Settings = () => {
           </div>
 
           <div className="space-y-2 text-sm text-gray-600">
-            <p><strong>Normalise Tags:</strong> Converts all tags to lowercase and merges duplicates (e.g., "Yandoit" and "yandoit" become one "yandoit" tag).</p>
+            <p><strong>Normalise Tags:</strong> Converts all tags to lowercase and merges duplicates (e.g., "Yandoit" and "yandoit" become one "yandoit" tag). Preview the exact changes first in the <Link to="/dashboard?section=maintenance" className="text-blue-600 hover:underline">Maintenance</Link> section of the Dashboard.</p>
             <p><strong>Visual Duplicate Scan:</strong> Analyzes image content to find visually similar images from different sources. Uses perceptual hashing to compare actual image appearance.</p>
+            <p><strong>Extract Colour Palettes:</strong> Finds the 5–8 dominant colours of images uploaded before colour search existed, so they can be found with <code>color:#hex</code> searches. New uploads get their palette automatically.</p>
           </div>
 
           {/* Visual Duplicate Results */}
@@ -672,10 +742,18 @@ const Settings = () => {
               </div>
 
               <div className="mt-4 text-xs text-yellow-700">
-                <p>📌 = Will be kept (first in each group)</p>
-                <p>🗑️ = Will be removed if you choose to delete duplicates</p>
-                <p className="mt-2 font-medium">Review the results above. Duplicates are detected by comparing visual content, not filenames or sources.</p>
+                <p>📌 = Suggested keeper (first in each group)</p>
+                <p>🗑️ = Duplicate copy</p>
+                <p className="mt-2 font-medium">Duplicates are detected by comparing visual content, not filenames or sources.</p>
               </div>
+
+              <Link
+                to="/duplicates"
+                className="inline-flex items-center gap-2 mt-4 px-4 py-2 bg-indigo-500 text-white rounded-md hover:bg-indigo-600"
+              >
+                <Copy className="h-4 w-4" />
+                Review &amp; Merge Duplicates
+              </Link>
             </div>
           )}
         </div>
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft, Layers } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+
+// "More like this" gallery: images that look like the one in the URL, most similar first
+const SimilarImages = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [sourceImage, setSourceImage] = useState(null);
+  const [images, setImages] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadSimilar = async () => {
+      try {
+        setLoading(true);
+        const [sourceResponse, similarResponse] = await Promise.all([
+          apiCall(`/api/images/${id}`),
+          apiCall(`/api/images/${id}/similar`)
+        ]);
+
+        const similarData = await similarResponse.json();
+        if (!similarResponse.ok) {
+          throw new Error(similarData.error || `HTTP ${similarResponse.status}`);
+        }
+
+        setSourceImage(sourceResponse.ok ? await sourceResponse.json() : null);
+        setImages(similarData.images);
+      } catch (error) {
+        console.error('Error loading similar images:', error);
+        toast.error('Failed to find similar images: ' + error.message);
+        setImages([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSimilar();
+  }, [id]);
+
+  const displayName = (image) => image.name || image.title || image.filename;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-4">
+        <button
+          onClick={() => navigate(-1)}
+          className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-md"
+          title="Back"
+        >
+          <ArrowLeft className="h-5 w-5" />
+        </button>
+        {sourceImage && sourceImage.url && (
+          <Link to={`/image/${sourceImage.id}`}>
+            <img src={sourceImage.url} alt={sourceImage.filename} className="h-16 w-16 object-cover rounded-md shadow" />
+          </Link>
+        )}
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">More like this</h1>
+          <p className="text-sm text-gray-600">
+            Images that look like {sourceImage ? `"${displayName(sourceImage)}"` : `image #${id}`}, ranked by shape and colour similarity
+          </p>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Comparing images...</p>
+      ) : images.length === 0 ? (
+        <div className="bg-white p-12 rounded-lg shadow text-center text-gray-500">
+          <Layers className="h-12 w-12 mx-auto mb-4 text-gray-300" />
+          No similar images found.
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
+          {images.map(image => (
+            <div key={image.id} className="relative group bg-white rounded-lg shadow overflow-hidden">
+              <Link to={`/image/${image.id}`} className="block aspect-square bg-gray-100">
+                {image.url ? (
+                  <img src={image.url} alt={image.filename} loading="lazy" className="w-full h-full object-cover" />
+                ) : (
+                  <div className="w-full h-full flex items-center justify-center text-xs text-gray-400">No preview</div>
+                )}
+              </Link>
+              <span className="absolute top-2 left-2 px-2 py-0.5 text-xs font-medium bg-black bg-opacity-70 text-white rounded-full">
+                {image.similarity}% match
+              </span>
+              <div className="p-2 space-y-1">
+                <div className="text-sm font-medium truncate" title={image.filename}>{displayName(image)}</div>
+                {image.tags.length > 0 && (
+                  <div className="text-xs text-gray-500 truncate" title={image.tags.join(', ')}>{image.tags.join(', ')}</div>
+                )}
+                <button
+                  onClick={() => navigate(`/similar/${image.id}`)}
+                  className="flex items-center gap-1 text-xs text-blue-600 hover:underline"
+                >
+                  <Layers className="h-3 w-3" />
+                  More like this
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SimilarImages;
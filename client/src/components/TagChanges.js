@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, RotateCcw, RefreshCw } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+import { undoTagOperation } from '../utils/tagOperations';
+import { useMode } from '../context/ModeContext';
+
+const runUndo = async (operationId, onUndone) => {
+  try {
+    const result = await undoTagOperation(operationId);
+    toast.success(result.message);
+    if (result.stats.errors.length > 0) {
+      toast.warning(`${result.stats.errors.length} files could not be restored (check console)`);
+      console.warn('Undo file errors:', result.stats.errors);
+    }
+    if (onUndone) onUndone(result);
+  } catch (error) {
+    console.error('Error undoing tag change:', error);
+    toast.error(`Undo failed: ${error.message}`);
+  }
+};
+
+// Toast body for a merge or rename that just happened, with a button to take it back
+export const UndoToast = ({ message, operationId, onUndone, closeToast }) => (
+  <div className="flex items-center justify-between gap-3">
+    <span>{message}</span>
+    <button
+      onClick={() => {
+        if (closeToast) closeToast();
+        runUndo(operationId, onUndone);
+      }}
+      className="flex items-center gap-1 px-2 py-1 text-xs font-medium text-gray-700 border border-gray-300 rounded hover:bg-gray-50"
+    >
+      <RotateCcw className="h-3 w-3" />
+      Undo
+    </button>
+  </div>
+);
+
+// Recent tag merges and renames (Tags page) - each can be undone until the retention period ends
+const TagChanges = ({ refreshKey = 0, onUndone }) => {
+  const { canEdit } = useMode();
+  const [operations, setOperations] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [undoingId, setUndoingId] = useState(null);
+
+  const loadOperations = useCallback(async () => {
+    try {
+      const response = await apiCall('/api/tag-operations');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setOperations(data.operations);
+      setRetentionDays(data.retentionDays);
+    } catch (error) {
+      console.error('Error loading tag changes:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOperations();
+  }, [loadOperations, refreshKey]);
+
+  const undo = async (operation) => {
+    if (!window.confirm(`Undo "${operation.summary}"? This restores the tags of ${operation.image_count} images and their files.`)) return;
+
+    setUndoingId(operation.id);
+    await runUndo(operation.id, onUndone);
+    setUndoingId(null);
+    loadOperations();
+  };
+
+  if (operations.length === 0) return null;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex items-center gap-2 mb-1">
+        <History className="h-5 w-5 text-gray-600" />
+        <h3 className="font-semibold text-gray-900">Recent Merges and Renames</h3>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Undo puts the tags, embedded keywords and file names back as they were. Changes can be undone for {retentionDays} days.
+      </p>
+
+      <div className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+        {operations.map(operation => (
+          <div key={operation.id} className="flex items-center justify-between px-4 py-3">
+            <div>
+              <p className={`text-sm font-medium ${operation.undone_at ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                {operation.summary}
+              </p>
+              <p className="text-xs text-gray-500">
+                {new Date(operation.created_at).toLocaleString()}
+                {operation.created_by_email && ` · ${operation.created_by_email}`}
+                {` · ${operation.image_count} image${operation.image_count !== 1 ? 's' : ''}`}
+                {operation.undone_at && ` · undone ${new Date(operation.undone_at).toLocaleString()}${operation.undone_by_email ? ` by ${operation.undone_by_email}` : ''}`}
+              </p>
+            </div>
+            {canEdit && operation.undoable && (
+              <button
+                onClick={() => undo(operation)}
+                disabled={undoingId !== null}
+                className="flex items-center gap-1 px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+              >
+                {undoingId === operation.id ? <RefreshCw className="h-4 w-4 animate-spin" /> : <RotateCcw className="h-4 w-4" />}
+                Undo
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TagChanges;
@@ -1,8 +1,28 @@
 import React, { useState, useEffect } from 'react';
-import { Tag, Hash, Trash2, Edit, Plus, BarChart3, Search } from 'lucide-react';
+import { Tag, Hash, Trash2, Edit, Plus, BarChart3, Search, ChevronRight, ChevronDown, GripVertical, CornerLeftUp, Link2, X } from 'lucide-react';
 import { toast } from 'react-toastify';
 import { apiCall } from '../utils/apiConfig';
 import { useMode } from '../context/ModeContext';
+import TagChanges, { UndoToast } from './TagChanges';
+
+// Tag types (server: migration 017) - the taxonomy kinds a tag can belong to
+const TAG_TYPES = [
+  { value: 'free', label: 'Free' },
+  { value: 'category', label: 'Category' },
+  { value: 'material', label: 'Material' },
+  { value: 'project', label: 'Project' },
+  { value: 'style', label: 'Style' }
+];
+
+const TAG_TYPE_STYLES = {
+  category: 'bg-purple-100 text-purple-800',
+  material: 'bg-amber-100 text-amber-800',
+  project: 'bg-green-100 text-green-800',
+  style: 'bg-pink-100 text-pink-800',
+  free: 'bg-gray-100 text-gray-600'
+};
+
+const ROOT_DROP_TARGET = 'root';
 
 const TagManager = () => {
   const { canEdit, canDelete } = useMode();
@@ -14,9 +34,16 @@ const TagManager = () => {
   const [editValue, setEditValue] = useState('');
   const [sortBy, setSortBy] = useState('usage');
   const [stats, setStats] = useState({});
+  const [collapsed, setCollapsed] = useState(new Set());
+  const [draggedTagId, setDraggedTagId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [aliases, setAliases] = useState([]);
+  const [aliasEditor, setAliasEditor] = useState(null);
+  const [tagChangesKey, setTagChangesKey] = useState(0);
 
   useEffect(() => {
     loadTags();
+    loadAliases();
     loadStats();
   }, []);
 
@@ -36,6 +63,53 @@ const TagManager = () => {
     }
   };
 
+  const loadAliases = async () => {
+    try {
+      const response = await apiCall('/api/tag-aliases');
+      if (!response.ok) throw new Error('Failed to load tag aliases');
+      setAliases(await response.json());
+    } catch (error) {
+      console.error('Error loading tag aliases:', error);
+    }
+  };
+
+  const addAlias = async (tag, alias) => {
+    if (!alias.trim()) {
+      setAliasEditor(null);
+      return;
+    }
+
+    try {
+      const response = await apiCall('/api/tag-aliases', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tagId: tag.id, alias })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to add alias');
+      }
+
+      setAliases(prev => [...prev, result]);
+      setAliasEditor(null);
+      toast.success(`"${result.alias}" will now be saved as "${tag.name}"`);
+    } catch (error) {
+      console.error('Error adding tag alias:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const deleteAlias = async (alias) => {
+    try {
+      const response = await apiCall(`/api/tag-aliases/${alias.id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to remove alias');
+      setAliases(prev => prev.filter(existing => existing.id !== alias.id));
+    } catch (error) {
+      console.error('Error removing tag alias:', error);
+      toast.error('Failed to remove alias');
+    }
+  };
+
   const loadStats = async () => {
     try {
       const response = await apiCall('/api/images/stats');
@@ -52,21 +126,22 @@ const TagManager = () => {
     if (!newTagName.trim()) return;
 
     try {
-      // For now, we'll add it locally since we don't have a specific API endpoint
-      // In a real implementation, you'd want a POST /api/tags endpoint
-      const newTag = {
-        id: Date.now(),
-        name: newTagName.trim(),
-        usage_count: 0,
-        color: generateTagColor()
-      };
-
-      setTags(prev => [...prev, newTag]);
+      const response = await apiCall('/api/tags', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newTagName.trim() })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to add tag');
+      }
+
+      setTags(prev => [...prev, { ...result, parent_id: null, tag_type: 'free', color: generateTagColor() }]);
       setNewTagName('');
       toast.success('Tag added successfully');
     } catch (error) {
       console.error('Error adding tag:', error);
-      toast.error('Failed to add tag');
+      toast.error(`Failed to add tag: ${error.message}`);
     }
   };
 
@@ -111,7 +186,14 @@ const TagManager = () => {
       setEditValue('');
       
       // Show success message with stats
-      toast.success(`Tag renamed successfully! Updated ${result.stats.affectedImages} images.`);
+      setTagChangesKey(key => key + 1);
+      toast.success(
+        <UndoToast
+          message={`Tag renamed successfully! Updated ${result.stats.affectedImages} images.`}
+          operationId={result.operationId}
+          onUndone={refreshAfterUndo}
+        />
+      );
       
       if (result.stats.metadataErrors > 0) {
         toast.warning(`${result.stats.metadataErrors} images had metadata update errors (check console)`);
@@ -126,6 +208,12 @@ const TagManager = () => {
     }
   };
 
+  const refreshAfterUndo = () => {
+    loadTags();
+    loadAliases();
+    setTagChangesKey(key => key + 1);
+  };
+
   const deleteTag = async (tagId, tagName) => {
     if (!window.confirm(`Are you sure you want to delete the tag "${tagName}"? This will remove it from all images.`)) {
       return;
@@ -149,6 +237,85 @@ const TagManager = () => {
     }
   };
 
+  // Save a tag's place in the hierarchy: { parentId } and/or { tagType }
+  const updateTagHierarchy = async (tag, changes) => {
+    try {
+      const response = await apiCall(`/api/tags/${tag.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to update tag');
+      }
+
+      setTags(prev => prev.map(existing =>
+        existing.id === tag.id ? { ...existing, parent_id: result.parent_id, tag_type: result.tag_type } : existing
+      ));
+      return true;
+    } catch (error) {
+      console.error('Error updating tag:', error);
+      toast.error(`Failed to update "${tag.name}": ${error.message}`);
+      return false;
+    }
+  };
+
+  const tagsById = new Map(tags.map(tag => [tag.id, tag]));
+  const parentOf = (tag) => (tag.parent_id && tagsById.get(tag.parent_id)) || null;
+
+  const isDescendant = (tagId, ancestorId) => {
+    for (let tag = tagsById.get(tagId); tag; tag = parentOf(tag)) {
+      if (tag.id === ancestorId) return true;
+    }
+    return false;
+  };
+
+  const moveTag = async (tagId, parentId) => {
+    const tag = tagsById.get(tagId);
+    if (!tag || (tag.parent_id || null) === parentId) return;
+    if (parentId && isDescendant(parentId, tagId)) {
+      toast.error('A tag cannot be moved under itself or one of its children');
+      return;
+    }
+
+    const moved = await updateTagHierarchy(tag, { parentId });
+    if (moved) {
+      const parent = parentId && tagsById.get(parentId);
+      toast.success(parent ? `Moved "${tag.name}" under "${parent.name}"` : `Moved "${tag.name}" to the top level`);
+    }
+  };
+
+  const toggleCollapsed = (tagId) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(tagId)) next.delete(tagId);
+      else next.add(tagId);
+      return next;
+    });
+  };
+
+  const dragHandlers = (targetId) => ({
+    onDragOver: (e) => {
+      if (!draggedTagId) return;
+      e.preventDefault();
+      if (dropTarget !== targetId) setDropTarget(targetId);
+    },
+    onDragLeave: () => {
+      if (dropTarget === targetId) setDropTarget(null);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const tagId = draggedTagId;
+      setDraggedTagId(null);
+      setDropTarget(null);
+      if (tagId && tagId !== targetId) {
+        moveTag(tagId, targetId === ROOT_DROP_TARGET ? null : targetId);
+      }
+    }
+  });
+
   const generateTagColor = () => {
     const colors = [
       '#ef4444', '#f97316', '#f59e0b', '#eab308',
@@ -177,11 +344,26 @@ const TagManager = () => {
     }
   };
 
+  const aliasesByTag = new Map();
+  aliases.forEach(alias => {
+    aliasesByTag.set(alias.tag_id, [...(aliasesByTag.get(alias.tag_id) || []), alias]);
+  });
+
+  // A tag also matches the search through its aliases
   const filteredTags = tags.filter(tag =>
-    tag.name.toLowerCase().includes(searchTerm.toLowerCase())
+    tag.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (aliasesByTag.get(tag.id) || []).some(alias => alias.alias.includes(searchTerm.toLowerCase()))
   );
 
-  const sortedTags = [...filteredTags].sort((a, b) => {
+  // Matching tags stay in the tree with their ancestors, so search results keep their context
+  const visibleTagIds = new Set();
+  filteredTags.forEach(tag => {
+    for (let current = tag; current && !visibleTagIds.has(current.id); current = parentOf(current)) {
+      visibleTagIds.add(current.id);
+    }
+  });
+
+  const sortTags = (list) => [...list].sort((a, b) => {
     switch (sortBy) {
       case 'name':
         return a.name.localeCompare(b.name);
@@ -194,6 +376,192 @@ const TagManager = () => {
     }
   });
 
+  const childrenByParent = new Map();
+  tags.filter(tag => visibleTagIds.has(tag.id)).forEach(tag => {
+    const parentId = parentOf(tag) ? tag.parent_id : null;
+    childrenByParent.set(parentId, [...(childrenByParent.get(parentId) || []), tag]);
+  });
+  const rootTags = sortTags(childrenByParent.get(null) || []);
+
+  const renderTag = (tag, depth) => {
+    const children = sortTags(childrenByParent.get(tag.id) || []);
+    const isCollapsed = !searchTerm && collapsed.has(tag.id);
+    const tagType = tag.tag_type || 'free';
+    const tagAliases = aliasesByTag.get(tag.id) || [];
+
+    return (
+      <div key={tag.id}>
+        <div
+          draggable={canEdit && editingTag !== tag.id && aliasEditor?.tagId !== tag.id}
+          onDragStart={(e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            setDraggedTagId(tag.id);
+          }}
+          onDragEnd={() => {
+            setDraggedTagId(null);
+            setDropTarget(null);
+          }}
+          {...(canEdit ? dragHandlers(tag.id) : {})}
+          className={`p-4 hover:bg-gray-50 ${dropTarget === tag.id ? 'bg-blue-50 ring-2 ring-inset ring-blue-400' : ''} ${
+            draggedTagId === tag.id ? 'opacity-50' : ''
+          }`}
+          style={{ paddingLeft: `${1 + depth * 1.5}rem` }}
+        >
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              {canEdit && <GripVertical className="h-4 w-4 text-gray-300 cursor-move" />}
+              {children.length > 0 ? (
+                <button
+                  onClick={() => toggleCollapsed(tag.id)}
+                  className="p-0.5 text-gray-500 hover:text-gray-800"
+                  title={isCollapsed ? 'Expand' : 'Collapse'}
+                >
+                  {isCollapsed ? <ChevronRight className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                </button>
+              ) : (
+                <span className="w-5" />
+              )}
+              <div
+                className="w-4 h-4 rounded-full"
+                style={{ backgroundColor: tag.color || '#3b82f6' }}
+              />
+              
+              {editingTag === tag.id ? (
+                <input
+                  type="text"
+                  value={editValue}
+                  onChange={(e) => setEditValue(e.target.value)}
+                  onKeyPress={(e) => handleKeyPress(e, () => updateTag(tag.id, editValue))}
+                  onBlur={() => updateTag(tag.id, editValue)}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm focus:ring-blue-500 focus:border-blue-500"
+                  autoFocus
+                />
+              ) : (
+                <div>
+                  <h4 className="font-medium text-gray-900">{tag.name}</h4>
+                  <p className="text-sm text-gray-500">
+                    Used in {tag.usage_count || 0} image{(tag.usage_count || 0) !== 1 ? 's' : ''}
+                    {children.length > 0 && ` · ${children.length} child tag${children.length !== 1 ? 's' : ''}`}
+                  </p>
+                  {(tagAliases.length > 0 || aliasEditor?.tagId === tag.id) && (
+                    <div className="flex flex-wrap items-center gap-1 mt-1">
+                      <span className="text-xs text-gray-500">Also typed as</span>
+                      {tagAliases.map(alias => (
+                        <span key={alias.id} className="flex items-center gap-1 bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full text-xs">
+                          {alias.alias}
+                          {canEdit && (
+                            <button
+                              onClick={() => deleteAlias(alias)}
+                              className="text-gray-400 hover:text-red-600"
+                              title="Remove alias"
+                            >
+                              <X className="h-3 w-3" />
+                            </button>
+                          )}
+                        </span>
+                      ))}
+                      {aliasEditor?.tagId === tag.id && (
+                        <input
+                          type="text"
+                          value={aliasEditor.value}
+                          onChange={(e) => setAliasEditor({ tagId: tag.id, value: e.target.value })}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') addAlias(tag, aliasEditor.value);
+                            if (e.key === 'Escape') setAliasEditor(null);
+                          }}
+                          placeholder="e.g. timber"
+                          className="px-2 py-0.5 border border-gray-300 rounded text-xs w-28 focus:ring-blue-500 focus:border-blue-500"
+                          autoFocus
+                        />
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center gap-2">
+              {canEdit ? (
+                <select
+                  value={tagType}
+                  onChange={(e) => updateTagHierarchy(tag, { tagType: e.target.value })}
+                  className={`px-2 py-1 rounded-full text-xs font-medium border-0 ${TAG_TYPE_STYLES[tagType]}`}
+                  title="Tag type"
+                >
+                  {TAG_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              ) : (
+                tagType !== 'free' && (
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${TAG_TYPE_STYLES[tagType]}`}>
+                    {TAG_TYPES.find(type => type.value === tagType)?.label}
+                  </span>
+                )
+              )}
+              <span className="bg-gray-100 text-gray-800 px-2 py-1 rounded-full text-xs font-medium">
+                {tag.usage_count || 0}
+              </span>
+              
+              {canEdit && editingTag === tag.id ? (
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => updateTag(tag.id, editValue)}
+                    className="p-1 text-green-600 hover:text-green-800"
+                    title="Save"
+                  >
+                    ✓
+                  </button>
+                  <button
+                    onClick={cancelEditing}
+                    className="p-1 text-gray-600 hover:text-gray-800"
+                    title="Cancel"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ) : (
+                canEdit && (
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => startEditing(tag)}
+                      className="p-1 text-gray-600 hover:text-blue-600"
+                      title="Edit tag"
+                    >
+                      <Edit className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => setAliasEditor({ tagId: tag.id, value: '' })}
+                      className="p-1 text-gray-600 hover:text-blue-600"
+                      title="Add alias - a variant that is saved as this tag"
+                    >
+                      <Link2 className="h-4 w-4" />
+                    </button>
+                    {canDelete && (
+                      <button
+                        onClick={() => deleteTag(tag.id, tag.name)}
+                        className="p-1 text-gray-600 hover:text-red-600"
+                        title="Delete tag"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                )
+              )}
+            </div>
+          </div>
+        </div>
+
+        {!isCollapsed && children.length > 0 && (
+          <div className="divide-y divide-gray-200 border-t border-gray-200">
+            {children.map(child => renderTag(child, depth + 1))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -319,15 +687,21 @@ const TagManager = () => {
         </div>
       </div>
 
-      {/* Tags List */}
+      {/* Tag Tree */}
       <div className="bg-white rounded-lg shadow">
         <div className="p-4 border-b border-gray-200">
           <h3 className="font-semibold text-gray-900">
             Tags ({filteredTags.length})
           </h3>
+          {canEdit && (
+            <p className="text-sm text-gray-500">
+              Drag a tag onto another to nest it. Searching for a parent tag also finds images tagged with its children.
+              Aliases are variants (timber for wood) that are saved as their tag wherever they are typed.
+            </p>
+          )}
         </div>
 
-        {sortedTags.length === 0 ? (
+        {rootTags.length === 0 ? (
           <div className="p-8 text-center">
             <Tag className="h-12 w-12 text-gray-400 mx-auto mb-4" />
             <h3 className="text-lg font-medium text-gray-900 mb-2">
@@ -341,88 +715,27 @@ const TagManager = () => {
             </p>
           </div>
         ) : (
-          <div className="divide-y divide-gray-200">
-            {sortedTags.map(tag => (
-              <div key={tag.id} className="p-4 hover:bg-gray-50">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center gap-3">
-                    <div
-                      className="w-4 h-4 rounded-full"
-                      style={{ backgroundColor: tag.color || '#3b82f6' }}
-                    />
-                    
-                    {editingTag === tag.id ? (
-                      <input
-                        type="text"
-                        value={editValue}
-                        onChange={(e) => setEditValue(e.target.value)}
-                        onKeyPress={(e) => handleKeyPress(e, () => updateTag(tag.id, editValue))}
-                        onBlur={() => updateTag(tag.id, editValue)}
-                        className="px-2 py-1 border border-gray-300 rounded text-sm focus:ring-blue-500 focus:border-blue-500"
-                        autoFocus
-                      />
-                    ) : (
-                      <div>
-                        <h4 className="font-medium text-gray-900">{tag.name}</h4>
-                        <p className="text-sm text-gray-500">
-                          Used in {tag.usage_count || 0} image{(tag.usage_count || 0) !== 1 ? 's' : ''}
-                        </p>
-                      </div>
-                    )}
-                  </div>
-
-                  <div className="flex items-center gap-2">
-                    <span className="bg-gray-100 text-gray-800 px-2 py-1 rounded-full text-xs font-medium">
-                      {tag.usage_count || 0}
-                    </span>
-                    
-                    {canEdit && editingTag === tag.id ? (
-                      <div className="flex gap-1">
-                        <button
-                          onClick={() => updateTag(tag.id, editValue)}
-                          className="p-1 text-green-600 hover:text-green-800"
-                          title="Save"
-                        >
-                          ✓
-                        </button>
-                        <button
-                          onClick={cancelEditing}
-                          className="p-1 text-gray-600 hover:text-gray-800"
-                          title="Cancel"
-                        >
-                          ✕
-                        </button>
-                      </div>
-                    ) : (
-                      canEdit && (
-                        <div className="flex gap-1">
-                          <button
-                            onClick={() => startEditing(tag)}
-                            className="p-1 text-gray-600 hover:text-blue-600"
-                            title="Edit tag"
-                          >
-                            <Edit className="h-4 w-4" />
-                          </button>
-                          {canDelete && (
-                            <button
-                              onClick={() => deleteTag(tag.id, tag.name)}
-                              className="p-1 text-gray-600 hover:text-red-600"
-                              title="Delete tag"
-                            >
-                              <Trash2 className="h-4 w-4" />
-                            </button>
-                          )}
-                        </div>
-                      )
-                    )}
-                  </div>
-                </div>
+          <div>
+            {canEdit && draggedTagId && (
+              <div
+                {...dragHandlers(ROOT_DROP_TARGET)}
+                className={`m-2 p-3 border-2 border-dashed rounded-md text-sm flex items-center gap-2 ${
+                  dropTarget === ROOT_DROP_TARGET ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-500'
+                }`}
+              >
+                <CornerLeftUp className="h-4 w-4" />
+                Drop here to move to the top level
               </div>
-            ))}
+            )}
+            <div className="divide-y divide-gray-200">
+              {rootTags.map(tag => renderTag(tag, 0))}
+            </div>
           </div>
         )}
       </div>
 
+      <TagChanges refreshKey={tagChangesKey} onUndone={refreshAfterUndo} />
+
       {/* Usage Analysis */}
       {tags.length > 0 && (
         <div className="bg-white p-6 rounded-lg shadow">
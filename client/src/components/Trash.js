@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Trash2, RotateCcw, AlertTriangle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+import { useMode } from '../context/ModeContext';
+
+// Deleted images waiting to be restored or permanently removed
+const Trash = () => {
+  const { canDelete } = useMode();
+  const [images, setImages] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiCall('/api/trash');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setImages(data.images);
+      setRetentionDays(data.retentionDays);
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      toast.error('Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const restoreImage = async (image) => {
+    try {
+      setBusyId(image.id);
+      const response = await apiCall(`/api/trash/${image.id}/restore`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to restore image');
+      }
+
+      toast.success(data.message);
+      setImages(prev => prev.filter(img => img.id !== image.id));
+    } catch (error) {
+      console.error('Error restoring image:', error);
+      toast.error(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const deleteForever = async (image) => {
+    if (!window.confirm(`Permanently delete "${image.filename}"? This action cannot be undone.`)) return;
+
+    try {
+      setBusyId(image.id);
+      const response = await apiCall(`/api/trash/${image.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete image');
+      }
+
+      toast.success(data.message);
+      setImages(prev => prev.filter(img => img.id !== image.id));
+    } catch (error) {
+      console.error('Error permanently deleting image:', error);
+      toast.error(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!window.confirm(`Permanently delete all ${images.length} images in the trash? This action cannot be undone.`)) return;
+
+    try {
+      setLoading(true);
+      const response = await apiCall('/api/trash', { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to empty trash');
+      }
+
+      toast.success(data.message);
+      if (data.errors) {
+        toast.warning(`${data.errors.length} images could not be deleted`);
+      }
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      toast.error(error.message);
+    } finally {
+      loadTrash();
+    }
+  };
+
+  const daysLeft = (deletedAt) => {
+    const elapsed = (Date.now() - new Date(deletedAt).getTime()) / (24 * 60 * 60 * 1000);
+    return Math.max(0, Math.ceil(retentionDays - elapsed));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Trash</h1>
+          {retentionDays !== null && (
+            <p className="text-sm text-gray-600">
+              Deleted images are kept for {retentionDays} days, then removed permanently.
+            </p>
+          )}
+        </div>
+        {canDelete && images.length > 0 && (
+          <button
+            onClick={emptyTrash}
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:opacity-50"
+          >
+            <AlertTriangle className="h-4 w-4" />
+            Empty Trash
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500">Loading trash...</p>
+      ) : images.length === 0 ? (
+        <div className="bg-white p-12 rounded-lg shadow text-center text-gray-500">
+          <Trash2 className="h-12 w-12 mx-auto mb-4 text-gray-300" />
+          The trash is empty.
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-5 gap-4">
+          {images.map(image => (
+            <div key={image.id} className="bg-white rounded-lg shadow overflow-hidden">
+              <div className="aspect-square bg-gray-100">
+                {image.url ? (
+                  <img src={image.url} alt={image.filename} className="w-full h-full object-cover opacity-75" />
+                ) : (
+                  <div className="w-full h-full flex items-center justify-center text-xs text-gray-400">No preview</div>
+                )}
+              </div>
+              <div className="p-3 space-y-1">
+                <div className="text-sm font-medium truncate" title={image.filename}>{image.filename}</div>
+                <div className="text-xs text-gray-500 truncate" title={image.trashed_from_path}>
+                  From {image.trashed_from_path || 'unknown folder'}
+                </div>
+                <div className="text-xs text-gray-500">
+                  Deleted {new Date(image.deleted_at).toLocaleDateString()}
+                  {image.deleted_by_email && ` by ${image.deleted_by_email}`}
+                  {' · '}{daysLeft(image.deleted_at)} days left
+                </div>
+                {canDelete && (
+                  <div className="flex gap-2 pt-2">
+                    <button
+                      onClick={() => restoreImage(image)}
+                      disabled={busyId === image.id}
+                      className="flex-1 flex items-center justify-center gap-1 px-2 py-1 text-sm text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50 disabled:opacity-50"
+                    >
+                      <RotateCcw className="h-4 w-4" />
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => deleteForever(image)}
+                      disabled={busyId === image.id}
+                      className="p-1 text-red-500 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+                      title="Delete permanently"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
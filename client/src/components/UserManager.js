@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserPlus, Trash2, Users } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { apiCall } from '../utils/apiConfig';
+import { useMode } from '../context/ModeContext';
+
+// Admin-only account management (shown as the Users section of the Dashboard)
+const UserManager = () => {
+  const { user: currentUser } = useMode();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState(['viewer', 'editor', 'admin']);
+  const [loading, setLoading] = useState(false);
+  const [newUser, setNewUser] = useState({ email: '', name: '', password: '', role: 'viewer' });
+  const [creating, setCreating] = useState(false);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiCall('/api/users');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      setUsers(data.users);
+      setRoles(data.roles);
+    } catch (error) {
+      console.error('Error loading users:', error);
+      toast.error('Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const createUser = async (event) => {
+    event.preventDefault();
+    setCreating(true);
+
+    try {
+      const response = await apiCall('/api/users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newUser)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create user');
+      }
+
+      toast.success(`Created ${data.user.email}`);
+      setNewUser({ email: '', name: '', password: '', role: 'viewer' });
+      loadUsers();
+    } catch (error) {
+      console.error('Error creating user:', error);
+      toast.error(error.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const updateRole = async (user, role) => {
+    try {
+      const response = await apiCall(`/api/users/${user.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update user');
+      }
+
+      toast.success(`${user.email} is now ${role}`);
+      loadUsers();
+    } catch (error) {
+      console.error('Error updating user:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const deleteUser = async (user) => {
+    if (!window.confirm(`Delete the account for ${user.email}?`)) return;
+
+    try {
+      const response = await apiCall(`/api/users/${user.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete user');
+      }
+
+      toast.success(data.message);
+      loadUsers();
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-lg shadow">
+        <div className="flex items-center gap-2 mb-4">
+          <UserPlus className="h-5 w-5 text-blue-600" />
+          <h3 className="text-lg font-semibold">Add User</h3>
+        </div>
+
+        <form onSubmit={createUser} className="grid grid-cols-1 md:grid-cols-5 gap-3">
+          <input
+            type="email"
+            placeholder="Email"
+            value={newUser.email}
+            onChange={(e) => setNewUser(prev => ({ ...prev, email: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            required
+          />
+          <input
+            type="text"
+            placeholder="Name"
+            value={newUser.name}
+            onChange={(e) => setNewUser(prev => ({ ...prev, name: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          />
+          <input
+            type="password"
+            placeholder="Password (8+ characters)"
+            value={newUser.password}
+            onChange={(e) => setNewUser(prev => ({ ...prev, password: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            minLength={8}
+            required
+          />
+          <select
+            value={newUser.role}
+            onChange={(e) => setNewUser(prev => ({ ...prev, role: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          >
+            {roles.map(role => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={creating}
+            className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+          >
+            {creating ? 'Adding...' : 'Add User'}
+          </button>
+        </form>
+      </div>
+
+      <div className="bg-white p-6 rounded-lg shadow">
+        <div className="flex items-center gap-2 mb-4">
+          <Users className="h-5 w-5 text-indigo-600" />
+          <h3 className="text-lg font-semibold">Users ({users.length})</h3>
+        </div>
+
+        {loading ? (
+          <p className="text-gray-500">Loading users...</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                <th className="py-2">Email</th>
+                <th className="py-2">Name</th>
+                <th className="py-2">Role</th>
+                <th className="py-2">Last Login</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {users.map(user => (
+                <tr key={user.id} className="text-sm">
+                  <td className="py-2">{user.email}</td>
+                  <td className="py-2">{user.name || '-'}</td>
+                  <td className="py-2">
+                    <select
+                      value={user.role}
+                      onChange={(e) => updateRole(user, e.target.value)}
+                      disabled={user.id === currentUser.id}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    >
+                      {roles.map(role => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 text-gray-500">
+                    {user.last_login_at ? new Date(user.last_login_at).toLocaleString() : 'Never'}
+                  </td>
+                  <td className="py-2 text-right">
+                    {user.id !== currentUser.id && (
+                      <button
+                        onClick={() => deleteUser(user)}
+                        className="p-1 text-red-500 hover:text-red-700"
+                        title="Delete user"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserManager;
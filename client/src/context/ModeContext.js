@@ -1,7 +1,11 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { apiCall } from '../utils/apiConfig';
 
 const ModeContext = createContext();
 
+// Roles are cumulative - must match server/middleware/auth.js
+const ROLE_LEVELS = { viewer: 1, editor: 2, admin: 3 };
+
 export const useMode = () => {
   const context = useContext(ModeContext);
   if (!context) {
@@ -11,73 +15,75 @@ export const useMode = () => {
 };
 
 export const ModeProvider = ({ children }) => {
-  const [isEditMode, setIsEditMode] = useState(false);
-  const [editModeTimer, setEditModeTimer] = useState(null);
-  const [timeRemaining, setTimeRemaining] = useState(0);
-
-  // Edit mode duration in milliseconds (30 minutes)
-  const EDIT_MODE_DURATION = 30 * 60 * 1000; // 30 minutes
-
-  // Deactivate Edit mode
-  const deactivateEditMode = useCallback(() => {
-    console.log('🔒 Switching to View Mode');
-    setIsEditMode(false);
-    setTimeRemaining(0);
-    
-    if (editModeTimer) {
-      clearTimeout(editModeTimer);
-      setEditModeTimer(null);
+  const [user, setUser] = useState(null);
+  const [authLoading, setAuthLoading] = useState(true);
+  // Editors can drop into View Mode to browse without accidental edits
+  const [viewOnly, setViewOnly] = useState(false);
+
+  const hasRole = useCallback((role) => {
+    return !!user && (ROLE_LEVELS[user.role] || 0) >= ROLE_LEVELS[role];
+  }, [user]);
+
+  const hasEditPermission = hasRole('editor');
+  const isEditMode = hasEditPermission && !viewOnly;
+
+  // Load the signed-in user from the session cookie
+  const loadCurrentUser = useCallback(async () => {
+    try {
+      const response = await apiCall('/api/auth/me');
+      if (response.ok) {
+        const data = await response.json();
+        setUser(data.user || null);
+      } else {
+        setUser(null);
+      }
+    } catch (error) {
+      console.error('Error loading current user:', error);
+      setUser(null);
+    } finally {
+      setAuthLoading(false);
     }
-  }, [editModeTimer]);
-
-  // Activate Edit mode with 30-minute timer
-  const activateEditMode = useCallback(() => {
-    console.log('🔓 Activating Edit Mode for 30 minutes...');
-    setIsEditMode(true);
-    setTimeRemaining(EDIT_MODE_DURATION);
+  }, []);
 
-    // Clear any existing timer
-    if (editModeTimer) {
-      clearTimeout(editModeTimer);
+  useEffect(() => {
+    loadCurrentUser();
+  }, [loadCurrentUser]);
+
+  const login = useCallback(async (email, password) => {
+    const response = await apiCall('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Login failed');
     }
 
-    // Set new timer to automatically switch to View mode after 30 minutes
-    const timer = setTimeout(() => {
-      console.log('⏰ Edit Mode expired - switching to View Mode');
-      deactivateEditMode();
-    }, EDIT_MODE_DURATION);
-
-    setEditModeTimer(timer);
-  }, [editModeTimer, deactivateEditMode, EDIT_MODE_DURATION]);
+    console.log(`🔓 Signed in as ${data.user.email} (${data.user.role})`);
+    setViewOnly(false);
+    setUser(data.user);
+    return data.user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await apiCall('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    setUser(null);
+  }, []);
 
-  // Toggle between Edit and View mode  
+  // Toggle between Edit and View mode - only users with edit permission can enter Edit Mode
   const toggleEditMode = useCallback(() => {
-    if (isEditMode) {
-      // Switch to View mode
-      deactivateEditMode();
-    } else {
-      // Switch to Edit mode
-      activateEditMode();
+    if (!hasEditPermission) {
+      console.log('🔒 Your role does not allow Edit Mode');
+      return;
     }
-  }, [isEditMode, deactivateEditMode, activateEditMode]);
-
-  // Update time remaining every minute
-  useEffect(() => {
-    if (!isEditMode || timeRemaining <= 0) return;
-
-    const interval = setInterval(() => {
-      setTimeRemaining(prev => {
-        const newTime = prev - 60000; // Subtract 1 minute
-        if (newTime <= 0) {
-          deactivateEditMode();
-          return 0;
-        }
-        return newTime;
-      });
-    }, 60000); // Update every minute
-
-    return () => clearInterval(interval);
-  }, [isEditMode, timeRemaining, deactivateEditMode]);
+    setViewOnly(prev => !prev);
+  }, [hasEditPermission]);
 
   // Keyboard shortcut listener (Escape + E sequence for mode toggle)
   useEffect(() => {
@@ -85,30 +91,20 @@ export const ModeProvider = ({ children }) => {
     let escapeTimeout = null;
 
     const handleKeyDown = (event) => {
-      // Always log key presses to debug
-      console.log('🔍 Key pressed:', {
-        key: event.key,
-        code: event.code,
-        escapePressed: escapePressed,
-        target: event.target.tagName
-      });
-      
       // Only trigger if not typing in an input field or modal
       if (['INPUT', 'TEXTAREA'].includes(event.target.tagName)) {
         return;
       }
 
       if (event.key === 'Escape') {
-        console.log('🔄 Escape pressed - waiting for E...');
         escapePressed = true;
         event.preventDefault();
-        
+
         // Clear any existing timeout
         if (escapeTimeout) clearTimeout(escapeTimeout);
-        
+
         // Reset escape state after 2 seconds
         escapeTimeout = setTimeout(() => {
-          console.log('🔄 Escape sequence timed out');
           escapePressed = false;
         }, 2000);
       } else if (escapePressed && (event.key === 'e' || event.key === 'E')) {
@@ -119,54 +115,37 @@ export const ModeProvider = ({ children }) => {
         if (escapeTimeout) clearTimeout(escapeTimeout);
       } else if (escapePressed) {
         // Any other key resets the sequence
-        console.log('🔄 Escape sequence reset by other key');
         escapePressed = false;
         if (escapeTimeout) clearTimeout(escapeTimeout);
       }
     };
 
-    console.log('🎧 Adding ESC + E keyboard event listener...');
     document.addEventListener('keydown', handleKeyDown, true);
-    
+
     return () => {
-      console.log('🎧 Removing keyboard event listener...');
       document.removeEventListener('keydown', handleKeyDown, true);
       if (escapeTimeout) clearTimeout(escapeTimeout);
     };
-  }, []); // eslint-disable-line react-hooks/exhaustive-deps
-
-  // Cleanup timer on unmount
-  useEffect(() => {
-    return () => {
-      if (editModeTimer) {
-        clearTimeout(editModeTimer);
-      }
-    };
-  }, [editModeTimer]);
-
-  // Format time remaining for display
-  const formatTimeRemaining = () => {
-    if (!isEditMode || timeRemaining <= 0) return '';
-    
-    const minutes = Math.ceil(timeRemaining / 60000);
-    if (minutes === 1) return '1 minute';
-    return `${minutes} minutes`;
-  };
+  }, [toggleEditMode]);
 
   const value = {
+    user,
+    authLoading,
+    isAuthenticated: !!user,
+    login,
+    logout,
+    hasRole,
+    isAdmin: hasRole('admin'),
+    hasEditPermission,
     isEditMode,
     isViewMode: !isEditMode,
     toggleEditMode,
-    activateEditMode,
-    deactivateEditMode,
-    timeRemaining,
-    formatTimeRemaining,
-    // Helper functions for specific features
+    // Helper functions for specific features - the server enforces the same roles
     canEdit: isEditMode,
     canDelete: isEditMode,
     canUpload: isEditMode,
     canAccessProWorkflow: isEditMode,
-    canAccessSettings: isEditMode,
+    canAccessSettings: isEditMode && hasRole('admin'),
   };
 
   return (
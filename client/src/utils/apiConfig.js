@@ -15,7 +15,8 @@ const getApiBaseUrl = () => {
 export const API_BASE_URL = getApiBaseUrl();
 
 // Helper function for making API calls
+// Sends the session cookie even when the API is on another origin (localhost:3001 in development)
 export const apiCall = async (endpoint, options = {}) => {
   const url = `${API_BASE_URL}${endpoint}`;
-  return fetch(url, options);
-}; 
\ No newline at end of file
+  return fetch(url, { credentials: 'include', ...options });
+};
@@ -0,0 +1,51 @@
+// Helpers for showing audit log entries (ImageEditor History panel and the Dashboard activity feed)
+
+// "image.tags_update" -> "Tags update"
+export const formatAuditAction = (action = '') => {
+  const verb = action.split('.').slice(1).join('.') || action;
+  const text = verb.replace(/[_-]/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Summarise what changed between an entry's before and after values
+ * @returns {Array} lines such as "+ kitchen", "- draft", "Moved to /SnapTag/..."
+ */
+export const describeAuditChanges = (entry) => {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const changes = [];
+
+  if (before.tags || after.tags) {
+    const beforeTags = asList(before.tags);
+    const afterTags = asList(after.tags);
+    afterTags.filter(tag => !beforeTags.includes(tag)).forEach(tag => changes.push(`+ ${tag}`));
+    if (entry.after) {
+      beforeTags.filter(tag => !afterTags.includes(tag)).forEach(tag => changes.push(`- ${tag}`));
+    }
+  }
+
+  if (after.dropbox_path && before.dropbox_path && after.dropbox_path !== before.dropbox_path) {
+    changes.push(`Moved to ${after.dropbox_path}`);
+  }
+
+  if (before.name !== undefined && after.name !== undefined && before.name !== after.name) {
+    changes.push(`Renamed "${before.name || ''}" → "${after.name || ''}"`);
+  }
+
+  if (before.status && after.status && before.status !== after.status) {
+    changes.push(`Status ${before.status} → ${after.status}`);
+  }
+
+  if (after.project_assignments && before.project_assignments) {
+    changes.push(`Project assignments: ${asList(before.project_assignments).length} → ${asList(after.project_assignments).length}`);
+  }
+
+  if (after.message) {
+    changes.push(after.message);
+  }
+
+  return changes;
+};
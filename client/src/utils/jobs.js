@@ -0,0 +1,93 @@
+// Helpers for long-running actions that the server queues as background jobs (GET /api/jobs/:id)
+import { API_BASE_URL, apiCall } from './apiConfig';
+
+export const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+const POLL_INTERVAL_MS = 1000;
+
+// Fired on window when this tab queues a job, so the jobs tray shows it straight away
+export const JOB_QUEUED_EVENT = 'snaptag:job-queued';
+
+export const notifyJobQueued = (jobId) => {
+  window.dispatchEvent(new CustomEvent(JOB_QUEUED_EVENT, { detail: { jobId } }));
+};
+
+/**
+ * Follow a job's progress through its event stream (GET /api/jobs/:id/events),
+ * polling GET /api/jobs/:id instead if the stream can't be opened
+ * @param {number} jobId
+ * @param {Function} onUpdate - called with the job row on every change, last with the finished job
+ * @param {Function} onError - called if the job can't be read at all
+ * @returns {Function} stops following the job
+ */
+export const watchJob = (jobId, onUpdate, onError = null) => {
+  let stopped = false;
+  let pollTimer = null;
+  let source = null;
+
+  const handle = (job) => {
+    if (!stopped) onUpdate(job);
+  };
+
+  const poll = async () => {
+    try {
+      const response = await apiCall(`/api/jobs/${jobId}`);
+      const job = await response.json();
+      if (!response.ok) {
+        throw new Error(job.error || `HTTP ${response.status}`);
+      }
+
+      handle(job);
+      if (!stopped && !FINISHED_STATUSES.includes(job.status)) {
+        pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+      }
+    } catch (error) {
+      if (!stopped && onError) onError(error);
+    }
+  };
+
+  if (typeof EventSource === 'undefined') {
+    poll();
+  } else {
+    source = new EventSource(`${API_BASE_URL}/api/jobs/${jobId}/events`, { withCredentials: true });
+    source.addEventListener('progress', (event) => handle(JSON.parse(event.data)));
+    source.addEventListener('done', () => source.close());
+    // The browser reconnects a dropped stream by itself - only fall back once it gives up
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED && !stopped) {
+        poll();
+      }
+    };
+  }
+
+  return () => {
+    stopped = true;
+    clearTimeout(pollTimer);
+    if (source) source.close();
+  };
+};
+
+/**
+ * Wait for a job to finish
+ * @param {number} jobId
+ * @param {Function} onProgress - called with the job row on every change
+ * @returns {Promise<Object>} the finished job's result
+ * @throws {Error} if the job failed or was cancelled
+ */
+export const waitForJob = (jobId, onProgress = null) => new Promise((resolve, reject) => {
+  notifyJobQueued(jobId);
+
+  const stop = watchJob(jobId, (job) => {
+    if (onProgress) onProgress(job);
+    if (!FINISHED_STATUSES.includes(job.status)) return;
+
+    stop();
+    if (job.status === 'succeeded') {
+      resolve(job.result);
+    } else {
+      reject(new Error(job.error || `Job ${job.status}`));
+    }
+  }, (error) => {
+    stop();
+    reject(error);
+  });
+});
@@ -0,0 +1,16 @@
+// Undo for tag merges and renames (POST /api/tag-operations/:id/undo)
+import { apiCall } from './apiConfig';
+
+/**
+ * Undo a merge or rename by the operationId its response returned
+ * @returns {Promise<Object>} { message, stats: { affectedImages, filesMoved, metadataUpdated, errors } }
+ * @throws {Error} with the server's reason, e.g. when the change is too old or the tags changed since
+ */
+export const undoTagOperation = async (operationId) => {
+  const response = await apiCall(`/api/tag-operations/${operationId}/undo`, { method: 'POST' });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+};
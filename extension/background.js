@@ -175,21 +175,23 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   if (request.action === 'getSettings') {
-    chrome.storage.sync.get(['snaptagServer', 'defaultTags'], (result) => {
-      sendResponse({ 
-        success: true, 
-        settings: {
-          serverUrl: result.snaptagServer || 'https://snaptag.up.railway.app',
-          defaultTags: result.defaultTags || []
-        }
-      });
+    getSettings().then(settings => {
+      sendResponse({ success: true, settings });
     });
     return true;
   }
 
   if (request.action === 'saveSettings') {
-    chrome.storage.sync.set(request.settings, () => {
-      sendResponse({ success: true });
+    // The API token stays in local storage so it isn't synced to other browsers
+    const { snaptagApiToken, ...syncSettings } = request.settings;
+    chrome.storage.sync.set(syncSettings, () => {
+      if (snaptagApiToken === undefined) {
+        sendResponse({ success: true });
+        return;
+      }
+      chrome.storage.local.set({ snaptagApiToken }, () => {
+        sendResponse({ success: true });
+      });
     });
     return true;
   }
@@ -227,6 +229,7 @@ async function handleImageSave(imageUrl, tab, metadata = {}) {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
+            ...getAuthHeaders(settings)
           },
           body: JSON.stringify(imageMetadata)
         });
@@ -262,6 +265,10 @@ async function handleImageSave(imageUrl, tab, metadata = {}) {
         }
       }
       
+      if (response.status === 401) {
+        errorMessage = `${errorMessage} - add an API token from SnapTag Settings in the extension popup`;
+      }
+      
       throw new Error(errorMessage);
     }
 
@@ -284,13 +291,25 @@ async function handleImageSave(imageUrl, tab, metadata = {}) {
       console.log('✅ Image saved successfully:', result);
       console.log('🎉 Success! Image saved:', result.filename);
       
-      // Show success notification
-      chrome.notifications.create({
-        type: 'basic',
-        iconUrl: 'icons/icon48.png',
-        title: 'SnapTag - Image Saved',
-        message: `Image saved as "${result.filename}"`
-      });
+      // Show success notification - with a warning when it looks like something already saved
+      const savedImage = result.result || result;
+      const similarImages = savedImage.similar_images || [];
+      if (similarImages.length > 0) {
+        const similarIds = similarImages.slice(0, 3).map(image => `#${image.id}`).join(', ');
+        chrome.notifications.create({
+          type: 'basic',
+          iconUrl: 'icons/icon48.png',
+          title: 'SnapTag - Possible Duplicate',
+          message: `Image saved as "${savedImage.filename}" - visually similar to image ${similarIds}${similarImages.length > 3 ? ` and ${similarImages.length - 3} more` : ''}`
+        });
+      } else {
+        chrome.notifications.create({
+          type: 'basic',
+          iconUrl: 'icons/icon48.png',
+          title: 'SnapTag - Image Saved',
+          message: `Image saved as "${savedImage.filename}"`
+        });
+      }
       
       // Send the saved image data to popup for real-time update
       console.log('📡 Attempting to send image data to popup for real-time update');
@@ -483,14 +502,22 @@ function findImageAtClick(info) {
 function getSettings() {
   return new Promise((resolve) => {
     chrome.storage.sync.get(['snaptagServer', 'defaultTags'], (result) => {
-      resolve({
-        serverUrl: result.snaptagServer || 'https://snaptag.up.railway.app',
-        defaultTags: result.defaultTags || []
+      chrome.storage.local.get(['snaptagApiToken'], (localResult) => {
+        resolve({
+          serverUrl: result.snaptagServer || 'https://snaptag.up.railway.app',
+          defaultTags: result.defaultTags || [],
+          apiToken: localResult.snaptagApiToken || ''
+        });
       });
     });
   });
 }
 
+// Personal API token from SnapTag Settings, sent so the server knows who saved the image
+function getAuthHeaders(settings) {
+  return settings.apiToken ? { 'Authorization': `Bearer ${settings.apiToken}` } : {};
+}
+
 // Handle extension icon clicks
 chrome.action.onClicked.addListener((tab) => {
   // This will open the popup, but we can also add additional logic here
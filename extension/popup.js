@@ -7,6 +7,9 @@ document.addEventListener('DOMContentLoaded', function() {
   const openAppBtn = document.getElementById('openApp');
   const saveAllImagesBtn = document.getElementById('saveAllImages');
   const recentImagesDiv = document.getElementById('recentImages');
+  const serverUrlInput = document.getElementById('serverUrl');
+  const apiTokenInput = document.getElementById('apiToken');
+  const saveConnectionBtn = document.getElementById('saveConnection');
   
   // Modal elements
   const imageModal = document.getElementById('imageModal');
@@ -27,6 +30,7 @@ document.addEventListener('DOMContentLoaded', function() {
   let pageImages = [];
   let settings = {};
   let defaultTags = []; // Default tags for images - let user decide
+  let tagAliases = {}; // alias -> canonical tag name, e.g. timber -> wood
 
   // Initialize popup
   init();
@@ -50,6 +54,7 @@ document.addEventListener('DOMContentLoaded', function() {
       // Load settings
       await loadSettings();
       loadRecentImages();
+      loadTagAliases();
       
       // Set up event listeners
       setupEventListeners();
@@ -67,8 +72,13 @@ document.addEventListener('DOMContentLoaded', function() {
     // Quick actions
     saveAllImagesBtn.addEventListener('click', findAndSaveImages);
     
+    // Connection settings
+    saveConnectionBtn.addEventListener('click', saveSettings);
+    
     // Tags management
-
+    modalTags.addEventListener('blur', () => {
+      modalTags.value = resolveTagAliases(parseTags(modalTags.value)).join(', ');
+    });
     
     // Modal controls
     closeModalBtn.addEventListener('click', closeModal);
@@ -92,6 +102,8 @@ document.addEventListener('DOMContentLoaded', function() {
       chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
         if (response.success) {
           settings = response.settings;
+          serverUrlInput.value = settings.serverUrl;
+          apiTokenInput.value = settings.apiToken;
         }
         resolve();
       });
@@ -99,16 +111,49 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 
   async function saveSettings() {
+    settings.serverUrl = serverUrlInput.value.trim().replace(/\/$/, '') || settings.serverUrl;
+    settings.apiToken = apiTokenInput.value.trim();
+
     const newSettings = {
-      snaptagServer: settings.serverUrl
+      snaptagServer: settings.serverUrl,
+      snaptagApiToken: settings.apiToken
     };
     
     chrome.runtime.sendMessage({ 
       action: 'saveSettings', 
       settings: newSettings 
+    }, () => {
+      showStatus('Connection settings saved', 'success');
+      loadRecentImages();
     });
   }
 
+  // Aliases are resolved by the server too - doing it here shows the tags that will actually be saved
+  async function loadTagAliases() {
+    try {
+      const response = await fetch(`${settings.serverUrl}/api/tag-aliases`, {
+        headers: getAuthHeaders()
+      });
+      if (!response.ok) return;
+      const aliases = await response.json();
+      tagAliases = Object.fromEntries(aliases.map(alias => [alias.alias, alias.tag_name]));
+    } catch (error) {
+      console.log('📝 Could not load tag aliases:', error.message);
+    }
+  }
+
+  function parseTags(value) {
+    return value.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+
+  function resolveTagAliases(tags) {
+    return [...new Set(tags.map(tag => tagAliases[tag.toLowerCase()] || tag))];
+  }
+
+  function getAuthHeaders() {
+    return settings.apiToken ? { 'Authorization': `Bearer ${settings.apiToken}` } : {};
+  }
+
   function openSnapTagApp() {
     chrome.runtime.sendMessage({ action: 'openSnapTagApp' });
     window.close();
@@ -295,7 +340,7 @@ document.addEventListener('DOMContentLoaded', function() {
       const imagesData = [...pageImages]; // Copy the actual image data
       const title = modalTitle.value.trim();
       const description = modalDescription.value.trim();
-      const tags = modalTags.value.split(',').map(tag => tag.trim()).filter(Boolean);
+      const tags = resolveTagAliases(parseTags(modalTags.value));
       
       console.log('📝 Metadata:', { title, description, tags });
       console.log('📋 Images to save (before modal close):', imagesToSave);
@@ -451,7 +496,13 @@ document.addEventListener('DOMContentLoaded', function() {
   async function loadRecentImages() {
     try {
       console.log('🔄 Loading recent images from:', `${settings.serverUrl}/api/images?limit=6`);
-      const response = await fetch(`${settings.serverUrl}/api/images?limit=6`);
+      const response = await fetch(`${settings.serverUrl}/api/images?limit=6`, {
+        headers: getAuthHeaders()
+      });
+      if (response.status === 401) {
+        recentImagesDiv.innerHTML = '<div class="loading">Add your API token below to connect</div>';
+        return;
+      }
       if (!response.ok) {
         throw new Error(`Failed to load recent images: ${response.status} ${response.statusText}`);
       }
@@ -0,0 +1,129 @@
+// Session / API token authentication and role checks for every /api route
+//
+// Roles are cumulative: viewer < editor < admin.
+//   viewer - read anything (GETs and the read-only POSTs below)
+//   editor - everything else that changes images, tags, projects, rooms and stages
+//   admin  - /api/admin/*, /api/debug/*, user management, the audit feed, folder rules, filename templates and server settings
+// Maintenance tasks (/api/maintenance) each name the role they need and check it themselves.
+//
+// Browsers authenticate with the session cookie set by /api/auth/login; the extension and
+// scripts send a personal API token as "Authorization: Bearer snt_..." and get the owner's role.
+
+// Reachable without signing in
+const PUBLIC_ROUTES = [
+  'GET /api/health',
+  'POST /api/auth/login',
+  'GET /api/storage/local', // Protected by its own signed, expiring link
+  'GET /api/placeholder-image.jpg'
+];
+
+// POST only because the request body is large - these don't change anything
+const READ_ONLY_POSTS = [
+  '/api/images/search',
+  '/api/images/download-bulk',
+  '/api/images/bulk-suggestions'
+];
+
+const ADMIN_PREFIXES = ['/api/admin/', '/api/debug/', '/api/users', '/api/audit', '/api/folder-rules', '/api/filename-templates', '/api/auto-tag-rules'];
+
+const parseCookies = (header = '') => {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+  }, {});
+};
+
+// Express matches routes case-insensitively and with or without a trailing slash, so the policy
+// must too - otherwise /api/Users or /api/settings/ would reach the handler without its role check
+const normalizePath = (path) => path.toLowerCase().replace(/\/+$/, '') || '/';
+
+const requiredRoleFor = (method, requestPath) => {
+  const path = normalizePath(requestPath);
+  if (PUBLIC_ROUTES.includes(`${method} ${path}`)) return null;
+  if (ADMIN_PREFIXES.some(prefix => path.startsWith(prefix))) return 'admin';
+  if (method === 'POST' && path === '/api/settings') return 'admin';
+  if (path.startsWith('/api/auth/') || path.startsWith('/api/tokens')) return 'viewer';
+  if (['GET', 'HEAD', 'OPTIONS'].includes(method) || READ_ONLY_POSTS.includes(path)) return 'viewer';
+  return 'editor';
+};
+
+const createAuthMiddleware = (authService) => {
+  const getSessionToken = (req) => parseCookies(req.headers.cookie)[authService.sessionCookieName];
+
+  const getBearerToken = (req) => {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  };
+
+  // Attach req.user from an API token (Authorization: Bearer ...) or the session cookie.
+  // req.authMethod records which one so token holders can't manage tokens or accounts.
+  const authenticate = async (req, res, next) => {
+    try {
+      const bearerToken = getBearerToken(req);
+
+      if (bearerToken) {
+        req.user = await authService.getUserForApiToken(bearerToken);
+        if (!req.user) {
+          return res.status(401).json({ error: 'Invalid or revoked API token' });
+        }
+        req.authMethod = 'token';
+      } else {
+        req.user = await authService.getUserForSession(getSessionToken(req));
+        req.authMethod = req.user ? 'session' : null;
+      }
+      next();
+    } catch (error) {
+      console.error('❌ Session lookup failed:', error);
+      res.status(500).json({ error: 'Authentication failed: ' + error.message });
+    }
+  };
+
+  // For routes that should only be reachable from a signed-in browser, not with an API token
+  const requireSession = (req, res, next) => {
+    if (req.authMethod !== 'session') {
+      return res.status(403).json({ error: 'This action requires signing in to SnapTag, not an API token' });
+    }
+    next();
+  };
+
+  const requireRole = (role) => (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+    if (!authService.hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    next();
+  };
+
+  // Route-level policy applied to every /api request (see requiredRoleFor)
+  const authorize = (req, res, next) => {
+    const role = requiredRoleFor(req.method, req.baseUrl + req.path);
+    if (!role) return next();
+    return requireRole(role)(req, res, next);
+  };
+
+  const setSessionCookie = (res, token, expiresAt) => {
+    res.cookie(authService.sessionCookieName, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      expires: expiresAt
+    });
+  };
+
+  const clearSessionCookie = (res) => {
+    res.clearCookie(authService.sessionCookieName, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production'
+    });
+  };
+
+  return { authenticate, authorize, requireRole, requireSession, getSessionToken, setSessionCookie, clearSessionCookie };
+};
+
+module.exports = { createAuthMiddleware, requiredRoleFor };
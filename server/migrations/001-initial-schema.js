@@ -0,0 +1,115 @@
+// Core schema: images, tags, focused tags, stages, rooms and the sequence counter.
+// Uses IF NOT EXISTS so databases created before versioned migrations are adopted as-is.
+module.exports = {
+  description: 'Initial schema',
+
+  async up(client) {
+    await client.query('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS images (
+        id SERIAL PRIMARY KEY,
+        filename VARCHAR(255) NOT NULL,
+        original_name VARCHAR(255) NOT NULL,
+        dropbox_path VARCHAR(500) UNIQUE NOT NULL,
+        dropbox_id VARCHAR(255),
+        title TEXT,
+        description TEXT,
+        upload_date TIMESTAMP NOT NULL,
+        file_size INTEGER,
+        source_url TEXT,
+        width INTEGER,
+        height INTEGER,
+        mime_type VARCHAR(100),
+        file_hash VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        color VARCHAR(7),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        usage_count INTEGER DEFAULT 0
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS image_tags (
+        id SERIAL PRIMARY KEY,
+        image_id INTEGER NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(image_id, tag_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS focused_tags (
+        id SERIAL PRIMARY KEY,
+        image_id INTEGER NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        tag_name VARCHAR(255) NOT NULL,
+        x_coordinate REAL NOT NULL,
+        y_coordinate REAL NOT NULL,
+        width REAL,
+        height REAL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stages (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        description TEXT,
+        order_index INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        usage_count INTEGER DEFAULT 0
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rooms (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        description TEXT,
+        category VARCHAR(255),
+        order_index INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        usage_count INTEGER DEFAULT 0
+      )
+    `);
+
+    // Image sequence counter table (for atomic sequence number generation)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS image_sequence (
+        id INTEGER PRIMARY KEY DEFAULT 1,
+        last_sequence INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_dropbox_path ON images(dropbox_path)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_file_hash ON images(file_hash)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(name)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_image_tags_image ON image_tags(image_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_image_tags_tag ON image_tags(tag_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_focused_tags_image ON focused_tags(image_id)');
+
+    // PERFORMANCE: Critical indexes for search and pagination
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_upload_date ON images(upload_date DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_created_at ON images(created_at DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_filename ON images(filename)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_title ON images(title)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_source_url ON images(source_url)');
+
+    // PERFORMANCE: Composite indexes for common search patterns
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_upload_filename ON images(upload_date DESC, filename)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_focused_tags_name ON focused_tags(tag_name)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tags_name_lower ON tags(LOWER(name))');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_focused_tags_name_lower ON focused_tags(LOWER(tag_name))');
+  }
+};
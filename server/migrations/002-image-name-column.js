@@ -0,0 +1,8 @@
+// Display name for images (previously added by POST /api/admin/add-name-column)
+module.exports = {
+  description: 'Add images.name',
+
+  async up(client) {
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS name TEXT');
+  }
+};
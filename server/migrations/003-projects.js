@@ -0,0 +1,24 @@
+// Projects table - queried by getAllProjects() but previously never created by the schema
+module.exports = {
+  description: 'Create projects table',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id VARCHAR(255) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        status VARCHAR(50) DEFAULT 'current',
+        team_tag VARCHAR(255),
+        status_tag VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Previously added at startup by addThumbnailColumn()
+    await client.query(`
+      ALTER TABLE projects
+      ADD COLUMN IF NOT EXISTS thumbnail_image_id INTEGER REFERENCES images(id) ON DELETE SET NULL
+    `);
+  }
+};
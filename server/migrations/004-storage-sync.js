@@ -0,0 +1,20 @@
+// Content hashes and list_folder cursors for incremental Dropbox sync
+module.exports = {
+  description: 'Storage sync state',
+
+  async up(client) {
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64)');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_state (
+        key VARCHAR(500) PRIMARY KEY,
+        cursor TEXT,
+        last_synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_dropbox_id ON images(dropbox_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_content_hash ON images(content_hash)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_dropbox_path_lower ON images(LOWER(dropbox_path))');
+  }
+};
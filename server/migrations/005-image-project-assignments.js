@@ -0,0 +1,87 @@
+// Relational image → project/room/stage assignments, replacing the images.project_assignments JSON column.
+// Rooms, stages and projects referenced by name in the old JSON are created if missing so nothing is lost.
+module.exports = {
+  description: 'Move project assignments into image_project_assignments',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS image_project_assignments (
+        id SERIAL PRIMARY KEY,
+        image_id INTEGER NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        project_id VARCHAR(255) NOT NULL REFERENCES projects(id) ON DELETE CASCADE ON UPDATE CASCADE,
+        room_id INTEGER REFERENCES rooms(id) ON DELETE SET NULL,
+        stage_id INTEGER REFERENCES stages(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_project_assignments_image ON image_project_assignments(image_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_project_assignments_filter ON image_project_assignments(project_id, room_id, stage_id)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_project_assignments_unique ON image_project_assignments(image_id, project_id, COALESCE(room_id, 0), COALESCE(stage_id, 0))');
+
+    const columnCheck = await client.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'images' AND column_name = 'project_assignments'
+    `);
+    if (columnCheck.rows.length === 0) return;
+
+    console.log('🔄 Migrating project_assignments JSON to image_project_assignments...');
+
+    const legacyRows = await client.query(`
+      SELECT id, project_assignments FROM images
+      WHERE project_assignments IS NOT NULL AND project_assignments != '' AND project_assignments != '[]'
+    `);
+
+    let converted = 0;
+    for (const row of legacyRows.rows) {
+      let assignments;
+      try {
+        assignments = JSON.parse(row.project_assignments);
+      } catch (parseError) {
+        console.warn(`⚠️ Skipping unparseable project_assignments for image ${row.id}`);
+        continue;
+      }
+      if (!Array.isArray(assignments)) continue;
+
+      for (const assignment of assignments) {
+        const projectKey = assignment.projectId || assignment.project;
+        if (!projectKey) continue;
+
+        let project = await client.query(
+          'SELECT id FROM projects WHERE id = $1 OR LOWER(name) = LOWER($1) OR LOWER(name) = LOWER($2) LIMIT 1',
+          [projectKey, assignment.projectName || projectKey]
+        );
+        if (project.rows.length === 0) {
+          project = await client.query(`
+            INSERT INTO projects (id, name, description, status, team_tag, status_tag)
+            VALUES ($1, $2, 'Created while migrating project assignments', 'current', 'current', 'current')
+            RETURNING id
+          `, [projectKey, assignment.projectName || projectKey]);
+        }
+
+        const roomId = assignment.room ? await getOrCreateNamedRow(client, 'rooms', assignment.room) : null;
+        const stageId = assignment.stage ? await getOrCreateNamedRow(client, 'stages', assignment.stage) : null;
+
+        await client.query(`
+          INSERT INTO image_project_assignments (image_id, project_id, room_id, stage_id)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT DO NOTHING
+        `, [row.id, project.rows[0].id, roomId, stageId]);
+        converted++;
+      }
+    }
+
+    await client.query('ALTER TABLE images DROP COLUMN project_assignments');
+    console.log(`✅ Migrated ${converted} project assignments from ${legacyRows.rows.length} images`);
+  }
+};
+
+// Rooms and stages share the same (name UNIQUE) shape
+async function getOrCreateNamedRow(client, table, name) {
+  const normalizedName = name.toLowerCase().trim();
+  const existing = await client.query(`SELECT id FROM ${table} WHERE LOWER(name) = $1`, [normalizedName]);
+  if (existing.rows.length > 0) return existing.rows[0].id;
+
+  const created = await client.query(`INSERT INTO ${table} (name) VALUES ($1) RETURNING id`, [normalizedName]);
+  return created.rows[0].id;
+}
@@ -0,0 +1,24 @@
+// Personal API tokens (Chrome extension, scripts) and who added each image
+module.exports = {
+  description: 'Create api_tokens and record image owners',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        token_prefix VARCHAR(16) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id)');
+
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_created_by ON images(created_by)');
+  }
+};
@@ -0,0 +1,43 @@
+// Append-only record of who changed what. user_id and image_id have no foreign keys so
+// history outlives deleted users and images, and a trigger rejects UPDATE/DELETE on existing rows.
+module.exports = {
+  description: 'Create audit_log',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER,
+        user_email VARCHAR(255),
+        action VARCHAR(100) NOT NULL,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id VARCHAR(255),
+        image_id INTEGER,
+        before JSONB,
+        after JSONB,
+        route VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_image ON audit_log(image_id, created_at DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action)');
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+
+    await client.query('DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log');
+    await client.query(`
+      CREATE TRIGGER audit_log_append_only
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+    `);
+  }
+};
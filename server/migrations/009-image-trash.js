@@ -0,0 +1,12 @@
+// Soft delete: trashed images keep their row until restored or purged
+module.exports = {
+  description: 'Add deleted_at and trash bookkeeping columns to images',
+
+  async up(client) {
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS trashed_from_path TEXT');
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_deleted_at ON images(deleted_at) WHERE deleted_at IS NOT NULL');
+  }
+};
@@ -0,0 +1,116 @@
+// Full-text search document for each image. Tag names live in other tables, so instead of a
+// GENERATED column the vector is kept up to date by triggers on images, image_tags, focused_tags
+// and tags. Weights: A title/name and tags, B description, C filename, D source domain.
+module.exports = {
+  description: 'Add images.search_vector full-text search column',
+
+  async up(client) {
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS search_vector tsvector');
+
+    // Filenames and domains go through the 'simple' config with punctuation split out, so
+    // "AB0012_timber-cladding.jpg" and "www.pinterest.com" become searchable words
+    await client.query(`
+      CREATE OR REPLACE FUNCTION image_search_document(
+        p_image_id INTEGER, p_title TEXT, p_name TEXT, p_description TEXT,
+        p_filename TEXT, p_original_name TEXT, p_source_url TEXT
+      ) RETURNS tsvector AS $$
+        SELECT
+          setweight(to_tsvector('english', concat_ws(' ', p_title, p_name)), 'A') ||
+          setweight(to_tsvector('english', COALESCE((
+            SELECT string_agg(tag_name, ' ') FROM (
+              SELECT t.name AS tag_name FROM image_tags it JOIN tags t ON t.id = it.tag_id WHERE it.image_id = p_image_id
+              UNION
+              SELECT ft.tag_name FROM focused_tags ft WHERE ft.image_id = p_image_id
+            ) image_tag_names
+          ), '')), 'A') ||
+          setweight(to_tsvector('english', COALESCE(p_description, '')), 'B') ||
+          setweight(to_tsvector('simple', regexp_replace(concat_ws(' ', p_filename, p_original_name), '[^[:alnum:]]+', ' ', 'g')), 'C') ||
+          setweight(to_tsvector('simple', regexp_replace(
+            COALESCE(substring(p_source_url from '^(?:[a-zA-Z]+://)?(?:www\\.)?([^/:?#]+)'), ''),
+            '[^[:alnum:]]+', ' ', 'g'
+          )), 'D')
+      $$ LANGUAGE sql STABLE
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION refresh_image_search_vector(p_image_id INTEGER) RETURNS void AS $$
+        UPDATE images
+        SET search_vector = image_search_document(id, title, name, description, filename, original_name, source_url)
+        WHERE id = p_image_id
+      $$ LANGUAGE sql
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION images_search_vector_trigger() RETURNS trigger AS $$
+      BEGIN
+        NEW.search_vector := image_search_document(
+          NEW.id, NEW.title, NEW.name, NEW.description, NEW.filename, NEW.original_name, NEW.source_url
+        );
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+
+    // Shared by image_tags and focused_tags - both have an image_id column
+    await client.query(`
+      CREATE OR REPLACE FUNCTION image_tags_search_vector_trigger() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP IN ('UPDATE', 'DELETE') THEN
+          PERFORM refresh_image_search_vector(OLD.image_id);
+        END IF;
+        IF TG_OP IN ('INSERT', 'UPDATE') THEN
+          PERFORM refresh_image_search_vector(NEW.image_id);
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION tags_search_vector_trigger() RETURNS trigger AS $$
+      BEGIN
+        UPDATE images
+        SET search_vector = image_search_document(id, title, name, description, filename, original_name, source_url)
+        WHERE id IN (SELECT image_id FROM image_tags WHERE tag_id = NEW.id);
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+
+    await client.query('DROP TRIGGER IF EXISTS images_search_vector ON images');
+    await client.query(`
+      CREATE TRIGGER images_search_vector
+      BEFORE INSERT OR UPDATE OF title, name, description, filename, original_name, source_url ON images
+      FOR EACH ROW EXECUTE FUNCTION images_search_vector_trigger()
+    `);
+
+    await client.query('DROP TRIGGER IF EXISTS image_tags_search_vector ON image_tags');
+    await client.query(`
+      CREATE TRIGGER image_tags_search_vector
+      AFTER INSERT OR UPDATE OR DELETE ON image_tags
+      FOR EACH ROW EXECUTE FUNCTION image_tags_search_vector_trigger()
+    `);
+
+    await client.query('DROP TRIGGER IF EXISTS focused_tags_search_vector ON focused_tags');
+    await client.query(`
+      CREATE TRIGGER focused_tags_search_vector
+      AFTER INSERT OR UPDATE OR DELETE ON focused_tags
+      FOR EACH ROW EXECUTE FUNCTION image_tags_search_vector_trigger()
+    `);
+
+    await client.query('DROP TRIGGER IF EXISTS tags_search_vector ON tags');
+    await client.query(`
+      CREATE TRIGGER tags_search_vector
+      AFTER UPDATE OF name ON tags
+      FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name) EXECUTE FUNCTION tags_search_vector_trigger()
+    `);
+
+    // Backfill existing images
+    await client.query(`
+      UPDATE images
+      SET search_vector = image_search_document(id, title, name, description, filename, original_name, source_url)
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_search_vector ON images USING GIN(search_vector)');
+  }
+};
@@ -0,0 +1,12 @@
+// Perceptual (average) hash of each image, computed once at upload so visual duplicate checks
+// don't have to download every file again. Stored as 16 hex characters (64 bits).
+module.exports = {
+  description: 'Add images.perceptual_hash',
+
+  async up(client) {
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS perceptual_hash VARCHAR(16)');
+
+    // Finds the images still waiting for a hash (backfilled by the visual duplicate scan)
+    await client.query('CREATE INDEX IF NOT EXISTS idx_images_missing_perceptual_hash ON images(id) WHERE perceptual_hash IS NULL');
+  }
+};
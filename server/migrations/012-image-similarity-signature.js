@@ -0,0 +1,17 @@
+// Stronger similarity signature for "find similar images": a difference hash (gradient based,
+// 16 hex characters) and a 64-bin RGB colour histogram alongside the average hash from 011.
+module.exports = {
+  description: 'Add images.difference_hash and images.color_histogram',
+
+  async up(client) {
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS difference_hash VARCHAR(16)');
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS color_histogram REAL[]');
+
+    // Images still waiting for any part of their signature
+    await client.query('DROP INDEX IF EXISTS idx_images_missing_perceptual_hash');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_images_missing_signature ON images(id)
+      WHERE perceptual_hash IS NULL OR difference_hash IS NULL OR color_histogram IS NULL
+    `);
+  }
+};
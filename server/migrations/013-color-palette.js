@@ -0,0 +1,16 @@
+// Dominant colours of each image for search by colour. Stored as JSONB rather than a child table:
+// the palette is always read and written whole, and colour search only scans it inside EXISTS.
+// Each entry is { hex, r, g, b, weight } with weight the share of the image in that colour.
+module.exports = {
+  description: 'Add images.color_palette',
+
+  async up(client) {
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS color_palette JSONB');
+
+    // Images still waiting for the palette backfill
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_images_missing_color_palette ON images(id)
+      WHERE color_palette IS NULL
+    `);
+  }
+};
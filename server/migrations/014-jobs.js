@@ -0,0 +1,55 @@
+// Persistent background jobs (BatchProcessingService). A job's work is listed up front as
+// job_items, and each item's outcome is recorded as it finishes, so a job interrupted by a
+// restart picks up at the first pending item instead of starting over.
+module.exports = {
+  description: 'Create jobs and job_items',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+        payload JSONB NOT NULL DEFAULT '{}',
+        total INTEGER,
+        completed INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        skipped INTEGER NOT NULL DEFAULT 0,
+        current_item TEXT,
+        result JSONB,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        route VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // total stays NULL until the job's items have been listed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS job_items (
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        item JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'succeeded', 'failed', 'skipped')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        result JSONB,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (job_id, position)
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_jobs_runnable ON jobs(run_after, id) WHERE status = 'queued'`);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_jobs_created ON jobs(created_at DESC)');
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_job_items_pending ON job_items(job_id, position) WHERE status = 'pending'`);
+  }
+};
@@ -0,0 +1,80 @@
+// Folder-routing rules (FolderPathService): an image goes to the folder of the first enabled rule,
+// in position order, whose tag conditions it meets. Seeded with the structure that used to be
+// hard-coded - Archier projects, Texture by material and Precedent by category.
+const ARCHIER_PROJECTS = [
+  // Legacy city names
+  'yandoit', 'ballarat', 'melbourne', 'brunswick', 'geelong',
+  'sydney', 'adelaide', 'perth', 'canberra', 'hobart',
+  'bendigo', 'shepparton', 'warrnambool', 'mildura',
+  // Current Archier projects
+  'taroona house', 'taroona',
+  'the boulevard', 'boulevard',
+  'five yards house', 'five yards',
+  'hampden road house', 'hampden road',
+  'davison street', 'davison st',
+  'yandoit house',
+  'oakover preston',
+  'corner house',
+  'parks victoria',
+  'caroma',
+  'off grid house', 'off grid',
+  'farm house',
+  'view house',
+  'court house',
+  'casa acton',
+  'harry house',
+  'willisdene house',
+  'julius street',
+  'yagiz',
+  'creative spaces'
+];
+
+const MATERIALS = ['brick', 'carpet', 'concrete', 'fabric', 'landscape', 'metal', 'stone', 'tile', 'wood'];
+
+const PRECEDENT_CATEGORIES = [
+  'art', 'bathrooms', 'details', 'doors', 'exterior', 'exteriors', 'furniture', 'interiors',
+  'joinery', 'kitchens', 'landscape', 'lighting', 'spatial', 'stairs', 'structure'
+];
+
+const SEED_RULES = [
+  { name: 'Archier project (final)', all: ['archier'], any: ['final', 'complete'], categories: ARCHIER_PROJECTS, folder: 'Archier/{category}/Final' },
+  { name: 'Archier project (WIP)', all: ['archier'], any: ['wip'], categories: ARCHIER_PROJECTS, folder: 'Archier/{category}/WIP' },
+  { name: 'Archier project', all: ['archier'], categories: ARCHIER_PROJECTS, folder: 'Archier/{category}' },
+  { name: 'Archier', all: ['archier'], folder: 'Archier' },
+  { name: 'Texture by material', categories: MATERIALS, folder: 'Texture/{category}' },
+  { name: 'Texture', all: ['texture'], folder: 'Texture/General' },
+  { name: 'Precedent by category', categories: PRECEDENT_CATEGORIES, folder: 'Precedent/{category}' },
+  { name: 'Everything else', folder: 'Precedent/General' }
+];
+
+module.exports = {
+  description: 'Create folder_rules with the default folder structure',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS folder_rules (
+        id SERIAL PRIMARY KEY,
+        position INTEGER NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        match_all TEXT[] NOT NULL DEFAULT '{}',
+        match_any TEXT[] NOT NULL DEFAULT '{}',
+        match_none TEXT[] NOT NULL DEFAULT '{}',
+        categories TEXT[] NOT NULL DEFAULT '{}',
+        folder_template VARCHAR(500) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const { rows } = await client.query('SELECT COUNT(*)::int AS count FROM folder_rules');
+    if (rows[0].count > 0) return;
+
+    for (const [position, rule] of SEED_RULES.entries()) {
+      await client.query(`
+        INSERT INTO folder_rules (position, name, match_all, match_any, match_none, categories, folder_template)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [position, rule.name, rule.all || [], rule.any || [], rule.none || [], rule.categories || [], rule.folder]);
+    }
+  }
+};
@@ -0,0 +1,41 @@
+// Filename templates (FilenameGeneratorService): the active one names uploaded, saved and
+// re-tagged images. Seeded with the tag-based scheme that used to be fixed, AA-0001-type-category.
+// Images now keep their sequence number in a column, since a template can put it anywhere in
+// the name - backfilled from names that start with it (AA-0042-... or legacy 00042-...).
+module.exports = {
+  description: 'Create filename_templates and store image sequence numbers',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS filename_templates (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        template VARCHAR(255) NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT FALSE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_filename_templates_active ON filename_templates(is_active) WHERE is_active');
+
+    const { rows } = await client.query('SELECT COUNT(*)::int AS count FROM filename_templates');
+    if (rows[0].count === 0) {
+      await client.query(`
+        INSERT INTO filename_templates (name, template, is_active)
+        VALUES ('Sequence, type and category', '{seq}-{type}-{category}', TRUE)
+      `);
+    }
+
+    await client.query('ALTER TABLE images ADD COLUMN IF NOT EXISTS sequence_number INTEGER');
+    // AB-0001 is number 10000 - each letter pair covers 9999 (FolderPathService.formatSequence)
+    await client.query(`
+      UPDATE images
+      SET sequence_number = CASE
+        WHEN filename ~ '^A[A-Z]-\\d{4}-' THEN (ASCII(SUBSTRING(filename, 2, 1)) - 65) * 9999 + SUBSTRING(filename, 4, 4)::integer
+        ELSE (regexp_match(filename, '^(\\d{4,5})-'))[1]::integer
+      END
+      WHERE sequence_number IS NULL AND (filename ~ '^A[A-Z]-\\d{4}-' OR filename ~ '^\\d{4,5}-')
+    `);
+  }
+};
@@ -0,0 +1,58 @@
+// Tag hierarchy: a tag can sit under a parent and has a type, so the taxonomy that used to be
+// hard-coded (FolderPathService lists, ImageEditor helpers) lives in the tags table. Searching for
+// a parent also matches its descendants. Existing material, precedent and project tags are
+// grouped under new 'materials', 'precedent categories' and 'projects' parents.
+const TAG_TYPES = ['category', 'material', 'project', 'style', 'free'];
+
+const MATERIALS = ['brick', 'carpet', 'concrete', 'fabric', 'landscape', 'metal', 'stone', 'tile', 'wood'];
+
+const PRECEDENT_CATEGORIES = [
+  'art', 'bathrooms', 'details', 'doors', 'exterior', 'exteriors', 'furniture', 'interiors',
+  'joinery', 'kitchens', 'landscape', 'lighting', 'spatial', 'stairs', 'structure'
+];
+
+const PROJECTS = [
+  'taroona house', 'taroona', 'the boulevard', 'boulevard', 'five yards house', 'five yards',
+  'hampden road house', 'hampden road', 'davison street', 'davison st', 'yandoit house', 'yandoit',
+  'oakover preston', 'corner house', 'parks victoria', 'caroma', 'off grid house', 'off grid',
+  'farm house', 'view house', 'court house', 'casa acton', 'harry house', 'willisdene house',
+  'julius street', 'yagiz', 'creative spaces', 'de witt st', 'couvreur'
+];
+
+const SEED_GROUPS = [
+  { parent: 'materials', type: 'material', children: MATERIALS },
+  { parent: 'precedent categories', type: 'category', children: PRECEDENT_CATEGORIES },
+  { parent: 'projects', type: 'project', children: PROJECTS }
+];
+
+module.exports = {
+  description: 'Add parent and type to tags and group existing taxonomy tags',
+
+  async up(client) {
+    await client.query('ALTER TABLE tags ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES tags(id) ON DELETE SET NULL');
+    await client.query(`ALTER TABLE tags ADD COLUMN IF NOT EXISTS tag_type VARCHAR(20) NOT NULL DEFAULT 'free'`);
+    await client.query('ALTER TABLE tags DROP CONSTRAINT IF EXISTS tags_tag_type_check');
+    await client.query(`ALTER TABLE tags ADD CONSTRAINT tags_tag_type_check CHECK (tag_type IN (${TAG_TYPES.map(type => `'${type}'`).join(', ')}))`);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tags_parent_id ON tags(parent_id)');
+
+    for (const group of SEED_GROUPS) {
+      // Only group tags that are already in use - an empty parent would just be noise
+      const { rows: children } = await client.query(
+        'SELECT id FROM tags WHERE name = ANY($1) AND parent_id IS NULL AND tag_type = $2',
+        [group.children, 'free']
+      );
+      if (children.length === 0) continue;
+
+      const { rows: [parent] } = await client.query(`
+        INSERT INTO tags (name, tag_type) VALUES ($1, 'category')
+        ON CONFLICT (name) DO UPDATE SET tag_type = 'category'
+        RETURNING id
+      `, [group.parent]);
+
+      await client.query(
+        'UPDATE tags SET parent_id = $1, tag_type = $2 WHERE id = ANY($3) AND id <> $1',
+        [parent.id, group.type, children.map(child => child.id)]
+      );
+    }
+  }
+};
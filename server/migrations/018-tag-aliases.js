@@ -0,0 +1,19 @@
+// Tag aliases: variants people type ("exterior", "timber") mapped to the canonical tag they mean
+// ("exteriors", "wood"). Resolved whenever tags are written, so the variant never becomes a tag
+// of its own, and searching for an alias finds the canonical tag's images.
+module.exports = {
+  description: 'Create tag_aliases',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tag_aliases (
+        id SERIAL PRIMARY KEY,
+        alias VARCHAR(255) UNIQUE NOT NULL,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tag_aliases_tag_id ON tag_aliases(tag_id)');
+  }
+};
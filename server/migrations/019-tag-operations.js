@@ -0,0 +1,24 @@
+// Undo for tag merges and renames (TagHistoryService): each one stores what it changed - the
+// tags involved, the affected image ids and their file paths at the time - so it can be put back
+// within TAG_UNDO_RETENTION_DAYS. Rows past that window are deleted.
+module.exports = {
+  description: 'Create tag_operations for undoing tag merges and renames',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tag_operations (
+        id SERIAL PRIMARY KEY,
+        operation VARCHAR(20) NOT NULL CHECK (operation IN ('merge', 'rename')),
+        tag_id INTEGER,
+        summary VARCHAR(500) NOT NULL,
+        snapshot JSONB NOT NULL,
+        image_ids INTEGER[] NOT NULL DEFAULT '{}',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        undone_at TIMESTAMP,
+        undone_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tag_operations_created_at ON tag_operations(created_at DESC)');
+  }
+};
@@ -0,0 +1,50 @@
+// Auto-tagging rules (AutoTagService): tags added or removed on upload, extension saves and the
+// auto_tagging job, for images meeting a rule's conditions. Seeded - disabled, so nothing changes
+// until an admin turns them on - with the source and size heuristics that used to be hard-coded
+// in tag suggestions and auto tags.
+const SEED_RULES = [
+  { name: 'ArchDaily', domains: ['archdaily.com'], add: ['architecture'] },
+  { name: 'Architizer', domains: ['architizer.com'], add: ['architecture'] },
+  { name: 'Dezeen', domains: ['dezeen.com'], add: ['design'] },
+  { name: 'Pinterest', domains: ['pinterest.com', 'pinimg.com'], add: ['precedents'] },
+  { name: 'Wide images', minAspectRatio: 1.5, add: ['wide'] }
+];
+
+module.exports = {
+  description: 'Create auto_tag_rules with the former source and size heuristics',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auto_tag_rules (
+        id SERIAL PRIMARY KEY,
+        position INTEGER NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        source_domains TEXT[] NOT NULL DEFAULT '{}',
+        filename_pattern VARCHAR(255),
+        min_width INTEGER,
+        min_height INTEGER,
+        min_aspect_ratio REAL,
+        max_aspect_ratio REAL,
+        match_all TEXT[] NOT NULL DEFAULT '{}',
+        match_any TEXT[] NOT NULL DEFAULT '{}',
+        match_none TEXT[] NOT NULL DEFAULT '{}',
+        project_ids TEXT[] NOT NULL DEFAULT '{}',
+        add_tags TEXT[] NOT NULL DEFAULT '{}',
+        remove_tags TEXT[] NOT NULL DEFAULT '{}',
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const { rows } = await client.query('SELECT COUNT(*)::int AS count FROM auto_tag_rules');
+    if (rows[0].count > 0) return;
+
+    for (const [position, rule] of SEED_RULES.entries()) {
+      await client.query(`
+        INSERT INTO auto_tag_rules (position, name, source_domains, min_aspect_ratio, add_tags, enabled)
+        VALUES ($1, $2, $3, $4, $5, FALSE)
+      `, [position, rule.name, rule.domains || [], rule.minAspectRatio || null, rule.add]);
+    }
+  }
+};
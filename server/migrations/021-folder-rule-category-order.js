@@ -0,0 +1,15 @@
+// Folder rules choose {category} either by the order of their category list ('list' - Archier
+// projects, so 'taroona house' wins over 'taroona') or by the order of the image's tags ('tags').
+// The hard-coded structure 015 replaced filed Texture and Precedent images by their first
+// material or category tag, so the seeded rules for those go back to tag order.
+module.exports = {
+  description: 'Add category_order to folder_rules, tag order for the seeded Texture and Precedent rules',
+
+  async up(client) {
+    await client.query("ALTER TABLE folder_rules ADD COLUMN IF NOT EXISTS category_order VARCHAR(10) NOT NULL DEFAULT 'list'");
+    await client.query(`
+      UPDATE folder_rules SET category_order = 'tags'
+      WHERE (name, folder_template) IN (('Texture by material', 'Texture/{category}'), ('Precedent by category', 'Precedent/{category}'))
+    `);
+  }
+};
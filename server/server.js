@@ -9,11 +9,23 @@ const archiver = require('archiver');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const dropboxService = require('./services/dropboxService');
+const storageService = require('./services/storageService');
 const metadataService = require('./services/metadataService');
+const filenameGeneratorService = require('./services/filenameGeneratorService');
 const PostgresService = require('./services/postgresService');
 const FolderPathService = require('./services/folderPathService');
+const AutoTagService = require('./services/autoTagService');
 const TagSuggestionService = require('./services/tagSuggestionService');
 const DuplicateDetectionService = require('./services/duplicateDetectionService');
+const DropboxSyncService = require('./services/dropboxSyncService');
+const AuthService = require('./services/authService');
+const AuditService = require('./services/auditService');
+const TrashService = require('./services/trashService');
+const TagHistoryService = require('./services/tagHistoryService');
+const ColorPaletteService = require('./services/colorPaletteService');
+const BatchProcessingService = require('./services/batchProcessingService');
+const MaintenanceService = require('./services/maintenanceService');
+const { createAuthMiddleware } = require('./middleware/auth');
 const { generateFileHash } = require('./utils/fileHash');
 
 // Initialize services
@@ -21,8 +33,18 @@ const databaseService = new PostgresService();
 
 // Initialize services
 const folderPathService = new FolderPathService();
-const tagSuggestionService = new TagSuggestionService(databaseService);
-const duplicateDetectionService = new DuplicateDetectionService(databaseService, dropboxService);
+const autoTagService = new AutoTagService();
+const tagSuggestionService = new TagSuggestionService(databaseService, autoTagService);
+const trashService = new TrashService(databaseService, storageService, () => serverSettings.dropboxFolder || process.env.DROPBOX_FOLDER || '/ARCHIER Team Folder/Support/Production/SnapTag');
+const duplicateDetectionService = new DuplicateDetectionService(databaseService, storageService, trashService);
+const colorPaletteService = new ColorPaletteService(databaseService, storageService);
+const dropboxSyncService = new DropboxSyncService(databaseService, storageService, metadataService);
+const tagHistoryService = new TagHistoryService(databaseService, storageService, metadataService);
+const authService = new AuthService(databaseService);
+const auditService = new AuditService(databaseService);
+const batchProcessingService = new BatchProcessingService(databaseService);
+const maintenanceService = new MaintenanceService(databaseService, batchProcessingService, auditService, authService);
+const auth = createAuthMiddleware(authService);
 
 // Debug: Log deployment info
 console.log('🚀 Server starting with PostgresService');
@@ -68,8 +90,8 @@ const limiter = rateLimit({
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
   skip: (req) => {
-    // Skip rate limiting for health checks and static assets
-    return req.path === '/api/health' || req.path.startsWith('/static/');
+    // Skip rate limiting for health checks, static assets and locally stored image files
+    return req.path === '/api/health' || req.path.startsWith('/static/') || req.path === '/api/storage/local';
   }
 });
 app.use(limiter);
@@ -78,6 +100,28 @@ app.use(limiter);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Every API route requires a signed-in user with a sufficient role (see middleware/auth.js)
+app.use('/api', auth.authenticate, auth.authorize);
+
+// Debug and diagnostic routes expose configuration and internals - development only
+const DEBUG_ROUTES = [
+  '/api/debug',
+  '/api/admin/test-local-metadata',
+  '/api/admin/test-exiftool-cli',
+  '/api/admin/test-exiftool',
+  '/api/admin/test-single-metadata',
+  '/api/admin/test-metadata'
+];
+
+if (process.env.NODE_ENV === 'production') {
+  app.use(DEBUG_ROUTES, (req, res) => {
+    res.status(404).json({ error: 'Debug routes are disabled in production' });
+  });
+}
+
+// Maintenance routes change data in bulk - record each run in the audit log
+app.use(['/api/admin', '/api/organize', '/api/sync', '/api/maintenance'], auditService.maintenanceRouteLogger());
+
 // Multer setup for file uploads
 const upload = multer({
   dest: 'temp/',
@@ -107,8 +151,411 @@ const upload = multer({
 // Routes
 
 // Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+app.get('/api/health', async (req, res) => {
+  let migrations;
+  try {
+    migrations = await databaseService.getMigrationStatus();
+  } catch (error) {
+    migrations = { error: error.message };
+  }
+
+  res.json({ status: 'OK', timestamp: new Date().toISOString(), storage: storageService.name, migrations });
+});
+
+// Sign in with email + password; the session token is kept in an httpOnly cookie
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const session = await authService.login(email, password);
+    if (!session) {
+      console.log(`⚠️ Failed login attempt for ${email}`);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    auth.setSessionCookie(res, session.token, session.expiresAt);
+    res.json({ success: true, user: session.user });
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({ error: 'Login failed: ' + error.message });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await authService.logout(auth.getSessionToken(req));
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({ error: 'Logout failed: ' + error.message });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Personal API tokens (Chrome extension, scripts). Managing tokens and accounts needs a
+// browser session - a token can't be used to mint more tokens or change users.
+app.use(['/api/tokens', '/api/users'], auth.requireSession);
+
+app.get('/api/tokens', async (req, res) => {
+  try {
+    const tokens = await databaseService.getApiTokensForUser(req.user.id);
+    res.json({ tokens });
+  } catch (error) {
+    console.error('❌ Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens: ' + error.message });
+  }
+});
+
+app.post('/api/tokens', async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Token name is required' });
+    }
+
+    const { token, apiToken } = await authService.createApiToken(req.user.id, name);
+    res.json({ success: true, token, apiToken });
+  } catch (error) {
+    console.error('❌ Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token: ' + error.message });
+  }
+});
+
+app.delete('/api/tokens/:id', async (req, res) => {
+  try {
+    const revoked = await databaseService.revokeApiToken(parseInt(req.params.id, 10), req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API token not found or already revoked' });
+    }
+
+    console.log(`🔒 API token ${req.params.id} revoked by ${req.user.email}`);
+    res.json({ success: true, message: 'API token revoked' });
+  } catch (error) {
+    console.error('❌ Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token: ' + error.message });
+  }
+});
+
+// User management (admin only - the /api/users prefix in middleware/auth.js, and checked again here)
+const requireAdmin = auth.requireRole('admin');
+
+app.get('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const users = await databaseService.getAllUsers();
+    res.json({ users, roles: AuthService.ROLES });
+  } catch (error) {
+    console.error('❌ Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users: ' + error.message });
+  }
+});
+
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+
+    if (await databaseService.getUserByEmail(email || '')) {
+      return res.status(409).json({ error: `A user with email ${email} already exists` });
+    }
+
+    const user = await authService.createUser({ email, name, password, role });
+    console.log(`✅ User created: ${user.email} (${user.role}) by ${req.user.email}`);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('❌ Error creating user:', error);
+    res.status(400).json({ error: 'Failed to create user: ' + error.message });
+  }
+});
+
+app.put('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    const { name, role, password } = req.body;
+
+    const existing = await databaseService.getUserById(userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Never leave the system without an admin
+    if (existing.role === 'admin' && role && role !== 'admin' && await databaseService.countAdmins() <= 1) {
+      return res.status(409).json({ error: 'Cannot remove the admin role from the last admin' });
+    }
+
+    const user = await authService.updateUser(userId, { name, role, password });
+    console.log(`✅ User updated: ${user.email} (${user.role}) by ${req.user.email}`);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('❌ Error updating user:', error);
+    res.status(400).json({ error: 'Failed to update user: ' + error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+
+    if (userId === req.user.id) {
+      return res.status(409).json({ error: 'You cannot delete your own account' });
+    }
+
+    const existing = await databaseService.getUserById(userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await databaseService.deleteUser(userId);
+    console.log(`🗑️ User deleted: ${existing.email} by ${req.user.email}`);
+    res.json({ success: true, message: `Deleted ${existing.email}` });
+  } catch (error) {
+    console.error('❌ Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user: ' + error.message });
+  }
+});
+
+// Audit feed (admin only - enforced by the /api/audit prefix in middleware/auth.js)
+app.get('/api/audit', async (req, res) => {
+  try {
+    const { userId, action, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { entries, total } = await auditService.getFeed({
+      userId: userId ? parseInt(userId, 10) : null,
+      action,
+      from,
+      to,
+      limit,
+      offset
+    });
+    const actions = await databaseService.getAuditActions();
+    const users = await databaseService.getAllUsers();
+
+    res.json({
+      entries,
+      total,
+      actions,
+      users: users.map(user => ({ id: user.id, email: user.email, name: user.name }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log: ' + error.message });
+  }
+});
+
+// Background jobs (services/batchProcessingService.js)
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const jobs = await batchProcessingService.getAllJobs({ status, type, limit });
+    res.json({ jobs });
+  } catch (error) {
+    console.error('❌ Error listing jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs: ' + error.message });
+  }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await batchProcessingService.getJobStatus(parseInt(req.params.id, 10));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('❌ Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job: ' + error.message });
+  }
+});
+
+// Live progress of a job as Server-Sent Events: a "progress" event with the job (as GET /api/jobs/:id
+// returns it) straight away and whenever it moves on, then "done" once it has finished
+const JOB_EVENTS_HEARTBEAT_MS = 15000;
+
+app.get('/api/jobs/:id/events', async (req, res) => {
+  const jobId = parseInt(req.params.id, 10);
+  let heartbeat = null;
+  let onProgress = null;
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    if (onProgress) batchProcessingService.off('progress', onProgress);
+  };
+
+  try {
+    const send = (event, job) => res.write(`event: ${event}\ndata: ${JSON.stringify(job)}\n\n`);
+    const sendAndMaybeEnd = (job) => {
+      send('progress', job);
+      if (batchProcessingService.isFinished(job)) {
+        send('done', job);
+        stop();
+        res.end();
+      }
+    };
+
+    // Subscribe before the first read so a job finishing in between still ends the stream
+    let pending = null;
+    onProgress = (job) => {
+      if (job.id !== jobId || res.writableEnded) return;
+      if (res.headersSent) {
+        sendAndMaybeEnd(job);
+      } else {
+        pending = job;
+      }
+    };
+    batchProcessingService.on('progress', onProgress);
+
+    const job = await batchProcessingService.getJobStatus(jobId);
+    if (!job) {
+      stop();
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Comments keep proxies from closing an idle stream while a slow item runs
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), JOB_EVENTS_HEARTBEAT_MS);
+    req.on('close', stop);
+
+    sendAndMaybeEnd(job);
+    if (pending && !res.writableEnded) sendAndMaybeEnd(pending);
+  } catch (error) {
+    stop();
+    console.error('❌ Error streaming job progress:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: 'Failed to stream job progress: ' + error.message });
+    }
+  }
+});
+
+// The ZIP built by a finished zip_export job (POST /api/images/download-bulk)
+app.get('/api/jobs/:id/download', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id, 10);
+    const job = await databaseService.getJob(jobId);
+    if (!job || job.type !== 'zip_export') {
+      return res.status(404).json({ error: 'ZIP export not found' });
+    }
+    if (job.status !== 'succeeded') {
+      return res.status(409).json({ error: `ZIP export is ${job.status}` });
+    }
+
+    const zipPath = zipExportPath(jobId);
+    try {
+      await fs.access(zipPath);
+    } catch (missingError) {
+      return res.status(410).json({ error: `ZIP export has expired (kept for ${EXPORT_RETENTION_HOURS} hours)` });
+    }
+
+    res.download(path.resolve(zipPath), job.result.filename);
+  } catch (error) {
+    console.error('❌ Error downloading ZIP export:', error);
+    res.status(500).json({ error: 'Failed to download ZIP export: ' + error.message });
+  }
+});
+
+// Editors can cancel or retry their own jobs, admins anyone's
+const canManageJob = (req, job) => job.created_by === req.user.id || authService.hasRole(req.user, 'admin');
+
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id, 10);
+    const job = await databaseService.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!canManageJob(req, job)) {
+      return res.status(403).json({ error: 'Only the user who started this job or an admin can cancel it' });
+    }
+
+    const cancelled = await batchProcessingService.cancelJob(jobId);
+    if (!cancelled) {
+      return res.status(409).json({ error: `Job has already ${job.status}` });
+    }
+
+    console.log(`⏹️ Cancel requested for job ${jobId} by ${req.user.email}`);
+    res.json({
+      success: true,
+      message: cancelled.status === 'cancelled' ? 'Job cancelled' : 'Job will stop after the current item',
+      job: cancelled
+    });
+  } catch (error) {
+    console.error('❌ Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job: ' + error.message });
+  }
+});
+
+app.post('/api/jobs/:id/retry', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id, 10);
+    const job = await databaseService.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!canManageJob(req, job)) {
+      return res.status(403).json({ error: 'Only the user who started this job or an admin can retry it' });
+    }
+
+    const requeued = await batchProcessingService.retryJob(jobId);
+    if (!requeued) {
+      return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (this one is ${job.status})` });
+    }
+
+    console.log(`🔁 Job ${jobId} queued again by ${req.user.email}`);
+    res.json({ success: true, message: 'Job queued again - finished items will not be repeated' });
+  } catch (error) {
+    console.error('❌ Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job: ' + error.message });
+  }
+});
+
+// Serve files from local disk storage via signed, expiring links (see localStorageService.getTemporaryLink)
+app.get('/api/storage/local', async (req, res) => {
+  try {
+    if (storageService.name !== 'local') {
+      return res.status(404).json({ error: 'Local storage is not enabled' });
+    }
+
+    const { path: storagePath, expires, signature } = req.query;
+    if (!storageService.verifySignature(storagePath, expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired link' });
+    }
+
+    const absolutePath = storageService.resolvePath(storagePath);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.sendFile(absolutePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.statusCode === 404 || error.code === 'ENOENT' ? 404 : 500).json({ error: 'File not found' });
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error serving local storage file:', error);
+    res.status(500).json({ error: 'Failed to serve file: ' + error.message });
+  }
 });
 
 // Placeholder image endpoint
@@ -225,7 +672,7 @@ app.get('/api/debug/untagged-test', async (req, res) => {
       SELECT i.* 
       FROM images i
       LEFT JOIN image_tags it ON i.id = it.image_id
-      WHERE it.image_id IS NULL
+      WHERE it.image_id IS NULL AND i.deleted_at IS NULL
       ORDER BY i.created_at DESC
     `);
     console.log(`📊 Untagged query works: ${untaggedImages.length} untagged images`);
@@ -342,163 +789,78 @@ app.get('/api/debug/tags', async (req, res) => {
   }
 });
 
-// Process metadata for a batch of specific images
-app.post('/api/admin/fix-metadata-batch', async (req, res) => {
-  try {
-    const { imageIds } = req.body;
-    
-    if (!imageIds || !Array.isArray(imageIds)) {
-      return res.status(400).json({ error: 'imageIds array required' });
-    }
-    
-    console.log(`🔧 Processing metadata for batch of ${imageIds.length} images...`);
-    
-    let successCount = 0;
-    let errorCount = 0;
-    const errors = [];
-    const results = [];
-    
+// Re-embed metadata for a batch of specific images
+maintenanceService.register('fix-metadata-batch', {
+  description: 'Re-embed tags in the files of specific images',
+  params: {
+    imageIds: { type: 'integer[]', required: true, description: 'Ids of the images, comma separated' }
+  },
+  async plan({ imageIds }) {
+    const actions = [];
+    let notFound = 0;
+
     for (const imageId of imageIds) {
-      try {
-        // Get image from database
-        const image = await databaseService.getImageById(imageId);
-        if (!image) {
-          errors.push(`Image ${imageId}: not found`);
-          errorCount++;
-          continue;
-        }
-        
-        console.log(`📝 Processing metadata for ${image.filename}...`);
-        
-        // Update metadata
-        await metadataService.updateImageMetadata(image.dropbox_path, {
-          tags: image.tags,
-          focusedTags: image.focused_tags || [],
-          title: image.title || image.filename,
-          description: image.description || `Tagged with: ${image.tags?.join(', ') || 'no tags'}`
-        });
-        
-        results.push({
-          id: image.id,
-          filename: image.filename,
-          tags: image.tags,
-          status: 'success'
-        });
-        
-        successCount++;
-        console.log(`✅ Completed metadata for ${image.filename}`);
-        
-        // Small delay to prevent overwhelming the system
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-      } catch (error) {
-        console.error(`❌ Failed to process metadata for image ${imageId}:`, error.message);
-        errors.push(`Image ${imageId}: ${error.message}`);
-        errorCount++;
+      // Get image from database
+      const image = await databaseService.getImageById(imageId);
+      if (image) {
+        actions.push(planMetadataWrite(image));
+      } else {
+        notFound++;
       }
     }
-    
-    const message = `Metadata batch completed: ${successCount} successful, ${errorCount} errors`;
-    console.log(message);
-    
-    res.json({
-      success: true,
-      message,
-      stats: {
-        total: imageIds.length,
-        successful: successCount,
-        errors: errorCount,
-        errorDetails: errors,
-        results: results
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Fix metadata batch error:', error);
-    res.status(500).json({ error: error.message });
-  }
+
+    return { actions, summary: { requested: imageIds.length, notFound } };
+  },
+  applyAction: applyMetadataWrite
 });
 
 // Fix missing yandoit and complete tags for Archier images based on folder structure
-app.post('/api/admin/fix-missing-archier-tags', async (req, res) => {
-  try {
-    console.log('🔧 Starting to fix missing tags for Archier images...');
-    
+maintenanceService.register('fix-missing-archier-tags', {
+  description: 'Tag Archier images in Yandoit and Final folders with yandoit and complete',
+  async plan() {
     // Get all images tagged with 'archier'
     const archierImages = await databaseService.searchImages('', ['archier']);
     console.log(`📊 Found ${archierImages.length} Archier images to check`);
-    
-    let updatedCount = 0;
-    let errorCount = 0;
-    const errors = [];
-    const updates = [];
-    
+
+    const actions = [];
     for (const image of archierImages) {
-      try {
-        console.log(`🔍 Checking ${image.filename}...`);
-        console.log(`📂 Folder path: ${image.dropbox_path}`);
-        
-        let currentTags = [...(image.tags || [])];
-        let needsUpdate = false;
-        const addedTags = [];
-        
-        // Check if image is in Yandoit folder and add yandoit tag
-        if (image.dropbox_path.includes('/Yandoit/') && !currentTags.includes('yandoit')) {
-          currentTags.push('yandoit');
-          addedTags.push('yandoit');
-          needsUpdate = true;
-          console.log(`  ✅ Adding 'yandoit' tag`);
-        }
-        
-        // Check if image is in Final folder and add complete tag
-        if (image.dropbox_path.includes('/Final/') && !currentTags.includes('complete')) {
-          currentTags.push('complete');
-          addedTags.push('complete');
-          needsUpdate = true;
-          console.log(`  ✅ Adding 'complete' tag`);
-        }
-        
-        if (needsUpdate) {
-          // Update tags in database
-          await databaseService.updateImageTags(image.id, currentTags, image.focused_tags || []);
-          
-          updates.push({
-            id: image.id,
-            filename: image.filename,
-            addedTags: addedTags,
-            newTags: currentTags
-          });
-          updatedCount++;
-          console.log(`✅ Updated ${image.filename} with tags: ${currentTags.join(', ')}`);
-        } else {
-          console.log(`  ⏭️ No updates needed for ${image.filename}`);
-        }
-        
-      } catch (error) {
-        console.error(`❌ Failed to update tags for ${image.filename}:`, error.message);
-        errors.push(`${image.filename}: ${error.message}`);
-        errorCount++;
+      const currentTags = [...(image.tags || [])].sort();
+      const addedTags = [];
+
+      // Images in a Yandoit folder need the yandoit tag, images in a Final folder the complete tag
+      if (image.dropbox_path.includes('/Yandoit/') && !currentTags.includes('yandoit')) {
+        addedTags.push('yandoit');
       }
-    }
-    
-    const message = `Missing tags fix completed: ${updatedCount} updated, ${errorCount} errors`;
-    console.log(message);
-    
-    res.json({
-      success: true,
-      message,
-      stats: {
-        total: archierImages.length,
-        updated: updatedCount,
-        errors: errorCount,
-        errorDetails: errors,
-        updates: updates
+      if (image.dropbox_path.includes('/Final/') && !currentTags.includes('complete')) {
+        addedTags.push('complete');
       }
-    });
-    
-  } catch (error) {
-    console.error('❌ Fix missing Archier tags error:', error);
-    res.status(500).json({ error: error.message });
+
+      if (addedTags.length > 0) {
+        actions.push({
+          type: 'db_update',
+          entityType: 'image',
+          entityId: image.id,
+          description: `${image.filename}: add ${addedTags.join(', ')}`,
+          before: { tags: currentTags },
+          after: { tags: [...currentTags, ...addedTags] }
+        });
+      }
+    }
+
+    return { actions, summary: { checked: archierImages.length } };
+  },
+  async applyAction(action) {
+    const image = await databaseService.getImageById(action.entityId);
+    if (!image) {
+      throw batchProcessingService.createPermanentError('Image no longer exists');
+    }
+    if (!sameTags(image.tags || [], action.before.tags)) {
+      throw batchProcessingService.createPermanentError('Image tags have changed since the plan was made');
+    }
+
+    await databaseService.updateImageTags(image.id, action.after.tags, image.focused_tags || []);
+    console.log(`✅ Updated ${image.filename} with tags: ${action.after.tags.join(', ')}`);
+    return { id: image.id, tags: action.after.tags };
   }
 });
 
@@ -528,7 +890,7 @@ app.post('/api/admin/test-local-metadata', async (req, res) => {
       
       // Download file
       console.log(`📥 Downloading ${image.filename}...`);
-      await dropboxService.downloadFile(image.dropbox_path, tempPath);
+      await storageService.downloadFile(image.dropbox_path, tempPath);
       
       // Check file was downloaded
       const stats = await fs.stat(tempPath);
@@ -707,7 +1069,7 @@ app.post('/api/admin/test-single-metadata', async (req, res) => {
       let verificationResult = {};
       
       try {
-        await dropboxService.downloadFile(image.dropbox_path, tempPath);
+        await storageService.downloadFile(image.dropbox_path, tempPath);
         const readMetadata = await metadataService.readMetadata(tempPath);
         verificationResult = {
           success: true,
@@ -775,7 +1137,7 @@ app.post('/api/admin/test-metadata', async (req, res) => {
         let currentMetadata = {};
         
         try {
-          await dropboxService.downloadFile(image.dropbox_path, tempPath);
+          await storageService.downloadFile(image.dropbox_path, tempPath);
           currentMetadata = await metadataService.readMetadata(tempPath);
           // Clean up temp file
           await require('fs').promises.unlink(tempPath);
@@ -861,62 +1223,16 @@ app.get('/api/debug/archier-tags', async (req, res) => {
 });
 
 // Fix metadata for existing Archier images
-app.post('/api/admin/fix-archier-metadata', async (req, res) => {
-  try {
-    console.log('🔧 Starting metadata fix for Archier images...');
-    
+maintenanceService.register('fix-archier-metadata', {
+  description: 'Re-embed tags in the files of every Archier image',
+  async plan() {
     // Get all images tagged with 'archier'
     const archierImages = await databaseService.searchImages('', ['archier']);
     console.log(`📊 Found ${archierImages.length} Archier images to update`);
-    
-    let successCount = 0;
-    let errorCount = 0;
-    const errors = [];
-    
-    for (const image of archierImages) {
-      try {
-        console.log(`📝 Updating metadata for ${image.filename}...`);
-        console.log(`🔍 Image tags:`, image.tags);
-        console.log(`🔍 Tag count:`, image.tags?.length || 0);
-        
-        await metadataService.updateImageMetadata(image.dropbox_path, {
-          tags: image.tags,
-          focusedTags: image.focused_tags || [],
-          title: image.title || image.filename,
-          description: image.description || `Tagged with: ${image.tags?.join(', ') || 'no tags'}`
-        });
-        
-        console.log(`✅ Updated metadata for ${image.filename} with tags: ${image.tags?.join(', ')}`);
-        successCount++;
-        
-        // Add small delay to avoid overwhelming Dropbox API
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (error) {
-        console.error(`❌ Failed to update metadata for ${image.filename}:`, error.message);
-        errors.push(`${image.filename}: ${error.message}`);
-        errorCount++;
-      }
-    }
-    
-    const message = `Metadata fix completed: ${successCount} updated, ${errorCount} errors`;
-    console.log(message);
-    
-    res.json({
-      success: true,
-      message,
-      stats: {
-        total: archierImages.length,
-        successful: successCount,
-        errors: errorCount,
-        errorDetails: errors
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Fix Archier metadata error:', error);
-    res.status(500).json({ error: error.message });
-  }
+
+    return { actions: archierImages.map(image => planMetadataWrite(image)) };
+  },
+  applyAction: applyMetadataWrite
 });
 
 // Debug endpoint to check specific images and their tags
@@ -979,7 +1295,7 @@ app.get('/api/debug/image/:id', async (req, res) => {
     console.log(`📂 Debug: Dropbox path - ${image.dropbox_path}`);
     
     try {
-      const url = await dropboxService.getTemporaryLink(image.dropbox_path);
+      const url = await storageService.getTemporaryLink(image.dropbox_path);
       console.log(`✅ Debug: URL generated successfully`);
       console.log(`🔗 Debug: URL length: ${url ? url.length : 'null'}`);
       console.log(`🔗 Debug: URL preview: ${url ? url.substring(0, 100) + '...' : 'null'}`);
@@ -1184,6 +1500,9 @@ app.get('/api/images', async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.code === 'INVALID_SEARCH_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching images:', error);
     res.status(500).json({ error: 'Failed to fetch images' });
   }
@@ -1199,7 +1518,7 @@ app.get('/api/images/untagged', async (req, res) => {
       SELECT i.* 
       FROM images i
       LEFT JOIN image_tags it ON i.id = it.image_id
-      WHERE it.image_id IS NULL
+      WHERE it.image_id IS NULL AND i.deleted_at IS NULL
       ORDER BY i.created_at DESC
     `);
     
@@ -1340,6 +1659,46 @@ app.get('/api/images/:id/url', async (req, res) => {
   }
 });
 
+// Timeline of every recorded change to an image (ImageEditor History panel)
+app.get('/api/images/:id/history', async (req, res) => {
+  try {
+    const history = await auditService.getImageHistory(req.params.id);
+    res.json({ history });
+  } catch (error) {
+    console.error('❌ Error fetching image history:', error);
+    res.status(500).json({ error: 'Failed to fetch image history: ' + error.message });
+  }
+});
+
+// "More like this": images ranked by visual similarity (hashes + colour histogram)
+app.get('/api/images/:id/similar', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 24, 100);
+    const matches = await duplicateDetectionService.findMoreLikeThis(parseInt(req.params.id, 10), limit);
+    if (!matches) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const similarity = new Map(matches.map(match => [match.id, match.similarity]));
+    const images = await databaseService.getImagesByIds(matches.map(match => match.id));
+
+    for (const image of images) {
+      image.similarity = Math.round(similarity.get(image.id) * 100);
+      try {
+        image.url = await getCachedDropboxUrl(image.dropbox_path, req);
+      } catch (error) {
+        console.error(`❌ Failed to get URL for ${image.filename}:`, error.message);
+        image.url = null;
+      }
+    }
+
+    res.json({ images });
+  } catch (error) {
+    console.error('❌ Error finding similar images:', error);
+    res.status(500).json({ error: 'Failed to find similar images: ' + error.message });
+  }
+});
+
 // Get specific image by ID with detailed error logging
 app.get('/api/images/:id', async (req, res) => {
   try {
@@ -1357,7 +1716,7 @@ app.get('/api/images/:id', async (req, res) => {
     // Generate temporary URL for this image
     try {
       console.log(`🔗 Generating URL for ${image.filename} at path: ${image.dropbox_path}`);
-    image.url = await dropboxService.getTemporaryLink(image.dropbox_path);
+    image.url = await storageService.getTemporaryLink(image.dropbox_path);
       console.log(`✅ Successfully generated URL for image ${id}`);
     
     res.json(image);
@@ -1384,6 +1743,25 @@ app.get('/api/images/:id', async (req, res) => {
   }
 });
 
+// Swap tag aliases (tag_aliases) for the tags they stand for, before anything is named, embedded
+// or saved - so "timber" is filed, named and keyworded as "wood"
+async function resolveTagAliases(tags = [], focusedTags = []) {
+  const canonicalNames = await databaseService.getCanonicalTagNames([
+    ...tags,
+    ...focusedTags.map(focusedTag => focusedTag.tag_name)
+  ]);
+  if (canonicalNames.size === 0) {
+    return { tags, focusedTags };
+  }
+
+  const resolve = (name) => canonicalNames.get(String(name).toLowerCase().trim()) || name;
+  console.log('🔀 Resolved tag aliases:', Object.fromEntries(canonicalNames));
+  return {
+    tags: [...new Set(tags.map(resolve))],
+    focusedTags: focusedTags.map(focusedTag => ({ ...focusedTag, tag_name: resolve(focusedTag.tag_name) }))
+  };
+}
+
 // Upload and tag image
 app.post('/api/images/upload', upload.single('image'), async (req, res) => {
   try {
@@ -1395,8 +1773,10 @@ app.post('/api/images/upload', upload.single('image'), async (req, res) => {
     const tempFilePath = req.file.path;
     
     // Parse tags
-    const parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags || [];
-    const parsedFocusedTags = typeof focusedTags === 'string' ? JSON.parse(focusedTags) : focusedTags || [];
+    const { tags: parsedTags, focusedTags: parsedFocusedTags } = await resolveTagAliases(
+      typeof tags === 'string' ? JSON.parse(tags) : tags || [],
+      typeof focusedTags === 'string' ? JSON.parse(focusedTags) : focusedTags || []
+    );
 
     // Process image and upload to Dropbox
     const result = await processAndUploadImage({
@@ -1404,7 +1784,16 @@ app.post('/api/images/upload', upload.single('image'), async (req, res) => {
       originalName: req.file.originalname,
       tags: parsedTags,
       name,
-      focusedTags: parsedFocusedTags
+      focusedTags: parsedFocusedTags,
+      createdBy: req.user.id
+    });
+
+    await auditService.record(req, {
+      action: 'image.create',
+      entityType: 'image',
+      entityId: result.id,
+      imageId: result.id,
+      after: auditService.imageSnapshot(result)
     });
 
     // Clean up temp file
@@ -1437,7 +1826,7 @@ async function getCachedDropboxUrl(dropboxPath, req, retryCount = 0) {
   }
   
   try {
-    const url = await dropboxService.getTemporaryLink(dropboxPath);
+    const url = await storageService.getTemporaryLink(dropboxPath);
     
     // Cache management - remove oldest entries if cache is full
     if (urlCache.size >= MAX_CACHE_SIZE) {
@@ -1467,6 +1856,54 @@ async function getCachedDropboxUrl(dropboxPath, req, retryCount = 0) {
   }
 }
 
+// Recognized Archier project names (comprehensive list)
+const ARCHIER_PROJECT_NAMES = [
+  'taroona house', 'taroona',
+  'corner house', 
+  'the boulevard', 'boulevard',
+  'five yards house', 'five yards',
+  'hampden road house', 'hampden road',
+  'davison street', 'davison st',
+  'court house',
+  'farm house',
+  'yandoit house',
+  'oakover preston',
+  'parks victoria',
+  'caroma',
+  'off grid house', 'off grid',
+  'view house',
+  'casa acton',
+  'harry house',
+  'willisdene house',
+  'julius street',
+  'yagiz',
+  'creative spaces',
+  'de witt st', 'couvreur',
+  'camberwell house', 'brighton house',
+  'malvern house', 'toorak house', 'south yarra house', 'prahran house',
+  'fitzroy house', 'collingwood house', 'carlton house', 'northcote house',
+  'richmond house', 'abbotsford house', 'kew house', 'hawthorn house',
+  'surrey hills house', 'albert park house', 'st kilda house', 'elwood house',
+  'caulfield house', 'glen iris house', 'armadale house', 'windsor house',
+  'chapel street house', 'high street house', 'burke road house',
+  'glenferrie road house', 'swan street house', 'smith street house'
+];
+
+// The recognized Archier project named in a set of tags: { name, displayName, id }, or null
+function findArchierProject(tags) {
+  const normalizedTags = tags.map(tag => tag.toLowerCase().trim());
+  const projectName = ARCHIER_PROJECT_NAMES.find(project => normalizedTags.includes(project));
+  if (!projectName) return null;
+
+  return {
+    name: projectName,
+    displayName: projectName.split(' ').map(word => 
+      word.charAt(0).toUpperCase() + word.slice(1)
+    ).join(' '),
+    id: projectName.replace(/\s+/g, '-')
+  };
+}
+
 // Auto-create Archier projects based on tags
 async function autoCreateArchierProjects(tags) {
   const normalizedTags = tags.map(tag => tag.toLowerCase().trim());
@@ -1478,60 +1915,15 @@ async function autoCreateArchierProjects(tags) {
   
   console.log('🏗️ Checking for Archier project auto-creation:', tags);
   
-  // List of recognized Archier project names (comprehensive list)
-  const archierProjects = [
-    'taroona house', 'taroona',
-    'corner house', 
-    'the boulevard', 'boulevard',
-    'five yards house', 'five yards',
-    'hampden road house', 'hampden road',
-    'davison street', 'davison st',
-    'court house',
-    'farm house',
-    'yandoit house',
-    'oakover preston',
-    'parks victoria',
-    'caroma',
-    'off grid house', 'off grid',
-    'view house',
-    'casa acton',
-    'harry house',
-    'willisdene house',
-    'julius street',
-    'yagiz',
-    'creative spaces',
-    'de witt st', 'couvreur',
-    'camberwell house', 'brighton house',
-    'malvern house', 'toorak house', 'south yarra house', 'prahran house',
-    'fitzroy house', 'collingwood house', 'carlton house', 'northcote house',
-    'richmond house', 'abbotsford house', 'kew house', 'hawthorn house',
-    'surrey hills house', 'albert park house', 'st kilda house', 'elwood house',
-    'caulfield house', 'glen iris house', 'armadale house', 'windsor house',
-    'chapel street house', 'high street house', 'burke road house',
-    'glenferrie road house', 'swan street house', 'smith street house'
-  ];
-  
   // Find matching project name in tags
-  let projectName = null;
-  for (const project of archierProjects) {
-    if (normalizedTags.includes(project)) {
-      projectName = project;
-      break;
-    }
-  }
-  
-  if (!projectName) {
+  const project = findArchierProject(tags);
+  if (!project) {
     console.log('⚠️ No recognized Archier project name found in tags:', tags);
     return;
   }
   
-  console.log(`🏗️ Found Archier project: "${projectName}"`);
-  
-  // Generate project data
-  const displayName = projectName.split(' ').map(word => 
-    word.charAt(0).toUpperCase() + word.slice(1)
-  ).join(' ');
-  const projectId = projectName.replace(/\s+/g, '-');
+  console.log(`🏗️ Found Archier project: "${project.name}"`);
+  const { displayName, id: projectId } = project;
   
   try {
     // Check if project already exists
@@ -1631,12 +2023,14 @@ async function processSaveRequest(req, res, requestId, startTime) {
         requestId 
       });
     }
-    const { imageUrl, tags, title, description, focusedTags, sourceUrl } = req.body;
+    const { imageUrl, title, description, sourceUrl } = req.body;
     
     if (!imageUrl) {
       return res.status(400).json({ error: 'Image URL is required' });
     }
 
+    const { tags, focusedTags } = await resolveTagAliases(req.body.tags || [], req.body.focusedTags || []);
+
     // Check for intelligent duplicate by URL + tags (allows re-save with different tags)
     console.log(`🔍 [${requestId}] Checking for duplicate by URL + tags:`, imageUrl, tags);
     const existingByUrl = await databaseService.checkDuplicateByUrlAndTags(imageUrl, tags);
@@ -1645,7 +2039,7 @@ async function processSaveRequest(req, res, requestId, startTime) {
       console.log(`♻️ [${requestId}] DUPLICATE DETECTED in database - skipping save:`, existingByUrl.filename);
       
       try {
-        const temporaryUrl = await dropboxService.getTemporaryLink(existingByUrl.dropbox_path);
+        const temporaryUrl = await storageService.getTemporaryLink(existingByUrl.dropbox_path);
         
       return res.json({
           success: true,
@@ -1667,22 +2061,31 @@ async function processSaveRequest(req, res, requestId, startTime) {
     console.log(`🔄 [${requestId}] Starting image save from URL:`, imageUrl);
     const result = await saveImageFromUrl({
       imageUrl,
-      tags: tags || [],
+      tags,
       title,
       description,
-      focusedTags: focusedTags || [],
+      focusedTags,
       sourceUrl,
-      requestId
+      requestId,
+      createdBy: req.user.id
     });
 
     // AUTO-CREATE ARCHIER PROJECTS: Check if we need to create projects after successful save
     try {
-      await autoCreateArchierProjects(tags || []);
+      await autoCreateArchierProjects(tags);
     } catch (projectError) {
       console.error(`⚠️ [${requestId}] Auto-project creation failed:`, projectError.message);
       // Don't fail the entire operation for project creation issues
     }
 
+    await auditService.record(req, {
+      action: 'image.create',
+      entityType: 'image',
+      entityId: result.id,
+      imageId: result.id,
+      after: { ...auditService.imageSnapshot(result), source_url: sourceUrl || imageUrl }
+    });
+
     const duration = Date.now() - startTime;
     console.log(`✅ [${requestId}] Image saved successfully in ${duration}ms:`, result.filename);
     res.json({
@@ -1701,11 +2104,17 @@ app.put('/api/images/:id/tags', async (req, res) => {
   try {
     console.log('🔧 DEBUG: Tag update endpoint called');
     const { id } = req.params;
-    const { tags, focusedTags, title, name, description, projectAssignments } = req.body;
+    const { title, name, description, projectAssignments } = req.body;
+    const { tags, focusedTags } = await resolveTagAliases(req.body.tags || [], req.body.focusedTags || []);
 
     console.log(`🏷️ Updating tags for image ${id}:`, { tags, focusedTags, projectAssignments });
     console.log('🔧 DEBUG: About to update database tags');
 
+    const imageBefore = await databaseService.getImageById(id);
+    if (imageBefore && imageBefore.deleted_at) {
+      return res.status(409).json({ error: 'Image is in the trash - restore it before editing' });
+    }
+
     // Update database first (tags, metadata, and project assignments)
     await databaseService.updateImageTags(id, tags, focusedTags, projectAssignments);
     
@@ -1747,6 +2156,15 @@ app.put('/api/images/:id/tags', async (req, res) => {
       console.log('🔧 DEBUG: No image found, skipping metadata embedding');
     }
 
+    await auditService.record(req, {
+      action: 'image.tags_update',
+      entityType: 'image',
+      entityId: id,
+      imageId: parseInt(id, 10),
+      before: auditService.imageSnapshot(imageBefore),
+      after: auditService.imageSnapshot(image)
+    });
+
     res.json({ success: true });
   } catch (error) {
     console.error('❌ Error updating tags:', error);
@@ -1754,7 +2172,40 @@ app.put('/api/images/:id/tags', async (req, res) => {
   }
 });
 
-// Delete image
+// Assign a project (and optional room/stage) to many images, keeping their existing assignments
+app.post('/api/images/bulk-project-assignment', async (req, res) => {
+  try {
+    const { imageIds, projectId, roomId, stageId } = req.body;
+
+    if (!Array.isArray(imageIds) || imageIds.length === 0) {
+      return res.status(400).json({ error: 'Image IDs array is required' });
+    }
+    if (!projectId) {
+      return res.status(400).json({ error: 'Project is required' });
+    }
+
+    console.log(`🏗️ Assigning project ${projectId} (room ${roomId || '-'}, stage ${stageId || '-'}) to ${imageIds.length} images`);
+    const assigned = await databaseService.addProjectAssignmentToImages(imageIds, { projectId, roomId, stageId });
+
+    await auditService.recordForImages(req, 'image.project_assign', imageIds.map(imageId => ({ id: imageId })), {
+      after: { projectId, roomId: roomId || null, stageId: stageId || null }
+    });
+
+    res.json({
+      success: true,
+      message: `Project assigned to ${assigned} images`,
+      stats: { requested: imageIds.length, assigned }
+    });
+  } catch (error) {
+    console.error('❌ Bulk project assignment failed:', error);
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown project, room or stage' });
+    }
+    res.status(500).json({ error: 'Bulk project assignment failed: ' + error.message });
+  }
+});
+
+// Delete image (moves it to the trash - see /api/trash for restore and permanent delete)
 app.delete('/api/images/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -1765,21 +2216,23 @@ app.delete('/api/images/:id', async (req, res) => {
       console.log(`❌ Image with ID ${id} not found in database`);
       return res.status(404).json({ error: 'Image not found' });
     }
-    
-    console.log(`📂 Deleting from Dropbox: ${image.dropbox_path}`);
-    try {
-      await dropboxService.deleteFile(image.dropbox_path);
-      console.log(`✅ Deleted from Dropbox successfully`);
-    } catch (dropboxError) {
-      console.error(`❌ Failed to delete from Dropbox:`, dropboxError.message);
-      // Continue with database deletion even if Dropbox fails
+    if (image.deleted_at) {
+      return res.status(409).json({ error: 'Image is already in the trash' });
     }
-      
-    console.log(`🗄️ Deleting from database...`);
-      await databaseService.deleteImage(id);
-    console.log(`✅ Deleted from database successfully`);
+    
+    const trashed = await trashService.trashImage(image, req.user.id);
+    console.log(`✅ Moved image ${id} to trash`);
 
-    res.json({ success: true });
+    await auditService.record(req, {
+      action: 'image.trash',
+      entityType: 'image',
+      entityId: id,
+      imageId: image.id,
+      before: auditService.imageSnapshot(image),
+      after: { dropbox_path: trashed ? trashed.dropbox_path : image.dropbox_path }
+    });
+
+    res.json({ success: true, message: 'Image moved to trash' });
   } catch (error) {
     console.error('❌ Error deleting image:', error);
     console.error('❌ Error stack:', error.stack);
@@ -1787,7 +2240,43 @@ app.delete('/api/images/:id', async (req, res) => {
   }
 });
 
-// Bulk delete multiple images  
+batchProcessingService.registerJobType('bulk_trash', {
+  listItems: ({ imageIds }) => imageIds,
+  describeItem: (imageId) => `Image #${imageId}`,
+  async processItem(imageId, payload, job) {
+    const image = await databaseService.getImageById(imageId);
+    if (!image || image.deleted_at) {
+      return { skipped: true, reason: 'already in trash or not found' };
+    }
+
+    const trashed = await trashService.trashImage(image, job.created_by);
+    console.log(`✅ Moved to trash: ${image.filename}`);
+
+    await auditService.record(auditService.jobRequest(job), {
+      action: 'image.trash',
+      entityType: 'image',
+      entityId: image.id,
+      imageId: image.id,
+      before: auditService.imageSnapshot(image),
+      after: { dropbox_path: trashed ? trashed.dropbox_path : image.dropbox_path, bulk: true }
+    });
+
+    return { id: image.id, filename: image.filename };
+  },
+  async finish(job) {
+    const failedItems = await databaseService.getJobItems(job.id, { status: 'failed', limit: job.total });
+    console.log(`🎉 Bulk delete completed: ${job.completed}/${job.total} deleted`);
+
+    return {
+      success: true,
+      message: `Moved ${job.completed}/${job.total} images to trash`,
+      deletedCount: job.completed,
+      errors: failedItems.length > 0 ? failedItems.map(({ item, error }) => ({ imageId: item, error })) : undefined
+    };
+  }
+});
+
+// Bulk delete multiple images - runs as a background job, follow GET /api/jobs/:id/events for progress
 app.post('/api/images/bulk-delete', async (req, res) => {
   try {
     const { imageIds } = req.body;
@@ -1796,48 +2285,200 @@ app.post('/api/images/bulk-delete', async (req, res) => {
       return res.status(400).json({ error: 'Image IDs array is required' });
     }
     
-    console.log(`🗑️ Bulk deleting ${imageIds.length} images:`, imageIds);
-    
-    let deletedCount = 0;
-    let errors = [];
-    
-    for (const imageId of imageIds) {
+    console.log(`🗑️ Queueing bulk delete of ${imageIds.length} images:`, imageIds);
+
+    const job = await batchProcessingService.enqueue('bulk_trash', { imageIds }, {
+      userId: req.user.id,
+      route: auditService.describeRoute(req)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Moving ${imageIds.length} images to trash in the background`,
+      jobId: job.id
+    });
+  } catch (error) {
+    console.error('❌ Bulk delete error:', error);
+    res.status(500).json({ error: 'Failed to bulk delete images: ' + error.message });
+  }
+});
+
+// Trash: images deleted through the app, kept until restored or purged
+app.get('/api/trash', async (req, res) => {
+  try {
+    const images = await databaseService.getTrashedImages();
+
+    for (const image of images) {
       try {
-        // Get image info for Dropbox deletion
-        const image = await databaseService.getImageById(imageId);
-        if (image) {
-          // Delete from Dropbox
-          try {
-            await dropboxService.deleteFile(image.dropbox_path);
-            console.log(`✅ Deleted from Dropbox: ${image.filename}`);
-          } catch (dropboxError) {
-            console.error(`❌ Dropbox delete failed for ${image.filename}:`, dropboxError.message);
-            // Continue with database deletion even if Dropbox fails
-          }
-          
-          // Delete from database
-          await databaseService.deleteImage(imageId);
-          deletedCount++;
-          console.log(`✅ Deleted from database: ${image.filename}`);
-        }
+        image.url = await storageService.getTemporaryLink(image.dropbox_path);
+      } catch (urlError) {
+        console.error(`⚠️ Failed to generate URL for trashed image ${image.id}:`, urlError.message);
+        image.url = null;
+      }
+    }
+
+    res.json({ images, retentionDays: trashService.retentionDays });
+  } catch (error) {
+    console.error('❌ Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash: ' + error.message });
+  }
+});
+
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    const image = await databaseService.getImageById(req.params.id);
+    if (!image || !image.deleted_at) {
+      return res.status(404).json({ error: 'Image not found in trash' });
+    }
+
+    let restored;
+    try {
+      restored = await trashService.restoreImage(image);
+    } catch (moveError) {
+      if (moveError.message.includes('already exists')) {
+        return res.status(409).json({ error: `Another file now exists at ${image.trashed_from_path}` });
+      }
+      throw moveError;
+    }
+
+    await auditService.record(req, {
+      action: 'image.restore',
+      entityType: 'image',
+      entityId: image.id,
+      imageId: image.id,
+      before: { dropbox_path: image.dropbox_path },
+      after: { dropbox_path: restored.dropbox_path }
+    });
+
+    console.log(`♻️ Restored image ${image.id}: ${restored.dropbox_path}`);
+    res.json({ success: true, message: `Restored ${image.filename}`, image: restored });
+  } catch (error) {
+    console.error('❌ Error restoring image:', error);
+    res.status(500).json({ error: 'Failed to restore image: ' + error.message });
+  }
+});
+
+app.delete('/api/trash/:id', async (req, res) => {
+  try {
+    const image = await databaseService.getImageById(req.params.id);
+    if (!image || !image.deleted_at) {
+      return res.status(404).json({ error: 'Image not found in trash' });
+    }
+
+    await trashService.purgeImage(image);
+    await auditService.record(req, {
+      action: 'image.purge',
+      entityType: 'image',
+      entityId: image.id,
+      imageId: image.id,
+      before: auditService.imageSnapshot(image)
+    });
+
+    console.log(`🗑️ Permanently deleted image ${image.id}: ${image.filename}`);
+    res.json({ success: true, message: `Permanently deleted ${image.filename}` });
+  } catch (error) {
+    console.error('❌ Error permanently deleting image:', error);
+    res.status(500).json({ error: 'Failed to permanently delete image: ' + error.message });
+  }
+});
+
+// Empty the trash
+app.delete('/api/trash', async (req, res) => {
+  try {
+    const images = await databaseService.getTrashedImages();
+    let purgedCount = 0;
+    const errors = [];
+
+    for (const image of images) {
+      try {
+        await trashService.purgeImage(image);
+        await auditService.record(req, {
+          action: 'image.purge',
+          entityType: 'image',
+          entityId: image.id,
+          imageId: image.id,
+          before: { filename: image.filename, dropbox_path: image.dropbox_path },
+          after: { emptyTrash: true }
+        });
+        purgedCount++;
       } catch (error) {
-        console.error(`❌ Error deleting image ${imageId}:`, error.message);
-        errors.push({ imageId, error: error.message });
+        console.error(`❌ Error purging image ${image.id}:`, error.message);
+        errors.push({ imageId: image.id, error: error.message });
       }
     }
-    
-    console.log(`🎉 Bulk delete completed: ${deletedCount}/${imageIds.length} deleted`);
-    
+
+    console.log(`🧹 Emptied trash: ${purgedCount}/${images.length} images permanently deleted`);
     res.json({
       success: true,
-      message: `Deleted ${deletedCount}/${imageIds.length} images`,
-      deletedCount,
+      message: `Permanently deleted ${purgedCount}/${images.length} images`,
+      purgedCount,
       errors: errors.length > 0 ? errors : undefined
     });
-    
   } catch (error) {
-    console.error('❌ Bulk delete error:', error);
-    res.status(500).json({ error: 'Failed to bulk delete images: ' + error.message });
+    console.error('❌ Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash: ' + error.message });
+  }
+});
+
+// Duplicate review: visual duplicate groups with everything needed to compare them side by side
+app.get('/api/admin/duplicates', async (req, res) => {
+  try {
+    const threshold = req.query.threshold ? parseInt(req.query.threshold, 10) : undefined;
+    // Compares stored hashes only - images without one are hashed by the visual_duplicate_scan job
+    // (POST /api/admin/scan-visual-duplicates), not inside this request
+    const result = await duplicateDetectionService.scanForVisualDuplicates(threshold, { backfill: false });
+    const unhashed = (await databaseService.getImagesMissingSignature()).length;
+
+    const groups = [];
+    for (const group of result.duplicateGroups) {
+      const images = [];
+      for (const { id } of group.images) {
+        const image = await databaseService.getImageById(id);
+        if (!image) continue;
+        try {
+          image.url = await getCachedDropboxUrl(image.dropbox_path, req);
+        } catch (error) {
+          console.error(`❌ Failed to get URL for ${image.filename}:`, error.message);
+          image.url = null;
+        }
+        images.push(image);
+      }
+      if (images.length > 1) groups.push({ images });
+    }
+
+    res.json({ stats: { ...result.stats, unhashed }, groups });
+  } catch (error) {
+    console.error('❌ Error loading duplicate groups:', error);
+    res.status(500).json({ error: 'Failed to load duplicates: ' + error.message });
+  }
+});
+
+// Resolve one duplicate group: merge the discarded copies into the keeper, then trash them
+app.post('/api/admin/duplicates/merge', async (req, res) => {
+  try {
+    const { keepId, discardIds } = req.body;
+
+    if (!keepId || !Array.isArray(discardIds) || discardIds.length === 0) {
+      return res.status(400).json({ error: 'keepId and a discardIds array are required' });
+    }
+
+    const result = await duplicateDetectionService.mergeDuplicates(keepId, discardIds, req.user.id);
+    await auditDuplicateMerge(req, result);
+
+    res.json({
+      success: true,
+      message: `Kept image ${result.keeper.id} and moved ${result.removedImages.length} duplicates to trash`,
+      keeper: result.keeper,
+      added: result.added,
+      removed: result.removedImages.map(image => image.id),
+      errors: result.errors
+    });
+  } catch (error) {
+    console.error('❌ Error merging duplicates:', error);
+    if (error.code === 'INVALID_DUPLICATE_MERGE') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to merge duplicates: ' + error.message });
   }
 });
 
@@ -1875,6 +2516,8 @@ app.delete('/api/tags/:id', async (req, res) => {
     const tagName = tagResult.rows[0].name;
     console.log('🗑️ Found tag to delete:', tagName);
     
+    const taggedImages = await databaseService.all('SELECT image_id AS id FROM image_tags WHERE tag_id = $1', [tagId]);
+    
     // Delete all image_tag relationships first
     await databaseService.run('DELETE FROM image_tags WHERE tag_id = $1', [tagId]);
     console.log('✅ Deleted image-tag relationships for tag:', tagName);
@@ -1883,6 +2526,15 @@ app.delete('/api/tags/:id', async (req, res) => {
     await databaseService.run('DELETE FROM tags WHERE id = $1', [tagId]);
     
     console.log('✅ Tag deleted successfully:', tagName);
+
+    await auditService.record(req, {
+      action: 'tag.delete',
+      entityType: 'tag',
+      entityId: tagId,
+      before: { name: tagName, imageCount: taggedImages.length }
+    });
+    await auditService.recordForImages(req, 'image.tag_remove', taggedImages, { before: { tag: tagName } });
+
     res.json({ success: true, message: 'Tag deleted successfully' });
   } catch (error) {
     console.error('❌ Error deleting tag:', error);
@@ -1914,6 +2566,11 @@ app.post('/api/tags', async (req, res) => {
     if (existingTagResult.rows.length > 0) {
       return res.status(409).json({ error: `Tag "${trimmedName}" already exists` });
     }
+
+    const canonicalName = (await databaseService.getCanonicalTagNames([trimmedName])).get(trimmedName);
+    if (canonicalName) {
+      return res.status(409).json({ error: `"${trimmedName}" is an alias of "${canonicalName}"` });
+    }
     
     // Create the tag using getOrCreateTag (which will create since we checked it doesn't exist)
     const tagId = await databaseService.getOrCreateTag(trimmedName);
@@ -1930,6 +2587,13 @@ app.post('/api/tags', async (req, res) => {
     
     const createdTag = createdTagResult.rows[0];
     console.log('✅ Tag created successfully:', createdTag);
+
+    await auditService.record(req, {
+      action: 'tag.create',
+      entityType: 'tag',
+      entityId: tagId,
+      after: { name: trimmedName }
+    });
     
     res.status(201).json(createdTag);
   } catch (error) {
@@ -1938,26 +2602,162 @@ app.post('/api/tags', async (req, res) => {
   }
 });
 
-// Merge two tags (moves all images from source tag to target tag)
-app.post('/api/tags/merge', async (req, res) => {
+// Re-parent a tag and/or change its type ({ parentId, tagType }; parentId null moves it to the top)
+app.put('/api/tags/:id', async (req, res) => {
   try {
-    const { sourceTagId, targetTagId } = req.body;
-    
-    if (!sourceTagId || !targetTagId) {
-      return res.status(400).json({ error: 'Both sourceTagId and targetTagId are required' });
+    const { parentId, tagType } = req.body;
+    if (parentId === undefined && tagType === undefined) {
+      return res.status(400).json({ error: 'parentId or tagType is required' });
     }
-    
-    if (sourceTagId === targetTagId) {
-      return res.status(400).json({ error: 'Cannot merge a tag with itself' });
+
+    const tag = await databaseService.get('SELECT id, name, parent_id, tag_type FROM tags WHERE id = $1', [req.params.id]);
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
     }
-    
-    console.log(`🔄 Merging tag ${sourceTagId} into ${targetTagId}`);
-    
-    // Get both tags to verify they exist
-    const sourceTagResult = await databaseService.query('SELECT * FROM tags WHERE id = $1', [sourceTagId]);
-    const targetTagResult = await databaseService.query('SELECT * FROM tags WHERE id = $1', [targetTagId]);
-    
-    if (sourceTagResult.rows.length === 0) {
+
+    const updatedTag = await databaseService.updateTagHierarchy(tag.id, { parentId, tagType });
+    console.log(`🌳 Updated tag "${tag.name}": parent ${updatedTag.parent_id || 'none'}, type ${updatedTag.tag_type}`);
+
+    await auditService.record(req, {
+      action: 'tag.update',
+      entityType: 'tag',
+      entityId: tag.id,
+      before: { name: tag.name, parentId: tag.parent_id, tagType: tag.tag_type },
+      after: { name: tag.name, parentId: updatedTag.parent_id, tagType: updatedTag.tag_type }
+    });
+
+    res.json(updatedTag);
+  } catch (error) {
+    console.error('❌ Error updating tag:', error);
+    if (error.code === 'INVALID_TAG_HIERARCHY') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update tag: ' + error.message });
+  }
+});
+
+// Recent tag merges and renames, and undoing one (TagHistoryService)
+app.get('/api/tag-operations', async (req, res) => {
+  try {
+    const operations = await tagHistoryService.getRecent();
+    res.json({ operations, retentionDays: tagHistoryService.retentionDays });
+  } catch (error) {
+    console.error('❌ Error fetching tag changes:', error);
+    res.status(500).json({ error: 'Failed to fetch tag changes: ' + error.message });
+  }
+});
+
+const TAG_UNDO_ERROR_STATUS = { TAG_UNDO_NOT_FOUND: 404, TAG_UNDO_EXPIRED: 410, TAG_UNDO_CONFLICT: 409 };
+
+app.post('/api/tag-operations/:id/undo', async (req, res) => {
+  try {
+    const result = await tagHistoryService.undo(req.params.id, req.user.id);
+    const { operation } = result;
+
+    await auditService.record(req, {
+      action: `tag.${operation.operation}_undo`,
+      entityType: 'tag',
+      entityId: operation.tag_id,
+      before: { summary: operation.summary },
+      after: { operationId: operation.id, imageIds: operation.image_ids }
+    });
+    await auditService.recordForImages(req, 'image.tag_undo', result.images, {
+      before: { summary: operation.summary }
+    });
+
+    res.json({
+      success: true,
+      message: `Undone: ${operation.summary}`,
+      stats: {
+        affectedImages: result.images.length,
+        filesMoved: result.filesMoved,
+        metadataUpdated: result.metadataUpdated,
+        errors: result.errors
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error undoing tag change:', error);
+    if (TAG_UNDO_ERROR_STATUS[error.code]) {
+      return res.status(TAG_UNDO_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to undo tag change: ' + error.message });
+  }
+});
+
+// Tag aliases - variants resolved to their canonical tag whenever tags are written
+app.get('/api/tag-aliases', async (req, res) => {
+  try {
+    res.json(await databaseService.getTagAliases());
+  } catch (error) {
+    console.error('❌ Error fetching tag aliases:', error);
+    res.status(500).json({ error: 'Failed to fetch tag aliases: ' + error.message });
+  }
+});
+
+app.post('/api/tag-aliases', async (req, res) => {
+  try {
+    const { tagId, alias } = req.body;
+    const created = await databaseService.createTagAlias(tagId, alias, req.user.id);
+    console.log(`🔀 Added alias "${created.alias}" for "${created.tag_name}"`);
+
+    await auditService.record(req, {
+      action: 'tag_alias.create',
+      entityType: 'tag',
+      entityId: created.tag_id,
+      after: { alias: created.alias, tag: created.tag_name }
+    });
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('❌ Error creating tag alias:', error);
+    if (error.code === 'INVALID_TAG_ALIAS') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to create tag alias: ' + error.message });
+  }
+});
+
+app.delete('/api/tag-aliases/:id', async (req, res) => {
+  try {
+    const deleted = await databaseService.deleteTagAlias(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Tag alias not found' });
+    }
+
+    await auditService.record(req, {
+      action: 'tag_alias.delete',
+      entityType: 'tag',
+      entityId: deleted.tag_id,
+      before: { alias: deleted.alias }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting tag alias:', error);
+    res.status(500).json({ error: 'Failed to delete tag alias: ' + error.message });
+  }
+});
+
+// Merge two tags (moves all images from source tag to target tag)
+app.post('/api/tags/merge', async (req, res) => {
+  try {
+    const { sourceTagId, targetTagId, keepAsAlias = false } = req.body;
+    
+    if (!sourceTagId || !targetTagId) {
+      return res.status(400).json({ error: 'Both sourceTagId and targetTagId are required' });
+    }
+    
+    if (sourceTagId === targetTagId) {
+      return res.status(400).json({ error: 'Cannot merge a tag with itself' });
+    }
+    
+    console.log(`🔄 Merging tag ${sourceTagId} into ${targetTagId}`);
+    
+    // Get both tags to verify they exist
+    const sourceTagResult = await databaseService.query('SELECT * FROM tags WHERE id = $1', [sourceTagId]);
+    const targetTagResult = await databaseService.query('SELECT * FROM tags WHERE id = $1', [targetTagId]);
+    
+    if (sourceTagResult.rows.length === 0) {
       return res.status(404).json({ error: 'Source tag not found' });
     }
     
@@ -1980,10 +2780,15 @@ app.post('/api/tags/merge', async (req, res) => {
     const affectedImageCount = imageCountResult.rows[0].count;
     console.log(`📊 Found ${affectedImageCount} images to merge`);
     
-    // Start transaction
+    // Start transaction - the undo record is written in it, so a merge never lands without one
     const client = await databaseService.pool.connect();
+    let mergedImages;
+    let duplicateImageIds;
+    let tagOperation;
     try {
       await client.query('BEGIN');
+
+      mergedImages = (await client.query('SELECT DISTINCT image_id AS id FROM image_tags WHERE tag_id = $1', [sourceTagId])).rows;
       
       // Update all image_tags that reference the source tag to reference the target tag
       // But first, check for duplicates (images that already have both tags)
@@ -1994,7 +2799,7 @@ app.post('/api/tags/merge', async (req, res) => {
         WHERE st.tag_id = $1 AND tt.tag_id = $2
       `, [sourceTagId, targetTagId]);
       
-      const duplicateImageIds = duplicateResult.rows.map(row => row.image_id);
+      duplicateImageIds = duplicateResult.rows.map(row => row.image_id);
       console.log(`🔍 Found ${duplicateImageIds.length} images that already have both tags`);
       
       // For images that have both tags, just remove the source tag reference
@@ -2015,21 +2820,49 @@ app.post('/api/tags/merge', async (req, res) => {
         )
       `, [sourceTagId, targetTagId]);
       
+      // Child tags follow the source into the target - unless the target is one of them, which
+      // would make a loop; they then drop to the top level when the source goes
+      const targetIsBelowSource = await client.query(`
+        WITH RECURSIVE ancestors AS (
+          SELECT id, parent_id FROM tags WHERE id = $2
+          UNION
+          SELECT t.id, t.parent_id FROM tags t JOIN ancestors a ON t.id = a.parent_id
+        )
+        SELECT 1 FROM ancestors WHERE id = $1
+      `, [sourceTagId, targetTagId]);
+      let childTagIds = [];
+      if (targetIsBelowSource.rows.length === 0) {
+        const movedChildren = await client.query('UPDATE tags SET parent_id = $2 WHERE parent_id = $1 RETURNING id', [sourceTagId, targetTagId]);
+        childTagIds = movedChildren.rows.map(row => row.id);
+      }
+
+      // The source's aliases now stand for the target
+      const movedAliases = await client.query('UPDATE tag_aliases SET tag_id = $2 WHERE tag_id = $1 RETURNING id', [sourceTagId, targetTagId]);
+
       // Delete the source tag
       await client.query('DELETE FROM tags WHERE id = $1', [sourceTagId]);
+
+      // keepAsAlias: anyone typing the source name from now on gets the target
+      if (keepAsAlias) {
+        await client.query(`
+          INSERT INTO tag_aliases (alias, tag_id, created_by) VALUES ($1, $2, $3)
+          ON CONFLICT (alias) DO UPDATE SET tag_id = EXCLUDED.tag_id
+        `, [sourceTag.name.toLowerCase().trim(), targetTagId, req.user.id]);
+      }
+
+      const sourceImageIds = mergedImages.map(image => image.id);
+      tagOperation = await tagHistoryService.recordMerge({
+        source: sourceTag,
+        target: targetTag,
+        sourceImageIds,
+        movedImageIds: sourceImageIds.filter(imageId => !duplicateImageIds.includes(imageId)),
+        childTagIds,
+        aliasIds: movedAliases.rows.map(row => row.id),
+        keptAlias: keepAsAlias ? sourceTag.name.toLowerCase().trim() : null,
+        userId: req.user.id
+      }, client);
       
       await client.query('COMMIT');
-      
-      console.log(`✅ Successfully merged "${sourceTag.name}" into "${targetTag.name}"`);
-      
-      res.json({ 
-        success: true, 
-        message: `Successfully merged "${sourceTag.name}" into "${targetTag.name}"`,
-        affectedImageCount,
-        duplicateImageCount: duplicateImageIds.length,
-        mergedImageCount: affectedImageCount - duplicateImageIds.length
-      });
-      
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
@@ -2037,6 +2870,29 @@ app.post('/api/tags/merge', async (req, res) => {
       client.release();
     }
     
+    console.log(`✅ Successfully merged "${sourceTag.name}" into "${targetTag.name}"`);
+
+    await auditService.record(req, {
+      action: 'tag.merge',
+      entityType: 'tag',
+      entityId: targetTagId,
+      before: { source: { id: sourceTag.id, name: sourceTag.name }, target: { id: targetTag.id, name: targetTag.name } },
+      after: { name: targetTag.name, imageIds: mergedImages.map(image => image.id), alias: keepAsAlias ? sourceTag.name : undefined }
+    });
+    await auditService.recordForImages(req, 'image.tag_merge', mergedImages, {
+      before: { tag: sourceTag.name },
+      after: { tag: targetTag.name }
+    });
+    
+    res.json({ 
+      success: true, 
+      message: `Successfully merged "${sourceTag.name}" into "${targetTag.name}"`,
+      affectedImageCount,
+      duplicateImageCount: duplicateImageIds.length,
+      mergedImageCount: affectedImageCount - duplicateImageIds.length,
+      operationId: tagOperation.id
+    });
+    
   } catch (error) {
     console.error('❌ Error merging tags:', error);
     res.status(500).json({ error: 'Failed to merge tags' });
@@ -2046,213 +2902,162 @@ app.post('/api/tags/merge', async (req, res) => {
 // File locking mechanism to prevent concurrent moves
 const fileMoveLocks = new Set();
 
-// Batch apply tags to multiple images
+// Add tags to one image, moving and renaming its file to match (tag_application job item)
+// Move and rename an image for its new tags (folder rules and the active filename template) and
+// embed the tags in its file. The tags must already be saved - a failed move throws, and running
+// this again retries just the move.
+async function refileImage(image, tags, reason) {
+  // Check if folder reorganization is needed
+  const baseDropboxFolder = serverSettings.dropboxFolder || process.env.DROPBOX_FOLDER || '/ARCHIER Team Folder/Support/Production/SnapTag';
+  const normalizedBaseFolder = baseDropboxFolder.startsWith('/') ? baseDropboxFolder : `/${baseDropboxFolder}`;
+  const newFolderPath = folderPathService.generateFolderPath(tags, normalizedBaseFolder);
+  let ext = path.extname(image.filename);
+
+  // Fallback to .jpg if no extension found or malformed
+  if (!ext || ext === '.' || ext === '') {
+    ext = '.jpg';
+    console.log(`⚠️ Using fallback extension .jpg for image ${image.id}: "${image.filename}"`);
+  }
+
+  // Regenerate the filename with ALL tags under the active template, keeping the sequence number
+  const sequenceNumber = await resolveSequenceNumber(image);
+  const newDropboxPath = await uniqueImagePath(newFolderPath, buildImageFilename(image, { tags, extension: ext, sequenceNumber }), image.id);
+  const newFilename = path.posix.basename(newDropboxPath);
 
-app.post('/api/batch/apply-tags', async (req, res) => {
+  // Move file in Dropbox if path or filename has changed
+  if (image.dropbox_path !== newDropboxPath) {
+    console.log(`📁 FILE MOVE REQUIRED for image ${image.id}:`);
+    console.log(`   From: ${image.dropbox_path}`);
+    console.log(`   To: ${newDropboxPath}`);
+    console.log(`   Reason: ${reason}, triggering folder reorganization`);
+
+    try {
+      const moveStartTime = Date.now();
+
+      // Use fast Dropbox move API instead of download-upload-delete
+      await storageService.moveFile(image.dropbox_path, newDropboxPath);
+      console.log(`🔄 MOVE SUCCESS: Image ${image.id} (${Date.now() - moveStartTime}ms)`);
+
+      // Update database with new path and filename
+      await databaseService.query(
+        'UPDATE images SET dropbox_path = $1, filename = $2, sequence_number = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4',
+        [newDropboxPath, newFilename, sequenceNumber, image.id]
+      );
+
+      console.log(`✅ DATABASE UPDATED: Image ${image.id} path updated to ${newDropboxPath}`);
+    } catch (moveError) {
+      console.error(`❌ MOVE FAILED: Image ${image.id} - ${moveError.message}`);
+      console.error(`   Source: ${image.dropbox_path}`);
+      console.error(`   Target: ${newDropboxPath}`);
+      // The tags are saved - repeating the item retries just the move
+      throw new Error(`Failed to reorganize in Dropbox - ${moveError.message}`);
+    }
+  } else {
+    console.log(`✅ NO MOVE NEEDED: Image ${image.id} already in correct location: ${newDropboxPath}`);
+  }
+
+  // Update metadata in the actual image file
   try {
-    const { imageIds, tags } = req.body;
-    
-    if (!imageIds || !Array.isArray(imageIds) || imageIds.length === 0) {
-      return res.status(400).json({ error: 'Image IDs array is required' });
+    console.log(`📝 Embedding metadata in Dropbox file for image ${image.id}...`);
+    await metadataService.updateImageMetadata(newDropboxPath, {
+      tags,
+      focusedTags: image.focused_tags || [],
+      title: image.title,
+      description: image.description
+    });
+    console.log(`✅ Metadata embedded for image ${image.id}`);
+  } catch (metadataError) {
+    console.error(`⚠️ Failed to embed metadata for image ${image.id} (non-critical):`, metadataError.message);
+  }
+
+  return { newDropboxPath, newFilename };
+}
+
+async function applyTagsToImage(imageId, tags, req) {
+  // Check if this file is already being processed - the job retries the item shortly
+  if (fileMoveLocks.has(imageId)) {
+    throw new Error('Already being processed');
+  }
+
+  // Lock this file for processing
+  fileMoveLocks.add(imageId);
+
+  try {
+    // Get current image data
+    const image = await databaseService.getImageById(imageId);
+    if (!image || image.deleted_at) {
+      throw batchProcessingService.createPermanentError(`Image ${imageId} not found`);
     }
-    
-    if (!tags || !Array.isArray(tags) || tags.length === 0) {
-      return res.status(400).json({ error: 'Tags array is required' });
+
+    // Get current tags
+    let currentTags = [];
+    if (Array.isArray(image.tags)) {
+      currentTags = image.tags;
+    } else if (typeof image.tags === 'string') {
+      currentTags = image.tags.split(',').map(t => t.trim()).filter(Boolean);
     }
-    
-    console.log(`🏷️ Batch applying tags to ${imageIds.length} images:`, tags);
-    
-    let successCount = 0;
-    let errorCount = 0;
-    let skippedCount = 0;
-    const errors = [];
-    const duplicateInfo = [];
-    const processedImages = [];
-    
-    for (const imageId of imageIds) {
-      try {
-        // Check if this file is already being processed
-        if (fileMoveLocks.has(imageId)) {
-          console.log(`⏳ Image ${imageId} is already being processed, skipping to prevent conflicts`);
-          errors.push(`Image ${imageId}: Already being processed`);
-          errorCount++;
-          continue;
-        }
 
-        // Lock this file for processing
-        fileMoveLocks.add(imageId);
-        
-        try {
-          // Get current image data
-          const image = await databaseService.getImageById(imageId);
-          if (!image) {
-            errors.push(`Image ${imageId} not found`);
-            errorCount++;
-            continue;
-          }
-        
-        // Get current tags
-        let currentTags = [];
-        if (Array.isArray(image.tags)) {
-          currentTags = image.tags;
-        } else if (typeof image.tags === 'string') {
-          currentTags = image.tags.split(',').map(t => t.trim()).filter(Boolean);
-        }
-        
-        // Normalize tags for comparison (case-insensitive duplicate prevention)
-        const normalizedCurrentTags = currentTags.map(tag => tag.toLowerCase().trim());
-        const normalizedNewTags = tags.map(tag => tag.toLowerCase().trim());
-        
-        // Check if any new tags are already present
-        const duplicateTags = normalizedNewTags.filter(tag => normalizedCurrentTags.includes(tag));
-        if (duplicateTags.length > 0) {
-          console.log(`⚠️ Skipping duplicate tags for image ${imageId}:`, duplicateTags);
-          duplicateInfo.push({
-            imageId: imageId,
-            filename: image.filename,
-            duplicateTags: tags.filter(tag => normalizedCurrentTags.includes(tag.toLowerCase().trim()))
-          });
-        }
-        
-        // Only add truly new tags
-        const uniqueNewTags = tags.filter(tag => !normalizedCurrentTags.includes(tag.toLowerCase().trim()));
-        
-        if (uniqueNewTags.length === 0) {
-          console.log(`✅ No new tags to add for image ${imageId} (all tags already exist)`);
-          skippedCount++;
-          continue;
-        }
-        
-        // Merge with new unique tags
-        const allTags = [...currentTags, ...uniqueNewTags];
-        
-        console.log(`🏷️ Adding ${uniqueNewTags.length} new tags to image ${imageId}:`, uniqueNewTags);
-        
-        // Update tags in database
-        await databaseService.updateImageTags(imageId, allTags, image.focused_tags || []);
-        
-        // Check if folder reorganization is needed
-        const baseDropboxFolder = serverSettings.dropboxFolder || process.env.DROPBOX_FOLDER || '/ARCHIER Team Folder/Support/Production/SnapTag';
-        const normalizedBaseFolder = baseDropboxFolder.startsWith('/') ? baseDropboxFolder : `/${baseDropboxFolder}`;
-        const newFolderPath = folderPathService.generateFolderPath(allTags, normalizedBaseFolder);
-        let ext = path.extname(image.filename);
-        
-        // Fallback to .jpg if no extension found or malformed
-        if (!ext || ext === '.' || ext === '') {
-          ext = '.jpg';
-          console.log(`⚠️ Using fallback extension .jpg for image ${image.id}: "${image.filename}"`);
-        }
-        
-        // Check if we need to regenerate filename (only if tags changed)
-        let newFilename = image.filename;
-        let needsFilenameUpdate = false;
-        
-        // If this is a new tagging (tags were added), regenerate filename with ALL tags
-        if (uniqueNewTags.length > 0) {
-          // Try to get sequence number from existing filename, or get next available
-          let sequenceNumber = null;
-          // Handle both AA-XXXX and legacy XXXXX formats
-          const existingMatch = image.filename.match(/^(?:[A-Z]{2}-)?(\d{4,5})-/) || image.filename.match(/^(\d{5})-/);
-          
-          if (existingMatch) {
-            // Preserve existing sequence number
-            sequenceNumber = parseInt(existingMatch[1]);
-            console.log(`♻️ Preserving sequence number ${sequenceNumber} from filename: ${image.filename}`);
-          } else {
-            // Get next sequence number for new files
-            sequenceNumber = await folderPathService.getNextSequenceNumber(databaseService);
-            console.log(`🔢 Generated new sequence number ${sequenceNumber} for: ${image.filename}`);
-          }
-          
-          newFilename = folderPathService.generateTagBasedFilename(allTags, ext, sequenceNumber);
-          needsFilenameUpdate = newFilename !== image.filename;
-        }
-        
-        const newDropboxPath = path.posix.join(newFolderPath, newFilename);
-        
-        // Move file in Dropbox if path or filename has changed
-        if (image.dropbox_path !== newDropboxPath) {
-          console.log(`📁 FILE MOVE REQUIRED for image ${imageId}:`);
-          console.log(`   From: ${image.dropbox_path}`);
-          console.log(`   To: ${newDropboxPath}`);
-          console.log(`   Reason: Tags ${uniqueNewTags.join(', ')} added, triggering folder reorganization`);
-          
-          try {
-            // ENHANCED LOGGING: Record move operation start
-            const moveStartTime = Date.now();
-            console.log(`🔄 MOVE START: ${new Date().toISOString()} - Image ${imageId}`);
-            
-            // Use fast Dropbox move API instead of download-upload-delete
-            await dropboxService.moveFile(image.dropbox_path, newDropboxPath);
-            
-            const moveEndTime = Date.now();
-            console.log(`🔄 MOVE SUCCESS: ${new Date().toISOString()} - Image ${imageId} (${moveEndTime - moveStartTime}ms)`);
-            
-            // Update database with new path and filename
-            await databaseService.query(
-              'UPDATE images SET dropbox_path = $1, filename = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-              [newDropboxPath, newFilename, imageId]
-            );
-            
-            console.log(`✅ DATABASE UPDATED: Image ${imageId} path updated to ${newDropboxPath}`);
-            console.log(`📊 MOVE COMPLETE: Image ${imageId} successfully organized`);
-          } catch (moveError) {
-            console.error(`❌ MOVE FAILED: ${new Date().toISOString()} - Image ${imageId}`);
-            console.error(`   Error: ${moveError.message}`);
-            console.error(`   Source: ${image.dropbox_path}`);
-            console.error(`   Target: ${newDropboxPath}`);
-            errors.push(`Image ${imageId}: Failed to reorganize in Dropbox - ${moveError.message}`);
-            errorCount++;
-            continue;
-          }
-        } else {
-          console.log(`✅ NO MOVE NEEDED: Image ${imageId} already in correct location: ${newDropboxPath}`);
-        }
-        
-        // Update metadata in the actual image file
-        try {
-          console.log(`📝 Embedding metadata in Dropbox file for image ${imageId}...`);
-          await metadataService.updateImageMetadata(newDropboxPath, {
-            tags: allTags,
-            focusedTags: image.focused_tags || [],
-            title: image.title,
-            description: image.description
-          });
-          console.log(`✅ Metadata embedded for image ${imageId}`);
-        } catch (metadataError) {
-          console.error(`⚠️ Failed to embed metadata for image ${imageId} (non-critical):`, metadataError.message);
-        }
+    // Normalize tags for comparison (case-insensitive duplicate prevention)
+    const normalizedCurrentTags = currentTags.map(tag => tag.toLowerCase().trim());
+    const duplicateTags = tags.filter(tag => normalizedCurrentTags.includes(tag.toLowerCase().trim()));
+    if (duplicateTags.length > 0) {
+      console.log(`⚠️ Skipping duplicate tags for image ${imageId}:`, duplicateTags);
+    }
 
-          console.log(`✅ Updated tags for image ${imageId}`);
-          successCount++;
-          processedImages.push({
-            imageId: imageId,
-            filename: image.filename,
-            addedTags: uniqueNewTags,
-            moved: image.dropbox_path !== newDropboxPath
-          });
-          
-        } finally {
-          // Always unlock the file when done processing
-          fileMoveLocks.delete(imageId);
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error updating tags for image ${imageId}:`, error.message);
-        errors.push(`Image ${imageId}: ${error.message}`);
-        errorCount++;
-        // Unlock the file on error too
-        fileMoveLocks.delete(imageId);
-      }
+    // Only add truly new tags
+    const uniqueNewTags = tags.filter(tag => !normalizedCurrentTags.includes(tag.toLowerCase().trim()));
+
+    if (uniqueNewTags.length === 0) {
+      console.log(`✅ No new tags to add for image ${imageId} (all tags already exist)`);
+      return { skipped: true, imageId, filename: image.filename, duplicateTags };
     }
-    
-    // Create detailed message
-    let message = `Batch tagging completed: ${successCount} updated`;
-    if (skippedCount > 0) message += `, ${skippedCount} skipped (duplicates)`;
-    if (errorCount > 0) message += `, ${errorCount} errors`;
-    
-    console.log(message);
-    
+
+    // Merge with new unique tags
+    const allTags = [...currentTags, ...uniqueNewTags];
+
+    console.log(`🏷️ Adding ${uniqueNewTags.length} new tags to image ${imageId}:`, uniqueNewTags);
+
+    // Update tags in database
+    await databaseService.updateImageTags(imageId, allTags, image.focused_tags || []);
+
+    const { newDropboxPath, newFilename } = await refileImage(image, allTags, `Tags ${uniqueNewTags.join(', ')} added`);
+
+    console.log(`✅ Updated tags for image ${imageId}`);
+
+    await auditService.record(req, {
+      action: 'image.tags_add',
+      entityType: 'image',
+      entityId: image.id,
+      imageId: image.id,
+      before: { tags: currentTags, dropbox_path: image.dropbox_path },
+      after: { tags: allTags, dropbox_path: newDropboxPath }
+    });
+
+    return {
+      id: imageId,
+      imageId,
+      filename: image.filename,
+      addedTags: uniqueNewTags,
+      duplicateTags,
+      moved: image.dropbox_path !== newDropboxPath,
+      newFilename,
+      newPath: newDropboxPath
+    };
+  } finally {
+    // Always unlock the file when done processing
+    fileMoveLocks.delete(imageId);
+  }
+}
+
+batchProcessingService.registerJobType('tag_application', {
+  listItems: ({ imageIds }) => imageIds,
+  describeItem: (imageId) => `Image #${imageId}`,
+  processItem: (imageId, { tags }, job) => applyTagsToImage(imageId, tags, auditService.jobRequest(job)),
+  // Same summary the route used to return before tagging ran as a job
+  async finish(job) {
+    const { tags } = job.payload;
+    const items = await databaseService.getJobItems(job.id, { limit: job.total });
+
     // AUTO-CREATE ARCHIER PROJECTS: Check if we need to create new projects
     try {
       await autoCreateArchierProjects(tags);
@@ -2260,19 +3065,56 @@ app.post('/api/batch/apply-tags', async (req, res) => {
       console.error('⚠️ Auto-project creation failed:', projectError.message);
       // Don't fail the entire operation for project creation issues
     }
-    
-    res.json({
+
+    let message = `Batch tagging completed: ${job.completed} updated`;
+    if (job.skipped > 0) message += `, ${job.skipped} skipped (duplicates)`;
+    if (job.failed > 0) message += `, ${job.failed} errors`;
+    console.log(message);
+
+    return {
       success: true,
       message,
       stats: {
-        total: imageIds.length,
-        successful: successCount,
-        skipped: skippedCount,
-        errors: errorCount,
-        errorDetails: errors,
-        duplicateInfo: duplicateInfo,
-        processedImages: processedImages
+        total: job.total,
+        successful: job.completed,
+        skipped: job.skipped,
+        errors: job.failed,
+        errorDetails: items.filter(item => item.status === 'failed').map(item => `Image ${item.item}: ${item.error}`),
+        duplicateInfo: items
+          .filter(item => item.result && item.result.duplicateTags && item.result.duplicateTags.length > 0)
+          .map(({ result }) => ({ imageId: result.imageId, filename: result.filename, duplicateTags: result.duplicateTags })),
+        processedImages: items.filter(item => item.status === 'succeeded').map(item => item.result)
       }
+    };
+  }
+});
+
+// Batch apply tags to multiple images - runs as a background job, poll GET /api/jobs/:id for the result
+app.post('/api/batch/apply-tags', async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+    
+    if (!imageIds || !Array.isArray(imageIds) || imageIds.length === 0) {
+      return res.status(400).json({ error: 'Image IDs array is required' });
+    }
+    
+    if (!req.body.tags || !Array.isArray(req.body.tags) || req.body.tags.length === 0) {
+      return res.status(400).json({ error: 'Tags array is required' });
+    }
+
+    const { tags } = await resolveTagAliases(req.body.tags);
+    
+    console.log(`🏷️ Queueing batch tagging of ${imageIds.length} images:`, tags);
+
+    const job = await batchProcessingService.enqueue('tag_application', { imageIds, tags }, {
+      userId: req.user.id,
+      route: auditService.describeRoute(req)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Tagging ${imageIds.length} images in the background`,
+      jobId: job.id
     });
     
   } catch (error) {
@@ -2288,68 +3130,18 @@ app.post('/api/images/search', async (req, res) => {
   console.log('🚀 [ENDPOINT HIT] timestamp:', new Date().toISOString());
   try {
     const searchFilters = req.body;
-    const { searchTerm, tags, sources, dateRange, sortBy, sortOrder, projectAssignment } = searchFilters;
+    const { searchTerm, tags, sources, dateRange, sortBy, sortOrder, projectAssignment, facets: includeFacets } = searchFilters;
     
     console.log('🔍 [SEARCH START] Searching images with filters:', searchFilters);
     console.log('🔍 [SEARCH START] Search parameters:', { searchTerm, tags, sources, dateRange, sortBy, sortOrder, projectAssignment });
     
-    // TEMPORARY: Use regular search for all requests due to PostgreSQL JSON issues
+    // Project assignment filters are exact matches on image_project_assignments
     let images;
-    console.log('🚀 [TEMP FIX] Using regular search method for all requests');
-    console.log('📊 Search parameters:', { searchTerm, tags, sortBy, sortOrder, projectAssignment });
-    
-    // If we have both tags and project assignment, search by tags first
-    if (projectAssignment && tags && tags.length > 0) {
-      console.log('🔍 [TEMP FIX] Searching by tags first, then filtering by project assignments');
-      images = await databaseService.searchImages(searchTerm, tags, sortBy, sortOrder);
+    if (projectAssignment && projectAssignment.projectId) {
+      images = await databaseService.searchImagesWithProjectAssignments({ projectAssignment, tags, searchTerm, sortBy, sortOrder });
     } else {
       images = await databaseService.searchImages(searchTerm, tags, sortBy, sortOrder);
     }
-    
-    // If project assignment filter is provided, filter results client-side
-    if (projectAssignment && images) {
-      console.log('🔍 [PROJECT FILTER] Filtering results for project assignment:', projectAssignment);
-      const { projectId, room, stage } = projectAssignment;
-      
-      const filteredImages = images.filter(image => {
-        if (!image.project_assignments) return false;
-        
-        try {
-          const assignments = JSON.parse(image.project_assignments);
-          return assignments.some(assignment => {
-            const matchesProject = assignment.projectId === projectId;
-            
-            // FIXED: Only match if room/stage are exactly what's requested (or no filter specified)
-            let matchesRoom = true;
-            let matchesStage = true;
-            
-            // If room filter is specified, assignment must have that exact room
-            if (room) {
-              matchesRoom = assignment.room === room;
-            }
-            
-            // If stage filter is specified, assignment must have that exact stage  
-            if (stage) {
-              matchesStage = assignment.stage === stage;
-            }
-            
-            const matches = matchesProject && matchesRoom && matchesStage;
-            
-            if (matches) {
-              console.log(`✅ MATCH: Image ${image.id} - Project: ${assignment.projectId}, Room: ${assignment.room}, Stage: ${assignment.stage}`);
-            }
-            
-            return matches;
-          });
-        } catch (e) {
-          console.warn('Failed to parse project_assignments for image:', image.id);
-          return false;
-        }
-      });
-      
-      console.log(`🔍 [PROJECT FILTER] Filtered ${images.length} → ${filteredImages.length} images for project=${projectId}, room=${room}, stage=${stage}`);
-      images = filteredImages;
-    }
     console.log('📊 Raw search results:', images.length, 'images found');
     
     // Debug: Log first image details
@@ -2381,6 +3173,15 @@ app.post('/api/images/search', async (req, res) => {
       });
     }
     
+    // Facet counts describe the final result set, after the source/date filters above
+    const facets = includeFacets ? await databaseService.getSearchFacets(filteredImages.map(image => image.id)) : null;
+
+    // Where the search words matched, for the gallery card tooltips
+    const highlights = await databaseService.getSearchHighlights(filteredImages.map(image => image.id), searchTerm);
+    filteredImages.forEach(image => {
+      if (highlights[image.id]) image.search_highlight = highlights[image.id];
+    });
+    
     // EFFICIENT: Generate URLs with caching (same as main endpoint)
     console.log(`🔄 SEARCH: Processing ${filteredImages.length} images with caching...`);
     
@@ -2435,8 +3236,15 @@ app.post('/api/images/search', async (req, res) => {
     }));
     console.log('🔍 Sending to frontend:', urlStats);
     
+    // Callers that ask for facets get an object; everyone else keeps the plain array
+    if (includeFacets) {
+      return res.json({ images: filteredImages, total: filteredImages.length, facets });
+    }
     res.json(filteredImages);
   } catch (error) {
+    if (error.code === 'INVALID_SEARCH_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('❌ Error searching images:', error);
     console.error('❌ Error stack:', error.stack);
     console.error('❌ Error details:', {
@@ -2455,7 +3263,7 @@ app.get('/api/triage/stats', async (req, res) => {
     console.log('📊 Getting triage statistics...');
     
     // Get total image count
-    const totalResult = await databaseService.query('SELECT COUNT(*) as total FROM images');
+    const totalResult = await databaseService.query('SELECT COUNT(*) as total FROM images WHERE deleted_at IS NULL');
     const totalImages = parseInt(totalResult.rows[0].total);
     
     // Get untagged count
@@ -2464,6 +3272,7 @@ app.get('/api/triage/stats', async (req, res) => {
       FROM images i
       LEFT JOIN image_tags it ON i.id = it.image_id
       LEFT JOIN tags t ON it.tag_id = t.id
+      WHERE i.deleted_at IS NULL
       GROUP BY i.id
       HAVING COUNT(t.id) = 0
     `);
@@ -2477,6 +3286,7 @@ app.get('/api/triage/stats', async (req, res) => {
         FROM images i
         LEFT JOIN image_tags it ON i.id = it.image_id
         LEFT JOIN tags t ON it.tag_id = t.id
+        WHERE i.deleted_at IS NULL
         GROUP BY i.id
         HAVING COUNT(t.id) BETWEEN 1 AND 2
       ) as minimal_tagged
@@ -2489,7 +3299,7 @@ app.get('/api/triage/stats', async (req, res) => {
       FROM images i
       LEFT JOIN image_tags it ON i.id = it.image_id
       LEFT JOIN tags t ON it.tag_id = t.id
-      WHERE i.created_at >= NOW() - INTERVAL '7 days'
+      WHERE i.created_at >= NOW() - INTERVAL '7 days' AND i.deleted_at IS NULL
       GROUP BY i.id
       HAVING COUNT(t.id) = 0
     `);
@@ -2522,216 +3332,175 @@ app.get('/api/triage/stats', async (req, res) => {
   }
 });
 
-// Bulk download selected images as ZIP
-app.post('/api/images/download-bulk', async (req, res) => {
-  try {
-    const { searchFilters, filename } = req.body;
-    console.log('📦 Starting bulk download for selected images');
-    
-    // If imageIds are provided, fetch those specific images
-    let images = [];
-    if (searchFilters && searchFilters.imageIds && searchFilters.imageIds.length > 0) {
-      console.log(`📦 Downloading ${searchFilters.imageIds.length} selected images`);
-      
-      // Get images by IDs
-      const imagePromises = searchFilters.imageIds.map(id => databaseService.getImageById(id));
-      const imageResults = await Promise.all(imagePromises);
-      images = imageResults.filter(img => img !== null); // Remove any null results
-    } else {
-      return res.status(400).json({ error: 'No images selected for download' });
+// ZIP exports are assembled under temp/exports by the zip_export job and served by
+// GET /api/jobs/:id/download until they are EXPORT_RETENTION_HOURS old
+const EXPORT_DIR = 'temp/exports';
+const EXPORT_RETENTION_HOURS = 24;
+
+const zipExportPath = (jobId) => path.join(EXPORT_DIR, `job-${jobId}.zip`);
+const zipExportFilesDir = (jobId) => path.join(EXPORT_DIR, `job-${jobId}`);
+
+// Folder structure inside the ZIP mirrors the image's storage path
+const zipArchivePath = (dropboxPath) => (dropboxPath.startsWith('/') ? dropboxPath.substring(1) : dropboxPath);
+
+batchProcessingService.registerJobType('zip_export', {
+  listItems: ({ imageIds }) => imageIds,
+  describeItem: (imageId) => `Image #${imageId}`,
+  async processItem(imageId, payload, job) {
+    const image = await databaseService.getImageById(imageId);
+    if (!image) {
+      return { skipped: true, reason: 'not found' };
     }
-    
-    if (images.length === 0) {
-      return res.status(404).json({ error: 'No images found for download' });
+
+    console.log(`📄 Downloading ${image.filename} for ZIP export ${job.id}...`);
+    const localPath = path.join(zipExportFilesDir(job.id), `${image.id}-${image.filename}`);
+    await fs.mkdir(path.dirname(localPath), { recursive: true });
+    await storageService.downloadFile(image.dropbox_path, localPath);
+
+    return {
+      id: image.id,
+      filename: image.filename,
+      tags: image.tags || [],
+      created_at: image.created_at,
+      dropbox_path: image.dropbox_path,
+      localPath
+    };
+  },
+  async finish(job) {
+    const items = await databaseService.getJobItems(job.id, { limit: job.total });
+    const downloaded = items.filter(item => item.status === 'succeeded').map(item => item.result);
+    const zipPath = zipExportPath(job.id);
+
+    // Files from before a restart may have been lost with the container's disk - fetch them again
+    for (const image of downloaded) {
+      try {
+        await fs.access(image.localPath);
+      } catch (missingError) {
+        await fs.mkdir(path.dirname(image.localPath), { recursive: true });
+        await storageService.downloadFile(image.dropbox_path, image.localPath);
+      }
     }
-    
-    console.log(`📦 Found ${images.length} images for bulk download`);
-    
-    // Set headers for ZIP download
-    const zipFilename = filename || `snaptag-selection-${Date.now()}.zip`;
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
-    
-    // Create archive
+
     const archive = archiver('zip', {
       zlib: { level: 9 } // Maximum compression
     });
-    
-    // Handle archive errors
-    archive.on('error', (err) => {
-      console.error('❌ Archive error:', err);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Failed to create archive' });
-      }
+    const output = require('fs').createWriteStream(zipPath);
+    const written = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
     });
-    
-    // Pipe archive to response
-    archive.pipe(res);
-    
-    let successCount = 0;
-    let errorCount = 0;
-    
-    // Add each image to the archive
-    for (const image of images) {
-      try {
-        console.log(`📄 Adding ${image.filename} to archive...`);
-        
-        // Download image from Dropbox to temp location
-        const tempPath = `temp/bulk-download-${Date.now()}-${image.filename}`;
-        await dropboxService.downloadFile(image.dropbox_path, tempPath);
-        
-        // Add to archive with organized folder structure
-        const archivePath = image.dropbox_path.startsWith('/') ? image.dropbox_path.substring(1) : image.dropbox_path;
-        archive.file(tempPath, { name: archivePath });
-        
-        successCount++;
-        
-        // Clean up temp file after adding to archive
-        setTimeout(async () => {
-          try {
-            await fs.unlink(tempPath);
-          } catch (cleanupError) {
-            console.warn('⚠️ Could not clean up temp file:', tempPath);
-          }
-        }, 5000); // Clean up after 5 seconds
-        
-      } catch (error) {
-        console.error(`❌ Error adding ${image.filename} to archive:`, error.message);
-        errorCount++;
-        
-        // Add error info to archive as text file
-        const errorInfo = `Error downloading ${image.filename}: ${error.message}\nDropbox path: ${image.dropbox_path}\n`;
-        archive.append(errorInfo, { name: `errors/${image.filename}.error.txt` });
-      }
-    }
-    
+    archive.pipe(output);
+
+    downloaded.forEach(image => archive.file(image.localPath, { name: zipArchivePath(image.dropbox_path) }));
+
+    // Add error info to archive as text files
+    items.filter(item => item.status === 'failed').forEach(({ item, error }) => {
+      archive.append(`Error downloading image #${item}: ${error}\n`, { name: `errors/image-${item}.error.txt` });
+    });
+
     // Add metadata file with export info
     const exportInfo = {
       exportDate: new Date().toISOString(),
-      totalImages: images.length,
-      successfulDownloads: successCount,
-      errors: errorCount,
-      images: images.map(img => ({
-        filename: img.filename,
-        tags: img.tags || [],
-        created_at: img.created_at,
-        dropbox_path: img.dropbox_path
-      }))
+      totalImages: job.completed + job.failed,
+      successfulDownloads: job.completed,
+      errors: job.failed,
+      images: downloaded.map(({ filename, tags, created_at, dropbox_path }) => ({ filename, tags, created_at, dropbox_path }))
     };
-    
     archive.append(JSON.stringify(exportInfo, null, 2), { name: 'export-info.json' });
-    
-    console.log(`📦 Archive complete: ${successCount} successful, ${errorCount} errors`);
-    
-    // Finalize the archive
+
     await archive.finalize();
-    
+    await written;
+    await fs.rm(zipExportFilesDir(job.id), { recursive: true, force: true });
+
+    console.log(`📦 Archive complete: ${job.completed} successful, ${job.failed} errors`);
+    return {
+      success: true,
+      message: `ZIP ready: ${job.completed} images${job.failed > 0 ? `, ${job.failed} errors` : ''}`,
+      filename: job.payload.filename || `snaptag-selection-${job.id}.zip`,
+      downloadUrl: `/api/jobs/${job.id}/download`,
+      successfulDownloads: job.completed,
+      errors: job.failed
+    };
+  }
+});
+
+// Delete ZIP exports (and the downloads of unfinished ones) older than EXPORT_RETENTION_HOURS
+async function cleanupZipExports() {
+  const cutoff = Date.now() - EXPORT_RETENTION_HOURS * 60 * 60 * 1000;
+  let entries;
+  try {
+    entries = await fs.readdir(EXPORT_DIR);
   } catch (error) {
-    console.error('❌ Bulk download error:', error);
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'Failed to create bulk download: ' + error.message });
+    return 0;
+  }
+
+  let deleted = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(EXPORT_DIR, entry);
+    const stats = await fs.stat(entryPath);
+    if (stats.mtimeMs < cutoff) {
+      await fs.rm(entryPath, { recursive: true, force: true });
+      deleted++;
     }
   }
-});
 
-// Sync database with Dropbox folder contents
-app.post('/api/sync/dropbox', async (req, res) => {
+  if (deleted > 0) {
+    console.log(`🧹 Deleted ${deleted} ZIP exports older than ${EXPORT_RETENTION_HOURS} hours`);
+  }
+  return deleted;
+}
+
+// Bulk download selected images as a ZIP - built by a background job, fetched from
+// GET /api/jobs/:id/download once the job has succeeded
+app.post('/api/images/download-bulk', async (req, res) => {
   try {
-    console.log('🔄 Starting Dropbox folder sync...');
-    
-    const folderPath = process.env.DROPBOX_FOLDER || '/ARCHIER Team Folder/Support/Production/SnapTag';
-    console.log('📂 Scanning folder:', folderPath);
-    
-    // Get all images from Dropbox folder
-    const dropboxFiles = await dropboxService.listFiles(folderPath, false);
-    console.log('📊 Found', dropboxFiles.length, 'files in Dropbox');
-    
-    // Filter for image files only
-    const imageExtensions = /\.(jpg|jpeg|png|gif|webp|heic|heif|svg|tiff|avif|jp2|tga)$/i;
-    const imageFiles = dropboxFiles.filter(file => 
-      file['.tag'] === 'file' && imageExtensions.test(file.name)
-    );
-    
-    console.log('📊 Found', imageFiles.length, 'image files');
-    
-    // Get all images currently in database
-    const dbImages = await databaseService.getAllImages();
-    const dbFilenames = new Set(dbImages.map(img => img.filename));
-    
-    console.log('📊 Database has', dbImages.length, 'images');
-    
-    // Find images in Dropbox but not in database
-    const missingImages = imageFiles.filter(file => !dbFilenames.has(file.name));
-    
-    console.log('🔍 Found', missingImages.length, 'images not in database');
+    const { searchFilters, filename } = req.body;
     
-    // Add missing images to database with basic metadata
-    let addedCount = 0;
-    for (const file of missingImages) {
-      try {
-        console.log('➕ Adding to database:', file.name);
-        
-        // Generate basic metadata for orphaned file
-        const imageData = {
-          filename: file.name,
-          original_name: file.name,
-          title: `Synced: ${file.name}`,
-          description: 'Image found in Dropbox folder during sync',
-          dropbox_path: `${folderPath}/${file.name}`,
-          file_size: file.size,
-          source_url: null,
-          tags: ['synced', 'orphaned'], // Mark as synced - use array format
-          focused_tags: [],
-          upload_date: new Date().toISOString(), // Add required upload_date
-          created_at: new Date().toISOString(),  // Add created_at
-          updated_at: new Date().toISOString()   // Add updated_at
-        };
-        
-        const imageId = await databaseService.saveImage(imageData);
-        console.log('✅ Added image ID:', imageId);
-        
-        // Embed metadata in the Dropbox file for search functionality
-        try {
-          console.log('📝 Embedding metadata in synced file...');
-          await metadataService.updateImageMetadata(imageData.dropbox_path, {
-            tags: imageData.tags,
-            focusedTags: imageData.focused_tags,
-            title: imageData.title,
-            description: imageData.description
-          });
-          console.log('✅ Metadata embedded in synced file');
-        } catch (metadataError) {
-          console.error('⚠️ Failed to embed metadata in synced file (non-critical):', metadataError.message);
-        }
-        
-        addedCount++;
-        
-      } catch (error) {
-        console.error('❌ Failed to add', file.name, ':', error.message);
-      }
+    if (!searchFilters || !Array.isArray(searchFilters.imageIds) || searchFilters.imageIds.length === 0) {
+      return res.status(400).json({ error: 'No images selected for download' });
     }
     
-    console.log('✅ Sync completed');
-    console.log('📊 Summary:');
-    console.log('   Dropbox images:', imageFiles.length);
-    console.log('   Database images before:', dbImages.length);
-    console.log('   Added to database:', addedCount);
-    console.log('   Database images after:', dbImages.length + addedCount);
+    console.log(`📦 Queueing bulk download of ${searchFilters.imageIds.length} selected images`);
+
+    const job = await batchProcessingService.enqueue('zip_export', { imageIds: searchFilters.imageIds, filename }, {
+      userId: req.user.id,
+      route: auditService.describeRoute(req)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Preparing a ZIP of ${searchFilters.imageIds.length} images in the background`,
+      jobId: job.id
+    });
     
+  } catch (error) {
+    console.error('❌ Bulk download error:', error);
+    res.status(500).json({ error: 'Failed to create bulk download: ' + error.message });
+  }
+});
+
+// Sync database with Dropbox folder contents (incremental, recursive across the whole SnapTag tree)
+app.post('/api/sync/dropbox', async (req, res) => {
+  try {
+    const { fullRescan = false } = req.body || {};
+    const baseFolder = serverSettings.dropboxFolder || process.env.DROPBOX_FOLDER || '/ARCHIER Team Folder/Support/Production/SnapTag';
+    const folderPath = baseFolder.startsWith('/') ? baseFolder : `/${baseFolder}`;
+
+    console.log(`🔄 Starting Dropbox sync of ${folderPath}${fullRescan ? ' (full rescan)' : ''}...`);
+
+    const stats = await dropboxSyncService.sync(folderPath, { fullRescan });
+
     res.json({
       success: true,
-      message: 'Dropbox folder synced successfully',
-      stats: {
-        dropboxImages: imageFiles.length,
-        databaseImagesBefore: dbImages.length,
-        addedToDatabase: addedCount,
-        databaseImagesAfter: dbImages.length + addedCount
-      }
+      message: `Dropbox ${stats.mode} sync completed: ${stats.added} added, ${stats.moved} moved, ${stats.removed} removed`,
+      stats
     });
     
   } catch (error) {
     console.error('❌ Dropbox sync failed:', error);
-    res.status(500).json({ 
+    const status = error.message.includes('already in progress') ? 409 : 500;
+    res.status(status).json({ 
       success: false, 
       error: 'Failed to sync with Dropbox folder: ' + error.message 
     });
@@ -2777,9 +3546,9 @@ app.post('/api/organize/folders', async (req, res) => {
           console.log(`⚠️ Using fallback extension .jpg for image ${image.id}: "${image.filename}"`);
         }
         
-        const timestamp = Date.now();
-        const newFilename = folderPathService.generateTagBasedFilename(tags, ext, timestamp);
-        const newDropboxPath = path.posix.join(newFolderPath, newFilename);
+        const sequenceNumber = await resolveSequenceNumber(image);
+        const newDropboxPath = await uniqueImagePath(newFolderPath, buildImageFilename(image, { tags, extension: ext, sequenceNumber }), image.id);
+        const newFilename = path.posix.basename(newDropboxPath);
         
         // Check if the file is already in the correct location
         if (image.dropbox_path === newDropboxPath) {
@@ -2791,12 +3560,12 @@ app.post('/api/organize/folders', async (req, res) => {
         console.log(`🔄 Moving to: ${newDropboxPath}`);
         
         // Use fast Dropbox move API instead of download-upload-delete
-        await dropboxService.moveFile(image.dropbox_path, newDropboxPath);
+        await storageService.moveFile(image.dropbox_path, newDropboxPath);
         
         // Update database with new path and filename
         await databaseService.query(
-          'UPDATE images SET dropbox_path = $1, filename = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-          [newDropboxPath, newFilename, image.id]
+          'UPDATE images SET dropbox_path = $1, filename = $2, sequence_number = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4',
+          [newDropboxPath, newFilename, sequenceNumber, image.id]
         );
         
         movedCount++;
@@ -2830,240 +3599,484 @@ app.post('/api/organize/folders', async (req, res) => {
   }
 });
 
-// Clean up single-letter tags (utility endpoint)
-app.post('/api/cleanup/single-letter-tags', async (req, res) => {
-  try {
-    console.log('🧹 Cleaning up single-letter tags...');
-    
+// Clean up single-letter tags
+maintenanceService.register('remove-single-letter-tags', {
+  description: 'Delete single-letter tags',
+  async plan() {
     // Find all single-letter tags
     const singleLetterTags = await databaseService.all(`
-      SELECT id, name FROM tags 
-      WHERE LENGTH(name) = 1 AND name ~ '^[a-zA-Z]$'
+      SELECT t.id, t.name, COUNT(it.image_id)::int AS image_count
+      FROM tags t
+      LEFT JOIN image_tags it ON it.tag_id = t.id
+      WHERE LENGTH(t.name) = 1 AND t.name ~ '^[a-zA-Z]$'
+      GROUP BY t.id
+      ORDER BY t.id
     `);
-    
-    console.log(`🔍 Found ${singleLetterTags.length} single-letter tags to remove`);
-    
-    let removedCount = 0;
-    for (const tag of singleLetterTags) {
-      try {
-        // Remove tag associations
-        await databaseService.run('DELETE FROM image_tags WHERE tag_id = $1', [tag.id]);
-        // Remove the tag itself
-        await databaseService.run('DELETE FROM tags WHERE id = $1', [tag.id]);
-        console.log(`🗑️ Removed tag: "${tag.name}"`);
-        removedCount++;
-      } catch (error) {
-        console.error(`❌ Failed to remove tag "${tag.name}":`, error.message);
-      }
+
+    return {
+      actions: singleLetterTags.map(tag => ({
+        type: 'db_delete',
+        entityType: 'tag',
+        entityId: tag.id,
+        description: `Delete tag "${tag.name}" (on ${tag.image_count} images)`,
+        before: { name: tag.name, imageCount: tag.image_count },
+        after: null
+      }))
+    };
+  },
+  async applyAction(action) {
+    const tag = await databaseService.get('SELECT id, name FROM tags WHERE id = $1', [action.entityId]);
+    if (!tag) {
+      return { skipped: true, reason: 'tag already deleted' };
     }
-    
-    console.log(`✅ Cleanup completed: removed ${removedCount} single-letter tags`);
-    
-    res.json({
-      success: true,
-      message: `Cleaned up ${removedCount} single-letter tags`,
-      removedTags: removedCount
-    });
+    if (tag.name !== action.before.name) {
+      throw batchProcessingService.createPermanentError(`Tag "${action.before.name}" has been renamed to "${tag.name}" since the plan was made`);
+    }
+
+    // Remove tag associations
+    await databaseService.run('DELETE FROM image_tags WHERE tag_id = $1', [tag.id]);
+    // Remove the tag itself
+    await databaseService.run('DELETE FROM tags WHERE id = $1', [tag.id]);
+    console.log(`🗑️ Removed tag: "${tag.name}"`);
+    return { name: tag.name };
+  }
+});
+
+// Maintenance tasks (services/maintenanceService.js) are listed, previewed and run through
+// /api/maintenance, each needing the role it was registered with. A preview returns the plan
+// of changes and running it queues a tracked 'maintenance' job. Some older /api/admin routes
+// still preview ({ dryRun: true }) and run their task directly.
+
+app.get('/api/maintenance', (req, res) => {
+  res.json({ operations: maintenanceService.listOperations(req.user) });
+});
+
+// Past runs, newest first (?operation= for one task's)
+app.get('/api/maintenance/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const jobs = await maintenanceService.getHistory({ operation: req.query.operation || null, limit });
+
+    // Runs of tasks that no longer exist are only shown to admins
+    const canSee = ({ payload }) => (maintenanceService.hasOperation(payload.operation)
+      ? maintenanceService.canRun(req.user, payload.operation)
+      : authService.hasRole(req.user, 'admin'));
+
+    res.json({ runs: jobs.filter(canSee) });
   } catch (error) {
-    console.error('❌ Tag cleanup failed:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to clean up tags: ' + error.message 
-    });
+    console.error('❌ Maintenance history error:', error);
+    res.status(500).json({ error: 'Failed to load maintenance history: ' + error.message });
   }
 });
 
-// Migration endpoint to reorganize all existing images to new folder structure
-app.post('/api/admin/migrate-folder-structure', async (req, res) => {
+// :name must be a registered task the signed-in user's role allows
+const requireMaintenanceTask = (req, res, next) => {
+  const { name } = req.params;
+  if (!maintenanceService.hasOperation(name)) {
+    return res.status(404).json({ error: `Unknown maintenance task: ${name}` });
+  }
+  if (!maintenanceService.canRun(req.user, name)) {
+    return res.status(403).json({ error: `${name} needs the ${maintenanceService.getOperation(name).role} role` });
+  }
+  next();
+};
+
+// Preview a task: { params } -> the changes it would make, and its planId
+app.post('/api/maintenance/:name/preview', requireMaintenanceTask, async (req, res) => {
   try {
-    console.log('🚀 Starting folder structure migration for all existing images...');
-    
-    // Get all images from database
-    const allImages = await databaseService.query('SELECT * FROM images ORDER BY id');
-    const images = allImages.rows;
-    
-    console.log(`📊 Found ${images.length} images to migrate`);
-    
-    let successCount = 0;
-    let errorCount = 0;
-    let skippedCount = 0;
-    const errors = [];
-    const migratedImages = [];
-    
-    for (const image of images) {
-      try {
-        console.log(`\n🔄 Processing image ${image.id}: ${image.filename}`);
-        
-        // Get current tags for this image
-        const imageTagsResult = await databaseService.query(`
-          SELECT t.name 
-          FROM tags t
-          JOIN image_tags it ON t.id = it.tag_id 
-          WHERE it.image_id = $1
-        `, [image.id]);
-        
-        const currentTags = imageTagsResult.rows.map(row => row.name);
-        console.log(`🏷️ Current tags:`, currentTags);
-        
-        if (currentTags.length === 0) {
-          console.log(`⚠️ Skipping image ${image.id} - no tags found`);
-          skippedCount++;
-          continue;
-        }
-        
-        // Generate new folder path and filename using new structure
-        const baseDropboxFolder = serverSettings.dropboxFolder || process.env.DROPBOX_FOLDER || '/ARCHIER Team Folder/Support/Production/SnapTag';
-        const normalizedBaseFolder = baseDropboxFolder.startsWith('/') ? baseDropboxFolder : `/${baseDropboxFolder}`;
-        const newFolderPath = folderPathService.generateFolderPath(currentTags, normalizedBaseFolder);
-        let ext = path.extname(image.filename);
-        
-        // Fallback to .jpg if no extension found or malformed
-        if (!ext || ext === '.' || ext === '') {
-          ext = '.jpg';
-          console.log(`⚠️ Using fallback extension .jpg for image ${image.id}: "${image.filename}"`);
-        }
-        
-        // Try to preserve existing sequence number or assign new one
-        let sequenceNumber = null;
-        const existingMatch = image.filename.match(/^(\d{5})-/);
-        
-        if (existingMatch) {
-          // Keep existing sequence number
-          sequenceNumber = parseInt(existingMatch[1]);
-          console.log(`🔢 Preserving sequence number: ${sequenceNumber}`);
-        } else {
-          // Get next available sequence number
-          sequenceNumber = await folderPathService.getNextSequenceNumber(databaseService);
-          console.log(`🔢 Assigning new sequence number: ${sequenceNumber}`);
-        }
-        
-        const newFilename = folderPathService.generateTagBasedFilename(currentTags, ext, sequenceNumber);
-        const newDropboxPath = path.posix.join(newFolderPath, newFilename);
-        
-        console.log(`📁 Old path: ${image.dropbox_path}`);
-        console.log(`📁 New path: ${newDropboxPath}`);
-        
-        // Only migrate if path actually changed
-        if (image.dropbox_path === newDropboxPath) {
-          console.log(`✅ Image ${image.id} already in correct location`);
-          skippedCount++;
-          continue;
-        }
-        
-        // Move file in Dropbox
-        try {
-          await dropboxService.moveFile(image.dropbox_path, newDropboxPath);
-          console.log(`✅ Successfully moved file in Dropbox`);
-          
-          // Update database with new path and filename
-          await databaseService.query(
-            'UPDATE images SET dropbox_path = $1, filename = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-            [newDropboxPath, newFilename, image.id]
-          );
-          
-          console.log(`✅ Updated database for image ${image.id}`);
-          successCount++;
-          
-          migratedImages.push({
-            id: image.id,
-            oldPath: image.dropbox_path,
-            newPath: newDropboxPath,
-            oldFilename: image.filename,
-            newFilename: newFilename,
-            tags: currentTags
-          });
-          
-        } catch (moveError) {
-          console.error(`❌ Failed to move file in Dropbox:`, moveError.message);
-          
-          // Check if it's a "path not found" error (file may already be moved)
-          if (moveError.message.includes('path/not_found') || moveError.message.includes('not_found')) {
-            console.log(`⚠️ File not found at old path, checking if it exists at new path...`);
-            
-            try {
-              // Try to check if file exists at new location
-              await dropboxService.getTemporaryLink(newDropboxPath);
-              console.log(`✅ File already exists at new location, updating database only`);
-              
-              // Update database since file is already in correct location
-              await databaseService.query(
-                'UPDATE images SET dropbox_path = $1, filename = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-                [newDropboxPath, newFilename, image.id]
-              );
-              
-              successCount++;
-              migratedImages.push({
-                id: image.id,
-                oldPath: image.dropbox_path,
-                newPath: newDropboxPath,
-                oldFilename: image.filename,
-                newFilename: newFilename,
-                tags: currentTags,
-                note: 'File already at new location'
-              });
-              
-            } catch (checkError) {
-              console.error(`❌ File not found at either location:`, checkError.message);
-              errors.push(`Image ${image.id} (${image.filename}): File not found at old or new location`);
-              errorCount++;
-            }
-          } else {
-            errors.push(`Image ${image.id} (${image.filename}): ${moveError.message}`);
-            errorCount++;
-          }
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error processing image ${image.id}:`, error.message);
-        errors.push(`Image ${image.id}: ${error.message}`);
-        errorCount++;
-      }
+    console.log(`🔎 Planning maintenance task ${req.params.name} (dry run)...`);
+    const plan = await maintenanceService.preview(req.params.name, req.body.params || {});
+    res.json({ success: true, dryRun: true, ...plan });
+  } catch (error) {
+    console.error('❌ Maintenance preview error:', error);
+    if (error.code === 'INVALID_MAINTENANCE_PARAMS') {
+      return res.status(400).json({ error: error.message });
     }
-    
-    const message = `Migration completed: ${successCount} migrated, ${skippedCount} skipped, ${errorCount} errors`;
-    console.log(`\n🎉 ${message}`);
-    
-    res.json({
+    res.status(500).json({ error: 'Maintenance preview failed: ' + error.message });
+  }
+});
+
+// Run a task: { params, planId } queues it, with planId to run exactly the previewed changes
+app.post('/api/maintenance/:name/run', requireMaintenanceTask, async (req, res) => {
+  try {
+    const { params = {}, planId = null } = req.body;
+    const job = await maintenanceService.execute(req.params.name, params, {
+      planId,
+      userId: req.user.id,
+      route: auditService.describeRoute(req)
+    });
+
+    res.status(202).json({
       success: true,
-      message,
-      stats: {
-        total: images.length,
-        migrated: successCount,
-        skipped: skippedCount,
-        errors: errorCount,
-        errorDetails: errors,
-        migratedImages: migratedImages.slice(0, 10) // Show first 10 for preview
-      }
+      message: `${maintenanceService.getOperation(req.params.name).description} queued${planId ? ' with the previewed plan' : ''}`,
+      jobId: job.id
     });
-    
   } catch (error) {
-    console.error('❌ Migration error:', error);
-    res.status(500).json({ error: 'Migration failed: ' + error.message });
+    console.error('❌ Maintenance run error:', error);
+    if (error.code === 'INVALID_MAINTENANCE_PARAMS') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to queue maintenance task: ' + error.message });
   }
 });
 
-// Debug endpoint to test AI scan functionality
-app.get('/api/debug/ai-scan/:id', async (req, res) => {
+const isNotFoundError = (error) => error.message.includes('path/not_found') || error.message.includes('not_found');
+
+// Images whose path and filename no longer match action.before were changed after the plan was
+// made - applying the planned change on top could clobber that, so the action fails instead
+async function getImageMatchingPlan(action) {
+  const image = await databaseService.get('SELECT id, filename, dropbox_path, sequence_number FROM images WHERE id = $1', [action.entityId]);
+  if (!image) {
+    throw batchProcessingService.createPermanentError('Image no longer exists');
+  }
+  if (image.filename !== action.before.filename || image.dropbox_path !== action.before.dropbox_path) {
+    throw batchProcessingService.createPermanentError(`Image has changed since the plan was made (now ${image.dropbox_path})`);
+  }
+  return image;
+}
+
+// Apply a planned filename/path change to the database only (the Dropbox file is not touched)
+async function applyImagePathUpdate(action) {
+  await getImageMatchingPlan(action);
+  await databaseService.query(
+    'UPDATE images SET filename = $1, dropbox_path = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+    [action.after.filename, action.after.dropbox_path, action.entityId]
+  );
+  return { id: action.entityId, dropbox_path: action.after.dropbox_path };
+}
+
+// Apply a planned move of an image's file in Dropbox, updating its database path to match
+async function applyImageMove(action) {
+  const image = await getImageMatchingPlan(action);
+  const { filename, sequenceNumber } = await fillPlannedSequence(image, action.after.filename, action.after.sequenceNumber);
+  const newPath = path.posix.join(path.posix.dirname(action.after.dropbox_path), filename);
+
+  let note;
   try {
-    const { id } = req.params;
-    console.log(`🐛 DEBUG: Testing AI scan for image ${id}...`);
-    
-    // Get the image
-    const image = await databaseService.getImageById(id);
-    if (!image) {
-      return res.status(404).json({ error: 'Image not found' });
-    }
-    
-    console.log(`🐛 DEBUG: Image found - ${image.filename}`);
-    console.log(`🐛 DEBUG: Dropbox path - ${image.dropbox_path}`);
-    
-    // Test URL generation
-    let imageUrl = null;
+    await storageService.moveFile(image.dropbox_path, newPath);
+  } catch (moveError) {
+    // A retried move may already have happened
+    if (!isNotFoundError(moveError)) throw moveError;
     try {
-      console.log(`🐛 DEBUG: Generating URL for AI analysis...`);
-      imageUrl = await dropboxService.getTemporaryLink(image.dropbox_path);
-      console.log(`🐛 DEBUG: URL generated successfully: ${imageUrl ? 'YES' : 'NO'}`);
-      console.log(`🐛 DEBUG: URL starts with: ${imageUrl ? imageUrl.substring(0, 50) + '...' : 'NULL'}`);
+      await storageService.getTemporaryLink(newPath);
+    } catch (checkError) {
+      throw batchProcessingService.createPermanentError('File not found at old or new location');
+    }
+    note = 'File already at new location';
+  }
+
+  await databaseService.query(
+    'UPDATE images SET filename = $1, dropbox_path = $2, sequence_number = COALESCE($3, sequence_number), updated_at = CURRENT_TIMESTAMP WHERE id = $4',
+    [filename, newPath, sequenceNumber, image.id]
+  );
+  console.log(`✅ Moved ${image.dropbox_path} → ${newPath}`);
+  return { id: image.id, from: image.dropbox_path, to: newPath, note };
+}
+
+const sameTags = (a, b) => JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+
+// Planned re-embedding of an image's database tags in its file
+function planMetadataWrite(image) {
+  const tags = [...(image.tags || [])].sort();
+  return {
+    type: 'metadata_write',
+    entityType: 'image',
+    entityId: image.id,
+    description: `Embed ${tags.length} tags in ${image.filename}`,
+    before: { dropbox_path: image.dropbox_path },
+    after: {
+      dropbox_path: image.dropbox_path,
+      tags,
+      title: image.title || image.filename,
+      description: image.description || `Tagged with: ${tags.join(', ') || 'no tags'}`
+    }
+  };
+}
+
+async function applyMetadataWrite(action) {
+  const image = await databaseService.getImageById(action.entityId);
+  if (!image) {
+    throw batchProcessingService.createPermanentError('Image no longer exists');
+  }
+  if (image.dropbox_path !== action.before.dropbox_path) {
+    throw batchProcessingService.createPermanentError(`Image has moved since the plan was made (now ${image.dropbox_path})`);
+  }
+
+  const { tags, title, description } = action.after;
+  await metadataService.updateImageMetadata(image.dropbox_path, {
+    tags,
+    focusedTags: image.focused_tags || [],
+    title,
+    description
+  });
+  console.log(`✅ Updated metadata for ${image.filename} with tags: ${tags.join(', ')}`);
+
+  // Small delay to avoid overwhelming the Dropbox API
+  await new Promise(resolve => setTimeout(resolve, 100));
+  return { id: image.id, tags: tags.length };
+}
+
+// SQL REPLACE() semantics: every occurrence
+const replaceAll = (value, search, replacement) => value.split(search).join(replacement);
+
+// Stands in for the sequence number of a planned filename until the move is applied -
+// numbers are only handed out when used, so a dry run can't know them
+const NEXT_SEQUENCE_PLACEHOLDER = '{seq}';
+
+/**
+ * Filename of an image under a filename template (the active one from Settings by default)
+ * @param {Object} image - images row, with project_assignments when known, or what is known of a new upload
+ * @param {Object} options - { tags, extension, sequenceNumber, template }; a null sequenceNumber
+ *   leaves NEXT_SEQUENCE_PLACEHOLDER where the number goes
+ */
+function buildImageFilename(image, { tags, extension, sequenceNumber = null, template = filenameGeneratorService.template }) {
+  const assignment = (image.project_assignments || [])[0];
+  const archierProject = findArchierProject(tags);
+
+  return filenameGeneratorService.renderTemplate(template, {
+    ...folderPathService.getFilenameParts(tags),
+    sequence: sequenceNumber === null ? NEXT_SEQUENCE_PLACEHOLDER : folderPathService.formatSequence(sequenceNumber),
+    project: assignment ? assignment.projectName : archierProject && archierProject.name,
+    room: assignment && assignment.room,
+    stage: assignment && assignment.stage,
+    date: image.upload_date || image.created_at || new Date(),
+    sourceUrl: image.source_url,
+    title: image.title,
+    description: image.description,
+    tags,
+    originalName: image.original_name,
+    width: image.width,
+    height: image.height,
+    fileSize: image.file_size,
+    name: image.name,
+    extension
+  });
+}
+
+// Live images with what folder rules and filename templates need (newest first when limited)
+async function getImagesForNaming({ limit = null } = {}) {
+  const images = await databaseService.all(`
+    SELECT i.id, i.filename, i.dropbox_path, i.sequence_number, i.original_name, i.name, i.title, i.description,
+      i.source_url, i.width, i.height, i.file_size, i.upload_date, i.created_at,
+      COALESCE(ARRAY_AGG(t.name ORDER BY t.name) FILTER (WHERE t.name IS NOT NULL), '{}') AS tags
+    FROM images i
+    LEFT JOIN image_tags it ON it.image_id = i.id
+    LEFT JOIN tags t ON t.id = it.tag_id
+    WHERE i.deleted_at IS NULL
+    GROUP BY i.id
+    ${limit ? 'ORDER BY i.id DESC LIMIT $1' : 'ORDER BY i.id'}
+  `, limit ? [limit] : []);
+
+  const assignmentsByImage = await databaseService.getProjectAssignmentsForImages(images.map(image => image.id));
+  return images.map(image => ({ ...image, project_assignments: assignmentsByImage[image.id] || [] }));
+}
+
+// getNextSequenceNumber returns null when it can't hand out a number - fail rather than name
+// a file with a literal NEXT_SEQUENCE_PLACEHOLDER
+async function nextSequenceNumber() {
+  const sequenceNumber = await folderPathService.getNextSequenceNumber(databaseService);
+  if (sequenceNumber === null) {
+    throw new Error('Could not get the next sequence number for the filename');
+  }
+  return sequenceNumber;
+}
+
+// An image keeps its sequence number through renames; one without gets the next number if the
+// template uses it
+async function resolveSequenceNumber(image) {
+  if (image.sequence_number !== null && image.sequence_number !== undefined) {
+    return image.sequence_number;
+  }
+  if (!filenameGeneratorService.usesSequence()) return null;
+  return nextSequenceNumber();
+}
+
+// Give a planned filename that still has NEXT_SEQUENCE_PLACEHOLDER the image's sequence number.
+// A new number is saved on the image before its file moves, so a retry after the move names the
+// file the same and finds it where the first attempt put it.
+async function fillPlannedSequence(image, filename, sequenceNumber = null) {
+  if (!filename.includes(NEXT_SEQUENCE_PLACEHOLDER)) {
+    return { filename, sequenceNumber };
+  }
+
+  let reserved = image.sequence_number;
+  if (reserved === null || reserved === undefined) {
+    const { rows } = await databaseService.query(
+      'UPDATE images SET sequence_number = COALESCE(sequence_number, $1) WHERE id = $2 RETURNING sequence_number',
+      [await nextSequenceNumber(), image.id]
+    );
+    reserved = rows[0].sequence_number;
+    console.log(`🔢 Assigning new sequence number: ${reserved}`);
+  }
+  return {
+    filename: filename.replace(NEXT_SEQUENCE_PLACEHOLDER, folderPathService.formatSequence(reserved)),
+    sequenceNumber: reserved
+  };
+}
+
+// Path for a filename in a folder. Templates without {seq} can name two images alike, so then
+// -1, -2, ... is added until no other image has the path (or one planned in taken, lowercase)
+async function uniqueImagePath(folder, filename, imageId = null, taken = new Set()) {
+  let candidate = path.posix.join(folder, filename);
+  if (filenameGeneratorService.usesSequence()) return candidate;
+
+  const ext = path.extname(filename);
+  const base = path.basename(filename, ext);
+  for (let counter = 1; ; counter++) {
+    const inUse = taken.has(candidate.toLowerCase()) || await databaseService.get(
+      'SELECT id FROM images WHERE LOWER(dropbox_path) = $1 AND id IS DISTINCT FROM $2',
+      [candidate.toLowerCase(), imageId]
+    );
+    if (!inUse) return candidate;
+    candidate = path.posix.join(folder, `${base}-${counter}${ext}`);
+  }
+}
+
+// Migration to reorganize all existing images to new folder structure
+maintenanceService.register('migrate-folder-structure', {
+  description: 'Move every image to the folder and filename its tags call for',
+  route: '/api/admin/migrate-folder-structure',
+  async plan() {
+    // Get all images from database with their tags
+    const images = await getImagesForNaming();
+    
+    console.log(`📊 Found ${images.length} images to migrate`);
+
+    const baseDropboxFolder = serverSettings.dropboxFolder || process.env.DROPBOX_FOLDER || '/ARCHIER Team Folder/Support/Production/SnapTag';
+    const normalizedBaseFolder = baseDropboxFolder.startsWith('/') ? baseDropboxFolder : `/${baseDropboxFolder}`;
+    const actions = [];
+    const taken = new Set();
+    let untagged = 0;
+    let alreadyInPlace = 0;
+
+    for (const image of images) {
+      const currentTags = image.tags;
+      if (currentTags.length === 0) {
+        untagged++;
+        continue;
+      }
+      
+      // Generate new folder path and filename using new structure
+      const newFolderPath = folderPathService.generateFolderPath(currentTags, normalizedBaseFolder);
+      let ext = path.extname(image.filename);
+      
+      // Fallback to .jpg if no extension found or malformed
+      if (!ext || ext === '.' || ext === '') {
+        ext = '.jpg';
+      }
+      
+      // Preserve an existing sequence number, otherwise the next one is assigned when the move is applied
+      const sequenceNumber = image.sequence_number;
+      const newDropboxPath = await uniqueImagePath(newFolderPath, buildImageFilename(image, { tags: currentTags, extension: ext, sequenceNumber }), image.id, taken);
+      const newFilename = path.posix.basename(newDropboxPath);
+      
+      // Only migrate if path actually changed
+      if (image.dropbox_path === newDropboxPath) {
+        alreadyInPlace++;
+        continue;
+      }
+      taken.add(newDropboxPath.toLowerCase());
+
+      actions.push({
+        type: 'dropbox_move',
+        entityType: 'image',
+        entityId: image.id,
+        description: `${image.dropbox_path} → ${newDropboxPath}`,
+        before: { filename: image.filename, dropbox_path: image.dropbox_path },
+        after: { filename: newFilename, dropbox_path: newDropboxPath, folder: newFolderPath, tags: currentTags, sequenceNumber }
+      });
+    }
+
+    return { actions, summary: { images: images.length, untagged, alreadyInPlace } };
+  },
+  async applyAction(action) {
+    const image = await getImageMatchingPlan(action);
+    const { folder, tags } = action.after;
+
+    const { filename: newFilename, sequenceNumber } = await fillPlannedSequence(image, action.after.filename, action.after.sequenceNumber);
+    const newDropboxPath = path.posix.join(folder, newFilename);
+
+    console.log(`📁 Old path: ${image.dropbox_path}`);
+    console.log(`📁 New path: ${newDropboxPath}`);
+
+    let note;
+    try {
+      await storageService.moveFile(image.dropbox_path, newDropboxPath);
+      console.log(`✅ Successfully moved file in Dropbox`);
+    } catch (moveError) {
+      // Check if it's a "path not found" error (file may already be moved)
+      if (!isNotFoundError(moveError)) throw moveError;
+
+      console.log(`⚠️ File not found at old path, checking if it exists at new path...`);
+      try {
+        await storageService.getTemporaryLink(newDropboxPath);
+      } catch (checkError) {
+        throw batchProcessingService.createPermanentError('File not found at old or new location');
+      }
+      console.log(`✅ File already exists at new location, updating database only`);
+      note = 'File already at new location';
+    }
+
+    // Update database with new path and filename
+    await databaseService.query(
+      'UPDATE images SET dropbox_path = $1, filename = $2, sequence_number = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4',
+      [newDropboxPath, newFilename, sequenceNumber, image.id]
+    );
+    console.log(`✅ Updated database for image ${image.id}`);
+
+    return {
+      id: image.id,
+      oldPath: image.dropbox_path,
+      newPath: newDropboxPath,
+      oldFilename: image.filename,
+      newFilename,
+      tags,
+      note
+    };
+  },
+  summarize(job, items) {
+    const message = `Migration completed: ${job.completed} migrated, ${job.skipped} skipped, ${job.failed} errors`;
+    console.log(`\n🎉 ${message}`);
+
+    return {
+      success: true,
+      message,
+      stats: {
+        total: job.total,
+        migrated: job.completed,
+        skipped: job.skipped,
+        errors: job.failed,
+        errorDetails: items.filter(item => item.status === 'failed').map(({ item, error }) => `Image ${item.entityId} (${item.before.filename}): ${error}`),
+        migratedImages: items.filter(item => item.status === 'succeeded').slice(0, 10).map(item => item.result) // Show first 10 for preview
+      }
+    };
+  }
+});
+
+app.post('/api/admin/migrate-folder-structure', maintenanceService.routeHandler('migrate-folder-structure'));
+
+// Debug endpoint to test AI scan functionality
+app.get('/api/debug/ai-scan/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`🐛 DEBUG: Testing AI scan for image ${id}...`);
+    
+    // Get the image
+    const image = await databaseService.getImageById(id);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    console.log(`🐛 DEBUG: Image found - ${image.filename}`);
+    console.log(`🐛 DEBUG: Dropbox path - ${image.dropbox_path}`);
+    
+    // Test URL generation
+    let imageUrl = null;
+    try {
+      console.log(`🐛 DEBUG: Generating URL for AI analysis...`);
+      imageUrl = await storageService.getTemporaryLink(image.dropbox_path);
+      console.log(`🐛 DEBUG: URL generated successfully: ${imageUrl ? 'YES' : 'NO'}`);
+      console.log(`🐛 DEBUG: URL starts with: ${imageUrl ? imageUrl.substring(0, 50) + '...' : 'NULL'}`);
     } catch (error) {
       console.error(`🐛 DEBUG: URL generation failed:`, error);
       return res.json({
@@ -3127,7 +4140,7 @@ app.get('/api/images/:id/suggestions', async (req, res) => {
     // Generate URL for AI analysis
     try {
       console.log(`🔗 Generating URL for AI analysis: ${image.filename}`);
-      image.url = await dropboxService.getTemporaryLink(image.dropbox_path);
+      image.url = await storageService.getTemporaryLink(image.dropbox_path);
       console.log(`✅ URL generated for AI analysis`);
     } catch (error) {
       console.error(`❌ Failed to generate URL for AI analysis:`, error);
@@ -3211,7 +4224,43 @@ app.get('/api/images/:id/suggestions', async (req, res) => {
   }
 });
 
-// Get bulk tag suggestions for multiple images
+batchProcessingService.registerJobType('bulk_suggestions', {
+  listItems: ({ imageIds }) => imageIds,
+  describeItem: (imageId) => `Image #${imageId}`,
+  async processItem(imageId, { includeTagged }) {
+    const image = await databaseService.getImageById(imageId);
+    if (!image) {
+      return { skipped: true, reason: 'not found' };
+    }
+
+    // Unless includeTagged is set, only untagged images get suggestions (original behavior)
+    if (!includeTagged && image.tags.length > 0) {
+      return { skipped: true, reason: 'already tagged' };
+    }
+
+    return { suggestions: await tagSuggestionService.generateSuggestions(image) };
+  },
+  async finish(job) {
+    const items = await databaseService.getJobItems(job.id, { limit: job.total });
+    const suggestions = {};
+    items.forEach(({ item, status, result }) => {
+      if (status === 'succeeded') suggestions[item] = result.suggestions;
+      if (status === 'failed') suggestions[item] = [];
+    });
+
+    console.log(`✅ Generated bulk suggestions for ${Object.keys(suggestions).length} images`);
+    return {
+      success: true,
+      totalRequested: job.total,
+      targetCount: job.completed + job.failed,
+      includeTagged: Boolean(job.payload.includeTagged),
+      suggestions
+    };
+  }
+});
+
+// Get bulk tag suggestions for multiple images - runs as a background job, the suggestions
+// are the job's result
 app.post('/api/images/bulk-suggestions', async (req, res) => {
   try {
     const { imageIds, includeTagged = false } = req.body;
@@ -3220,41 +4269,17 @@ app.post('/api/images/bulk-suggestions', async (req, res) => {
       return res.status(400).json({ error: 'Image IDs array is required' });
     }
     
-    console.log(`🤖 Generating bulk tag suggestions for ${imageIds.length} images (includeTagged: ${includeTagged})...`);
-    
-    let targetIds = imageIds;
-    
-    // If includeTagged is false, filter to only untagged images (original behavior)
-    if (!includeTagged) {
-      const untaggedIds = [];
-      for (const imageId of imageIds) {
-        const tagsResult = await databaseService.query(`
-          SELECT COUNT(*) as tag_count
-          FROM image_tags 
-          WHERE image_id = $1
-        `, [imageId]);
-        
-        if (tagsResult.rows[0].tag_count == 0) {
-          untaggedIds.push(imageId);
-        }
-      }
-      targetIds = untaggedIds;
-      console.log(`📊 Found ${untaggedIds.length} untagged images out of ${imageIds.length} requested`);
-    } else {
-      console.log(`📊 Generating suggestions for all ${imageIds.length} selected images (including tagged ones)`);
-    }
-    
-    // Generate suggestions for target images
-    const suggestions = await tagSuggestionService.getBulkSuggestions(targetIds);
-    
-    console.log(`✅ Generated bulk suggestions for ${Object.keys(suggestions).length} images`);
-    
-    res.json({
+    console.log(`🤖 Queueing bulk tag suggestions for ${imageIds.length} images (includeTagged: ${includeTagged})...`);
+
+    const job = await batchProcessingService.enqueue('bulk_suggestions', { imageIds, includeTagged }, {
+      userId: req.user.id,
+      route: auditService.describeRoute(req)
+    });
+
+    res.status(202).json({
       success: true,
-      totalRequested: imageIds.length,
-      targetCount: targetIds.length,
-      includeTagged: includeTagged,
-      suggestions: suggestions
+      message: `Generating suggestions for ${imageIds.length} images in the background`,
+      jobId: job.id
     });
     
   } catch (error) {
@@ -3280,6 +4305,9 @@ app.post('/api/images/:id/apply-suggestions', async (req, res) => {
     if (!image) {
       return res.status(404).json({ error: 'Image not found' });
     }
+    if (image.deleted_at) {
+      return res.status(409).json({ error: 'Image is in the trash - restore it before editing' });
+    }
     
     // Apply tags using existing batch tagging logic
     await databaseService.updateImageTags(id, tags, image.focused_tags || []);
@@ -3296,26 +4324,35 @@ app.post('/api/images/:id/apply-suggestions', async (req, res) => {
       console.log(`⚠️ Using fallback extension .jpg for image ${image.id}: "${image.filename}"`);
     }
     
-    // Generate new filename with sequential number
-    let sequenceNumber = await folderPathService.getNextSequenceNumber(databaseService);
-    const newFilename = folderPathService.generateTagBasedFilename(tags, ext, sequenceNumber);
-    const newDropboxPath = path.posix.join(newFolderPath, newFilename);
+    // Generate new filename under the active template, keeping the sequence number
+    const sequenceNumber = await resolveSequenceNumber(image);
+    const newDropboxPath = await uniqueImagePath(newFolderPath, buildImageFilename(image, { tags, extension: ext, sequenceNumber }), image.id);
+    const newFilename = path.posix.basename(newDropboxPath);
     
     // Move file if path changed
     if (image.dropbox_path !== newDropboxPath) {
       console.log(`📁 Moving file from: ${image.dropbox_path}`);
       console.log(`📁 Moving file to: ${newDropboxPath}`);
       
-      await dropboxService.moveFile(image.dropbox_path, newDropboxPath);
+      await storageService.moveFile(image.dropbox_path, newDropboxPath);
       
       // Update database with new path and filename
       await databaseService.query(
-        'UPDATE images SET dropbox_path = $1, filename = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-        [newDropboxPath, newFilename, id]
+        'UPDATE images SET dropbox_path = $1, filename = $2, sequence_number = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4',
+        [newDropboxPath, newFilename, sequenceNumber, id]
       );
     }
     
     console.log(`✅ Applied suggested tags to image ${id}`);
+
+    await auditService.record(req, {
+      action: 'image.suggestions_apply',
+      entityType: 'image',
+      entityId: id,
+      imageId: image.id,
+      before: { tags: image.tags, dropbox_path: image.dropbox_path },
+      after: { tags, dropbox_path: newDropboxPath }
+    });
     
     res.json({
       success: true,
@@ -3332,15 +4369,33 @@ app.post('/api/images/:id/apply-suggestions', async (req, res) => {
 });
 
 // Helper functions
-async function processAndUploadImage({ filePath, originalName, tags, name, focusedTags }) {
+async function processAndUploadImage({ filePath, originalName, tags, name, title, description, focusedTags, sourceUrl, createdBy }) {
+  // Auto-tagging rules (AutoTagService) have the last word on the tags, before the image is
+  // named, filed or embedded
+  const dimensions = await metadataService.getImageDimensions(filePath);
+  const autoTagging = autoTagService.applyRules({
+    tags: Array.isArray(tags) ? tags : [],
+    source_url: sourceUrl,
+    original_name: originalName,
+    width: dimensions && dimensions.width,
+    height: dimensions && dimensions.height
+  });
+  if (autoTagging.matched.length > 0) {
+    console.log(`🤖 Auto-tagging rules ${autoTagging.matched.map(rule => `"${rule.name}"`).join(', ')}: added [${autoTagging.added.join(', ')}], removed [${autoTagging.removed.join(', ')}]`);
+  }
+
   // CRITICAL: Create a deep copy of tags to prevent corruption during processing
-  const originalTags = Array.isArray(tags) ? [...tags] : [];
+  const originalTags = [...autoTagging.tags];
+
+  // Dominant colours, for search by colour - stored with the image and embedded in its XMP
+  const colorPalette = await colorPaletteService.extractFromFile(filePath);
   
   // Add metadata to image using original tags
   const processedImagePath = await metadataService.addMetadataToImage(filePath, {
     tags: originalTags,
     name,
-    focusedTags
+    focusedTags,
+    colorPalette
   });
   // Check if file is empty
   const statsAfter = await fs.stat(processedImagePath);
@@ -3365,15 +4420,20 @@ async function processAndUploadImage({ filePath, originalName, tags, name, focus
     console.log(`⚠️ Using fallback extension .jpg for uploaded file: "${originalName}"`);
   }
   
-  // Get next sequence number for proper AXXXX format
-  const sequenceNumber = await folderPathService.getNextSequenceNumber(databaseService);
-  const filename = folderPathService.generateTagBasedFilename(originalTags, ext, sequenceNumber);
-  
-  // Combine folder path and filename
-  const dropboxPath = path.posix.join(folderPath, filename);
+  // Name it with the active filename template and the next sequence number
+  const sequenceNumber = filenameGeneratorService.usesSequence() ? await nextSequenceNumber() : null;
+  const dropboxPath = await uniqueImagePath(folderPath, buildImageFilename({
+    original_name: originalName,
+    name,
+    title,
+    description,
+    source_url: sourceUrl,
+    file_size: statsAfter.size
+  }, { tags: originalTags, extension: ext, sequenceNumber }));
+  const filename = path.posix.basename(dropboxPath);
 
   // Upload to Dropbox
-  const uploadResult = await dropboxService.uploadFile(processedImagePath, dropboxPath);
+  const uploadResult = await storageService.uploadFile(processedImagePath, dropboxPath);
 
   let imageId;
   try {
@@ -3388,7 +4448,13 @@ async function processAndUploadImage({ filePath, originalName, tags, name, focus
     upload_date: new Date().toISOString(),
     file_size: uploadResult.size,
     dropbox_id: uploadResult.id,
-    file_hash: fileHash
+    content_hash: uploadResult.content_hash,
+    file_hash: fileHash,
+    created_by: createdBy,
+    color_palette: colorPalette,
+    sequence_number: sequenceNumber,
+    width: dimensions && dimensions.width,
+    height: dimensions && dimensions.height
   };
 
     imageId = await databaseService.saveImage(imageData);
@@ -3398,7 +4464,7 @@ async function processAndUploadImage({ filePath, originalName, tags, name, focus
     // Clean up orphaned file from Dropbox
     try {
       console.log('🧹 Cleaning up orphaned file from Dropbox:', dropboxPath);
-      await dropboxService.deleteFile(dropboxPath);
+      await storageService.deleteFile(dropboxPath);
       console.log('✅ Cleaned up orphaned file successfully');
     } catch (cleanupError) {
       console.error('❌ Failed to cleanup orphaned file:', cleanupError);
@@ -3409,6 +4475,9 @@ async function processAndUploadImage({ filePath, originalName, tags, name, focus
     throw new Error(`Database save failed: ${databaseError.message}`);
   }
 
+  // Hash it for visual duplicate detection and look for existing images that look the same
+  const similarImages = await duplicateDetectionService.checkNewImage(imageId, processedImagePath);
+
   console.log('🔗 Getting temporary link...');
   
   // Reconstruct imageData for return (since it was scoped inside try block)
@@ -3416,23 +4485,50 @@ async function processAndUploadImage({ filePath, originalName, tags, name, focus
     filename,
     original_name: originalName,
     dropbox_path: dropboxPath,
-    tags,
+    tags: originalTags,
     name,
     focused_tags: focusedTags,
     upload_date: new Date().toISOString(),
     file_size: uploadResult.size,
     dropbox_id: uploadResult.id,
-    file_hash: fileHash
+    content_hash: uploadResult.content_hash,
+    file_hash: fileHash,
+    color_palette: colorPalette
   };
   
   return {
     id: imageId,
     ...finalImageData,
-    url: await dropboxService.getTemporaryLink(dropboxPath)
+    auto_tagging: {
+      added: autoTagging.added,
+      removed: autoTagging.removed,
+      rules: autoTagging.matched.map(rule => rule.name)
+    },
+    similar_images: similarImages,
+    url: await storageService.getTemporaryLink(dropboxPath)
   };
 }
 
-async function saveImageFromUrl({ imageUrl, tags, title, name, description, focusedTags, sourceUrl, requestId }) {
+// Audit a resolved duplicate group: what the keeper gained, and each copy moved to the trash
+async function auditDuplicateMerge(req, { keeper, before, removedImages }) {
+  await auditService.record(req, {
+    action: 'image.duplicate_merge',
+    entityType: 'image',
+    entityId: keeper.id,
+    imageId: keeper.id,
+    before: auditService.imageSnapshot(before),
+    after: {
+      ...auditService.imageSnapshot(keeper),
+      message: `Merged duplicates ${removedImages.map(image => `#${image.id}`).join(', ')}`
+    }
+  });
+  await auditService.recordForImages(req, 'image.trash', removedImages, {
+    before: image => auditService.imageSnapshot(image),
+    after: { reason: 'visual duplicate', merged_into: keeper.id }
+  });
+}
+
+async function saveImageFromUrl({ imageUrl, tags, title, name, description, focusedTags, sourceUrl, requestId, createdBy }) {
   console.log(`📥 [${requestId || 'N/A'}] STEP 1: Downloading image from:`, imageUrl);
   
   // RELIABILITY: Download with timeout and better error handling
@@ -3494,7 +4590,9 @@ async function saveImageFromUrl({ imageUrl, tags, title, name, description, focu
       title,
       name,
       description,
-      focusedTags
+      focusedTags,
+      sourceUrl: sourceUrl || imageUrl,
+      createdBy
     });
 
     console.log('💾 Adding image URL to database...');
@@ -3551,7 +4649,7 @@ app.get('/api/settings', (req, res) => {
 });
 
 // POST settings  
-app.post('/api/settings', (req, res) => {
+app.post('/api/settings', requireAdmin, (req, res) => {
   try {
     const { dropboxFolder, dropboxToken } = req.body;
     
@@ -3570,85 +4668,579 @@ app.post('/api/settings', (req, res) => {
   }
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  res.status(500).json({ error: 'Internal server error' });
-});
+// Folder rules - where images are filed in Dropbox, by tag (see FolderPathService)
+const FOLDER_RULE_SAMPLE_LIMIT = 12;
 
+const getBaseFolder = () => serverSettings.dropboxFolder || '/ARCHIER Team Folder/Support/Production/SnapTag';
 
-app.post('/api/stages', async (req, res) => {
+app.get('/api/folder-rules', async (req, res) => {
   try {
-    const { name, description, orderIndex } = req.body;
-    
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Stage name is required' });
-    }
-    
-    console.log(`🏗️ Creating stage: ${name}`);
-    const stage = await databaseService.createStage(name, description, orderIndex || 0);
-    console.log(`✅ Created stage: ${stage.name}`);
-    res.status(201).json(stage);
+    const rules = await databaseService.getFolderRules();
+    res.json({ rules, baseFolder: getBaseFolder() });
   } catch (error) {
-    console.error('❌ Error creating stage:', error);
-    if (error.message.includes('already exists')) {
-      res.status(409).json({ error: error.message });
-    } else {
-      res.status(500).json({ 
-        error: 'Failed to create stage',
-        details: error.message,
-        stack: error.stack 
-      });
-    }
+    console.error('❌ Error loading folder rules:', error);
+    res.status(500).json({ error: 'Failed to load folder rules: ' + error.message });
   }
 });
 
-app.put('/api/stages/:id', async (req, res) => {
+// Check proposed rules against the library without saving them: which images would be filed
+// somewhere else than under the current rules, rules that match nothing, tags nobody uses,
+// and where a set of sample tags would land
+app.post('/api/folder-rules/preview', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, description, orderIndex } = req.body;
-    
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Stage name is required' });
+    const { rules: proposedRules, sampleTags = [] } = req.body;
+    const { rules, errors } = folderPathService.validateRules(proposedRules);
+    const baseFolder = getBaseFolder();
+
+    if (errors.length > 0) {
+      return res.json({ errors, warnings: [], impact: null, samples: [], sampleResult: null });
     }
-    
-    console.log(`🔧 Updating stage ${id}: ${name}`);
-    const stage = await databaseService.updateStage(id, name, description, orderIndex || 0);
-    console.log(`✅ Updated stage: ${stage.name}`);
-    res.json(stage);
-  } catch (error) {
-    console.error('❌ Error updating stage:', error);
-    if (error.message.includes('already exists')) {
-      res.status(409).json({ error: error.message });
-    } else {
-      res.status(500).json({ 
-        error: 'Failed to update stage',
-        details: error.message,
-        stack: error.stack 
-      });
+
+    const folderFor = (tags, ruleList) => {
+      const { rule, index, category } = folderPathService.matchFolderRule(tags, ruleList);
+      return { index, folder: path.posix.join(baseFolder, folderPathService.renderFolder(rule, category)) };
+    };
+
+    const images = await databaseService.all(`
+      SELECT i.id, i.filename, i.dropbox_path,
+        COALESCE(ARRAY_AGG(t.name ORDER BY t.name) FILTER (WHERE t.name IS NOT NULL), '{}') AS tags
+      FROM images i
+      LEFT JOIN image_tags it ON it.image_id = i.id
+      LEFT JOIN tags t ON t.id = it.tag_id
+      WHERE i.deleted_at IS NULL
+      GROUP BY i.id
+      ORDER BY i.id DESC
+    `);
+
+    const matchesByRule = rules.map(() => 0);
+    const moving = [];
+    const samples = [];
+
+    for (const image of images) {
+      const current = folderFor(image.tags, folderPathService.rules);
+      const proposed = folderFor(image.tags, rules);
+      matchesByRule[proposed.index]++;
+
+      const sample = {
+        id: image.id,
+        filename: image.filename,
+        tags: image.tags,
+        currentFolder: current.folder,
+        proposedFolder: proposed.folder,
+        rule: rules[proposed.index].name
+      };
+      if (current.folder !== proposed.folder) {
+        moving.push(sample);
+      } else if (samples.length < FOLDER_RULE_SAMPLE_LIMIT) {
+        samples.push(sample);
+      }
     }
-  }
-});
 
-app.delete('/api/stages/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    console.log(`🗑️ Deleting stage ${id}`);
-    await databaseService.deleteStage(id);
-    console.log(`✅ Deleted stage ${id}`);
-    res.json({ success: true });
-  } catch (error) {
-    console.error('❌ Error deleting stage:', error);
-    res.status(500).json({ 
-      error: 'Failed to delete stage',
-      details: error.message,
-      stack: error.stack 
+    const warnings = [];
+    const knownTags = new Set((await databaseService.all('SELECT name FROM tags')).map(tag => tag.name.toLowerCase()));
+    rules.forEach((rule, index) => {
+      const unknownTags = [...rule.all, ...rule.any, ...rule.none, ...rule.categories].filter(tag => !knownTags.has(tag));
+      if (unknownTags.length > 0) {
+        warnings.push({ rule: index, message: `${rule.name}: no image is tagged ${[...new Set(unknownTags)].join(', ')}` });
+      }
+      if (rule.enabled && matchesByRule[index] === 0) {
+        warnings.push({ rule: index, message: `${rule.name}: matches no images - an earlier rule may catch them first` });
+      }
     });
+
+    const tryTags = (Array.isArray(sampleTags) ? sampleTags : []).map(tag => String(tag).trim()).filter(tag => tag.length > 0);
+    const sampleResult = tryTags.length > 0
+      ? { tags: tryTags, folder: folderFor(tryTags, rules).folder, rule: rules[folderFor(tryTags, rules).index].name }
+      : null;
+
+    res.json({
+      errors,
+      warnings,
+      impact: {
+        images: images.length,
+        moving: moving.length,
+        byRule: rules.map((rule, index) => ({ name: rule.name, images: matchesByRule[index] }))
+      },
+      samples: [...moving.slice(0, FOLDER_RULE_SAMPLE_LIMIT), ...samples].slice(0, FOLDER_RULE_SAMPLE_LIMIT * 2),
+      sampleResult
+    });
+  } catch (error) {
+    console.error('❌ Error previewing folder rules:', error);
+    res.status(500).json({ error: 'Folder rules preview failed: ' + error.message });
   }
 });
 
-
-app.post('/api/rooms', async (req, res) => {
+// Replace the rules. Only new uploads and tag changes use them - images already in Dropbox stay
+// put until the migrate-misplaced-images maintenance task moves them.
+app.put('/api/folder-rules', async (req, res) => {
+  try {
+    const { rules, errors } = folderPathService.validateRules(req.body.rules);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid folder rules', errors });
+    }
+
+    const before = await databaseService.getFolderRules();
+    await databaseService.replaceFolderRules(rules, req.user.id);
+    const saved = await folderPathService.loadRules(databaseService);
+
+    await auditService.record(req, {
+      action: 'folder_rules.update',
+      entityType: 'folder_rules',
+      before,
+      after: saved
+    });
+
+    res.json({
+      success: true,
+      message: 'Folder rules saved. Existing images move when Maintenance → migrate-misplaced-images runs.',
+      rules: saved
+    });
+  } catch (error) {
+    console.error('❌ Error saving folder rules:', error);
+    res.status(500).json({ error: 'Failed to save folder rules: ' + error.message });
+  }
+});
+
+// Auto-tagging rules - tags added or removed on upload, extension saves and the auto_tagging job,
+// by source, filename, size, tags and project (see AutoTagService)
+const AUTO_TAG_SAMPLE_LIMIT = 25;
+
+// Rules name tags the way people type them - file the aliases (tag_aliases) under their tags
+async function resolveAutoTagRuleAliases(rules) {
+  const canonicalNames = await databaseService.getCanonicalTagNames(rules.flatMap(rule => [...rule.add, ...rule.remove]));
+  const resolve = (tags) => [...new Set(tags.map(tag => (canonicalNames.get(tag) || tag).toLowerCase()))];
+  return rules.map(rule => ({ ...rule, add: resolve(rule.add), remove: resolve(rule.remove) }));
+}
+
+app.get('/api/auto-tag-rules', async (req, res) => {
+  try {
+    const rules = await databaseService.getAutoTagRules();
+    res.json({ rules });
+  } catch (error) {
+    console.error('❌ Error loading auto-tagging rules:', error);
+    res.status(500).json({ error: 'Failed to load auto-tagging rules: ' + error.message });
+  }
+});
+
+// Test proposed rules against the library without saving them: which images they would tag
+// differently today (what the auto_tagging job would do), how many each rule matches, and
+// rules that can't do anything
+app.post('/api/auto-tag-rules/preview', async (req, res) => {
+  try {
+    const { rules: validatedRules, errors } = autoTagService.validateRules(req.body.rules);
+    if (errors.length > 0) {
+      return res.json({ errors, warnings: [], impact: null, samples: [] });
+    }
+    const rules = await resolveAutoTagRuleAliases(validatedRules);
+
+    const images = await getImagesForNaming();
+    const matchesByRule = rules.map(() => 0);
+    const changes = [];
+    let added = 0;
+    let removed = 0;
+
+    for (const image of images) {
+      const result = autoTagService.applyRules(image, rules);
+      result.matched.forEach(({ index }) => matchesByRule[index]++);
+      if (result.added.length === 0 && result.removed.length === 0) continue;
+
+      added += result.added.length;
+      removed += result.removed.length;
+      changes.push({
+        id: image.id,
+        filename: image.filename,
+        tags: image.tags,
+        added: result.added,
+        removed: result.removed,
+        rules: result.matched.map(rule => rule.name)
+      });
+    }
+
+    const warnings = [];
+    const knownTags = new Set((await databaseService.all('SELECT name FROM tags')).map(tag => tag.name.toLowerCase()));
+    const knownProjects = new Set((await databaseService.all('SELECT id FROM projects')).map(project => String(project.id)));
+    rules.forEach((rule, index) => {
+      if (!autoTagService.hasConditions(rule)) {
+        warnings.push({ rule: index, message: `${rule.name}: has no conditions, so it applies to every image` });
+      }
+      const unknownTags = [...rule.all, ...rule.any, ...rule.none, ...rule.remove].filter(tag => !knownTags.has(tag));
+      if (unknownTags.length > 0) {
+        warnings.push({ rule: index, message: `${rule.name}: no image is tagged ${[...new Set(unknownTags)].join(', ')}` });
+      }
+      const unknownProjects = rule.projects.filter(project => !knownProjects.has(project));
+      if (unknownProjects.length > 0) {
+        warnings.push({ rule: index, message: `${rule.name}: unknown project ${unknownProjects.join(', ')}` });
+      }
+      if (rule.enabled && matchesByRule[index] === 0) {
+        warnings.push({ rule: index, message: `${rule.name}: matches no images in the library` });
+      }
+    });
+
+    res.json({
+      errors,
+      warnings,
+      impact: {
+        images: images.length,
+        changing: changes.length,
+        added,
+        removed,
+        byRule: rules.map((rule, index) => ({ name: rule.name, images: matchesByRule[index] }))
+      },
+      samples: changes.slice(0, AUTO_TAG_SAMPLE_LIMIT)
+    });
+  } catch (error) {
+    console.error('❌ Error previewing auto-tagging rules:', error);
+    res.status(500).json({ error: 'Auto-tagging rules preview failed: ' + error.message });
+  }
+});
+
+// Replace the rules. New uploads and saves use them straight away - the library only changes when
+// the auto_tagging job runs (POST /api/auto-tag-rules/run)
+app.put('/api/auto-tag-rules', async (req, res) => {
+  try {
+    const { rules: validatedRules, errors } = autoTagService.validateRules(req.body.rules);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid auto-tagging rules', errors });
+    }
+    const rules = await resolveAutoTagRuleAliases(validatedRules);
+
+    const before = await databaseService.getAutoTagRules();
+    await databaseService.replaceAutoTagRules(rules, req.user.id);
+    const saved = await autoTagService.loadRules(databaseService);
+
+    await auditService.record(req, {
+      action: 'auto_tag_rules.update',
+      entityType: 'auto_tag_rules',
+      before,
+      after: saved
+    });
+
+    res.json({
+      success: true,
+      message: 'Auto-tagging rules saved. Run them on the library to update existing images.',
+      rules: saved
+    });
+  } catch (error) {
+    console.error('❌ Error saving auto-tagging rules:', error);
+    res.status(500).json({ error: 'Failed to save auto-tagging rules: ' + error.message });
+  }
+});
+
+// Run the saved rules over an image, saving, refiling and embedding its tags if they change
+async function autoTagImage(imageId, req) {
+  if (fileMoveLocks.has(imageId)) {
+    throw new Error('Already being processed');
+  }
+  fileMoveLocks.add(imageId);
+
+  try {
+    const image = await databaseService.getImageById(imageId);
+    if (!image || image.deleted_at) {
+      throw batchProcessingService.createPermanentError(`Image ${imageId} not found`);
+    }
+
+    const { tags, added, removed, matched } = autoTagService.applyRules(image);
+    if (added.length === 0 && removed.length === 0) {
+      return { skipped: true, imageId, filename: image.filename };
+    }
+
+    console.log(`🤖 Auto-tagging image ${imageId}: added [${added.join(', ')}], removed [${removed.join(', ')}]`);
+    await databaseService.updateImageTags(imageId, tags, image.focused_tags || []);
+    const { newDropboxPath } = await refileImage(image, tags, 'Auto-tagging rules changed its tags');
+
+    await auditService.record(req, {
+      action: 'image.auto_tag',
+      entityType: 'image',
+      entityId: image.id,
+      imageId: image.id,
+      before: { tags: image.tags, dropbox_path: image.dropbox_path },
+      after: { tags, dropbox_path: newDropboxPath, rules: matched.map(rule => rule.name) }
+    });
+
+    return {
+      imageId,
+      filename: image.filename,
+      added,
+      removed,
+      rules: matched.map(rule => rule.name),
+      moved: image.dropbox_path !== newDropboxPath,
+      newPath: newDropboxPath
+    };
+  } finally {
+    fileMoveLocks.delete(imageId);
+  }
+}
+
+batchProcessingService.registerJobType('auto_tagging', {
+  listItems: ({ imageIds }) => (imageIds ? imageIds.map(id => ({ id })) : batchProcessingService.listImageItems()),
+  processItem: ({ id }, payload, job) => autoTagImage(id, auditService.jobRequest(job)),
+  async finish(job) {
+    let message = `Auto-tagging completed: ${job.completed} images retagged, ${job.skipped} unchanged`;
+    if (job.failed > 0) message += `, ${job.failed} errors`;
+    console.log(message);
+    return { success: true, message, stats: { total: job.total, retagged: job.completed, unchanged: job.skipped, errors: job.failed } };
+  }
+});
+
+// Run the saved rules over the whole library, or the given images - a background job,
+// poll GET /api/jobs/:id for the result
+app.post('/api/auto-tag-rules/run', async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+    if (imageIds !== undefined && (!Array.isArray(imageIds) || imageIds.length === 0)) {
+      return res.status(400).json({ error: 'Image IDs must be a non-empty array' });
+    }
+    if (!autoTagService.rules.some(rule => rule.enabled)) {
+      return res.status(400).json({ error: 'No auto-tagging rules are enabled' });
+    }
+
+    const job = await batchProcessingService.enqueue('auto_tagging', { imageIds: imageIds || null }, {
+      userId: req.user.id,
+      route: auditService.describeRoute(req)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: imageIds ? `Auto-tagging ${imageIds.length} images in the background` : 'Auto-tagging the library in the background',
+      jobId: job.id
+    });
+  } catch (error) {
+    console.error('❌ Error starting auto-tagging:', error);
+    res.status(500).json({ error: 'Failed to start auto-tagging: ' + error.message });
+  }
+});
+
+// Filename templates - how uploaded, saved and re-tagged images are named (FilenameGeneratorService).
+// Changing the active one leaves existing files alone until the reapply-naming maintenance task runs.
+const FILENAME_PREVIEW_LIMIT = 10;
+
+const validateFilenameTemplate = ({ name, template }) => {
+  const { errors, warnings } = filenameGeneratorService.validateTemplate(template);
+  if (!name || !String(name).trim()) {
+    errors.unshift('A name is required');
+  }
+  return { errors, warnings };
+};
+
+app.get('/api/filename-templates', async (req, res) => {
+  try {
+    const templates = await databaseService.getFilenameTemplates();
+    res.json({ templates, tokens: filenameGeneratorService.tokens });
+  } catch (error) {
+    console.error('❌ Error loading filename templates:', error);
+    res.status(500).json({ error: 'Failed to load filename templates: ' + error.message });
+  }
+});
+
+// What a template would call the most recent images, without saving it
+app.post('/api/filename-templates/preview', async (req, res) => {
+  try {
+    const { template } = req.body;
+    const { errors, warnings } = filenameGeneratorService.validateTemplate(template);
+    if (errors.length > 0) {
+      return res.json({ errors, warnings, samples: [] });
+    }
+
+    const images = await getImagesForNaming({ limit: FILENAME_PREVIEW_LIMIT });
+    const samples = images.map(image => ({
+      id: image.id,
+      filename: image.filename,
+      tags: image.tags,
+      proposed: buildImageFilename(image, {
+        tags: image.tags,
+        extension: path.extname(image.filename) || '.jpg',
+        sequenceNumber: image.sequence_number,
+        template: template.trim()
+      })
+    }));
+
+    res.json({ errors, warnings, samples });
+  } catch (error) {
+    console.error('❌ Error previewing filename template:', error);
+    res.status(500).json({ error: 'Filename template preview failed: ' + error.message });
+  }
+});
+
+app.post('/api/filename-templates', async (req, res) => {
+  try {
+    const { errors } = validateFilenameTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('. '), errors });
+    }
+
+    const created = await databaseService.createFilenameTemplate({
+      name: req.body.name.trim(),
+      template: req.body.template.trim(),
+      createdBy: req.user.id
+    });
+
+    await auditService.record(req, { action: 'filename_template.create', entityType: 'filename_template', entityId: created.id, after: created });
+    res.status(201).json({ success: true, template: created });
+  } catch (error) {
+    console.error('❌ Error creating filename template:', error);
+    res.status(500).json({ error: 'Failed to create filename template: ' + error.message });
+  }
+});
+
+app.put('/api/filename-templates/:id', async (req, res) => {
+  try {
+    const before = await databaseService.getFilenameTemplate(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Filename template not found' });
+    }
+
+    const { errors } = validateFilenameTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('. '), errors });
+    }
+
+    const updated = await databaseService.updateFilenameTemplate(before.id, {
+      name: req.body.name.trim(),
+      template: req.body.template.trim()
+    });
+    if (updated.is_active) {
+      await filenameGeneratorService.loadTemplate(databaseService);
+    }
+
+    await auditService.record(req, { action: 'filename_template.update', entityType: 'filename_template', entityId: updated.id, before, after: updated });
+    res.json({ success: true, template: updated });
+  } catch (error) {
+    console.error('❌ Error updating filename template:', error);
+    res.status(500).json({ error: 'Failed to update filename template: ' + error.message });
+  }
+});
+
+app.post('/api/filename-templates/:id/activate', async (req, res) => {
+  try {
+    const before = await databaseService.getActiveFilenameTemplate();
+    const activated = await databaseService.activateFilenameTemplate(req.params.id);
+    if (!activated) {
+      return res.status(404).json({ error: 'Filename template not found' });
+    }
+    await filenameGeneratorService.loadTemplate(databaseService);
+
+    await auditService.record(req, {
+      action: 'filename_template.activate',
+      entityType: 'filename_template',
+      entityId: activated.id,
+      before: before && { id: before.id, name: before.name, template: before.template },
+      after: { id: activated.id, name: activated.name, template: activated.template }
+    });
+
+    res.json({
+      success: true,
+      message: `New files are now named with "${activated.name}". Run Maintenance → reapply-naming to rename existing files.`,
+      template: activated
+    });
+  } catch (error) {
+    console.error('❌ Error activating filename template:', error);
+    res.status(500).json({ error: 'Failed to activate filename template: ' + error.message });
+  }
+});
+
+app.delete('/api/filename-templates/:id', async (req, res) => {
+  try {
+    const template = await databaseService.getFilenameTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Filename template not found' });
+    }
+    if (template.is_active) {
+      return res.status(409).json({ error: 'The active template can\'t be deleted - activate another one first' });
+    }
+
+    await databaseService.deleteFilenameTemplate(template.id);
+    await auditService.record(req, { action: 'filename_template.delete', entityType: 'filename_template', entityId: template.id, before: template });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting filename template:', error);
+    res.status(500).json({ error: 'Failed to delete filename template: ' + error.message });
+  }
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error('Unhandled error:', error);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+
+app.post('/api/stages', async (req, res) => {
+  try {
+    const { name, description, orderIndex } = req.body;
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Stage name is required' });
+    }
+    
+    console.log(`🏗️ Creating stage: ${name}`);
+    const stage = await databaseService.createStage(name, description, orderIndex || 0);
+    console.log(`✅ Created stage: ${stage.name}`);
+    await auditService.record(req, { action: 'stage.create', entityType: 'stage', entityId: stage.id, after: stage });
+    res.status(201).json(stage);
+  } catch (error) {
+    console.error('❌ Error creating stage:', error);
+    if (error.message.includes('already exists')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ 
+        error: 'Failed to create stage',
+        details: error.message,
+        stack: error.stack 
+      });
+    }
+  }
+});
+
+app.put('/api/stages/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, orderIndex } = req.body;
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Stage name is required' });
+    }
+    
+    console.log(`🔧 Updating stage ${id}: ${name}`);
+    const before = await databaseService.get('SELECT * FROM stages WHERE id = $1', [id]);
+    const stage = await databaseService.updateStage(id, name, description, orderIndex || 0);
+    console.log(`✅ Updated stage: ${stage.name}`);
+    await auditService.record(req, { action: 'stage.update', entityType: 'stage', entityId: id, before, after: stage });
+    res.json(stage);
+  } catch (error) {
+    console.error('❌ Error updating stage:', error);
+    if (error.message.includes('already exists')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ 
+        error: 'Failed to update stage',
+        details: error.message,
+        stack: error.stack 
+      });
+    }
+  }
+});
+
+app.delete('/api/stages/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`🗑️ Deleting stage ${id}`);
+    const before = await databaseService.get('SELECT * FROM stages WHERE id = $1', [id]);
+    await databaseService.deleteStage(id);
+    console.log(`✅ Deleted stage ${id}`);
+    await auditService.record(req, { action: 'stage.delete', entityType: 'stage', entityId: id, before });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting stage:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete stage',
+      details: error.message,
+      stack: error.stack 
+    });
+  }
+});
+
+
+app.post('/api/rooms', async (req, res) => {
   try {
     const { name, description, category, orderIndex } = req.body;
     
@@ -3659,6 +5251,7 @@ app.post('/api/rooms', async (req, res) => {
     console.log(`🏠 Creating room: ${name}`);
     const room = await databaseService.createRoom(name, description, category, orderIndex || 0);
     console.log(`✅ Created room: ${room.name}`);
+    await auditService.record(req, { action: 'room.create', entityType: 'room', entityId: room.id, after: room });
     res.status(201).json(room);
   } catch (error) {
     console.error('❌ Error creating room:', error);
@@ -3684,8 +5277,10 @@ app.put('/api/rooms/:id', async (req, res) => {
     }
     
     console.log(`🔧 Updating room ${id}: ${name}`);
+    const before = await databaseService.get('SELECT * FROM rooms WHERE id = $1', [id]);
     const room = await databaseService.updateRoom(id, name, description, category, orderIndex || 0);
     console.log(`✅ Updated room: ${room.name}`);
+    await auditService.record(req, { action: 'room.update', entityType: 'room', entityId: id, before, after: room });
     res.json(room);
   } catch (error) {
     console.error('❌ Error updating room:', error);
@@ -3705,8 +5300,10 @@ app.delete('/api/rooms/:id', async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`🗑️ Deleting room ${id}`);
+    const before = await databaseService.get('SELECT * FROM rooms WHERE id = $1', [id]);
     await databaseService.deleteRoom(id);
     console.log(`✅ Deleted room ${id}`);
+    await auditService.record(req, { action: 'room.delete', entityType: 'room', entityId: id, before });
     res.json({ success: true });
   } catch (error) {
     console.error('❌ Error deleting room:', error);
@@ -3730,148 +5327,102 @@ app.get('/api/projects', async (req, res) => {
   }
 });
 
-// Admin endpoint to cleanup duplicate and comma-separated tags
-app.post('/api/admin/cleanup-tags', async (req, res) => {
-  try {
-    console.log('🧹 Starting tag cleanup...');
-    let results = { fixed: 0, deleted: 0, created: 0 };
-    
-    // 1. Get all tags
-    const tags = await databaseService.getAllTags();
-    console.log(`📊 Found ${tags.length} tags`);
-    
-    // 2. Find tags that contain commas (these should be split)
-    const commaTagsToFix = tags.filter(tag => tag.name.includes(','));
-    console.log(`🔍 Found ${commaTagsToFix.length} comma-separated tags to fix`);
-    
-    // 3. Process comma-separated tags
-    for (const commaTag of commaTagsToFix) {
-      console.log(`🔧 Processing comma tag: "${commaTag.name}"`);
-      
-      // Split the comma-separated tag into individual tags
-      const individualTags = commaTag.name.split(',').map(t => t.trim().toLowerCase());
-      console.log(`   → Split into: [${individualTags.join(', ')}]`);
-      
-      // Get all images that have this comma-separated tag
-      const imagesWithCommaTag = await databaseService.query(
-        `SELECT id, tags FROM images WHERE tags @> $1::jsonb`,
-        [JSON.stringify([commaTag.name])]
-      );
-      
-      console.log(`   → Found ${imagesWithCommaTag.rows.length} images with this tag`);
-      
-      // For each image, replace the comma tag with individual tags
-      for (const image of imagesWithCommaTag.rows) {
-        const currentTags = image.tags || [];
-        const updatedTags = currentTags.filter(tag => tag !== commaTag.name);
-        
-        // Add individual tags (avoid duplicates)
-        for (const newTag of individualTags) {
-          if (!updatedTags.includes(newTag)) {
-            updatedTags.push(newTag);
-          }
-        }
-        
-        // Update the image
-        await databaseService.updateImageTags(image.id, updatedTags, []);
-        results.fixed++;
-      }
-      
-      // Delete the comma-separated tag
-      await databaseService.query('DELETE FROM tags WHERE id = $1', [commaTag.id]);
-      results.deleted++;
-      console.log(`   → Deleted comma tag "${commaTag.name}"`);
-    }
-    
-    // 4. Trigger project auto-creation for existing tags
-    const archierProjects = ['taroona house', 'corner house', 'court house', 'davison street', 'farm house', 'the boulevard'];
-    
-    for (const projectName of archierProjects) {
-      // Check if there are images with archier + complete + project name
-      const projectImages = await databaseService.query(
-        `SELECT id FROM images WHERE tags @> $1::jsonb AND tags @> $2::jsonb AND tags @> $3::jsonb LIMIT 1`,
-        [JSON.stringify(['archier']), JSON.stringify(['complete']), JSON.stringify([projectName])]
-      );
-      
-      if (projectImages.rows.length > 0) {
-        console.log(`🏗️ Found images for ${projectName}, triggering auto-creation...`);
-        await autoCreateArchierProjects(['archier', 'complete', projectName]);
-        results.created++;
+// Split comma-separated tags ("wood, timber") into one tag per name
+maintenanceService.register('split-comma-tags', {
+  description: 'Split comma-separated tags into separate tags',
+  async plan() {
+    const commaTags = await databaseService.all(`
+      SELECT t.id, t.name, COUNT(it.image_id)::int AS image_count
+      FROM tags t
+      LEFT JOIN image_tags it ON it.tag_id = t.id
+      WHERE t.name LIKE '%,%'
+      GROUP BY t.id
+      ORDER BY t.id
+    `);
+
+    return {
+      actions: commaTags.map(tag => {
+        // Split the comma-separated tag into individual tags
+        const individualTags = [...new Set(tag.name.split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+        return {
+          type: 'tag_split',
+          entityType: 'tag',
+          entityId: tag.id,
+          description: `"${tag.name}" → ${individualTags.map(name => `"${name}"`).join(', ')} (on ${tag.image_count} images)`,
+          before: { name: tag.name, imageCount: tag.image_count },
+          after: { names: individualTags }
+        };
+      })
+    };
+  },
+  async applyAction(action) {
+    const commaTag = await databaseService.get('SELECT id, name FROM tags WHERE id = $1', [action.entityId]);
+    if (!commaTag || commaTag.name !== action.before.name) {
+      throw batchProcessingService.createPermanentError(`Tag "${action.before.name}" has changed since the plan was made`);
+    }
+
+    // Give every image with the comma tag the individual tags instead
+    const imageIds = (await databaseService.all('SELECT image_id FROM image_tags WHERE tag_id = $1', [commaTag.id])).map(row => row.image_id);
+    for (const name of action.after.names) {
+      const tagId = await databaseService.getOrCreateTag(name);
+      for (const imageId of imageIds) {
+        await databaseService.run(
+          'INSERT INTO image_tags (image_id, tag_id) VALUES ($1, $2) ON CONFLICT (image_id, tag_id) DO NOTHING',
+          [imageId, tagId]
+        );
       }
     }
-    
-    console.log('✅ Tag cleanup completed!');
-    res.json({ 
-      success: true, 
-      message: 'Tag cleanup completed',
-      results 
-    });
-    
-  } catch (error) {
-    console.error('❌ Error during cleanup:', error);
-    res.status(500).json({ error: 'Tag cleanup failed', details: error.message });
+
+    // Delete the comma-separated tag (its image links go with it)
+    await databaseService.run('DELETE FROM tags WHERE id = $1', [commaTag.id]);
+    console.log(`   → Split comma tag "${commaTag.name}" on ${imageIds.length} images`);
+    return { images: imageIds.length, tags: action.after.names };
   }
 });
 
-// Manual project creation for all existing archier+complete tagged images
-app.post('/api/admin/create-all-archier-projects', async (req, res) => {
-  try {
-    console.log('🏗️ Finding and creating ALL Archier projects from existing images...');
-    let created = 0;
-    let found = 0;
-    
-    // Get all images with archier + complete tags (fix JSON query)
-    const archierImages = await databaseService.query(
-      `SELECT DISTINCT tags FROM images WHERE tags @> $1::jsonb AND tags @> $2::jsonb`,
-      [JSON.stringify(['archier']), JSON.stringify(['complete'])]
-    );
-    
-    console.log(`🔍 Found ${archierImages.rows.length} distinct tag combinations with archier+complete`);
-    
-    // Extract unique project names (third tag that's not archier or complete)
-    const projectNames = new Set();
-    
-    for (const row of archierImages.rows) {
-      const tags = row.tags || [];
-      if (tags.includes('archier') && tags.includes('complete')) {
-        // Find the project name (tag that's not archier or complete)
-        for (const tag of tags) {
-          const lowerTag = tag.toLowerCase();
-          if (lowerTag !== 'archier' && lowerTag !== 'complete') {
-            projectNames.add(lowerTag);
-            break; // Take first non-archier/complete tag as project name
-          }
-        }
-      }
-    }
-    
-    console.log(`🏗️ Found ${projectNames.size} unique project names:`, Array.from(projectNames));
-    
-    // Create project for each unique project name
-    for (const projectName of projectNames) {
-      found++;
-      try {
-        console.log(`🏗️ Creating project for: "${projectName}"`);
-        await autoCreateArchierProjects(['archier', 'complete', projectName]);
-        created++;
-        console.log(`✅ Created project: "${projectName}"`);
-      } catch (error) {
-        console.error(`❌ Error creating project "${projectName}":`, error.message);
+// Project creation for all existing archier+complete tagged images
+maintenanceService.register('create-all-archier-projects', {
+  description: 'Create the missing projects of complete Archier images',
+  async plan() {
+    // Tags of every image tagged with archier and complete
+    const tagSets = await databaseService.all(`
+      SELECT ARRAY_AGG(t.name ORDER BY t.name) AS tags
+      FROM image_tags it
+      JOIN tags t ON t.id = it.tag_id
+      GROUP BY it.image_id
+      HAVING BOOL_OR(LOWER(t.name) = 'archier') AND BOOL_OR(LOWER(t.name) = 'complete')
+    `);
+    const existingIds = new Set((await databaseService.all('SELECT id FROM projects')).map(project => project.id));
+
+    const projects = new Map();
+    tagSets.forEach(({ tags }) => {
+      const project = findArchierProject(tags);
+      if (project && !existingIds.has(project.id)) {
+        projects.set(project.id, project);
       }
-    }
-    
-    console.log(`✅ Project creation completed! Found ${found} projects, created ${created} new ones.`);
-    res.json({ 
-      success: true, 
-      message: `Found ${found} projects, created ${created} new ones`,
-      found,
-      created,
-      projects: Array.from(projectNames)
     });
-    
-  } catch (error) {
-    console.error('❌ Error creating Archier projects:', error);
-    res.status(500).json({ error: 'Project creation failed', details: error.message });
+
+    const actions = [...projects.values()]
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .map(project => ({
+        type: 'project_create',
+        entityType: 'project',
+        entityId: project.id,
+        description: `Create complete project "${project.displayName}"`,
+        before: null,
+        after: { name: project.displayName, tag: project.name, status: 'complete' }
+      }));
+
+    return { actions, summary: { images: tagSets.length } };
+  },
+  async applyAction(action) {
+    const existingProject = await databaseService.get('SELECT id FROM projects WHERE id = $1', [action.entityId]);
+    if (existingProject) {
+      return { skipped: true, reason: 'project already exists' };
+    }
+
+    await autoCreateArchierProjects(['archier', 'complete', action.after.tag]);
+    return { id: action.entityId, name: action.after.name };
   }
 });
 
@@ -3887,10 +5438,12 @@ app.put('/api/projects/:id/status', async (req, res) => {
     
     console.log(`🔄 Updating project ${id} status to: ${status}`);
     
+    const before = await databaseService.get('SELECT status FROM projects WHERE id = $1', [id]);
     await databaseService.query(
       'UPDATE projects SET status = $1, status_tag = $1 WHERE id = $2',
       [status, id]
     );
+    await auditService.record(req, { action: 'project.status', entityType: 'project', entityId: id, before, after: { status } });
     
     console.log(`✅ Updated project ${id} status to ${status}`);
     res.json({ success: true, message: `Project status updated to ${status}` });
@@ -3913,10 +5466,12 @@ app.put('/api/projects/:id/name', async (req, res) => {
     
     console.log(`🔄 Updating project ${id} name to: ${name}`);
     
+    const before = await databaseService.get('SELECT name FROM projects WHERE id = $1', [id]);
     await databaseService.query(
       'UPDATE projects SET name = $1 WHERE id = $2',
       [name.trim(), id]
     );
+    await auditService.record(req, { action: 'project.rename', entityType: 'project', entityId: id, before, after: { name: name.trim() } });
     
     console.log(`✅ Updated project ${id} name to ${name}`);
     res.json({ success: true, message: `Project name updated to ${name}` });
@@ -3937,6 +5492,7 @@ app.post('/api/projects', async (req, res) => {
       INSERT INTO projects (id, name, description, status, team_tag, status_tag)
       VALUES ($1, $2, $3, $4, $5, $6)
     `, [id, name, description || 'Manually created project', status || 'current', team_tag || 'current', status_tag || 'current']);
+    await auditService.record(req, { action: 'project.create', entityType: 'project', entityId: id, after: { name, description, status: status || 'current' } });
     
     console.log(`✅ Created project: ${name}`);
     res.json({ success: true, message: `Project ${name} created successfully` });
@@ -3953,7 +5509,9 @@ app.delete('/api/projects/:id', async (req, res) => {
     const { id } = req.params;
     console.log(`🗑️ Deleting project: ${id}`);
     
+    const before = await databaseService.get('SELECT * FROM projects WHERE id = $1', [id]);
     await databaseService.query('DELETE FROM projects WHERE id = $1', [id]);
+    await auditService.record(req, { action: 'project.delete', entityType: 'project', entityId: id, before });
     
     console.log(`✅ Deleted project: ${id}`);
     res.json({ success: true, message: `Project ${id} deleted successfully` });
@@ -3973,6 +5531,7 @@ app.put('/api/projects/:id/thumbnail', async (req, res) => {
     console.log(`🖼️ Setting thumbnail for project ${id} to image ${imageId}`);
     
     await databaseService.setProjectThumbnail(id, imageId);
+    await auditService.record(req, { action: 'project.thumbnail', entityType: 'project', entityId: id, imageId, after: { imageId } });
     
     console.log(`✅ Set thumbnail for project ${id}`);
     res.json({ success: true, message: 'Thumbnail set successfully' });
@@ -4063,176 +5622,131 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-// Sync database filenames with actual Dropbox files
-app.post('/api/admin/sync-dropbox-filenames', async (req, res) => {
+// Point an image row at its file again after it was renamed to the AXXXX format in Dropbox
+// (dropbox_filename_sync job item)
+async function syncImageFilename(dbImage) {
+  console.log(`🔍 Checking ${dbImage.filename}...`);
+
+  const actualPath = dbImage.dropbox_path;
+
   try {
-    console.log('🔄 Starting database filename sync with Dropbox...');
-    
-    // Get all images from database
-    const result = await databaseService.query('SELECT id, filename, dropbox_path FROM images ORDER BY id');
-    const dbImages = result.rows;
-    
-    console.log(`📊 Found ${dbImages.length} images in database`);
-    
-    const updates = [];
-    const errors = [];
-    
-    for (const dbImage of dbImages) {
+    // Check if current path exists
+    await dropboxService.dbx.filesGetMetadata({ path: actualPath });
+    console.log(`✅ ${dbImage.filename} exists at current path`);
+    return { skipped: true }; // File exists, no update needed
+  } catch (error) {
+    console.log(`❌ ${dbImage.filename} not found at ${actualPath}`);
+  }
+
+  // Try to find the file with AXXXX format
+  const basePath = actualPath.substring(0, actualPath.lastIndexOf('/') + 1);
+  const extension = actualPath.substring(actualPath.lastIndexOf('.'));
+
+  // Extract ID from original filename
+  // Handle both AXXXX format (A0087 -> 0087) and 0XXX format (0087 -> 0087)
+  let idMatch = dbImage.filename.match(/^A(\d{4})/); // AXXXX format
+  if (!idMatch) {
+    idMatch = dbImage.filename.match(/^(\d{4})/); // 0XXX format
+  }
+  if (!idMatch) {
+    throw batchProcessingService.createPermanentError('Could not extract ID from filename');
+  }
+
+  const fileId = idMatch[1];
+  let newFilename = null;
+
+  // Try to list files in the directory to see what's actually there
+  try {
+    const folderContents = await dropboxService.dbx.filesListFolder({ path: basePath.slice(0, -1) }); // Remove trailing slash
+    const filesInFolder = folderContents.result.entries
+      .filter(entry => entry['.tag'] === 'file')
+      .map(entry => entry.name);
+
+    console.log(`📂 Files in ${basePath}: ${filesInFolder.join(', ')}`);
+
+    // Look for files that start with A${fileId}
+    newFilename = filesInFolder.find(filename => filename.startsWith(`A${fileId}-`)) || null;
+  } catch (listError) {
+    console.log(`❌ Could not list folder ${basePath}: ${listError.message}`);
+  }
+
+  if (!newFilename) {
+    // Try different AXXXX patterns as fallback
+    const possibleFilenames = [
+      `A${fileId}-precedent-general${extension}`,
+      `A${fileId}-precedent-exteriors${extension}`,
+      `A${fileId}-precedent-stairs${extension}`,
+      `A${fileId}-texture-metal${extension}`,
+      `A${fileId}-texture-wood${extension}`,
+      `A${fileId}-archier-yandoit${extension}`,
+      `A${fileId}-archier-complete${extension}`
+    ];
+
+    for (const possibleFilename of possibleFilenames) {
       try {
-        console.log(`🔍 Checking ${dbImage.filename}...`);
-        
-        // Try to get file info from Dropbox using current path
-        let actualPath = dbImage.dropbox_path;
-        let actualFilename = dbImage.filename;
-        
-        // Skip files that are already in AXXXX format and exist
-        if (dbImage.filename.startsWith('A') && dbImage.filename.match(/^A\d{4}-/)) {
-          try {
-            await dropboxService.dbx.filesGetMetadata({ path: actualPath });
-            console.log(`✅ ${dbImage.filename} already in correct AXXXX format and exists`);
-            continue;
-          } catch (error) {
-            console.log(`❌ AXXXX file ${dbImage.filename} not found at ${actualPath} - investigating...`);
-          }
-        }
-        
-        try {
-          // Check if current path exists
-          await dropboxService.dbx.filesGetMetadata({ path: actualPath });
-          console.log(`✅ ${dbImage.filename} exists at current path`);
-          continue; // File exists, no update needed
-        } catch (error) {
-          console.log(`❌ ${dbImage.filename} not found at ${actualPath}`);
-          
-          // Try to find the file with AXXXX format
-          const basePath = actualPath.substring(0, actualPath.lastIndexOf('/') + 1);
-          const extension = actualPath.substring(actualPath.lastIndexOf('.'));
-          
-          // Extract ID from original filename 
-          // Handle both AXXXX format (A0087 -> 0087) and 0XXX format (0087 -> 0087)
-          let idMatch = dbImage.filename.match(/^A(\d{4})/); // AXXXX format
-          if (!idMatch) {
-            idMatch = dbImage.filename.match(/^(\d{4})/); // 0XXX format
-          }
-          if (idMatch) {
-            const fileId = idMatch[1];
-            let found = false;
-            
-            // Try to list files in the directory to see what's actually there
-            try {
-              const folderContents = await dropboxService.dbx.filesListFolder({ path: basePath.slice(0, -1) }); // Remove trailing slash
-              const filesInFolder = folderContents.result.entries
-                .filter(entry => entry['.tag'] === 'file')
-                .map(entry => entry.name);
-              
-              console.log(`📂 Files in ${basePath}: ${filesInFolder.join(', ')}`);
-              
-              // Look for files that start with A${fileId}
-              const matchingFiles = filesInFolder.filter(filename => filename.startsWith(`A${fileId}-`));
-              
-              if (matchingFiles.length > 0) {
-                const newFilename = matchingFiles[0]; // Take the first match
-                const newPath = basePath + newFilename;
-                
-                console.log(`✅ Found matching file: ${newFilename}`);
-                
-                // Update database
-                await databaseService.query(
-                  'UPDATE images SET filename = $1, dropbox_path = $2 WHERE id = $3',
-                  [newFilename, newPath, dbImage.id]
-                );
-                
-                updates.push({
-                  id: dbImage.id,
-                  oldFilename: dbImage.filename,
-                  newFilename: newFilename,
-                  oldPath: dbImage.dropbox_path,
-                  newPath: newPath
-                });
-                
-                found = true;
-              }
-            } catch (listError) {
-              console.log(`❌ Could not list folder ${basePath}: ${listError.message}`);
-            }
-            
-            if (!found) {
-              // Try different AXXXX patterns as fallback
-              const possibleFilenames = [
-                `A${fileId}-precedent-general${extension}`,
-                `A${fileId}-precedent-exteriors${extension}`,
-                `A${fileId}-precedent-stairs${extension}`,
-                `A${fileId}-texture-metal${extension}`,
-                `A${fileId}-texture-wood${extension}`,
-                `A${fileId}-archier-yandoit${extension}`,
-                `A${fileId}-archier-complete${extension}`
-              ];
-            
-              for (const possibleFilename of possibleFilenames) {
-              const possiblePath = basePath + possibleFilename;
-              try {
-                await dropboxService.dbx.filesGetMetadata({ path: possiblePath });
-                console.log(`✅ Found renamed file: ${possibleFilename}`);
-                
-                // Update database
-                await databaseService.query(
-                  'UPDATE images SET filename = $1, dropbox_path = $2 WHERE id = $3',
-                  [possibleFilename, possiblePath, dbImage.id]
-                );
-                
-                updates.push({
-                  id: dbImage.id,
-                  oldFilename: dbImage.filename,
-                  newFilename: possibleFilename,
-                  oldPath: dbImage.dropbox_path,
-                  newPath: possiblePath
-                });
-                
-                found = true;
-                break;
-              } catch (checkError) {
-                // File doesn't exist with this name, try next
-                continue;
-                }
-              }
-            }
-            
-            if (!found) {
-              console.log(`❌ Could not find any AXXXX variant for ${dbImage.filename}`);
-              errors.push({
-                id: dbImage.id,
-                filename: dbImage.filename,
-                error: 'No AXXXX variant found'
-              });
-            }
-          } else {
-            errors.push({
-              id: dbImage.id,
-              filename: dbImage.filename,
-              error: 'Could not extract ID from filename'
-            });
-          }
-        }
-      } catch (error) {
-        console.error(`❌ Error processing ${dbImage.filename}:`, error.message);
-        errors.push({
-          id: dbImage.id,
-          filename: dbImage.filename,
-          error: error.message
-        });
+        await dropboxService.dbx.filesGetMetadata({ path: basePath + possibleFilename });
+        newFilename = possibleFilename;
+        break;
+      } catch (checkError) {
+        // File doesn't exist with this name, try next
       }
     }
-    
-    console.log(`✅ Sync complete: ${updates.length} updated, ${errors.length} errors`);
-    
-    res.json({
+  }
+
+  if (!newFilename) {
+    console.log(`❌ Could not find any AXXXX variant for ${dbImage.filename}`);
+    throw batchProcessingService.createPermanentError('No AXXXX variant found');
+  }
+
+  const newPath = basePath + newFilename;
+  console.log(`✅ Found matching file: ${newFilename}`);
+
+  // Update database
+  await databaseService.query(
+    'UPDATE images SET filename = $1, dropbox_path = $2 WHERE id = $3',
+    [newFilename, newPath, dbImage.id]
+  );
+
+  return {
+    id: dbImage.id,
+    oldFilename: dbImage.filename,
+    newFilename,
+    oldPath: dbImage.dropbox_path,
+    newPath
+  };
+}
+
+batchProcessingService.registerJobType('dropbox_filename_sync', {
+  async listItems() {
+    const result = await databaseService.query('SELECT id, filename, dropbox_path FROM images WHERE deleted_at IS NULL ORDER BY id');
+    return result.rows;
+  },
+  processItem: (dbImage) => syncImageFilename(dbImage),
+  async finish(job) {
+    const updated = await databaseService.getJobItems(job.id, { status: 'succeeded', limit: job.total });
+    console.log(`✅ Sync complete: ${job.completed} updated, ${job.failed} errors`);
+    return {
+      message: `Synced ${job.completed} filenames with Dropbox`,
+      totalChecked: job.total,
+      updated: updated.map(item => item.result)
+    };
+  }
+});
+
+// Sync database filenames with Dropbox - runs as a background job
+app.post('/api/admin/sync-dropbox-filenames', async (req, res) => {
+  try {
+    console.log('🔄 Queueing database filename sync with Dropbox...');
+
+    const job = await batchProcessingService.enqueue('dropbox_filename_sync', {}, {
+      userId: req.user.id,
+      route: auditService.describeRoute(req)
+    });
+
+    res.status(202).json({
       success: true,
-      message: `Synced ${updates.length} filenames with Dropbox`,
-      results: {
-        totalChecked: dbImages.length,
-        updated: updates,
-        errors: errors
-      }
+      message: 'Filename sync queued',
+      jobId: job.id
     });
     
   } catch (error) {
@@ -4244,42 +5758,38 @@ app.post('/api/admin/sync-dropbox-filenames', async (req, res) => {
   }
 });
 
-// Quick fix for Archier/Yandoit AXXXX filenames
-app.post('/api/admin/fix-archier-filenames', async (req, res) => {
-  try {
-    console.log('🔄 Fixing Archier/Yandoit filenames to AXXXX format...');
-    
-    // Update all 0XXX-archier-yandoit.jpg files to AXXXX-archier-yandoit.jpg
-    const updateQuery = `
-      UPDATE images 
-      SET 
-        filename = 'A' || filename,
-        dropbox_path = REPLACE(dropbox_path, '/' || filename, '/A' || filename)
-      WHERE filename LIKE '%archier-yandoit.jpg' 
+// Quick fix for Archier/Yandoit AXXXX filenames: 0XXX-archier-yandoit.jpg -> A0XXX-archier-yandoit.jpg
+maintenanceService.register('fix-archier-filenames', {
+  description: 'Fix Archier/Yandoit filenames to AXXXX format',
+  route: '/api/admin/fix-archier-filenames',
+  async plan() {
+    const images = await databaseService.all(`
+      SELECT id, filename, dropbox_path
+      FROM images
+      WHERE filename LIKE '%archier-yandoit.jpg'
         AND filename NOT LIKE 'A%'
-      RETURNING id, filename, dropbox_path
-    `;
-    
-    const result = await databaseService.query(updateQuery);
-    const updatedFiles = result.rows;
-    
-    console.log(`✅ Updated ${updatedFiles.length} Archier/Yandoit files`);
-    
-    res.json({
-      success: true,
-      message: `Updated ${updatedFiles.length} Archier/Yandoit filenames to AXXXX format`,
-      updated: updatedFiles
-    });
-    
-  } catch (error) {
-    console.error('❌ Archier filename fix error:', error);
-    res.status(500).json({ 
-      error: 'Failed to fix Archier filenames', 
-      details: error.message 
-    });
-  }
+      ORDER BY id
+    `);
+
+    return {
+      actions: images.map(image => ({
+        type: 'db_update',
+        entityType: 'image',
+        entityId: image.id,
+        description: `${image.filename} → A${image.filename}`,
+        before: { filename: image.filename, dropbox_path: image.dropbox_path },
+        after: {
+          filename: 'A' + image.filename,
+          dropbox_path: replaceAll(image.dropbox_path, '/' + image.filename, '/A' + image.filename)
+        }
+      }))
+    };
+  },
+  applyAction: applyImagePathUpdate
 });
 
+app.post('/api/admin/fix-archier-filenames', maintenanceService.routeHandler('fix-archier-filenames'));
+
 // Initialize database and start server
 async function startServer() {
   try {
@@ -4302,6 +5812,31 @@ async function startServer() {
     console.log('🗃️ Initializing database...');
     await databaseService.init();
     console.log('✅ PostgreSQL database connected and initialized');
+
+    // Where images are filed, what they are called and the tags they get automatically - see
+    // FolderPathService, FilenameGeneratorService and AutoTagService
+    await folderPathService.loadRules(databaseService);
+    await filenameGeneratorService.loadTemplate(databaseService);
+    await autoTagService.loadRules(databaseService);
+
+    await authService.ensureBootstrapAdmin();
+    await authService.cleanupExpiredSessions();
+
+    // Empty images out of the trash once they pass TRASH_RETENTION_DAYS, and forget tag
+    // merges and renames that can no longer be undone
+    await trashService.purgeExpired();
+    await tagHistoryService.purgeExpired();
+    setInterval(() => {
+      trashService.purgeExpired().catch(error => console.error('❌ Trash purge failed:', error.message));
+      tagHistoryService.purgeExpired().catch(error => console.error('❌ Tag history purge failed:', error.message));
+    }, 24 * 60 * 60 * 1000);
+
+    // Background jobs - picks up any that were running when the server last stopped
+    await batchProcessingService.start();
+    setInterval(() => {
+      batchProcessingService.cleanupOldJobs().catch(error => console.error('❌ Job cleanup failed:', error.message));
+      cleanupZipExports().catch(error => console.error('❌ ZIP export cleanup failed:', error.message));
+    }, 24 * 60 * 60 * 1000);
     
     return server;
   } catch (error) {
@@ -4315,115 +5850,115 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  batchProcessingService.stop();
   await databaseService.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  batchProcessingService.stop();
   await databaseService.close();
   process.exit(0);
 });
 
 // Clean up orphaned database records (images that exist in DB but not in Dropbox)
-app.post('/api/admin/cleanup-orphaned-records', async (req, res) => {
-  try {
-    console.log('🧹 Starting cleanup of orphaned database records...');
-    
+maintenanceService.register('cleanup-orphaned-records', {
+  description: 'Remove database records of images missing from Dropbox',
+  route: '/api/admin/cleanup-orphaned-records',
+  async plan() {
     // Get all images from database
-    const allImages = await databaseService.query('SELECT id, filename, dropbox_path FROM images ORDER BY id');
-    const images = allImages.rows;
-    
+    const images = await databaseService.all('SELECT id, filename, dropbox_path FROM images ORDER BY id');
     console.log(`📊 Checking ${images.length} database records against Dropbox...`);
-    
-    let foundCount = 0;
-    let missingCount = 0;
-    const missingImages = [];
-    const cleanupErrors = [];
-    
+
+    let found = 0;
+    let checkErrors = 0;
+    const actions = [];
+
     for (const image of images) {
       try {
         // Try to check if file exists in Dropbox
-        await dropboxService.getTemporaryLink(image.dropbox_path);
-        foundCount++;
-        console.log(`✅ Found: ${image.filename}`);
+        await storageService.getTemporaryLink(image.dropbox_path);
+        found++;
       } catch (error) {
-        if (error.message.includes('path/not_found') || error.message.includes('not_found')) {
+        if (isNotFoundError(error)) {
           console.log(`❌ Missing: ${image.filename} (${image.dropbox_path})`);
-          missingImages.push({
-            id: image.id,
-            filename: image.filename,
-            dropbox_path: image.dropbox_path
+          actions.push({
+            type: 'db_delete',
+            entityType: 'image',
+            entityId: image.id,
+            description: `Delete record of ${image.dropbox_path}`,
+            before: { filename: image.filename, dropbox_path: image.dropbox_path },
+            after: null
           });
-          missingCount++;
         } else {
           // Other error (maybe network issue), don't delete
           console.log(`⚠️ Error checking ${image.filename}: ${error.message}`);
+          checkErrors++;
         }
       }
     }
+
+    console.log(`📊 Results: ${found} found, ${actions.length} missing`);
+    return { actions, summary: { checked: images.length, found, missing: actions.length, checkErrors } };
+  },
+  async applyAction(action) {
+    const image = await getImageMatchingPlan(action);
+
+    // The file may have come back since the plan was made
+    try {
+      await storageService.getTemporaryLink(image.dropbox_path);
+      return { skipped: true, reason: 'file exists in Dropbox again' };
+    } catch (error) {
+      if (!isNotFoundError(error)) throw error;
+    }
+
+    // Remove image tags first
+    await databaseService.query('DELETE FROM image_tags WHERE image_id = $1', [image.id]);
     
-    console.log(`📊 Results: ${foundCount} found, ${missingCount} missing`);
+    // Remove focused tags
+    await databaseService.query('DELETE FROM focused_tags WHERE image_id = $1', [image.id]);
     
-    // Remove orphaned records if any found
-    if (missingImages.length > 0) {
-      console.log(`🗑️ Removing ${missingImages.length} orphaned database records...`);
-      
-      for (const missingImage of missingImages) {
-        try {
-          // Remove image tags first
-          await databaseService.query('DELETE FROM image_tags WHERE image_id = $1', [missingImage.id]);
-          
-          // Remove focused tags
-          await databaseService.query('DELETE FROM focused_tags WHERE image_id = $1', [missingImage.id]);
-          
-          // Remove image record
-          await databaseService.query('DELETE FROM images WHERE id = $1', [missingImage.id]);
-          
-          console.log(`🗑️ Removed orphaned record: ${missingImage.filename}`);
-        } catch (deleteError) {
-          console.error(`❌ Failed to delete record ${missingImage.id}:`, deleteError.message);
-          cleanupErrors.push(`Failed to delete ${missingImage.filename}: ${deleteError.message}`);
-        }
-      }
-    }
+    // Remove image record
+    await databaseService.query('DELETE FROM images WHERE id = $1', [image.id]);
     
-    const message = `Cleanup completed: ${foundCount} valid files, ${missingCount} orphaned records removed`;
+    console.log(`🗑️ Removed orphaned record: ${image.filename}`);
+    return { id: image.id, filename: image.filename };
+  },
+  summarize(job, items) {
+    const removed = items.filter(item => item.status === 'succeeded');
+    const message = `Cleanup completed: ${removed.length} orphaned records removed`;
     console.log(`✅ ${message}`);
-    
-    res.json({
+
+    return {
       success: true,
       message,
       stats: {
-        total: images.length,
-        found: foundCount,
-        missing: missingCount,
-        removed: missingImages.length,
-        errors: cleanupErrors.length,
-        errorDetails: cleanupErrors,
-        removedFiles: missingImages.map(img => img.filename)
+        missing: job.total,
+        removed: removed.length,
+        errors: job.failed,
+        errorDetails: items.filter(item => item.status === 'failed').map(({ item, error }) => `Failed to delete ${item.before.filename}: ${error}`),
+        removedFiles: removed.map(({ item }) => item.before.filename)
       }
-    });
-    
-  } catch (error) {
-    console.error('❌ Cleanup error:', error);
-    res.status(500).json({ error: 'Cleanup failed: ' + error.message });
+    };
   }
 });
 
-// Cleanup and normalize existing tags
-app.post('/api/admin/normalise-tags', async (req, res) => {
-  try {
-    console.log('🏷️ Starting tag normalization process...');
-    
+app.post('/api/admin/cleanup-orphaned-records', maintenanceService.routeHandler('cleanup-orphaned-records'));
+
+// Cleanup and normalize existing tags: one planned change per group of tags that differ only
+// in case or spacing and need merging into the oldest, or renaming to lowercase
+maintenanceService.register('normalise-tags', {
+  description: 'Normalise tags to lowercase and merge duplicates',
+  route: '/api/admin/normalise-tags',
+  async plan() {
     // Get all existing tags
-    const allTags = await databaseService.query('SELECT id, name FROM tags ORDER BY created_at ASC');
+    const allTags = await databaseService.query('SELECT id, name FROM tags ORDER BY created_at ASC, id ASC');
     const tags = allTags.rows;
     
     console.log(`📊 Found ${tags.length} tags to normalize`);
     
     const tagMap = new Map(); // normalized_name -> {id, original_name, duplicates: []}
-    const duplicateTags = [];
     
     // Group tags by normalized name
     tags.forEach(tag => {
@@ -4431,8 +5966,7 @@ app.post('/api/admin/normalise-tags', async (req, res) => {
       
       if (tagMap.has(normalizedName)) {
         // This is a duplicate
-        tagMap.get(normalizedName).duplicates.push(tag);
-        duplicateTags.push(tag);
+        tagMap.get(normalizedName).duplicates.push({ id: tag.id, name: tag.name });
       } else {
         // First occurrence
         tagMap.set(normalizedName, {
@@ -4444,103 +5978,154 @@ app.post('/api/admin/normalise-tags', async (req, res) => {
       }
     });
     
-    console.log(`📊 Found ${duplicateTags.length} duplicate tags to merge`);
-    
-    let mergedCount = 0;
-    let updatedCount = 0;
-    
-    // Process each tag group
-    for (const [normalizedName, tagGroup] of tagMap) {
-      try {
-        // Update the main tag to use normalized name
-        if (tagGroup.originalName !== normalizedName) {
-          await databaseService.query(
-            'UPDATE tags SET name = $1 WHERE id = $2',
-            [normalizedName, tagGroup.id]
-          );
-          console.log(`📝 Updated tag "${tagGroup.originalName}" -> "${normalizedName}"`);
-          updatedCount++;
-        }
-        
-        // Merge duplicates into the main tag
-        for (const duplicateTag of tagGroup.duplicates) {
-          console.log(`🔄 Merging duplicate "${duplicateTag.name}" into "${normalizedName}"`);
-          
-          // Move all image_tags references from duplicate to main tag
-          await databaseService.query(`
-            UPDATE image_tags 
-            SET tag_id = $1 
-            WHERE tag_id = $2 
-            AND NOT EXISTS (
-              SELECT 1 FROM image_tags it2 
-              WHERE it2.image_id = image_tags.image_id 
-              AND it2.tag_id = $1
-            )
-          `, [tagGroup.id, duplicateTag.id]);
-          
-          // Delete duplicate image_tags that would create conflicts
-          await databaseService.query(`
-            DELETE FROM image_tags 
-            WHERE tag_id = $1 
-            AND EXISTS (
-              SELECT 1 FROM image_tags it2 
-              WHERE it2.image_id = image_tags.image_id 
-              AND it2.tag_id = $2
-            )
-          `, [duplicateTag.id, tagGroup.id]);
-          
-          // Delete the duplicate tag
-          await databaseService.query('DELETE FROM tags WHERE id = $1', [duplicateTag.id]);
-          
-          mergedCount++;
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error processing tag group "${normalizedName}":`, error);
+    const actions = [...tagMap.values()]
+      .filter(group => group.originalName !== group.normalizedName || group.duplicates.length > 0)
+      .map(group => ({
+        type: group.duplicates.length > 0 ? 'tag_merge' : 'tag_rename',
+        entityType: 'tag',
+        entityId: group.id,
+        description: `${[group.originalName, ...group.duplicates.map(tag => tag.name)].map(name => `"${name}"`).join(', ')} → "${group.normalizedName}"`,
+        before: { name: group.originalName, duplicates: group.duplicates },
+        after: { name: group.normalizedName }
+      }));
+
+    return {
+      actions,
+      summary: {
+        totalTags: tags.length,
+        duplicatesFound: actions.reduce((sum, action) => sum + action.before.duplicates.length, 0)
       }
+    };
+  },
+  async applyAction(action) {
+    const normalizedName = action.after.name;
+    const mainTag = await databaseService.get('SELECT id, name FROM tags WHERE id = $1', [action.entityId]);
+    if (!mainTag || ![action.before.name, normalizedName].includes(mainTag.name)) {
+      throw batchProcessingService.createPermanentError(`Tag "${action.before.name}" has changed since the plan was made`);
     }
-    
+
+    // Merge duplicates into the main tag first, so renaming it can't collide with one of them
+    for (const duplicateTag of action.before.duplicates) {
+      console.log(`🔄 Merging duplicate "${duplicateTag.name}" into "${normalizedName}"`);
+      
+      // Move all image_tags references from duplicate to main tag
+      await databaseService.query(`
+        UPDATE image_tags 
+        SET tag_id = $1 
+        WHERE tag_id = $2 
+        AND NOT EXISTS (
+          SELECT 1 FROM image_tags it2 
+          WHERE it2.image_id = image_tags.image_id 
+          AND it2.tag_id = $1
+        )
+      `, [mainTag.id, duplicateTag.id]);
+      
+      // Delete duplicate image_tags that would create conflicts
+      await databaseService.query(`
+        DELETE FROM image_tags 
+        WHERE tag_id = $1 
+        AND EXISTS (
+          SELECT 1 FROM image_tags it2 
+          WHERE it2.image_id = image_tags.image_id 
+          AND it2.tag_id = $2
+        )
+      `, [duplicateTag.id, mainTag.id]);
+      
+      // Delete the duplicate tag
+      await databaseService.query('DELETE FROM tags WHERE id = $1', [duplicateTag.id]);
+    }
+
+    // Update the main tag to use normalized name
+    const updated = mainTag.name !== normalizedName;
+    if (updated) {
+      await databaseService.query(
+        'UPDATE tags SET name = $1 WHERE id = $2',
+        [normalizedName, mainTag.id]
+      );
+      console.log(`📝 Updated tag "${mainTag.name}" -> "${normalizedName}"`);
+    }
+
+    return { updated, merged: action.before.duplicates.length };
+  },
+  async summarize(job, items) {
+    const done = items.filter(item => item.status === 'succeeded');
+    const updatedCount = done.filter(item => item.result.updated).length;
+    const mergedCount = done.reduce((sum, item) => sum + item.result.merged, 0);
+    const finalTagCount = parseInt((await databaseService.query('SELECT COUNT(*) AS count FROM tags')).rows[0].count, 10);
+
     console.log(`✅ Tag normalization complete: ${updatedCount} updated, ${mergedCount} merged`);
-    
-    res.json({
+    return {
       success: true,
       message: `Tag normalization complete: ${updatedCount} tags updated to lowercase, ${mergedCount} duplicates merged`,
       stats: {
-        totalTags: tags.length,
-        duplicatesFound: duplicateTags.length,
+        totalTags: finalTagCount + mergedCount,
+        duplicatesFound: items.reduce((sum, item) => sum + item.item.before.duplicates.length, 0),
         tagsUpdated: updatedCount,
         tagsMerged: mergedCount,
-        finalTagCount: tags.length - mergedCount
+        finalTagCount
       }
-    });
-    
-  } catch (error) {
-    console.error('❌ Tag normalization error:', error);
-    res.status(500).json({ error: 'Tag normalization failed: ' + error.message });
+    };
   }
 });
 
-// Scan for visual duplicates
-app.post('/api/admin/scan-visual-duplicates', async (req, res) => {
-  try {
-    console.log('🔍 Starting visual duplicate scan...');
-    
-    const { similarityThreshold = 5, autoRemove = false } = req.body;
-    
-    const result = await duplicateDetectionService.scanForVisualDuplicates(similarityThreshold);
-    
+app.post('/api/admin/normalise-tags', maintenanceService.routeHandler('normalise-tags'));
+
+// visual_duplicate_scan: one item per image uploaded before perceptual hashes were stored,
+// then the scan itself once every image has one
+batchProcessingService.registerJobType('visual_duplicate_scan', {
+  async listItems() {
+    const missing = await databaseService.getImagesMissingSignature();
+    if (missing.length > 0 && !duplicateDetectionService.isAvailable()) {
+      throw batchProcessingService.createPermanentError(`${missing.length} images have no perceptual hash yet and Sharp is required to compute them. Please install it: npm install sharp`);
+    }
+    return missing;
+  },
+  async processItem(image) {
+    await duplicateDetectionService.indexStoredImage(image);
+    return { id: image.id };
+  },
+  async finish(job) {
+    const { similarityThreshold, autoRemove = false } = job.payload;
+    const result = await duplicateDetectionService.scanForVisualDuplicates(similarityThreshold, { backfill: false });
+    result.stats.totalImages += job.failed;
+    result.stats.newlyHashed = job.completed;
+    result.stats.errors = job.failed;
+
     if (autoRemove && result.duplicateGroups.length > 0) {
       console.log('🗑️ Auto-removing visual duplicates...');
-      const removeResult = await duplicateDetectionService.removeDuplicates(result.duplicateGroups);
+      const removeResult = await duplicateDetectionService.removeDuplicates(result.duplicateGroups, true, job.created_by);
+      for (const merge of removeResult.merges) {
+        await auditDuplicateMerge(auditService.jobRequest(job), merge);
+      }
       result.stats.removed = removeResult.removed;
       result.stats.removeErrors = removeResult.errors;
     }
-    
-    res.json({
+
+    return {
       success: true,
       message: `Visual duplicate scan completed: ${result.stats.duplicateGroups} groups found with ${result.stats.duplicateImages} duplicate images`,
       stats: result.stats,
       duplicateGroups: result.duplicateGroups
+    };
+  }
+});
+
+// Scan for visual duplicates - runs as a background job, the groups found are the job's result
+app.post('/api/admin/scan-visual-duplicates', async (req, res) => {
+  try {
+    console.log('🔍 Queueing visual duplicate scan...');
+    
+    const { similarityThreshold, autoRemove = false } = req.body;
+
+    const job = await batchProcessingService.enqueue('visual_duplicate_scan', { similarityThreshold, autoRemove }, {
+      userId: req.user.id,
+      route: auditService.describeRoute(req)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Scanning for visual duplicates in the background',
+      jobId: job.id
     });
     
   } catch (error) {
@@ -4560,11 +6145,14 @@ app.post('/api/admin/remove-visual-duplicates', async (req, res) => {
       return res.status(400).json({ error: 'duplicateGroups array is required' });
     }
     
-    const result = await duplicateDetectionService.removeDuplicates(duplicateGroups);
+    const result = await duplicateDetectionService.removeDuplicates(duplicateGroups, true, req.user.id);
+    for (const merge of result.merges) {
+      await auditDuplicateMerge(req, merge);
+    }
     
     res.json({
       success: true,
-      message: `Removed ${result.removed} visual duplicates`,
+      message: `Merged and moved ${result.removed} visual duplicates to trash`,
       stats: {
         removed: result.removed,
         errors: result.errors
@@ -4577,83 +6165,78 @@ app.post('/api/admin/remove-visual-duplicates', async (req, res) => {
   }
 });
 
-// Re-embed metadata for all images (fix metadata lost during migration)
-app.post('/api/admin/re-embed-metadata', async (req, res) => {
-  try {
-    console.log('📝 Starting metadata re-embedding for all images...');
-    
-    // Get all images from database
-    const allImages = await databaseService.query(`
-      SELECT i.id, i.filename, i.dropbox_path, 
-             STRING_AGG(DISTINCT t.name, ',') AS tag_names
-      FROM images i
-      LEFT JOIN image_tags it ON i.id = it.image_id
-      LEFT JOIN tags t ON it.tag_id = t.id
-      GROUP BY i.id, i.filename, i.dropbox_path
-      ORDER BY i.id
-    `);
-    const images = allImages.rows;
-    
-    console.log(`📊 Found ${images.length} images to update metadata`);
-    
-    let updatedCount = 0;
-    let errorCount = 0;
-    const errors = [];
-    
-    for (const image of images) {
-      try {
-        console.log(`📝 Updating metadata for: ${image.filename}`);
-        
-        const tags = image.tag_names ? image.tag_names.split(',') : [];
-        console.log(`🏷️ Tags to embed: ${tags.join(', ')}`);
-        
-        if (tags.length === 0) {
-          console.log(`⚠️ Skipping ${image.filename} - no tags to embed`);
-          continue;
-        }
-        
-        // Get focused tags for this image
-        const focusedTagsResult = await databaseService.query(`
-          SELECT tag_name, x_coordinate, y_coordinate, width, height
-          FROM focused_tags 
-          WHERE image_id = $1
-        `, [image.id]);
-        
-        const focusedTags = focusedTagsResult.rows;
-        
-        // Update metadata
-        await metadataService.updateImageMetadata(image.dropbox_path, {
-          tags: tags,
-          focusedTags: focusedTags,
-          title: image.filename,
-          description: `Tagged with: ${tags.join(', ')}`
-        });
-        
-        console.log(`✅ Updated metadata for ${image.filename}`);
-        updatedCount++;
-        
-        // Add small delay to avoid overwhelming Dropbox API
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
-      } catch (error) {
-        console.error(`❌ Failed to update metadata for ${image.filename}:`, error.message);
-        errors.push(`${image.filename}: ${error.message}`);
-        errorCount++;
-      }
+// color_palette_backfill: one item per image uploaded before palettes were stored
+batchProcessingService.registerJobType('color_palette_backfill', {
+  async listItems() {
+    if (!colorPaletteService.isAvailable()) {
+      throw batchProcessingService.createPermanentError('Sharp library is required to extract colour palettes. Please install it: npm install sharp');
     }
-    
-    const message = `Metadata re-embedding completed: ${updatedCount} updated, ${errorCount} errors`;
-    console.log(`✅ ${message}`);
-    
-    res.json({
+    const images = await databaseService.getImagesMissingColorPalette();
+    return images.map(image => ({ id: image.id, filename: image.filename }));
+  },
+  async processItem({ id }) {
+    const image = await databaseService.getImageById(id);
+    if (!image || image.deleted_at) {
+      throw batchProcessingService.createPermanentError('Image not found');
+    }
+    // Picked up again after a restart, or given one by an upload since the job started
+    if (image.color_palette) {
+      return { skipped: true, reason: 'already has a palette' };
+    }
+    return colorPaletteService.backfillPalette(image);
+  },
+  async finish(job) {
+    const items = await databaseService.getJobItems(job.id, { status: 'succeeded', limit: job.total });
+    const notEmbedded = items.filter(({ result }) => result && !result.embedded).length;
+
+    let message = `Colour palette backfill completed: ${job.completed} images updated, ${job.skipped} skipped`;
+    if (notEmbedded > 0) message += `, ${notEmbedded} stored but not embedded in their files`;
+    if (job.failed > 0) message += `, ${job.failed} errors`;
+    console.log(`🎨 ${message}`);
+    return {
       success: true,
       message,
-      stats: {
-        total: images.length,
-        updated: updatedCount,
-        errors: errorCount,
-        errorDetails: errors
-      }
+      stats: { total: job.total, updated: job.completed, notEmbedded, skipped: job.skipped, errors: job.failed }
+    };
+  }
+});
+
+// Extract colour palettes for images uploaded before palettes were stored - runs as a background job
+app.post('/api/admin/backfill-color-palettes', async (req, res) => {
+  try {
+    console.log('🎨 Queueing colour palette backfill...');
+
+    const job = await batchProcessingService.enqueue('color_palette_backfill', {}, {
+      userId: req.user.id,
+      route: auditService.describeRoute(req)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Extracting colour palettes in the background',
+      jobId: job.id
+    });
+
+  } catch (error) {
+    console.error('❌ Colour palette backfill error:', error);
+    res.status(500).json({ error: 'Colour palette backfill failed: ' + error.message });
+  }
+});
+
+// Re-embed metadata for all images (fix metadata lost during migration) - runs as a background job
+app.post('/api/admin/re-embed-metadata', async (req, res) => {
+  try {
+    console.log('📝 Queueing metadata re-embedding for all images...');
+
+    const job = await batchProcessingService.startBatchMetadataUpdate({}, {
+      userId: req.user.id,
+      route: auditService.describeRoute(req)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Metadata re-embedding queued',
+      jobId: job.id
     });
     
   } catch (error) {
@@ -4691,9 +6274,46 @@ app.put('/api/tags/:tagId/rename', async (req, res) => {
     if (existingTagResult.rows.length > 0) {
       return res.status(409).json({ error: `Tag "${trimmedNewName}" already exists` });
     }
-    
-    // Update the tag name
-    await databaseService.query('UPDATE tags SET name = $1 WHERE id = $2', [trimmedNewName, tagId]);
+
+    // Renaming a tag to one of its own aliases is fine - the alias goes, since it now is the name
+    const alias = await databaseService.get('SELECT id, tag_id FROM tag_aliases WHERE alias = $1', [trimmedNewName]);
+    if (alias && String(alias.tag_id) !== String(tagId)) {
+      return res.status(409).json({ error: `"${trimmedNewName}" is an alias of another tag` });
+    }
+
+    // Rename and record it for undo in one transaction, before any file is touched
+    const client = await databaseService.pool.connect();
+    let tagOperation;
+    try {
+      await client.query('BEGIN');
+
+      if (alias) {
+        await client.query('DELETE FROM tag_aliases WHERE id = $1', [alias.id]);
+      }
+
+      // Where the tagged images are now, so an undo can put them back
+      const taggedImages = await client.query('SELECT DISTINCT image_id FROM image_tags WHERE tag_id = $1', [tagId]);
+      const previousFiles = await databaseService.getImageFileSnapshots(taggedImages.rows.map(row => row.image_id), client);
+
+      // Update the tag name
+      await client.query('UPDATE tags SET name = $1 WHERE id = $2', [trimmedNewName, tagId]);
+
+      tagOperation = await tagHistoryService.recordRename({
+        tagId: currentTag.id,
+        oldName,
+        newName: trimmedNewName,
+        images: previousFiles,
+        removedAlias: Boolean(alias),
+        userId: req.user.id
+      }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
     
     // Get all images that use this tag
     const imagesWithTagResult = await databaseService.query(`
@@ -4754,11 +6374,24 @@ app.put('/api/tags/:tagId/rename', async (req, res) => {
     
     const message = `Tag renamed from "${oldName}" to "${trimmedNewName}"`;
     console.log(`✅ ${message}`);
+
+    await auditService.record(req, {
+      action: 'tag.rename',
+      entityType: 'tag',
+      entityId: tagId,
+      before: { name: oldName },
+      after: { name: trimmedNewName, imageCount: affectedImages.length }
+    });
+    await auditService.recordForImages(req, 'image.tag_rename', affectedImages, {
+      before: { tag: oldName },
+      after: { tag: trimmedNewName }
+    });
     console.log(`📊 Updated metadata for ${metadataUpdatedCount}/${affectedImages.length} images`);
     
     res.json({
       success: true,
       message,
+      operationId: tagOperation.id,
       stats: {
         oldName,
         newName: trimmedNewName,
@@ -4777,109 +6410,98 @@ app.put('/api/tags/:tagId/rename', async (req, res) => {
 
 // Note: Stages and Rooms API endpoints moved above catch-all route
 
-// Fix Dropbox paths and filenames after manual folder rename
-app.post('/api/admin/fix-dropbox-paths', async (req, res) => {
-  try {
-    console.log('🔄 Starting comprehensive path and filename fixes...');
-    
-    // Fix double dots in filenames (..jpg -> .jpg)
-    const doubleDotsResult = await databaseService.query(`
-      UPDATE images 
-      SET 
-        filename = REPLACE(filename, '..jpg', '.jpg'),
-        dropbox_path = REPLACE(dropbox_path, '..jpg', '.jpg')
+// Fix Dropbox paths and filenames after manual folder rename. The fixes apply in this order,
+// each to the result of the previous ones, as the four UPDATEs this replaced did.
+const DROPBOX_PATH_FIXES = [
+  {
+    name: 'doubleDotsFixed', // ..jpg -> .jpg
+    applies: ({ filename }) => filename.endsWith('..jpg'),
+    fix: ({ filename, dropbox_path }) => ({
+      filename: replaceAll(filename, '..jpg', '.jpg'),
+      dropbox_path: replaceAll(dropbox_path, '..jpg', '.jpg')
+    })
+  },
+  {
+    name: 'precedentsUpdated', // Precedents -> Precedent
+    applies: ({ dropbox_path }) => dropbox_path.includes('/SnapTag/Precedents/'),
+    fix: ({ filename, dropbox_path }) => ({ filename, dropbox_path: replaceAll(dropbox_path, '/SnapTag/Precedents/', '/SnapTag/Precedent/') })
+  },
+  {
+    name: 'materialsUpdated', // Materials -> Texture
+    applies: ({ dropbox_path }) => dropbox_path.includes('/SnapTag/Materials/'),
+    fix: ({ filename, dropbox_path }) => ({ filename, dropbox_path: replaceAll(dropbox_path, '/SnapTag/Materials/', '/SnapTag/Texture/') })
+  },
+  {
+    name: 'extensionsFixed', // add jpg to files ending with just a dot
+    applies: ({ filename }) => filename.endsWith('.') && !filename.endsWith('.jpg'),
+    fix: ({ filename, dropbox_path }) => ({ filename: filename + 'jpg', dropbox_path: replaceAll(dropbox_path, filename, filename + 'jpg') })
+  }
+];
+
+maintenanceService.register('fix-dropbox-paths', {
+  description: 'Fix Dropbox paths and filenames after manual folder rename',
+  route: '/api/admin/fix-dropbox-paths',
+  async plan() {
+    const images = await databaseService.all(`
+      SELECT id, filename, dropbox_path
+      FROM images
       WHERE filename LIKE '%..jpg'
+        OR dropbox_path LIKE '%/SnapTag/Precedents/%'
+        OR dropbox_path LIKE '%/SnapTag/Materials/%'
+        OR (filename LIKE '%.' AND filename NOT LIKE '%.jpg')
+      ORDER BY id
     `);
-    
-    console.log(`✅ Fixed ${doubleDotsResult.rowCount} files with double dots`);
-    
-    // Update Precedents -> Precedent
-    const precedentsResult = await databaseService.query(`
-      UPDATE images 
-      SET dropbox_path = REPLACE(dropbox_path, '/SnapTag/Precedents/', '/SnapTag/Precedent/')
-      WHERE dropbox_path LIKE '%/SnapTag/Precedents/%'
-    `);
-    
-    console.log(`✅ Updated ${precedentsResult.rowCount} files: Precedents → Precedent`);
-    
-    // Update Materials -> Texture
-    const materialsResult = await databaseService.query(`
-      UPDATE images 
-      SET dropbox_path = REPLACE(dropbox_path, '/SnapTag/Materials/', '/SnapTag/Texture/')
-      WHERE dropbox_path LIKE '%/SnapTag/Materials/%'
-    `);
-    
-    console.log(`✅ Updated ${materialsResult.rowCount} files: Materials → Texture`);
-    
-    // Fix missing file extensions (add .jpg to files ending with just a dot)
-    const extensionResult = await databaseService.query(`
-      UPDATE images 
-      SET 
-        dropbox_path = REPLACE(dropbox_path, filename, filename || 'jpg'),
-        filename = filename || 'jpg'
-      WHERE filename LIKE '%.' AND filename NOT LIKE '%.jpg'
-    `);
-    
-    console.log(`✅ Fixed ${extensionResult.rowCount} files with missing extensions`);
-    
-    // Get some examples of updated paths
-    const sampleResult = await databaseService.query(`
-      SELECT filename, dropbox_path 
-      FROM images 
-      WHERE dropbox_path LIKE '%/SnapTag/Precedent/%' OR dropbox_path LIKE '%/SnapTag/Texture/%'
-      LIMIT 5
-    `);
-    
-    console.log('📋 Sample updated paths:');
-    sampleResult.rows.forEach(row => {
-      console.log(`  ${row.filename} → ${row.dropbox_path}`);
+
+    const summary = {};
+    DROPBOX_PATH_FIXES.forEach(({ name }) => { summary[name] = 0; });
+
+    const actions = images.map(image => {
+      const before = { filename: image.filename, dropbox_path: image.dropbox_path };
+      let after = before;
+      const fixes = [];
+      DROPBOX_PATH_FIXES.forEach(({ name, applies, fix }) => {
+        if (applies(after)) {
+          after = fix(after);
+          fixes.push(name);
+          summary[name]++;
+        }
+      });
+
+      return {
+        type: 'db_update',
+        entityType: 'image',
+        entityId: image.id,
+        description: `${image.dropbox_path} → ${after.dropbox_path}`,
+        before,
+        after: { ...after, fixes }
+      };
     });
-    
-    res.json({
+
+    return { actions, summary };
+  },
+  applyAction: applyImagePathUpdate,
+  summarize(job, items) {
+    const stats = {};
+    DROPBOX_PATH_FIXES.forEach(({ name }) => {
+      stats[name] = items.filter(({ item, status }) => status === 'succeeded' && item.after.fixes.includes(name)).length;
+    });
+
+    return {
       success: true,
       message: 'Dropbox paths and filenames fixed successfully',
       stats: {
-        doubleDotsFixed: doubleDotsResult.rowCount || 0,
-        precedentsUpdated: precedentsResult.rowCount || 0,
-        materialsUpdated: materialsResult.rowCount || 0,
-        extensionsFixed: extensionResult.rowCount || 0,
-        samplePaths: sampleResult.rows
+        ...stats,
+        errors: job.failed,
+        samplePaths: items
+          .filter(item => item.status === 'succeeded')
+          .slice(0, 5)
+          .map(({ item }) => ({ filename: item.after.filename, dropbox_path: item.after.dropbox_path }))
       }
-    });
-    
-  } catch (error) {
-    console.error('❌ Error fixing paths and filenames:', error);
-    res.status(500).json({ error: 'Failed to fix paths and filenames: ' + error.message });
+    };
   }
 });
 
-// Add name column to images table if it doesn't exist
-app.post('/api/admin/add-name-column', async (req, res) => {
-  try {
-    console.log('🔧 Adding name column to images table...');
-    
-    // Check if column exists
-    const checkResult = await databaseService.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'images' AND column_name = 'name'
-    `);
-    
-    if (checkResult.rows.length === 0) {
-      // Add the column
-      await databaseService.query('ALTER TABLE images ADD COLUMN name TEXT');
-      console.log('✅ Added name column to images table');
-      res.json({ success: true, message: 'Name column added successfully' });
-    } else {
-      console.log('✅ Name column already exists');
-      res.json({ success: true, message: 'Name column already exists' });
-    }
-    
-  } catch (error) {
-    console.error('❌ Error adding name column:', error);
-    res.status(500).json({ error: 'Failed to add name column: ' + error.message });
-  }
-});
+app.post('/api/admin/fix-dropbox-paths', maintenanceService.routeHandler('fix-dropbox-paths'));
 
 // Professional Workflow API Endpoints
 app.post('/api/workflow/batch-analyse', async (req, res) => {
@@ -4899,7 +6521,7 @@ app.post('/api/workflow/batch-analyse', async (req, res) => {
       images = result.rows;
     } else {
       // Analyze all images
-      const result = await databaseService.query('SELECT * FROM images ORDER BY created_at DESC');
+      const result = await databaseService.query('SELECT * FROM images WHERE deleted_at IS NULL ORDER BY created_at DESC');
       images = result.rows;
     }
     
@@ -5063,736 +6685,311 @@ app.post('/api/workflow/analyse-archicad/:id', async (req, res) => {
   }
 });
 
-// Fix long dropbox paths to simplified format
-app.post('/api/admin/fix-long-paths', async (req, res) => {
-  try {
-    console.log('🔄 Fixing long Dropbox paths to simplified format...');
-    
-    // Update all paths from long format to simplified format
-    const updateResult = await databaseService.query(`
-      UPDATE images 
-      SET dropbox_path = REPLACE(dropbox_path, '/ARCHIER Team Folder/Support/Production/SnapTag/', '/SnapTag/')
-      WHERE dropbox_path LIKE '/ARCHIER Team Folder/Support/Production/SnapTag/%'
-    `);
-    
-    console.log(`✅ Updated ${updateResult.rowCount || 0} image paths`);
-    
-    // Get a sample of updated paths for verification
-    const sampleResult = await databaseService.query(`
-      SELECT filename, dropbox_path 
-      FROM images 
-      WHERE dropbox_path LIKE '/SnapTag/%' 
-      LIMIT 10
-    `);
-    
-    res.json({
-      success: true,
-      message: 'Long Dropbox paths fixed successfully',
-      stats: {
-        pathsUpdated: updateResult.rowCount || 0,
-        samplePaths: sampleResult.rows
-      }
-    });
-  } catch (error) {
-    console.error('Error fixing long paths:', error);
-    res.status(500).json({ error: 'Failed to fix long paths' });
-  }
+// Rewrite the start of database paths - e.g. long Dropbox paths to the simplified format, or back
+maintenanceService.register('rewrite-path-prefix', {
+  description: 'Rewrite the start of image paths in the database (files are not moved)',
+  params: {
+    from: { type: 'string', default: '/ARCHIER Team Folder/Support/Production/SnapTag/', description: 'Paths starting with this' },
+    to: { type: 'string', default: '/SnapTag/', description: 'Start them with this instead' }
+  },
+  async plan({ from, to }) {
+    if (from === to) {
+      return { actions: [] };
+    }
+
+    const images = await databaseService.all(`
+      SELECT id, filename, dropbox_path
+      FROM images
+      WHERE LEFT(dropbox_path, LENGTH($1)) = $1
+      ORDER BY id
+    `, [from]);
+
+    return {
+      actions: images.map(image => {
+        const newPath = to + image.dropbox_path.slice(from.length);
+        return {
+          type: 'db_update',
+          entityType: 'image',
+          entityId: image.id,
+          description: `${image.dropbox_path} → ${newPath}`,
+          before: { filename: image.filename, dropbox_path: image.dropbox_path },
+          after: { filename: image.filename, dropbox_path: newPath }
+        };
+      })
+    };
+  },
+  applyAction: applyImagePathUpdate
 });
 
-// Fix old tag-based filenames
-app.post('/api/admin/fix-tag-filenames', async (req, res) => {
-  try {
-    console.log('🔄 Fixing old tag-based filenames...');
-    
-    // Fix materials -> texture in filenames and paths
-    const materialsResult = await databaseService.query(`
-      UPDATE images 
-      SET 
-        filename = REPLACE(filename, '-materials-', '-texture-'),
-        dropbox_path = REPLACE(dropbox_path, REPLACE(filename, '-materials-', '-texture-'), filename)
-      WHERE filename LIKE '%-materials-%'
-    `);
-    
-    // Fix precedents -> precedent in filenames and paths  
-    const precedentsResult = await databaseService.query(`
-      UPDATE images 
-      SET 
-        filename = REPLACE(filename, '-precedents-', '-precedent-'),
-        dropbox_path = REPLACE(dropbox_path, REPLACE(filename, '-precedents-', '-precedent-'), filename)
-      WHERE filename LIKE '%-precedents-%'
-    `);
-    
-    console.log(`✅ Fixed ${materialsResult.rowCount || 0} materials filenames`);
-    console.log(`✅ Fixed ${precedentsResult.rowCount || 0} precedents filenames`);
-    
-    // Get a sample of updated filenames
-    const sampleResult = await databaseService.query(`
-      SELECT filename, dropbox_path 
-      FROM images 
-      WHERE filename LIKE '%-texture-%' OR filename LIKE '%-precedent-%'
-      LIMIT 10
+// Fix old tag-based filenames: materials -> texture, precedents -> precedent
+const TAG_FILENAME_FIXES = [
+  { from: '-materials-', to: '-texture-' },
+  { from: '-precedents-', to: '-precedent-' }
+];
+
+maintenanceService.register('fix-tag-filenames', {
+  description: 'Rename old -materials- and -precedents- filenames in the database (files are not moved)',
+  async plan() {
+    const images = await databaseService.all(`
+      SELECT id, filename, dropbox_path
+      FROM images
+      WHERE filename LIKE '%-materials-%' OR filename LIKE '%-precedents-%'
+      ORDER BY id
     `);
-    
-    res.json({
-      success: true,
-      message: 'Tag-based filenames fixed successfully',
-      stats: {
-        materialsFixed: materialsResult.rowCount || 0,
-        precedentsFixed: precedentsResult.rowCount || 0,
-        sampleFilenames: sampleResult.rows
-      }
-    });
-  } catch (error) {
-    console.error('Error fixing tag filenames:', error);
-    res.status(500).json({ error: 'Failed to fix tag filenames' });
-  }
-});
 
-// Check and fix server Dropbox folder setting
-app.post('/api/admin/fix-server-settings', async (req, res) => {
-  try {
-    console.log('🔄 Checking server Dropbox folder settings...');
-    console.log('Current serverSettings.dropboxFolder:', serverSettings.dropboxFolder);
-    console.log('Current process.env.DROPBOX_FOLDER:', process.env.DROPBOX_FOLDER);
-    
-    // Update server settings to use simplified path
-    const oldSetting = serverSettings.dropboxFolder;
-    serverSettings.dropboxFolder = '/SnapTag';
-    
-    console.log('✅ Updated server Dropbox folder setting');
-    console.log('Old setting:', oldSetting);
-    console.log('New setting:', serverSettings.dropboxFolder);
-    
-    // Test generating a temporary link for verification
-    const testImage = await databaseService.query('SELECT * FROM images LIMIT 1');
-    let testUrl = null;
-    if (testImage.rows.length > 0) {
-      try {
-        testUrl = await dropboxService.getTemporaryLink(testImage.rows[0].dropbox_path);
-        console.log('✅ Test URL generation successful');
-      } catch (error) {
-        console.log('❌ Test URL generation failed:', error.message);
-      }
-    }
-    
-    res.json({
-      success: true,
-      message: 'Server settings updated successfully',
-      settings: {
-        oldDropboxFolder: oldSetting,
-        newDropboxFolder: serverSettings.dropboxFolder,
-        testUrlGenerated: !!testUrl,
-        testPath: testImage.rows[0]?.dropbox_path
-      }
-    });
-  } catch (error) {
-    console.error('Error fixing server settings:', error);
-    res.status(500).json({ error: 'Failed to fix server settings' });
-  }
+    return {
+      actions: images.map(image => {
+        const newFilename = TAG_FILENAME_FIXES.reduce((filename, { from, to }) => replaceAll(filename, from, to), image.filename);
+        return {
+          type: 'db_update',
+          entityType: 'image',
+          entityId: image.id,
+          description: `${image.filename} → ${newFilename}`,
+          before: { filename: image.filename, dropbox_path: image.dropbox_path },
+          after: {
+            filename: newFilename,
+            dropbox_path: replaceAll(image.dropbox_path, '/' + image.filename, '/' + newFilename)
+          }
+        };
+      })
+    };
+  },
+  applyAction: applyImagePathUpdate
 });
 
 // Verify which files exist in Dropbox vs database
-app.post('/api/admin/verify-dropbox-files', async (req, res) => {
-  try {
-    console.log('🔍 Verifying which files exist in Dropbox...');
-    
-    // Get all images from database
-    const allImages = await databaseService.query('SELECT id, filename, dropbox_path FROM images ORDER BY id');
-    
-    const results = {
-      total: allImages.rows.length,
-      existing: [],
-      missing: [],
-      errors: []
-    };
-    
-    // Check each file in Dropbox (limit to first 10 for testing)
-    for (const image of allImages.rows.slice(0, 10)) {
+maintenanceService.register('verify-dropbox-files', {
+  description: 'Check that image files exist in Dropbox',
+  role: 'editor',
+  params: {
+    limit: { type: 'integer', default: 10, min: 1, max: 1000, description: 'How many images to check, oldest first' }
+  },
+  async plan({ limit }) {
+    console.log(`🔍 Verifying which of ${limit} files exist in Dropbox...`);
+    const images = await databaseService.all('SELECT id, filename, dropbox_path FROM images ORDER BY id LIMIT $1', [limit]);
+
+    const report = [];
+    for (const image of images) {
+      const entry = { id: image.id, filename: image.filename, path: image.dropbox_path, status: 'exists' };
       try {
-        console.log(`Checking: ${image.dropbox_path}`);
-        
-        // Try to get file metadata from Dropbox
-        await dropboxService.dbx.filesGetMetadata({ path: image.dropbox_path });
-        const fileExists = true;
-        
-        if (fileExists) {
-          results.existing.push({
-            id: image.id,
-            filename: image.filename,
-            path: image.dropbox_path,
-            status: 'exists'
-          });
-        } else {
-          results.missing.push({
-            id: image.id,
-            filename: image.filename,
-            path: image.dropbox_path,
-            status: 'missing'
-          });
-        }
+        await storageService.getTemporaryLink(image.dropbox_path);
       } catch (error) {
-        results.errors.push({
-          id: image.id,
-          filename: image.filename,
-          path: image.dropbox_path,
-          error: error.message
-        });
+        entry.status = isNotFoundError(error) ? 'missing' : 'error';
+        entry.error = error.message;
       }
+      report.push(entry);
     }
-    
-    console.log(`✅ Verification complete: ${results.existing.length} exist, ${results.missing.length} missing, ${results.errors.length} errors`);
-    
-    res.json({
-      success: true,
-      message: 'Dropbox file verification complete',
-      results
-    });
-  } catch (error) {
-    console.error('Error verifying Dropbox files:', error);
-    res.status(500).json({ error: 'Failed to verify Dropbox files' });
-  }
-});
 
-// Revert server setting to correct Dropbox path
-app.post('/api/admin/revert-server-settings', async (req, res) => {
-  try {
-    console.log('🔄 Reverting server Dropbox folder setting to correct path...');
-    
-    const oldSetting = serverSettings.dropboxFolder;
-    serverSettings.dropboxFolder = '/ARCHIER Team Folder/Support/Production/SnapTag';
-    
-    console.log('✅ Reverted server Dropbox folder setting');
-    console.log('Previous (incorrect) setting:', oldSetting);
-    console.log('Correct setting:', serverSettings.dropboxFolder);
-    
-    res.json({
-      success: true,
-      message: 'Server settings reverted to correct path',
-      settings: {
-        previousSetting: oldSetting,
-        correctSetting: serverSettings.dropboxFolder
-      }
-    });
-  } catch (error) {
-    console.error('Error reverting server settings:', error);
-    res.status(500).json({ error: 'Failed to revert server settings' });
-  }
-});
+    const count = (status) => report.filter(entry => entry.status === status).length;
+    console.log(`✅ Verification complete: ${count('exists')} exist, ${count('missing')} missing, ${count('error')} errors`);
 
-// Revert database paths to match actual Dropbox structure
-app.post('/api/admin/revert-database-paths', async (req, res) => {
-  try {
-    console.log('🔄 Reverting database paths to match actual Dropbox structure...');
-    
-    // Revert paths from simplified format back to long format
-    const updateResult = await databaseService.query(`
-      UPDATE images 
-      SET dropbox_path = REPLACE(dropbox_path, '/SnapTag/', '/ARCHIER Team Folder/Support/Production/SnapTag/')
-      WHERE dropbox_path LIKE '/SnapTag/%'
-    `);
-    
-    console.log(`✅ Reverted ${updateResult.rowCount || 0} image paths`);
-    
-    // Get a sample of reverted paths for verification
-    const sampleResult = await databaseService.query(`
-      SELECT filename, dropbox_path 
-      FROM images 
-      WHERE dropbox_path LIKE '/ARCHIER Team Folder/Support/Production/SnapTag/%' 
-      LIMIT 10
-    `);
-    
-    res.json({
-      success: true,
-      message: 'Database paths reverted to match Dropbox structure',
-      stats: {
-        pathsReverted: updateResult.rowCount || 0,
-        samplePaths: sampleResult.rows
-      }
-    });
-  } catch (error) {
-    console.error('Error reverting database paths:', error);
-    res.status(500).json({ error: 'Failed to revert database paths' });
+    return {
+      summary: { checked: report.length, existing: count('exists'), missing: count('missing'), errors: count('error') },
+      report
+    };
   }
 });
 
-// Migrate misplaced images to correct folders using fixed logic
-app.post('/api/admin/migrate-misplaced-images', async (req, res) => {
-  try {
-    console.log('🔄 Migrating misplaced images using corrected folder logic...');
-    
+// Migrate misplaced images to the folders their tags call for, keeping their filenames.
+// With a folder, only images whose path contains it - e.g. '/Texture/Metal/' for precedent
+// images filed as textures.
+maintenanceService.register('migrate-misplaced-images', {
+  description: 'Move images to the folder their tags call for, keeping their filenames',
+  params: {
+    folder: { type: 'string', description: 'Only images whose path contains this, e.g. /Texture/Metal/' }
+  },
+  async plan({ folder }) {
     // Get all images with their tags from database
-    const allImages = await databaseService.query(`
-      SELECT i.id, i.filename, i.dropbox_path, 
-             COALESCE(array_agg(DISTINCT t.name) FILTER (WHERE t.name IS NOT NULL), ARRAY[]::text[]) as tags
+    const images = await databaseService.all(`
+      SELECT i.id, i.filename, i.dropbox_path,
+        COALESCE(ARRAY_AGG(t.name ORDER BY t.name) FILTER (WHERE t.name IS NOT NULL), '{}') AS tags
       FROM images i
-      LEFT JOIN image_tags it ON i.id = it.image_id
-      LEFT JOIN tags t ON it.tag_id = t.id
-      GROUP BY i.id, i.filename, i.dropbox_path
+      LEFT JOIN image_tags it ON it.image_id = i.id
+      LEFT JOIN tags t ON t.id = it.tag_id
+      WHERE i.deleted_at IS NULL ${folder ? 'AND POSITION($1 IN i.dropbox_path) > 0' : ''}
+      GROUP BY i.id
       ORDER BY i.id
-    `);
-    
-    const results = {
-      total: allImages.rows.length,
-      toMigrate: [],
-      errors: [],
-      skipped: []
-    };
-    
-    for (const image of allImages.rows) {
-      try {
-        // Get tags array
-        const tags = image.tags || [];
-        console.log(`\n📋 Processing ${image.filename} with tags:`, tags);
-        
-        // Generate correct folder path using fixed logic
-        const baseFolder = serverSettings.dropboxFolder || '/ARCHIER Team Folder/Support/Production/SnapTag';
-        const correctPath = folderPathService.generateFolderPath(tags, baseFolder);
-        const correctFullPath = `${correctPath}/${image.filename}`;
-        
-        console.log(`   Current path: ${image.dropbox_path}`);
-        console.log(`   Correct path: ${correctFullPath}`);
-        
-        // Check if image needs to be moved
-        if (image.dropbox_path !== correctFullPath) {
-          console.log(`   ✅ NEEDS MIGRATION: ${image.filename}`);
-          results.toMigrate.push({
-            id: image.id,
-            filename: image.filename,
-            tags: tags,
-            currentPath: image.dropbox_path,
-            correctPath: correctFullPath,
-            reason: 'Path mismatch with corrected folder logic'
-          });
-        } else {
-          console.log(`   ✓ Already in correct location`);
-          results.skipped.push({
-            id: image.id,
-            filename: image.filename,
-            reason: 'Already in correct location'
-          });
-        }
-      } catch (error) {
-        console.error(`   ❌ Error processing ${image.filename}:`, error);
-        results.errors.push({
-          id: image.id,
-          filename: image.filename,
-          error: error.message
-        });
+    `, folder ? [folder] : []);
+
+    const baseFolder = serverSettings.dropboxFolder || '/ARCHIER Team Folder/Support/Production/SnapTag';
+    const actions = [];
+    let alreadyInPlace = 0;
+
+    for (const image of images) {
+      const correctFullPath = `${folderPathService.generateFolderPath(image.tags, baseFolder)}/${image.filename}`;
+
+      if (image.dropbox_path === correctFullPath) {
+        alreadyInPlace++;
+        continue;
       }
+
+      actions.push({
+        type: 'dropbox_move',
+        entityType: 'image',
+        entityId: image.id,
+        description: `${image.dropbox_path} → ${correctFullPath}`,
+        before: { filename: image.filename, dropbox_path: image.dropbox_path, tags: image.tags },
+        after: { filename: image.filename, dropbox_path: correctFullPath, tags: image.tags }
+      });
     }
-    
-    console.log(`\n📊 Migration analysis complete:`);
-    console.log(`   Total images: ${results.total}`);
-    console.log(`   Need migration: ${results.toMigrate.length}`);
-    console.log(`   Already correct: ${results.skipped.length}`);
-    console.log(`   Errors: ${results.errors.length}`);
-    
-    res.json({
-      success: true,
-      message: 'Migration analysis complete',
-      results
-    });
-  } catch (error) {
-    console.error('Error analyzing misplaced images:', error);
-    res.status(500).json({ error: 'Failed to analyse misplaced images', details: error.message });
-  }
+
+    return { actions, summary: { images: images.length, alreadyInPlace } };
+  },
+  applyAction: applyImageMove
 });
 
-// Fix specific misplaced precedent+metal images
-app.post('/api/admin/fix-precedent-metal-images', async (req, res) => {
-  try {
-    console.log('🔄 Fixing precedent+metal images misplaced in Texture/Metal...');
-    
-    // Find images that are tagged with both 'precedent' and 'metal' but NO 'texture' tag
-    const misplacedImages = await databaseService.query(`
-      SELECT DISTINCT i.id, i.filename, i.dropbox_path,
-             array_agg(DISTINCT t.name) as tags
-      FROM images i
-      JOIN image_tags it ON i.id = it.image_id
-      JOIN tags t ON it.tag_id = t.id
-      WHERE i.dropbox_path LIKE '%/Texture/Metal/%'
-      GROUP BY i.id, i.filename, i.dropbox_path
-      HAVING 
-        'precedent' = ANY(array_agg(DISTINCT t.name)) 
-        AND 'metal' = ANY(array_agg(DISTINCT t.name))
-        AND NOT ('texture' = ANY(array_agg(DISTINCT t.name)))
-    `);
-    
-    console.log(`Found ${misplacedImages.rows.length} misplaced precedent+metal images`);
-    
-    const results = {
-      totalFound: misplacedImages.rows.length,
-      moved: [],
-      errors: []
-    };
-    
-    for (const image of misplacedImages.rows) {
-      try {
-        console.log(`\n📋 Processing: ${image.filename}`);
-        console.log(`   Tags: ${image.tags.join(', ')}`);
-        console.log(`   Current path: ${image.dropbox_path}`);
-        
-        // Determine correct path - should be Precedent/General since no valid precedent categories
-        const baseFolder = serverSettings.dropboxFolder || '/ARCHIER Team Folder/Support/Production/SnapTag';
-        const correctPath = `${baseFolder}/Precedent/General/${image.filename}`;
-        
-        console.log(`   Correct path: ${correctPath}`);
-        
-        // Move file in Dropbox
-        console.log(`   🚚 Moving file in Dropbox...`);
-        await dropboxService.moveFile(image.dropbox_path, correctPath);
-        
-        // Update database path
-        console.log(`   💾 Updating database path...`);
-        await databaseService.query(
-          'UPDATE images SET dropbox_path = $1 WHERE id = $2',
-          [correctPath, image.id]
-        );
-        
-        results.moved.push({
-          id: image.id,
-          filename: image.filename,
-          from: image.dropbox_path,
-          to: correctPath,
-          tags: image.tags
-        });
-        
-        console.log(`   ✅ Successfully moved ${image.filename}`);
-        
-      } catch (error) {
-        console.error(`   ❌ Error moving ${image.filename}:`, error.message);
-        results.errors.push({
-          id: image.id,
-          filename: image.filename,
-          error: error.message
-        });
+// Rename images to what the active filename template makes of them, in the folders they are in -
+// after changing the template in Settings. Images without a sequence number get one if it uses {seq}.
+maintenanceService.register('reapply-naming', {
+  description: 'Rename images with the active filename template, keeping their folders',
+  async plan() {
+    const images = await getImagesForNaming();
+    const actions = [];
+    const taken = new Set();
+    let alreadyNamed = 0;
+
+    for (const image of images) {
+      const folder = path.posix.dirname(image.dropbox_path);
+      const extension = path.extname(image.filename) || '.jpg';
+      const newPath = await uniqueImagePath(
+        folder,
+        buildImageFilename(image, { tags: image.tags, extension, sequenceNumber: image.sequence_number }),
+        image.id,
+        taken
+      );
+
+      if (newPath === image.dropbox_path) {
+        alreadyNamed++;
+        continue;
       }
+      taken.add(newPath.toLowerCase());
+
+      const filename = path.posix.basename(newPath);
+      actions.push({
+        type: 'dropbox_move',
+        entityType: 'image',
+        entityId: image.id,
+        description: `${image.filename} → ${filename}`,
+        before: { filename: image.filename, dropbox_path: image.dropbox_path },
+        after: { filename, dropbox_path: newPath, sequenceNumber: image.sequence_number }
+      });
     }
-    
-    console.log(`\n📊 Migration complete:`);
-    console.log(`   Total found: ${results.totalFound}`);
-    console.log(`   Successfully moved: ${results.moved.length}`);
-    console.log(`   Errors: ${results.errors.length}`);
-    
-    res.json({
-      success: true,
-      message: `Fixed ${results.moved.length} misplaced precedent+metal images`,
-      results
-    });
-    
-  } catch (error) {
-    console.error('Error fixing precedent+metal images:', error);
-    res.status(500).json({ 
-      error: 'Failed to fix precedent+metal images', 
-      details: error.message 
-    });
-  }
-});
 
-// Check what images are in Texture/Metal folder
-app.post('/api/admin/check-texture-metal-images', async (req, res) => {
-  try {
-    console.log('🔍 Checking images in Texture/Metal folder...');
-    
-    // Find all images in Texture/Metal folder
-    const textureMetalImages = await databaseService.query(`
-      SELECT DISTINCT i.id, i.filename, i.dropbox_path,
-             array_agg(DISTINCT t.name ORDER BY t.name) as tags
-      FROM images i
-      LEFT JOIN image_tags it ON i.id = it.image_id
-      LEFT JOIN tags t ON it.tag_id = t.id
-      WHERE i.dropbox_path LIKE '%/Texture/Metal/%'
-      GROUP BY i.id, i.filename, i.dropbox_path
-      ORDER BY i.filename
-    `);
-    
-    console.log(`Found ${textureMetalImages.rows.length} images in Texture/Metal folder`);
-    
-    const results = textureMetalImages.rows.map(image => ({
-      id: image.id,
-      filename: image.filename,
-      path: image.dropbox_path,
-      tags: image.tags || [],
-      hasPrecedent: (image.tags || []).includes('precedent'),
-      hasMetal: (image.tags || []).includes('metal'),
-      hasTexture: (image.tags || []).includes('texture'),
-      shouldBeMoved: (image.tags || []).includes('precedent') && 
-                     (image.tags || []).includes('metal') && 
-                     !(image.tags || []).includes('texture')
-    }));
-    
-    res.json({
-      success: true,
-      message: `Found ${results.length} images in Texture/Metal folder`,
-      images: results,
-      summary: {
-        total: results.length,
-        withPrecedent: results.filter(img => img.hasPrecedent).length,
-        withMetal: results.filter(img => img.hasMetal).length,
-        withTexture: results.filter(img => img.hasTexture).length,
-        shouldBeMoved: results.filter(img => img.shouldBeMoved).length
-      }
-    });
-    
-  } catch (error) {
-    console.error('Error checking Texture/Metal images:', error);
-    res.status(500).json({ 
-      error: 'Failed to check Texture/Metal images', 
-      details: error.message 
-    });
-  }
+    return { actions, summary: { images: images.length, alreadyNamed, template: filenameGeneratorService.template } };
+  },
+  applyAction: applyImageMove
 });
 
-// Sync database paths with manually renamed files
-app.post('/api/admin/sync-renamed-files', async (req, res) => {
-  try {
-    console.log('🔄 Syncing database with manually renamed files...');
-    
+// Sync database paths with files renamed by hand in Dropbox: a record whose file is gone is
+// pointed at a precedent/general file in the same folder
+maintenanceService.register('sync-renamed-files', {
+  description: 'Point records of files renamed in Dropbox at the renamed file',
+  async plan() {
     // Find images with old filenames that might have been renamed
-    const potentiallyRenamed = await databaseService.query(`
-      SELECT id, filename, dropbox_path 
-      FROM images 
-      WHERE filename LIKE '%-materials-%' 
+    const images = await databaseService.all(`
+      SELECT id, filename, dropbox_path
+      FROM images
+      WHERE filename LIKE '%-materials-%'
          OR filename LIKE '%-precedents-%'
          OR filename NOT LIKE 'A%'
-      ORDER BY filename
+      ORDER BY filename, id
     `);
-    
-    console.log(`Found ${potentiallyRenamed.rows.length} images that might need path updates`);
-    
-    const results = {
-      total: potentiallyRenamed.rows.length,
-      updated: [],
-      notFound: [],
-      errors: []
-    };
-    
-    for (const image of potentiallyRenamed.rows) {
+    console.log(`Found ${images.length} images that might need path updates`);
+
+    const actions = [];
+    let found = 0;
+    let notFound = 0;
+    let checkErrors = 0;
+
+    for (const image of images) {
       try {
-        console.log(`\n📋 Checking: ${image.filename}`);
-        console.log(`   Current path: ${image.dropbox_path}`);
-        
-        // Try to find the file at its current path
-        let fileExists = false;
-        try {
-          await dropboxService.dbx.filesGetMetadata({ path: image.dropbox_path });
-          fileExists = true;
-          console.log(`   ✅ File found at current path`);
-        } catch (error) {
-          if (error.status === 409) {
-            console.log(`   ❌ File not found at current path`);
-            fileExists = false;
-          } else {
-            throw error;
-          }
-        }
-        
-        if (!fileExists) {
-          // File doesn't exist at current path - it was likely renamed
-          // Try to find files with similar structure in the same folder
-          const folderPath = image.dropbox_path.substring(0, image.dropbox_path.lastIndexOf('/'));
-          
-          try {
-            // List files in the folder
-            const folderContents = await dropboxService.dbx.filesListFolder({ path: folderPath });
-            
-            // Look for files that might be the renamed version
-            const possibleMatch = folderContents.result.entries.find(entry => {
-              return entry['.tag'] === 'file' && 
-                     (entry.name.includes('precedent') || entry.name.includes('general')) &&
-                     entry.name.endsWith('.jpg');
-            });
-            
-            if (possibleMatch) {
-              const newPath = `${folderPath}/${possibleMatch.name}`;
-              console.log(`   🔄 Found possible match: ${possibleMatch.name}`);
-              console.log(`   📝 Updating database path to: ${newPath}`);
-              
-              // Update database with new path and filename
-              await databaseService.query(
-                'UPDATE images SET dropbox_path = $1, filename = $2 WHERE id = $3',
-                [newPath, possibleMatch.name, image.id]
-              );
-              
-              results.updated.push({
-                id: image.id,
-                oldFilename: image.filename,
-                newFilename: possibleMatch.name,
-                oldPath: image.dropbox_path,
-                newPath: newPath
-              });
-            } else {
-              console.log(`   ❓ No matching file found in folder`);
-              results.notFound.push({
-                id: image.id,
-                filename: image.filename,
-                path: image.dropbox_path
-              });
-            }
-          } catch (folderError) {
-            console.log(`   ❌ Error accessing folder: ${folderError.message}`);
-            results.errors.push({
-              id: image.id,
-              filename: image.filename,
-              error: `Folder access error: ${folderError.message}`
-            });
-          }
-        }
-        
+        await dropboxService.dbx.filesGetMetadata({ path: image.dropbox_path });
+        found++;
+        continue;
       } catch (error) {
-        console.error(`   ❌ Error processing ${image.filename}:`, error.message);
-        results.errors.push({
-          id: image.id,
-          filename: image.filename,
-          error: error.message
-        });
+        if (error.status !== 409) {
+          console.log(`⚠️ Error checking ${image.filename}: ${error.message}`);
+          checkErrors++;
+          continue;
+        }
       }
-    }
-    
-    console.log(`\n📊 Sync complete:`);
-    console.log(`   Total checked: ${results.total}`);
-    console.log(`   Updated: ${results.updated.length}`);
-    console.log(`   Not found: ${results.notFound.length}`);
-    console.log(`   Errors: ${results.errors.length}`);
-    
-    res.json({
-      success: true,
-      message: `Synced ${results.updated.length} renamed files`,
-      results
-    });
-    
-  } catch (error) {
-    console.error('Error syncing renamed files:', error);
-    res.status(500).json({ 
-      error: 'Failed to sync renamed files', 
-      details: error.message 
-    });
-  }
-});
 
-// Update database paths for manually renamed files (simple approach)
-app.post('/api/admin/update-renamed-paths', async (req, res) => {
-  try {
-    console.log('🔄 Updating database paths for manually renamed files...');
-    
-    const updates = [];
-    
-    // Update materials-metal files to precedent-general
-    const materialFiles = await databaseService.query(`
-      SELECT id, filename, dropbox_path 
-      FROM images 
-      WHERE filename LIKE '%-materials-metal.jpg'
-    `);
-    
-    for (const file of materialFiles.rows) {
-      // Extract the number part (e.g., 0087 from 0087-materials-metal.jpg)
-      const numberMatch = file.filename.match(/(\d+)-materials-metal\.jpg/);
-      if (numberMatch) {
-        const number = numberMatch[1];
-        const newFilename = `A${number}-precedent-general.jpg`;
-        const newPath = file.dropbox_path.replace(file.filename, newFilename);
-        
-        updates.push({
-          id: file.id,
-          oldFilename: file.filename,
-          newFilename: newFilename,
-          oldPath: file.dropbox_path,
-          newPath: newPath
-        });
-      }
-    }
-    
-    // Update precedents-exteriors files to precedent-exteriors  
-    const precedentFiles = await databaseService.query(`
-      SELECT id, filename, dropbox_path 
-      FROM images 
-      WHERE filename LIKE '%-precedents-exteriors.jpg'
-    `);
-    
-    for (const file of precedentFiles.rows) {
-      // Extract the number part (e.g., 0124 from 0124-precedents-exteriors.jpg)
-      const numberMatch = file.filename.match(/(\d+)-precedents-exteriors\.jpg/);
-      if (numberMatch) {
-        const number = numberMatch[1];
-        const newFilename = `A${number}-precedent-exteriors.jpg`;
-        const newPath = file.dropbox_path.replace(file.filename, newFilename);
-        
-        updates.push({
-          id: file.id,
-          oldFilename: file.filename,
-          newFilename: newFilename,
-          oldPath: file.dropbox_path,
-          newPath: newPath
+      // File doesn't exist at current path - look for the renamed version in the same folder
+      const folderPath = image.dropbox_path.substring(0, image.dropbox_path.lastIndexOf('/'));
+      try {
+        const folderContents = await dropboxService.dbx.filesListFolder({ path: folderPath });
+        const possibleMatch = folderContents.result.entries.find(entry => {
+          return entry['.tag'] === 'file' &&
+                 (entry.name.includes('precedent') || entry.name.includes('general')) &&
+                 entry.name.endsWith('.jpg');
         });
-      }
-    }
-    
-    // Update precedents-stairs files
-    const stairFiles = await databaseService.query(`
-      SELECT id, filename, dropbox_path 
-      FROM images 
-      WHERE filename LIKE '%-precedents-stairs.jpg'
-    `);
-    
-    for (const file of stairFiles.rows) {
-      const numberMatch = file.filename.match(/(\d+)-precedents-stairs\.jpg/);
-      if (numberMatch) {
-        const number = numberMatch[1];
-        const newFilename = `A${number}-precedent-stairs.jpg`;
-        const newPath = file.dropbox_path.replace(file.filename, newFilename);
-        
-        updates.push({
-          id: file.id,
-          oldFilename: file.filename,
-          newFilename: newFilename,
-          oldPath: file.dropbox_path,
-          newPath: newPath
+
+        if (!possibleMatch) {
+          notFound++;
+          continue;
+        }
+
+        const newPath = `${folderPath}/${possibleMatch.name}`;
+        actions.push({
+          type: 'db_update',
+          entityType: 'image',
+          entityId: image.id,
+          description: `${image.dropbox_path} → ${newPath}`,
+          before: { filename: image.filename, dropbox_path: image.dropbox_path },
+          after: { filename: possibleMatch.name, dropbox_path: newPath }
         });
+      } catch (folderError) {
+        console.log(`❌ Error accessing folder ${folderPath}: ${folderError.message}`);
+        checkErrors++;
       }
     }
-    
-    console.log(`Found ${updates.length} files to update`);
-    
-    // Apply all updates
-    const results = { updated: [], errors: [] };
-    
-    for (const update of updates) {
-      try {
-        await databaseService.query(
-          'UPDATE images SET filename = $1, dropbox_path = $2 WHERE id = $3',
-          [update.newFilename, update.newPath, update.id]
-        );
-        
-        results.updated.push(update);
-        console.log(`✅ Updated: ${update.oldFilename} → ${update.newFilename}`);
-      } catch (error) {
-        results.errors.push({
-          ...update,
-          error: error.message
+
+    return { actions, summary: { checked: images.length, found, notFound, checkErrors } };
+  },
+  applyAction: applyImagePathUpdate
+});
+
+// Files renamed by hand in Dropbox, e.g. 0087-materials-metal.jpg -> A0087-precedent-general.jpg
+const MANUAL_RENAMES = [
+  { from: 'materials-metal', to: 'precedent-general' },
+  { from: 'precedents-exteriors', to: 'precedent-exteriors' },
+  { from: 'precedents-stairs', to: 'precedent-stairs' }
+];
+
+// Update database paths for manually renamed files
+maintenanceService.register('update-renamed-paths', {
+  description: 'Update database paths of files renamed by hand to AXXXX-precedent-... (files are not moved)',
+  async plan() {
+    const images = await databaseService.all(`
+      SELECT id, filename, dropbox_path
+      FROM images
+      WHERE filename LIKE ANY($1)
+      ORDER BY id
+    `, [MANUAL_RENAMES.map(({ from }) => `%-${from}.jpg`)]);
+
+    const actions = [];
+    for (const image of images) {
+      for (const { from, to } of MANUAL_RENAMES) {
+        // Extract the number part (e.g., 0087 from 0087-materials-metal.jpg)
+        const numberMatch = image.filename.match(new RegExp(`(\\d+)-${from}\\.jpg`));
+        if (!numberMatch) continue;
+
+        const newFilename = `A${numberMatch[1]}-${to}.jpg`;
+        actions.push({
+          type: 'db_update',
+          entityType: 'image',
+          entityId: image.id,
+          description: `${image.filename} → ${newFilename}`,
+          before: { filename: image.filename, dropbox_path: image.dropbox_path },
+          after: { filename: newFilename, dropbox_path: image.dropbox_path.replace(image.filename, newFilename) }
         });
-        console.error(`❌ Error updating ${update.oldFilename}: ${error.message}`);
+        break;
       }
     }
-    
-    console.log(`📊 Update complete: ${results.updated.length} updated, ${results.errors.length} errors`);
-    
-    res.json({
-      success: true,
-      message: `Updated ${results.updated.length} file paths`,
-      results: {
-        total: updates.length,
-        updated: results.updated,
-        errors: results.errors
-      }
-    });
-    
-  } catch (error) {
-    console.error('Error updating renamed paths:', error);
-    res.status(500).json({ 
-      error: 'Failed to update renamed paths', 
-      details: error.message 
-    });
-  }
+
+    return { actions };
+  },
+  applyAction: applyImagePathUpdate
 });
 
 // Refresh Dropbox token and test connection
@@ -5930,7 +7127,7 @@ app.put('/api/images/:id/tags', async (req, res) => {
         
         try {
           // Use Dropbox move API to rename/reorganize file
-          await dropboxService.moveFile(image.dropbox_path, newDropboxPath);
+          await storageService.moveFile(image.dropbox_path, newDropboxPath);
           console.log(`✅ File moved successfully: ${newDropboxPath}`);
           
           // Update database with new path and filename
@@ -5991,7 +7188,7 @@ app.delete('/api/images/:id', async (req, res) => {
     
     // Delete from Dropbox
     try {
-      await dropboxService.deleteFile(image.dropbox_path);
+      await storageService.deleteFile(image.dropbox_path);
       console.log(`✅ Deleted from Dropbox: ${image.dropbox_path}`);
     } catch (dropboxError) {
       console.error(`⚠️ Failed to delete from Dropbox (continuing anyway): ${dropboxError.message}`);
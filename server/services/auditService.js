@@ -0,0 +1,119 @@
+// Records who changed what in the append-only audit_log table.
+// Actions are "<entity>.<verb>" (image.tags_update, tag.merge, admin.fix-long-paths, ...).
+class AuditService {
+  constructor(databaseService) {
+    this.databaseService = databaseService;
+  }
+
+  /**
+   * Append an audit entry. Never throws - a failed audit write is logged but must not
+   * undo or fail the change it describes.
+   * @param {Object} req - Express request (for the user and route)
+   * @param {Object} entry - { action, entityType, entityId, imageId, before, after }
+   */
+  async record(req, { action, entityType, entityId = null, imageId = null, before, after }) {
+    try {
+      await this.databaseService.insertAuditEntry({
+        userId: req && req.user ? req.user.id : null,
+        userEmail: req && req.user ? req.user.email : null,
+        action,
+        entityType,
+        entityId,
+        imageId,
+        before,
+        after,
+        route: req ? this.describeRoute(req) : 'system'
+      });
+    } catch (error) {
+      console.error(`⚠️ Failed to write audit entry for ${action}:`, error.message);
+    }
+  }
+
+  // Record the same action for several images (bulk operations)
+  async recordForImages(req, action, images, { before, after } = {}) {
+    for (const image of images) {
+      await this.record(req, {
+        action,
+        entityType: 'image',
+        entityId: image.id,
+        imageId: image.id,
+        before: typeof before === 'function' ? before(image) : before,
+        after: typeof after === 'function' ? after(image) : after
+      });
+    }
+  }
+
+  // "PUT /api/images/:id/tags" - the route pattern, not the concrete URL
+  describeRoute(req) {
+    const routePath = req.route ? req.baseUrl + req.route.path : req.originalUrl.split('?')[0];
+    return `${req.method} ${routePath}`;
+  }
+
+  // Stand-in request for changes a background job makes on behalf of whoever queued it,
+  // so they are attributed to that user and the route that queued the job
+  jobRequest(job) {
+    const [method, routePath] = (job.route || '').split(' ');
+    return {
+      user: job.created_by ? { id: job.created_by, email: job.created_by_email } : null,
+      method: method || 'JOB',
+      originalUrl: routePath || job.type
+    };
+  }
+
+  // The fields of an image worth keeping in before/after snapshots
+  imageSnapshot(image) {
+    if (!image) return null;
+
+    return {
+      filename: image.filename,
+      dropbox_path: image.dropbox_path,
+      title: image.title,
+      name: image.name,
+      description: image.description,
+      tags: image.tags || [],
+      focused_tags: (image.focused_tags || []).map(tag => tag.tag_name || tag.name || tag),
+      project_assignments: (image.project_assignments || []).map(assignment => ({
+        projectId: assignment.projectId,
+        room: assignment.room,
+        stage: assignment.stage
+      }))
+    };
+  }
+
+  async getImageHistory(imageId) {
+    return this.databaseService.getImageAuditHistory(imageId);
+  }
+
+  async getFeed(filters) {
+    return this.databaseService.searchAuditLog(filters);
+  }
+
+  /**
+   * Middleware for maintenance routes that don't record their own entries:
+   * logs the route, request body and the response's summary once it has been sent.
+   */
+  maintenanceRouteLogger() {
+    return (req, res, next) => {
+      // Dry runs and previews don't change anything
+      if (req.method === 'GET' || (req.body && req.body.dryRun) || req.path.endsWith('/preview')) return next();
+
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode < 400) {
+          const { success, message, stats, results, summary } = body || {};
+          this.record(req, {
+            action: `admin.${(req.baseUrl + req.path).replace(/^\/api\/(admin\/)?/, '').replace(/\//g, '-')}`,
+            entityType: 'maintenance',
+            before: Object.keys(req.body || {}).length > 0 ? req.body : undefined,
+            after: { success, message, stats, summary, resultCount: Array.isArray(results) ? results.length : undefined }
+          });
+        }
+        return originalJson(body);
+      };
+
+      next();
+    };
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const SESSION_COOKIE = 'snaptag_session';
+const API_TOKEN_PREFIX = 'snt_';
+const MIN_PASSWORD_LENGTH = 8;
+
+class AuthService {
+  constructor(databaseService) {
+    this.databaseService = databaseService;
+    this.sessionTtlDays = parseInt(process.env.SESSION_TTL_DAYS, 10) || 14;
+    this.sessionCookieName = SESSION_COOKIE;
+  }
+
+  // Passwords are stored as scrypt$<salt>$<hash> so the format can change later
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Only hashes of session and API tokens are stored, so a leaked database can't be used to log in
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role "${role}". Expected one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  validatePassword(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  hasRole(user, requiredRole) {
+    if (!user) return false;
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(requiredRole);
+  }
+
+  /**
+   * Check credentials and open a new session
+   * @returns {Object|null} { user, token, expiresAt } or null if the credentials are wrong
+   */
+  async login(email, password) {
+    const user = await this.databaseService.getUserByEmail(email || '');
+
+    if (!user || !(await this.verifyPassword(password || '', user.password_hash))) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.sessionTtlDays * 24 * 60 * 60 * 1000);
+    await this.databaseService.createSession(this.hashToken(token), user.id, expiresAt);
+
+    console.log(`🔑 User logged in: ${user.email} (${user.role})`);
+    return {
+      user: { id: user.id, email: user.email, name: user.name, role: user.role },
+      token,
+      expiresAt
+    };
+  }
+
+  async logout(token) {
+    if (!token) return;
+    await this.databaseService.deleteSession(this.hashToken(token));
+  }
+
+  async getUserForSession(token) {
+    if (!token) return null;
+    return this.databaseService.getSessionUser(this.hashToken(token));
+  }
+
+  /**
+   * Create a personal API token - the plain token is only ever returned here
+   * @returns {Object} { token, apiToken } where apiToken is the stored row (without the secret)
+   */
+  async createApiToken(userId, name) {
+    if (!name || !name.trim()) {
+      throw new Error('Token name is required');
+    }
+
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const apiToken = await this.databaseService.createApiToken(
+      userId,
+      name.trim(),
+      this.hashToken(token),
+      token.substring(0, API_TOKEN_PREFIX.length + 6)
+    );
+
+    console.log(`🔑 API token "${apiToken.name}" created for user ${userId}`);
+    return { token, apiToken };
+  }
+
+  async getUserForApiToken(token) {
+    if (!token || !token.startsWith(API_TOKEN_PREFIX)) return null;
+    return this.databaseService.getApiTokenUser(this.hashToken(token));
+  }
+
+  async createUser({ email, name, password, role = 'viewer' }) {
+    if (!email || !email.includes('@')) {
+      throw new Error('A valid email address is required');
+    }
+    this.validateRole(role);
+    this.validatePassword(password);
+
+    const passwordHash = await this.hashPassword(password);
+    return this.databaseService.createUser({ email, name, passwordHash, role });
+  }
+
+  async updateUser(id, { name, role, password }) {
+    if (role) this.validateRole(role);
+
+    let passwordHash = null;
+    if (password) {
+      this.validatePassword(password);
+      passwordHash = await this.hashPassword(password);
+    }
+
+    const user = await this.databaseService.updateUser(id, { name, role, passwordHash });
+
+    // Force re-login everywhere after a password change
+    if (user && passwordHash) {
+      await this.databaseService.deleteUserSessions(id);
+    }
+
+    return user;
+  }
+
+  // Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD so a fresh install can be signed into
+  async ensureBootstrapAdmin() {
+    const userCount = await this.databaseService.getUserCount();
+    if (userCount > 0) return;
+
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!email || !password) {
+      console.warn('⚠️ No users exist yet - set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin account');
+      return;
+    }
+
+    await this.createUser({ email, name: 'Administrator', password, role: 'admin' });
+    console.log(`✅ Created initial admin account: ${email}`);
+  }
+
+  async cleanupExpiredSessions() {
+    const removed = await this.databaseService.deleteExpiredSessions();
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} expired sessions`);
+    }
+  }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
@@ -0,0 +1,210 @@
+// Auto-tagging rules add and remove tags for images that meet their conditions. Every enabled rule
+// is tried in order against the image's tags as the earlier rules left them, so one rule can build
+// on another's tags (a rule adding 'wide', a later one matching 'wide').
+//   domains        - the image came from one of these sites (subdomains included)
+//   filenamePattern - its original or current filename matches, * and ? as wildcards, any case
+//   minWidth, minHeight, minAspectRatio, maxAspectRatio - pixel size and width / height
+//   all, any, none - tags it must have every one of, at least one of (ignored when empty), none of
+//   projects       - it is assigned to one of these projects (ids)
+//   add, remove    - what the rule does to its tags
+// An empty condition is ignored; an image without recorded dimensions meets no size condition.
+// The rules live in the auto_tag_rules table, edited from the Dashboard (loadRules() after a change).
+const MAX_RULES = 200;
+
+const normalizeTagList = (tags) => [...new Set((tags || [])
+  .map(tag => String(tag).toLowerCase().trim())
+  .filter(tag => tag.length > 0))];
+
+// 'https://www.dezeen.com/2024/...' -> 'dezeen.com'
+const normalizeDomain = (domain) => String(domain).toLowerCase().trim()
+  .replace(/^[a-z]+:\/\//, '')
+  .replace(/[/?#].*$/, '')
+  .replace(/^www\./, '');
+
+const optionalNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+const globToRegExp = (pattern) => new RegExp(`^${pattern
+  .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  .replace(/\*/g, '.*')
+  .replace(/\?/g, '.')}$`, 'i');
+
+class AutoTagService {
+  constructor() {
+    this.rules = [];
+  }
+
+  setRules(rules) {
+    this.rules = rules;
+  }
+
+  async loadRules(databaseService) {
+    this.setRules(await databaseService.getAutoTagRules());
+    console.log(`🤖 Loaded ${this.rules.length} auto-tagging rules`);
+    return this.rules;
+  }
+
+  /**
+   * Check a proposed rule list and normalise it (lowercase tags and domains, numbers or null)
+   * @param {Array} rules - [{ name, domains, filenamePattern, minWidth, minHeight, minAspectRatio,
+   *   maxAspectRatio, all, any, none, projects, add, remove, enabled }]
+   * @returns {Object} { rules, errors: [{ rule: index or null, message }] }
+   */
+  validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      return { rules: [], errors: [{ rule: null, message: 'Rules must be a list' }] };
+    }
+    if (rules.length > MAX_RULES) {
+      return { rules: [], errors: [{ rule: null, message: `At most ${MAX_RULES} rules are allowed` }] };
+    }
+
+    const errors = [];
+    const normalized = rules.map((rule, index) => {
+      const normalizedRule = {
+        name: String(rule.name || '').trim() || `Rule ${index + 1}`,
+        domains: [...new Set((rule.domains || []).map(normalizeDomain).filter(domain => domain.length > 0))],
+        filenamePattern: String(rule.filenamePattern || '').trim() || null,
+        minWidth: optionalNumber(rule.minWidth),
+        minHeight: optionalNumber(rule.minHeight),
+        minAspectRatio: optionalNumber(rule.minAspectRatio),
+        maxAspectRatio: optionalNumber(rule.maxAspectRatio),
+        all: normalizeTagList(rule.all),
+        any: normalizeTagList(rule.any),
+        none: normalizeTagList(rule.none),
+        projects: [...new Set((rule.projects || []).map(String).filter(project => project.length > 0))],
+        add: normalizeTagList(rule.add),
+        remove: normalizeTagList(rule.remove),
+        enabled: rule.enabled !== false
+      };
+      const addError = (message) => errors.push({ rule: index, message: `${normalizedRule.name}: ${message}` });
+
+      if (normalizedRule.add.length === 0 && normalizedRule.remove.length === 0) {
+        addError('add or remove at least one tag');
+      }
+      const both = normalizedRule.add.filter(tag => normalizedRule.remove.includes(tag));
+      if (both.length > 0) {
+        addError(`${both.join(', ')} is both added and removed`);
+      }
+      const contradictions = normalizedRule.none.filter(tag => normalizedRule.all.includes(tag));
+      if (contradictions.length > 0) {
+        addError(`can never match - ${contradictions.join(', ')} is both required and excluded`);
+      }
+      const badDomains = normalizedRule.domains.filter(domain => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain));
+      if (badDomains.length > 0) {
+        addError(`${badDomains.join(', ')} is not a domain, e.g. dezeen.com`);
+      }
+      if (normalizedRule.filenamePattern && normalizedRule.filenamePattern.length > 255) {
+        addError('the filename pattern is longer than 255 characters');
+      }
+
+      ['minWidth', 'minHeight'].forEach(key => {
+        const value = normalizedRule[key];
+        if (value !== null && (!Number.isInteger(value) || value < 1)) {
+          addError(`${key === 'minWidth' ? 'minimum width' : 'minimum height'} must be a whole number of pixels`);
+        }
+      });
+      ['minAspectRatio', 'maxAspectRatio'].forEach(key => {
+        const value = normalizedRule[key];
+        if (value !== null && (!Number.isFinite(value) || value <= 0)) {
+          addError(`${key === 'minAspectRatio' ? 'minimum' : 'maximum'} aspect ratio must be a positive number`);
+        }
+      });
+      if (normalizedRule.minAspectRatio !== null && normalizedRule.maxAspectRatio !== null &&
+          normalizedRule.minAspectRatio > normalizedRule.maxAspectRatio) {
+        addError('the minimum aspect ratio is above the maximum');
+      }
+
+      return normalizedRule;
+    });
+
+    return { rules: normalized, errors };
+  }
+
+  hasConditions(rule) {
+    return rule.domains.length > 0 || Boolean(rule.filenamePattern) ||
+      [rule.minWidth, rule.minHeight, rule.minAspectRatio, rule.maxAspectRatio].some(value => value !== null) ||
+      rule.all.length > 0 || rule.any.length > 0 || rule.none.length > 0 || rule.projects.length > 0;
+  }
+
+  getDomain(url) {
+    try {
+      return normalizeDomain(new URL(url).hostname);
+    } catch {
+      return null;
+    }
+  }
+
+  // Whether a URL is on one of a rule's sites, or a subdomain of one (images.dezeen.com for dezeen.com)
+  matchesDomain(rule, url) {
+    const domain = url && this.getDomain(url);
+    return Boolean(domain) && rule.domains.some(ruleDomain => domain === ruleDomain || domain.endsWith(`.${ruleDomain}`));
+  }
+
+  /**
+   * Whether an image meets a rule's conditions
+   * @param {Object} rule
+   * @param {Object} image - { source_url, original_name, filename, width, height, project_assignments }
+   * @param {Array} tags - the image's tags so far, lowercase
+   */
+  matchesRule(rule, image, tags) {
+    if (rule.domains.length > 0 && !this.matchesDomain(rule, image.source_url)) return false;
+
+    if (rule.filenamePattern) {
+      const pattern = globToRegExp(rule.filenamePattern);
+      if (![image.original_name, image.filename].some(name => name && pattern.test(name))) return false;
+    }
+
+    const { width, height } = image;
+    const hasSizeCondition = [rule.minWidth, rule.minHeight, rule.minAspectRatio, rule.maxAspectRatio].some(value => value !== null);
+    if (hasSizeCondition) {
+      if (!width || !height) return false;
+      if (rule.minWidth !== null && width < rule.minWidth) return false;
+      if (rule.minHeight !== null && height < rule.minHeight) return false;
+      if (rule.minAspectRatio !== null && width / height < rule.minAspectRatio) return false;
+      if (rule.maxAspectRatio !== null && width / height > rule.maxAspectRatio) return false;
+    }
+
+    if (!rule.all.every(tag => tags.includes(tag))) return false;
+    if (rule.any.length > 0 && !rule.any.some(tag => tags.includes(tag))) return false;
+    if (rule.none.some(tag => tags.includes(tag))) return false;
+
+    if (rule.projects.length > 0) {
+      const projectIds = (image.project_assignments || []).map(assignment => String(assignment.projectId));
+      if (!rule.projects.some(project => projectIds.includes(project))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Run the enabled rules over an image
+   * @param {Object} image - as matchesRule takes it, with its tags
+   * @param {Array} rules - Rules to use instead of the saved ones (previews)
+   * @returns {Object} { tags, added, removed, matched: [{ index, name }] } - added and removed
+   *   compare the result with the tags the image started with
+   */
+  applyRules(image, rules = this.rules) {
+    const originalTags = image.tags || [];
+    let tags = normalizeTagList(originalTags);
+    const matched = [];
+
+    for (const [index, rule] of rules.entries()) {
+      if (!rule.enabled || !this.matchesRule(rule, image, tags)) continue;
+
+      matched.push({ index, name: rule.name });
+      tags = [...tags.filter(tag => !rule.remove.includes(tag)), ...rule.add.filter(tag => !tags.includes(tag))];
+    }
+
+    const startedWith = normalizeTagList(originalTags);
+    const removed = startedWith.filter(tag => !tags.includes(tag));
+    const added = tags.filter(tag => !startedWith.includes(tag));
+    if (added.length === 0 && removed.length === 0) {
+      return { tags: originalTags, added, removed, matched };
+    }
+
+    // Keep the image's own spelling of the tags it keeps
+    const kept = originalTags.filter(tag => !removed.includes(String(tag).toLowerCase().trim()));
+    return { tags: [...kept, ...added], added, removed, matched };
+  }
+}
+
+module.exports = AutoTagService;
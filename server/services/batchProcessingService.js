@@ -1,348 +1,398 @@
-const PostgresService = require('./postgresService');
-const databaseService = new PostgresService();
+const EventEmitter = require('events');
 const metadataService = require('./metadataService');
-const dropboxService = require('./dropboxService');
+const storageService = require('./storageService');
 const fs = require('fs').promises;
 const path = require('path');
 
-class BatchProcessingService {
-  constructor() {
-    this.activeJobs = new Map();
-    this.jobCounter = 0;
-  }
-
-  // Start a batch metadata update job
-  async startBatchMetadataUpdate(options = {}) {
-    const jobId = ++this.jobCounter;
-    const job = {
-      id: jobId,
-      type: 'metadata_update',
-      status: 'running',
-      progress: {
-        total: 0,
-        completed: 0,
-        failed: 0,
-        current: null
-      },
-      startTime: new Date(),
-      errors: [],
-      options
-    };
-
-    this.activeJobs.set(jobId, job);
+// How often an idle worker looks for queued jobs (also picks up jobs waiting out a retry delay)
+const POLL_INTERVAL_MS = 5000;
+
+// A failing item is tried this many times, waiting 1s, 2s, 4s, ... in between
+const ITEM_MAX_ATTEMPTS = parseInt(process.env.JOB_ITEM_MAX_ATTEMPTS, 10) || 3;
+const ITEM_RETRY_DELAY_MS = 1000;
+
+// A job whose setup or wrap-up fails is queued again after 30s, 60s, ... up to its max_attempts
+const JOB_MAX_ATTEMPTS = 3;
+const JOB_RETRY_DELAY_MS = 30 * 1000;
+
+// Pause between items so Dropbox isn't hammered
+const ITEM_DELAY_MS = 100;
+
+// Finished jobs are kept this long, then deleted with their items
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 30;
+
+const PERMANENT_ITEM_ERROR = 'JOB_ITEM_PERMANENT';
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Persistent job queue backed by the jobs and job_items tables (migration 014).
+// A job lists its items once, then works through them one at a time, recording each outcome,
+// so progress survives a restart: jobs left running are queued again on start() and resume at
+// their first pending item. Jobs run one at a time in this process.
+// Emits 'progress' with the job (as getJobStatus returns it) whenever a job moves on.
+class BatchProcessingService extends EventEmitter {
+  constructor(databaseService) {
+    super();
+    this.databaseService = databaseService;
+    this.jobTypes = new Map();
+    this.started = false;
+    this.working = false;
+    this.pollTimer = null;
+    // Pace of the running job since this process picked it up, for its ETA
+    this.currentRun = null;
+    // One listener per open progress stream
+    this.setMaxListeners(0);
+
+    this.registerJobType('metadata_update', {
+      listItems: () => this.listImageItems(),
+      processItem: (item) => this.reembedImageMetadata(item)
+    });
 
-    // Run the job asynchronously
-    this._runBatchMetadataUpdate(job).catch(error => {
-      console.error('Batch job failed:', error);
-      job.status = 'failed';
-      job.error = error.message;
+    this.registerJobType('missing_metadata', {
+      listItems: () => this.listImageItems(),
+      processItem: (item) => this.restoreMissingTags(item)
     });
+  }
 
-    return jobId;
+  /**
+   * Register how a job type is processed. Items must be JSON-serialisable; an item may be
+   * processed again after a restart, so processItem must be safe to repeat.
+   * @param {string} type - e.g. 'tag_application'
+   * @param {Object} handler
+   *   listItems(payload, job) -> Array of items, called once per job
+   *   processItem(item, payload, job) -> result stored with the item; { skipped: true, ... } when there was nothing to do
+   *   finish(job) -> optional job result, called once every item is done
+   *   describeItem(item) -> optional progress label (defaults to the item's filename or id)
+   */
+  registerJobType(type, handler) {
+    this.jobTypes.set(type, handler);
   }
 
-  // Start a batch tag application job
-  async startBatchTagApplication(imageIds, tags, options = {}) {
-    const jobId = ++this.jobCounter;
-    const job = {
-      id: jobId,
-      type: 'tag_application',
-      status: 'running',
-      progress: {
-        total: imageIds.length,
-        completed: 0,
-        failed: 0,
-        current: null
-      },
-      startTime: new Date(),
-      errors: [],
-      options: { ...options, imageIds, tags }
-    };
+  // Errors that retrying won't fix (image not found, bad input) - the item, or the whole job
+  // when thrown while listing or finishing, fails straight away
+  createPermanentError(message) {
+    const error = new Error(message);
+    error.code = PERMANENT_ITEM_ERROR;
+    return error;
+  }
 
-    this.activeJobs.set(jobId, job);
+  /**
+   * Queue a job
+   * @param {Object} options - { userId, route } of the request that asked for it
+   * @returns {Object} the job row
+   */
+  async enqueue(type, payload = {}, { userId = null, route = null, maxAttempts = JOB_MAX_ATTEMPTS } = {}) {
+    if (!this.jobTypes.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
 
-    // Run the job asynchronously
-    this._runBatchTagApplication(job).catch(error => {
-      console.error('Batch tag job failed:', error);
-      job.status = 'failed';
-      job.error = error.message;
-    });
+    const job = await this.databaseService.createJob({ type, payload, maxAttempts, createdBy: userId, route });
+    console.log(`📥 Queued job ${job.id} (${type})`);
+    await this.notify(job.id);
+    this.wake();
+    return job;
+  }
+
+  // Queue a re-embed of the tags and focused tags of every image into its file
+  async startBatchMetadataUpdate(options = {}, context = {}) {
+    return this.enqueue('metadata_update', options, context);
+  }
 
-    return jobId;
+  // Queue a check of untagged images for tags embedded in their files
+  async startMissingMetadataUpdate(context = {}) {
+    return this.enqueue('missing_metadata', {}, context);
   }
 
-  // Get job status
-  getJobStatus(jobId) {
-    const job = this.activeJobs.get(jobId);
-    if (!job) {
-      return null;
+  // Start working through the queue, resuming jobs interrupted by the last shutdown
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    const resumed = await this.databaseService.requeueInterruptedJobs();
+    if (resumed.length > 0) {
+      console.log(`♻️ Resuming ${resumed.length} interrupted jobs: ${resumed.map(id => `#${id}`).join(', ')}`);
     }
 
-    return {
-      id: job.id,
-      type: job.type,
-      status: job.status,
-      progress: job.progress,
-      startTime: job.startTime,
-      endTime: job.endTime,
-      duration: job.endTime ? (job.endTime - job.startTime) : (new Date() - job.startTime),
-      errors: job.errors.slice(-10), // Return last 10 errors
-      error: job.error
-    };
+    await this.cleanupOldJobs();
+    this.schedule(0);
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.pollTimer);
   }
 
-  // Get all active jobs
-  getAllJobs() {
-    return Array.from(this.activeJobs.values()).map(job => this.getJobStatus(job.id));
+  schedule(delay) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.work(), delay);
   }
 
-  // Cancel a job
-  cancelJob(jobId) {
-    const job = this.activeJobs.get(jobId);
-    if (job && job.status === 'running') {
-      job.status = 'cancelled';
-      job.endTime = new Date();
-      return true;
+  wake() {
+    if (this.started && !this.working) {
+      this.schedule(0);
     }
-    return false;
   }
 
-  // Clean up completed jobs (older than 1 hour)
-  cleanupOldJobs() {
-    const cutoff = new Date(Date.now() - 60 * 60 * 1000); // 1 hour ago
-    
-    for (const [jobId, job] of this.activeJobs.entries()) {
-      if (job.endTime && job.endTime < cutoff) {
-        this.activeJobs.delete(jobId);
+  async work() {
+    if (this.working || !this.started) return;
+    this.working = true;
+
+    try {
+      let job;
+      while (this.started && (job = await this.databaseService.claimNextJob())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Job worker error:', error.message);
+    } finally {
+      this.working = false;
+      if (this.started) {
+        this.schedule(POLL_INTERVAL_MS);
       }
     }
   }
 
-  // Private method to run batch metadata update
-  async _runBatchMetadataUpdate(job) {
+  async runJob(claimedJob) {
+    const job = await this.databaseService.getJob(claimedJob.id);
+    const handler = this.jobTypes.get(job.type);
+
+    if (!handler) {
+      await this.databaseService.updateJobStatus(job.id, { status: 'failed', error: `Unknown job type: ${job.type}` });
+      await this.notify(job.id);
+      return;
+    }
+
     try {
-      console.log(`🚀 Starting batch metadata update job ${job.id}`);
+      await this.runJobItems(job, handler);
+    } catch (error) {
+      // Items finished so far stay finished - a retry carries on from the first pending one
+      if (error.code !== PERMANENT_ITEM_ERROR && job.attempts < job.max_attempts) {
+        const delay = JOB_RETRY_DELAY_MS * 2 ** (job.attempts - 1);
+        await this.databaseService.updateJobStatus(job.id, {
+          status: 'queued',
+          error: error.message,
+          runAfter: new Date(Date.now() + delay)
+        });
+        console.error(`⚠️ Job ${job.id} (${job.type}) failed, retrying in ${delay / 1000}s:`, error.message);
+      } else {
+        await this.databaseService.updateJobStatus(job.id, { status: 'failed', error: error.message });
+        console.error(`💥 Job ${job.id} (${job.type}) failed after ${job.attempts} attempts:`, error.message);
+      }
+    } finally {
+      this.currentRun = null;
+    }
+
+    await this.notify(job.id);
+  }
 
-      // Get all images from database
-      const images = await databaseService.getAllImages();
-      job.progress.total = images.length;
+  async runJobItems(job, handler) {
+    if (job.total === null) {
+      const items = await handler.listItems(job.payload, job);
+      await this.databaseService.saveJobItems(job.id, items);
+      job.total = items.length;
+    }
 
-      console.log(`📊 Found ${images.length} images to process`);
+    const pendingItems = await this.databaseService.getPendingJobItems(job.id);
+    console.log(`🚀 Job ${job.id} (${job.type}) attempt ${job.attempts}: ${pendingItems.length} of ${job.total} items to go`);
+    this.currentRun = { jobId: job.id, startedAt: Date.now(), remainingAtStart: pendingItems.length, processed: 0 };
 
-      for (let i = 0; i < images.length; i++) {
-        if (job.status === 'cancelled') {
-          console.log(`⏹️ Job ${job.id} cancelled`);
-          break;
-        }
+    for (const { position, item, attempts } of pendingItems) {
+      if (await this.databaseService.isJobCancelRequested(job.id)) {
+        await this.databaseService.updateJobStatus(job.id, { status: 'cancelled' });
+        console.log(`⏹️ Job ${job.id} cancelled`);
+        return;
+      }
+
+      await this.databaseService.setJobCurrentItem(job.id, this.describeItem(handler, item));
+      await this.notify(job.id);
+      await this.runItem(job, handler, position, item, attempts);
+      this.currentRun.processed++;
+      await sleep(ITEM_DELAY_MS);
+    }
+
+    const finishedJob = await this.databaseService.getJob(job.id);
+    const result = handler.finish ? await handler.finish(finishedJob) : undefined;
+
+    // Nothing worked at all - report the job as failed rather than "succeeded" with 0 done
+    const allFailed = finishedJob.failed > 0 && finishedJob.completed === 0 && finishedJob.skipped === 0;
+    await this.databaseService.updateJobStatus(job.id, {
+      status: allFailed ? 'failed' : 'succeeded',
+      error: allFailed ? `All ${finishedJob.failed} items failed` : null,
+      result
+    });
+
+    console.log(`🎉 Job ${job.id} (${job.type}) finished: ${finishedJob.completed} done, ${finishedJob.skipped} skipped, ${finishedJob.failed} failed`);
+  }
 
-        const image = images[i];
-        job.progress.current = `Processing ${image.filename}`;
-
-        try {
-          // Get current tags for this image
-          const tags = await databaseService.getImageTags(image.id);
-          const focusedTags = await databaseService.getFocusedTags(image.id);
-
-          // Update metadata in Dropbox
-          await metadataService.updateImageMetadata(image.dropbox_path, {
-            tags: tags.map(t => t.name),
-            title: image.title,
-            description: image.description,
-            focusedTags
-          });
-
-          job.progress.completed++;
-          console.log(`✅ Updated metadata for ${image.filename} (${job.progress.completed}/${job.progress.total})`);
-
-        } catch (error) {
-          job.progress.failed++;
-          job.errors.push({
-            imageId: image.id,
-            filename: image.filename,
-            error: error.message,
-            timestamp: new Date()
-          });
-          
-          console.error(`❌ Failed to update ${image.filename}:`, error.message);
+  async runItem(job, handler, position, item, previousAttempts) {
+    let attempts = previousAttempts;
+
+    while (true) {
+      attempts++;
+      try {
+        const result = await handler.processItem(item, job.payload, job);
+        await this.databaseService.finishJobItem(job.id, position, {
+          status: result && result.skipped ? 'skipped' : 'succeeded',
+          attempts,
+          result: result === undefined ? null : result
+        });
+        return;
+      } catch (error) {
+        if (error.code === PERMANENT_ITEM_ERROR || attempts >= ITEM_MAX_ATTEMPTS) {
+          await this.databaseService.finishJobItem(job.id, position, { status: 'failed', attempts, error: error.message });
+          console.error(`❌ Job ${job.id}: ${this.describeItem(handler, item)} failed:`, error.message);
+          return;
         }
 
-        // Small delay to prevent overwhelming the API
-        await new Promise(resolve => setTimeout(resolve, 100));
+        const delay = ITEM_RETRY_DELAY_MS * 2 ** (attempts - 1);
+        console.log(`🔁 Job ${job.id}: ${this.describeItem(handler, item)} failed (${error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
       }
+    }
+  }
 
-      job.status = job.status === 'cancelled' ? 'cancelled' : 'completed';
-      job.endTime = new Date();
+  describeItem(handler, item) {
+    if (handler.describeItem) return handler.describeItem(item);
+    if (item && typeof item === 'object') return item.filename || `#${item.id}`;
+    return String(item);
+  }
 
-      console.log(`🎉 Batch metadata update job ${job.id} completed. Success: ${job.progress.completed}, Failed: ${job.progress.failed}`);
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
 
-    } catch (error) {
-      job.status = 'failed';
-      job.error = error.message;
-      job.endTime = new Date();
-      console.error(`💥 Batch metadata update job ${job.id} failed:`, error);
-    }
+  /**
+   * A job with its recent item errors and, while it runs, an estimate of the time left
+   * @returns {Object|null}
+   */
+  async getJobStatus(jobId) {
+    const job = await this.databaseService.getJob(jobId);
+    if (!job) return null;
+
+    const failedItems = await this.databaseService.getJobItems(jobId, { status: 'failed', limit: 20 });
+    return {
+      ...job,
+      eta_seconds: this.estimateSecondsLeft(job),
+      errors: failedItems.map(({ item, error, attempts }) => ({ item, error, attempts }))
+    };
+  }
+
+  // Time left at the pace of items processed since this run started, or null until there is one
+  estimateSecondsLeft(job) {
+    const run = this.currentRun;
+    if (!run || run.jobId !== job.id || run.processed === 0 || job.total === null) return null;
+
+    const secondsPerItem = (Date.now() - run.startedAt) / 1000 / run.processed;
+    const remaining = job.total - job.completed - job.failed - job.skipped;
+    return Math.max(0, Math.round(remaining * secondsPerItem));
   }
 
-  // Private method to run batch tag application
-  async _runBatchTagApplication(job) {
+  // Tell progress listeners about a job's latest state. Best effort: a failed lookup only
+  // means a missed update, never a failed job.
+  async notify(jobId) {
+    if (this.listenerCount('progress') === 0) return;
+
     try {
-      console.log(`🚀 Starting batch tag application job ${job.id}`);
-      const { imageIds, tags } = job.options;
+      const job = await this.getJobStatus(jobId);
+      if (job) this.emit('progress', job);
+    } catch (error) {
+      console.error(`⚠️ Could not publish progress of job ${jobId}:`, error.message);
+    }
+  }
 
-      console.log(`🏷️ Applying tags [${tags.join(', ')}] to ${imageIds.length} images`);
+  async getAllJobs(filters = {}) {
+    return this.databaseService.listJobs(filters);
+  }
 
-      for (let i = 0; i < imageIds.length; i++) {
-        if (job.status === 'cancelled') {
-          console.log(`⏹️ Job ${job.id} cancelled`);
-          break;
-        }
+  /**
+   * Cancel a queued or running job (a running job stops before its next item)
+   * @returns {Object|null} the job row, or null if it had already finished
+   */
+  async cancelJob(jobId) {
+    const job = await this.databaseService.requestJobCancel(jobId);
+    if (job) await this.notify(jobId);
+    return job;
+  }
 
-        const imageId = imageIds[i];
-        job.progress.current = `Applying tags to image ID ${imageId}`;
-
-        try {
-          // Get current image data
-          const image = await databaseService.getImageById(imageId);
-          if (!image) {
-            throw new Error('Image not found');
-          }
-
-          // Get existing tags
-          const existingTags = await databaseService.getImageTags(imageId);
-          const existingTagNames = existingTags.map(t => t.name);
-
-          // Merge with new tags (avoid duplicates)
-          const allTags = [...new Set([...existingTagNames, ...tags])];
-
-          // Update tags in database
-          await databaseService.updateImageTags(imageId, allTags, []);
-
-          // Update metadata in Dropbox
-          await metadataService.updateImageMetadata(image.dropbox_path, {
-            tags: allTags,
-            title: image.title,
-            description: image.description,
-            focusedTags: await databaseService.getFocusedTags(imageId)
-          });
-
-          job.progress.completed++;
-          console.log(`✅ Applied tags to ${image.filename} (${job.progress.completed}/${job.progress.total})`);
-
-        } catch (error) {
-          job.progress.failed++;
-          job.errors.push({
-            imageId,
-            error: error.message,
-            timestamp: new Date()
-          });
-          
-          console.error(`❌ Failed to apply tags to image ID ${imageId}:`, error.message);
-        }
+  /**
+   * Queue a failed or cancelled job again. Items that succeeded are not repeated.
+   * @returns {boolean} false if the job isn't failed or cancelled
+   */
+  async retryJob(jobId) {
+    const requeued = await this.databaseService.requeueJob(jobId);
+    if (requeued) {
+      await this.notify(jobId);
+      this.wake();
+    }
+    return requeued;
+  }
 
-        // Small delay to prevent overwhelming the API
-        await new Promise(resolve => setTimeout(resolve, 150));
-      }
+  // Delete jobs that finished more than JOB_RETENTION_DAYS ago
+  async cleanupOldJobs() {
+    const cutoff = new Date(Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const deleted = await this.databaseService.deleteFinishedJobsBefore(cutoff);
+    if (deleted > 0) {
+      console.log(`🧹 Deleted ${deleted} finished jobs older than ${JOB_RETENTION_DAYS} days`);
+    }
+    return deleted;
+  }
 
-      job.status = job.status === 'cancelled' ? 'cancelled' : 'completed';
-      job.endTime = new Date();
+  // Every image still in the library, as job items
+  async listImageItems() {
+    const images = await this.databaseService.getAllImages();
+    return images.map(image => ({ id: image.id, filename: image.filename }));
+  }
 
-      console.log(`🎉 Batch tag application job ${job.id} completed. Success: ${job.progress.completed}, Failed: ${job.progress.failed}`);
+  // metadata_update: write the image's current tags and focused tags into its file
+  async reembedImageMetadata({ id }) {
+    const image = await this.databaseService.getImageById(id);
+    if (!image || image.deleted_at) {
+      throw this.createPermanentError('Image not found');
+    }
 
-    } catch (error) {
-      job.status = 'failed';
-      job.error = error.message;
-      job.endTime = new Date();
-      console.error(`💥 Batch tag application job ${job.id} failed:`, error);
+    if (image.tags.length === 0) {
+      return { skipped: true, reason: 'no tags to embed' };
     }
+
+    await metadataService.updateImageMetadata(image.dropbox_path, {
+      tags: image.tags,
+      title: image.title,
+      description: image.description,
+      focusedTags: image.focused_tags
+    });
+
+    return { tags: image.tags.length };
   }
 
-  // Process images missing metadata
-  async startMissingMetadataUpdate() {
-    const jobId = ++this.jobCounter;
-    const job = {
-      id: jobId,
-      type: 'missing_metadata',
-      status: 'running',
-      progress: {
-        total: 0,
-        completed: 0,
-        failed: 0,
-        current: null
-      },
-      startTime: new Date(),
-      errors: []
-    };
+  // missing_metadata: restore the tags of an untagged image from the keywords in its file
+  async restoreMissingTags({ id }) {
+    const image = await this.databaseService.getImageById(id);
+    if (!image || image.deleted_at) {
+      throw this.createPermanentError('Image not found');
+    }
 
-    this.activeJobs.set(jobId, job);
+    if (image.tags.length > 0) {
+      return { skipped: true, reason: 'already tagged' };
+    }
 
+    const tempPath = `temp/check-${Date.now()}-${path.basename(image.dropbox_path)}`;
     try {
-      // Find images that might be missing metadata
-      const images = await databaseService.getAllImages();
-      const imagesNeedingMetadata = [];
-
-      for (const image of images) {
-        // Check if image has tags or if we need to verify metadata
-        const tags = await databaseService.getImageTags(image.id);
-        if (tags.length === 0) {
-          imagesNeedingMetadata.push(image);
-        }
-      }
+      await storageService.downloadFile(image.dropbox_path, tempPath);
+      const existingMetadata = await metadataService.readMetadata(tempPath);
 
-      job.progress.total = imagesNeedingMetadata.length;
-      console.log(`📊 Found ${imagesNeedingMetadata.length} images potentially missing metadata`);
-
-      // Process each image
-      for (const image of imagesNeedingMetadata) {
-        if (job.status === 'cancelled') break;
-
-        job.progress.current = `Checking ${image.filename}`;
-
-        try {
-          // Try to read existing metadata from the file
-          const tempPath = `temp/check-${Date.now()}-${path.basename(image.dropbox_path)}`;
-          
-          await dropboxService.downloadFile(image.dropbox_path, tempPath);
-          const existingMetadata = await metadataService.readMetadata(tempPath);
-          
-          // If we found tags in the file metadata, update the database
-          if (existingMetadata.tags && existingMetadata.tags.length > 0) {
-            await databaseService.updateImageTags(image.id, existingMetadata.tags, existingMetadata.focusedTags || []);
-            console.log(`🔄 Restored ${existingMetadata.tags.length} tags for ${image.filename}`);
-          }
-
-          // Cleanup temp file
-          await fs.unlink(tempPath);
-          
-          job.progress.completed++;
-
-        } catch (error) {
-          job.progress.failed++;
-          job.errors.push({
-            imageId: image.id,
-            filename: image.filename,
-            error: error.message,
-            timestamp: new Date()
-          });
-        }
+      if (!existingMetadata.tags || existingMetadata.tags.length === 0) {
+        return { skipped: true, reason: 'no tags in file' };
       }
 
-      job.status = 'completed';
-      job.endTime = new Date();
-      
-    } catch (error) {
-      job.status = 'failed';
-      job.error = error.message;
-      job.endTime = new Date();
+      await this.databaseService.updateImageTags(image.id, existingMetadata.tags, existingMetadata.focusedTags || []);
+      console.log(`🔄 Restored ${existingMetadata.tags.length} tags for ${image.filename}`);
+      return { restoredTags: existingMetadata.tags };
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
     }
-
-    return jobId;
   }
 }
 
-// Clean up old jobs every hour
-setInterval(() => {
-  const service = require('./batchProcessingService');
-  service.cleanupOldJobs();
-}, 60 * 60 * 1000);
-
-module.exports = new BatchProcessingService(); 
\ No newline at end of file
+module.exports = BatchProcessingService;
@@ -0,0 +1,150 @@
+const fs = require('fs').promises;
+const metadataService = require('./metadataService');
+
+// Palette size, and the smallest share of the image worth a swatch
+const MIN_PALETTE_COLORS = 5;
+const MAX_PALETTE_COLORS = 8;
+const MIN_COLOR_WEIGHT = 0.02;
+
+// Colours closer than this (RGB distance, 0-441) are shades of one swatch. Relaxed to the
+// second value when an image is too uniform to give MIN_PALETTE_COLORS distinct colours.
+const DISTINCT_COLOR_DISTANCE = 48;
+const RELAXED_COLOR_DISTANCE = 24;
+
+// Pixels are grouped into 16 levels per channel before picking swatches
+const QUANTIZE_SHIFT = 4;
+
+// Optional sharp dependency for image processing
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (err) {
+  console.log('⚠️  Sharp not available - colour palettes will not be extracted');
+}
+
+const colorDistance = (a, b) => Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+
+class ColorPaletteService {
+  constructor(databaseService, storageService) {
+    this.databaseService = databaseService;
+    this.storageService = storageService;
+  }
+
+  isAvailable() {
+    return Boolean(sharp);
+  }
+
+  /**
+   * Extract the dominant colours of an image
+   * @returns {Array} 5-8 entries [{ hex, r, g, b, weight }], most dominant first (fewer for near-flat images)
+   */
+  async extractPalette(imageBuffer) {
+    if (!sharp) {
+      throw new Error('Sharp library is required to extract colour palettes. Please install it: npm install sharp');
+    }
+
+    const pixels = await sharp(imageBuffer)
+      .resize(64, 64, { fit: 'inside' })
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+
+    // Bucket similar pixels, keeping the true average colour of each bucket
+    const buckets = new Map();
+    for (let i = 0; i < pixels.length; i += 3) {
+      const key = ((pixels[i] >> QUANTIZE_SHIFT) << 8) | ((pixels[i + 1] >> QUANTIZE_SHIFT) << 4) | (pixels[i + 2] >> QUANTIZE_SHIFT);
+      const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+      bucket.r += pixels[i];
+      bucket.g += pixels[i + 1];
+      bucket.b += pixels[i + 2];
+      bucket.count++;
+      buckets.set(key, bucket);
+    }
+
+    const colors = [...buckets.values()]
+      .map(bucket => ({
+        r: Math.round(bucket.r / bucket.count),
+        g: Math.round(bucket.g / bucket.count),
+        b: Math.round(bucket.b / bucket.count),
+        count: bucket.count
+      }))
+      .sort((a, b) => b.count - a.count);
+
+    // Most common colours first, skipping shades of a colour already picked
+    const swatches = [];
+    const pickDistinct = (minDistance, maxColors) => {
+      for (const color of colors) {
+        if (swatches.length >= maxColors) break;
+        if (swatches.every(swatch => colorDistance(swatch, color) >= minDistance)) {
+          swatches.push({ r: color.r, g: color.g, b: color.b, count: 0 });
+        }
+      }
+    };
+    pickDistinct(DISTINCT_COLOR_DISTANCE, MAX_PALETTE_COLORS);
+    if (swatches.length < MIN_PALETTE_COLORS) {
+      pickDistinct(RELAXED_COLOR_DISTANCE, MIN_PALETTE_COLORS);
+    }
+
+    // Weight each swatch by the pixels closest to it
+    const pixelCount = pixels.length / 3;
+    colors.forEach(color => {
+      const nearest = swatches.reduce((best, swatch) =>
+        (colorDistance(swatch, color) < colorDistance(best, color) ? swatch : best));
+      nearest.count += color.count;
+    });
+
+    const palette = swatches
+      .map(({ r, g, b, count }) => ({ hex: toHex({ r, g, b }), r, g, b, weight: Number((count / pixelCount).toFixed(3)) }))
+      .sort((a, b) => b.weight - a.weight);
+
+    // Drop specks, but never below the minimum palette size
+    return palette.filter((color, index) => index < MIN_PALETTE_COLORS || color.weight >= MIN_COLOR_WEIGHT);
+  }
+
+  /**
+   * Palette of a local image file. Never throws - a palette problem shouldn't fail an upload.
+   * @returns {Array|null} the palette, or null when it could not be extracted
+   */
+  async extractFromFile(filePath) {
+    if (!sharp) return null;
+
+    try {
+      return await this.extractPalette(await fs.readFile(filePath));
+    } catch (error) {
+      console.error(`⚠️ Could not extract colour palette from ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract, store and embed the palette of an image uploaded before palettes were recorded
+   * (one image of a colour palette backfill job). The palette is written into the file's XMP
+   * and the file re-uploaded in place.
+   * @param {Object} image - { id, filename, dropbox_path }
+   * @returns {Object} { colors, embedded }
+   */
+  async backfillPalette(image) {
+    const tempPath = `temp/palette-${Date.now()}-${image.id}`;
+    try {
+      await this.storageService.downloadFile(image.dropbox_path, tempPath);
+      const palette = await this.extractPalette(await fs.readFile(tempPath));
+      await this.databaseService.saveColorPalette(image.id, palette);
+
+      // The palette is searchable once stored; embedding it in the file is best effort
+      try {
+        await metadataService.embedColorPalette(tempPath, palette);
+        await this.storageService.uploadFile(tempPath, image.dropbox_path, true);
+        return { colors: palette.length, embedded: true };
+      } catch (embedError) {
+        console.error(`⚠️ Stored palette for ${image.filename} but could not embed it:`, embedError.message);
+        return { colors: palette.length, embedded: false, embedError: embedError.message };
+      }
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+}
+
+module.exports = ColorPaletteService;
@@ -463,6 +463,69 @@ class DropboxService {
     }, folderPath, recursive);
   }
 
+  // Recursive list_folder with cursor support - pass the cursor from a previous call
+  // to get only what changed since then (adds, deletes and moves)
+  async listFolderChanges(folderPath, cursor = null) {
+    return this.executeWithRetry(async (folderPath, cursor) => {
+      const pathRootHeader = JSON.stringify({
+        '.tag': 'root',
+        'root': this.rootNamespaceId
+      });
+
+      const entries = [];
+      let nextCursor = cursor;
+      let hasMore = true;
+      let isFirstPage = true;
+
+      while (hasMore) {
+        const endpoint = nextCursor ? 'list_folder/continue' : 'list_folder';
+        const body = nextCursor
+          ? { cursor: nextCursor }
+          : {
+              path: folderPath,
+              recursive: true,
+              include_media_info: false,
+              include_deleted: false,
+              include_has_explicit_shared_members: false
+            };
+
+        console.log(`📂 Listing ${isFirstPage && cursor ? 'changes' : 'files'} via ${endpoint}`);
+
+        const response = await fetch(`https://api.dropboxapi.com/2/files/${endpoint}`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${this.currentAccessToken}`,
+            'Dropbox-API-Path-Root': pathRootHeader,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+
+          // Dropbox expires cursors occasionally - caller must do a full rescan
+          if (response.status === 409 && errorText.includes('reset')) {
+            const resetError = new Error('Dropbox cursor was reset, full rescan required');
+            resetError.code = 'CURSOR_RESET';
+            throw resetError;
+          }
+
+          throw new Error(`HTTP ${response.status}: ${errorText}`);
+        }
+
+        const result = await response.json();
+        entries.push(...result.entries);
+        nextCursor = result.cursor;
+        hasMore = result.has_more;
+        isFirstPage = false;
+      }
+
+      console.log(`✅ Retrieved ${entries.length} entries from team folder`);
+      return { entries, cursor: nextCursor };
+    }, folderPath, cursor);
+  }
+
   async createFolder(folderPath) {
     return this.executeWithRetry(async (folderPath) => {
       try {
@@ -553,7 +616,7 @@ class DropboxService {
    * @returns {Array} Array of copy results
    */
   async duplicateFile(sourcePath, targetPaths) {
-    return this.withRetry(async () => {
+    return this.executeWithRetry(async () => {
       console.log(`🔄 Duplicating file from ${sourcePath} to ${targetPaths.length} locations`);
       
       const results = [];
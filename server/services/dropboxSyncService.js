@@ -0,0 +1,194 @@
+const path = require('path');
+
+const IMAGE_EXTENSIONS = /\.(jpg|jpeg|png|gif|webp|heic|heif|svg|tiff|avif|jp2|tga)$/i;
+const TRASH_SEGMENT = /\/\.trash\//i; // Files the app moved to the trash are managed by TrashService
+
+class DropboxSyncService {
+  constructor(databaseService, storageService, metadataService) {
+    this.databaseService = databaseService;
+    this.storageService = storageService;
+    this.metadataService = metadataService;
+    this.isSyncing = false;
+  }
+
+  /**
+   * Incrementally sync the database with the storage folder tree
+   * Uses a persisted list_folder cursor so only changes since the last sync are processed
+   * @param {string} folderPath - Root folder to sync (recursive)
+   * @param {Object} options - { fullRescan: ignore the stored cursor and list everything }
+   * @returns {Object} Sync stats
+   */
+  async sync(folderPath, options = {}) {
+    if (typeof this.storageService.listFolderChanges !== 'function') {
+      throw new Error(`Incremental sync is not supported by the "${this.storageService.name}" storage provider`);
+    }
+
+    if (this.isSyncing) {
+      throw new Error('A sync is already in progress');
+    }
+
+    this.isSyncing = true;
+
+    try {
+      const cursorKey = `dropbox:${folderPath.toLowerCase()}`;
+      let cursor = options.fullRescan ? null : await this.databaseService.getSyncCursor(cursorKey);
+      let changes;
+
+      try {
+        changes = await this.storageService.listFolderChanges(folderPath, cursor);
+      } catch (error) {
+        if (error.code !== 'CURSOR_RESET') throw error;
+
+        console.log('⚠️ Stored Dropbox cursor is no longer valid, falling back to a full rescan');
+        cursor = null;
+        changes = await this.storageService.listFolderChanges(folderPath, null);
+      }
+
+      const isFullScan = !cursor;
+      console.log(`📊 ${isFullScan ? 'Full scan' : 'Delta'} returned ${changes.entries.length} entries`);
+
+      const stats = {
+        mode: isFullScan ? 'full' : 'incremental',
+        entries: changes.entries.length,
+        added: 0,
+        moved: 0,
+        updated: 0,
+        unchanged: 0,
+        removed: 0,
+        errors: []
+      };
+
+      const files = changes.entries.filter(entry =>
+        entry['.tag'] === 'file' && IMAGE_EXTENSIONS.test(entry.name) && !TRASH_SEGMENT.test(entry.path_display)
+      );
+      const deletions = changes.entries.filter(entry => entry['.tag'] === 'deleted');
+      const matchedIds = new Set();
+      const unmatchedFiles = [];
+
+      // Pass 1: match by Dropbox id (survives moves/renames), then by exact path
+      for (const file of files) {
+        try {
+          const existing = await this.databaseService.findImageByDropboxId(file.id) ||
+            await this.databaseService.findImageByPath(file.path_display);
+
+          if (existing && !matchedIds.has(existing.id)) {
+            matchedIds.add(existing.id);
+            await this.applyFileToImage(existing, file, stats);
+          } else {
+            unmatchedFiles.push(file);
+          }
+        } catch (error) {
+          console.error(`❌ Failed to sync ${file.path_display}:`, error.message);
+          stats.errors.push({ path: file.path_display, error: error.message });
+        }
+      }
+
+      // Pass 2: legacy rows without a Dropbox id can still be found by content hash
+      for (const file of unmatchedFiles) {
+        try {
+          const existing = await this.databaseService.findUnlinkedImageByContentHash(file.content_hash, [...matchedIds]);
+
+          if (existing) {
+            matchedIds.add(existing.id);
+            await this.applyFileToImage(existing, file, stats);
+          } else {
+            await this.addSyncedImage(file);
+            stats.added++;
+          }
+        } catch (error) {
+          console.error(`❌ Failed to sync ${file.path_display}:`, error.message);
+          stats.errors.push({ path: file.path_display, error: error.message });
+        }
+      }
+
+      // Deletions arrive as bare paths (files or whole folders). Moves show up as a deletion
+      // plus a file entry with the same id, so skip anything already matched above.
+      for (const deletion of deletions) {
+        try {
+          const images = await this.databaseService.findImagesUnderPath(deletion.path_display || deletion.path_lower);
+
+          for (const image of images) {
+            if (matchedIds.has(image.id)) continue;
+
+            console.log(`🗑️ Removing database record for deleted file: ${image.dropbox_path}`);
+            await this.databaseService.deleteImage(image.id);
+            stats.removed++;
+          }
+        } catch (error) {
+          console.error(`❌ Failed to process deletion ${deletion.path_display}:`, error.message);
+          stats.errors.push({ path: deletion.path_display, error: error.message });
+        }
+      }
+
+      await this.databaseService.saveSyncCursor(cursorKey, changes.cursor);
+
+      console.log(`✅ Sync complete: ${stats.added} added, ${stats.moved} moved, ${stats.updated} updated, ${stats.removed} removed`);
+      return stats;
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  async applyFileToImage(image, file, stats) {
+    const pathChanged = image.dropbox_path !== file.path_display;
+    const linkChanged = image.dropbox_id !== file.id || image.content_hash !== file.content_hash;
+
+    if (!pathChanged && !linkChanged) {
+      stats.unchanged++;
+      return;
+    }
+
+    await this.databaseService.updateImageLocation(image.id, {
+      dropbox_path: file.path_display,
+      filename: file.name,
+      dropbox_id: file.id,
+      content_hash: file.content_hash,
+      file_size: file.size
+    });
+
+    if (pathChanged) {
+      console.log(`🚚 Image ${image.id} moved: ${image.dropbox_path} → ${file.path_display}`);
+      stats.moved++;
+    } else {
+      stats.updated++;
+    }
+  }
+
+  async addSyncedImage(file) {
+    console.log('➕ Adding to database:', file.path_display);
+
+    const imageData = {
+      filename: file.name,
+      original_name: file.name,
+      title: `Synced: ${file.name}`,
+      description: `Image found in Dropbox folder ${path.posix.dirname(file.path_display)} during sync`,
+      dropbox_path: file.path_display,
+      dropbox_id: file.id,
+      content_hash: file.content_hash,
+      file_size: file.size,
+      source_url: null,
+      tags: ['synced'],
+      focused_tags: [],
+      upload_date: file.server_modified || new Date().toISOString()
+    };
+
+    const imageId = await this.databaseService.saveImage(imageData);
+    console.log('✅ Added image ID:', imageId);
+
+    // Embed metadata in the Dropbox file for search functionality
+    try {
+      await this.metadataService.updateImageMetadata(imageData.dropbox_path, {
+        tags: imageData.tags,
+        focusedTags: imageData.focused_tags,
+        title: imageData.title,
+        description: imageData.description
+      });
+    } catch (metadataError) {
+      console.error('⚠️ Failed to embed metadata in synced file (non-critical):', metadataError.message);
+    }
+
+    return imageId;
+  }
+}
+
+module.exports = DropboxSyncService;
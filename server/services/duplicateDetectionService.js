@@ -1,5 +1,24 @@
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const BKTree = require('../utils/bkTree');
+const metadataService = require('./metadataService');
+
+// Hashes this many bits apart (out of 64) or fewer count as the same picture
+const SIMILARITY_THRESHOLD = parseInt(process.env.VISUAL_DUPLICATE_THRESHOLD, 10) || 5;
+
+// "Find similar" ranking: weights of the signature parts, and the lowest score worth showing
+const SIMILARITY_WEIGHTS = { perceptualHash: 0.35, differenceHash: 0.35, colorHistogram: 0.3 };
+const MIN_SIMILARITY_SCORE = 0.6;
+const HISTOGRAM_BINS_PER_CHANNEL = 4;
+
+// Focused-tag regions this close (as a fraction of the image) with the same tag are the same region
+const REGION_TOLERANCE = 0.02;
+
+const createMergeError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_DUPLICATE_MERGE';
+  return error;
+};
 
 // Optional sharp dependency for image processing
 let sharp = null;
@@ -11,13 +30,20 @@ try {
 }
 
 class DuplicateDetectionService {
-  constructor(databaseService, dropboxService) {
+  constructor(databaseService, storageService, trashService) {
     this.databaseService = databaseService;
-    this.dropboxService = dropboxService;
+    this.storageService = storageService;
+    this.trashService = trashService;
+    this.hashIndex = null; // BK-tree of stored perceptual hashes, loaded on first use
+  }
+
+  isAvailable() {
+    return Boolean(sharp);
   }
 
   /**
    * Generate a perceptual hash of an image for visual similarity detection
+   * @returns {string} 64-bit average hash as 16 hex characters (the images.perceptual_hash format)
    */
   async generatePerceptualHash(imageBuffer) {
     if (!sharp) {
@@ -39,12 +65,12 @@ class DuplicateDetectionService {
       const avg = pixels.reduce((sum, pixel) => sum + pixel, 0) / pixels.length;
       
       // Create hash based on pixels above/below average
-      let hash = '';
+      let bits = '';
       for (let i = 0; i < pixels.length; i++) {
-        hash += pixels[i] >= avg ? '1' : '0';
+        bits += pixels[i] >= avg ? '1' : '0';
       }
       
-      return hash;
+      return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
     } catch (error) {
       console.error('Error generating perceptual hash:', error);
       throw error;
@@ -52,97 +78,269 @@ class DuplicateDetectionService {
   }
 
   /**
-   * Calculate Hamming distance between two binary hashes
+   * Generate a difference hash - each bit says whether a pixel is brighter than its right-hand
+   * neighbour, which survives brightness and contrast changes better than the average hash
+   * @returns {string} 64-bit hash as 16 hex characters (the images.difference_hash format)
+   */
+  async generateDifferenceHash(imageBuffer) {
+    const pixels = await sharp(imageBuffer)
+      .resize(9, 8, { fit: 'fill' })
+      .grayscale()
+      .raw()
+      .toBuffer();
+
+    let bits = '';
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        bits += pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? '1' : '0';
+      }
+    }
+
+    return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+  }
+
+  /**
+   * Generate a coarse RGB colour histogram (4 bins per channel = 64 bins, summing to 1)
+   */
+  async generateColorHistogram(imageBuffer) {
+    const pixels = await sharp(imageBuffer)
+      .resize(32, 32, { fit: 'fill' })
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+
+    const binSize = 256 / HISTOGRAM_BINS_PER_CHANNEL;
+    const histogram = new Array(HISTOGRAM_BINS_PER_CHANNEL ** 3).fill(0);
+    const pixelCount = pixels.length / 3;
+
+    for (let i = 0; i < pixels.length; i += 3) {
+      const r = Math.floor(pixels[i] / binSize);
+      const g = Math.floor(pixels[i + 1] / binSize);
+      const b = Math.floor(pixels[i + 2] / binSize);
+      histogram[(r * HISTOGRAM_BINS_PER_CHANNEL + g) * HISTOGRAM_BINS_PER_CHANNEL + b]++;
+    }
+
+    return histogram.map(count => count / pixelCount);
+  }
+
+  /**
+   * Everything stored about an image's appearance
+   * @returns {Object} { perceptualHash, differenceHash, colorHistogram }
+   */
+  async generateImageSignature(imageBuffer) {
+    return {
+      perceptualHash: await this.generatePerceptualHash(imageBuffer),
+      differenceHash: await this.generateDifferenceHash(imageBuffer),
+      colorHistogram: await this.generateColorHistogram(imageBuffer)
+    };
+  }
+
+  /**
+   * Calculate Hamming distance between two hex perceptual hashes
    */
   calculateHammingDistance(hash1, hash2) {
     if (hash1.length !== hash2.length) {
       return Infinity;
     }
     
+    let difference = BigInt(`0x${hash1}`) ^ BigInt(`0x${hash2}`);
     let distance = 0;
-    for (let i = 0; i < hash1.length; i++) {
-      if (hash1[i] !== hash2[i]) {
-        distance++;
-      }
+    while (difference > 0n) {
+      distance += Number(difference & 1n);
+      difference >>= 1n;
     }
     
     return distance;
   }
 
   /**
-   * Scan all images for visual duplicates
+   * Similarity of two stored signatures (rows with perceptual_hash, difference_hash, color_histogram)
+   * @returns {number} 0 (nothing alike) to 1 (identical)
    */
-  async scanForVisualDuplicates(similarityThreshold = 5) {
-    console.log('🔍 Starting visual duplicate detection scan...');
-    
-    if (!sharp) {
-      throw new Error('Sharp library is required for visual duplicate detection. Please install it: npm install sharp');
+  calculateSimilarity(a, b) {
+    const hashSimilarity = (hash1, hash2) => 1 - this.calculateHammingDistance(hash1, hash2) / 64;
+    // Histogram intersection - the share of pixels whose colour bins overlap
+    const histogramSimilarity = a.color_histogram.reduce((sum, value, bin) => sum + Math.min(value, b.color_histogram[bin]), 0);
+
+    return SIMILARITY_WEIGHTS.perceptualHash * hashSimilarity(a.perceptual_hash, b.perceptual_hash) +
+      SIMILARITY_WEIGHTS.differenceHash * hashSimilarity(a.difference_hash, b.difference_hash) +
+      SIMILARITY_WEIGHTS.colorHistogram * histogramSimilarity;
+  }
+
+  createHashTree() {
+    return new BKTree((hash1, hash2) => this.calculateHammingDistance(hash1, hash2));
+  }
+
+  async getHashIndex() {
+    if (!this.hashIndex) {
+      const rows = await this.databaseService.getPerceptualHashes();
+      const index = this.createHashTree();
+      rows.forEach(row => index.add(row.perceptual_hash, row.id));
+      this.hashIndex = index;
+      console.log(`🧮 Loaded ${rows.length} perceptual hashes into the similarity index`);
     }
+    return this.hashIndex;
+  }
 
+  /**
+   * Compute an image file's signature, store it on the image row and add it to the similarity index
+   * @returns {Object} { perceptualHash, differenceHash, colorHistogram }
+   */
+  async indexImageFile(imageId, filePath) {
+    const imageBuffer = await fs.readFile(filePath);
+    const signature = await this.generateImageSignature(imageBuffer);
+
+    await this.databaseService.saveImageSignature(imageId, signature);
+    if (this.hashIndex) {
+      this.hashIndex.add(signature.perceptualHash, imageId);
+    }
+
+    return signature;
+  }
+
+  // Download a stored image and index it (for images uploaded before signatures were stored)
+  async indexStoredImage(image) {
+    const tempPath = `temp/phash-${Date.now()}-${image.id}`;
     try {
-      // Get all images from database
+      await this.storageService.downloadFile(image.dropbox_path, tempPath);
+      return await this.indexImageFile(image.id, tempPath);
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Images that look like the given hash, closest first
+   * @returns {Array} [{ id, filename, name, title, distance, ... }] - trashed images are left out
+   */
+  async findSimilarImages(perceptualHash, { excludeId = null, threshold = SIMILARITY_THRESHOLD } = {}) {
+    const index = await this.getHashIndex();
+    const matches = index.search(perceptualHash, threshold).filter(match => match.value !== excludeId);
+    if (matches.length === 0) return [];
+
+    const distances = new Map(matches.map(match => [match.value, match.distance]));
+    const images = await this.databaseService.getImagesForSimilarityReport([...distances.keys()]);
+
+    return images
+      .map(image => ({ ...image, distance: distances.get(image.id) }))
+      .sort((a, b) => a.distance - b.distance || a.id - b.id);
+  }
+
+  /**
+   * Hash a newly uploaded image and report existing images that look the same.
+   * Never throws - a hashing problem shouldn't fail the upload.
+   */
+  async checkNewImage(imageId, filePath) {
+    if (!sharp) return [];
+
+    try {
+      const { perceptualHash } = await this.indexImageFile(imageId, filePath);
+      const similarImages = await this.findSimilarImages(perceptualHash, { excludeId: imageId });
+
+      if (similarImages.length > 0) {
+        console.log(`🔗 Image ${imageId} is visually similar to: ${similarImages.map(image => `#${image.id}`).join(', ')}`);
+      }
+      return similarImages;
+    } catch (error) {
+      console.error(`⚠️ Perceptual hash check failed for image ${imageId} (continuing anyway):`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Rank every other image by how much it looks like the given one ("More like this")
+   * @returns {Array} [{ id, similarity }] best first, similarity from 0 to 1
+   */
+  async findMoreLikeThis(imageId, limit = 24) {
+    const target = await this.databaseService.get(`
+      SELECT id, filename, dropbox_path, perceptual_hash, difference_hash, color_histogram
+      FROM images WHERE id = $1
+    `, [imageId]);
+    if (!target) return null;
+
+    // Older images get their signature computed the first time someone asks
+    if (!target.perceptual_hash || !target.difference_hash || !target.color_histogram) {
+      if (!sharp) {
+        throw new Error('Sharp library is required to compare images. Please install it: npm install sharp');
+      }
+      const signature = await this.indexStoredImage(target);
+      target.perceptual_hash = signature.perceptualHash;
+      target.difference_hash = signature.differenceHash;
+      target.color_histogram = signature.colorHistogram;
+    }
+
+    const candidates = await this.databaseService.getImageSignatures();
+    return candidates
+      .filter(candidate => candidate.id !== target.id)
+      .map(candidate => ({ id: candidate.id, similarity: this.calculateSimilarity(target, candidate) }))
+      .filter(match => match.similarity >= MIN_SIMILARITY_SCORE)
+      .sort((a, b) => b.similarity - a.similarity || a.id - b.id)
+      .slice(0, limit);
+  }
+
+  /**
+   * Scan all images for visual duplicates using the stored perceptual hashes.
+   * Only images uploaded before hashes were stored get downloaded (and their hash saved),
+   * unless backfill is false because the caller has already indexed them.
+   */
+  async scanForVisualDuplicates(similarityThreshold = SIMILARITY_THRESHOLD, { backfill = true } = {}) {
+    console.log('🔍 Starting visual duplicate detection scan...');
+
+    try {
+      let errors = 0;
+
+      // Backfill signatures for older images
+      const missing = backfill ? await this.databaseService.getImagesMissingSignature() : [];
+      if (missing.length > 0) {
+        if (!sharp) {
+          throw new Error(`${missing.length} images have no perceptual hash yet and Sharp is required to compute them. Please install it: npm install sharp`);
+        }
+        console.log(`🧮 Computing image signatures for ${missing.length} images...`);
+      }
+
+      for (const image of missing) {
+        try {
+          await this.indexStoredImage(image);
+        } catch (error) {
+          console.error(`❌ Error hashing image ${image.filename}:`, error.message);
+          errors++;
+        }
+      }
+
       const result = await this.databaseService.query(`
-        SELECT id, filename, dropbox_path, file_hash
+        SELECT id, filename, dropbox_path, file_hash, perceptual_hash
         FROM images 
+        WHERE deleted_at IS NULL AND perceptual_hash IS NOT NULL
         ORDER BY id ASC
       `);
       
       const images = result.rows;
       console.log(`📊 Analyzing ${images.length} images for visual duplicates...`);
 
+      // Each image joins the group of the closest earlier image within the threshold
+      const scanned = this.createHashTree();
+      const groupByImageId = new Map();
       const duplicateGroups = [];
-      const processedHashes = new Map(); // id -> hash
-      const duplicateMap = new Map(); // hash -> [image_ids]
-
-      let processed = 0;
-      let errors = 0;
 
       for (const image of images) {
-        try {
-          console.log(`📸 Processing image ${processed + 1}/${images.length}: ${image.filename}`);
-          
-          // Download image from Dropbox
-          const imageBuffer = await this.dropboxService.downloadFile(image.dropbox_path);
-          
-          // Generate perceptual hash
-          const perceptualHash = await this.generatePerceptualHash(imageBuffer);
-          processedHashes.set(image.id, perceptualHash);
-          
-          // Check for similar hashes
-          let foundSimilar = false;
-          
-          for (const [existingId, existingHash] of processedHashes) {
-            if (existingId === image.id) continue;
-            
-            const distance = this.calculateHammingDistance(perceptualHash, existingHash);
-            
-            if (distance <= similarityThreshold) {
-              console.log(`🔗 Found visual duplicate: ${image.filename} similar to image ${existingId} (distance: ${distance})`);
-              
-              // Find or create duplicate group
-              let group = duplicateGroups.find(g => g.some(img => img.id === existingId));
-              if (!group) {
-                const existingImage = images.find(img => img.id === existingId);
-                group = [existingImage];
-                duplicateGroups.push(group);
-              }
-              
-              // Add current image to the group if not already there
-              if (!group.some(img => img.id === image.id)) {
-                group.push(image);
-              }
-              
-              foundSimilar = true;
-              break;
-            }
+        const [closest] = scanned
+          .search(image.perceptual_hash, similarityThreshold)
+          .sort((a, b) => a.distance - b.distance || a.value.id - b.value.id);
+
+        if (closest) {
+          console.log(`🔗 Found visual duplicate: ${image.filename} similar to image ${closest.value.id} (distance: ${closest.distance})`);
+
+          let group = groupByImageId.get(closest.value.id);
+          if (!group) {
+            group = [closest.value];
+            duplicateGroups.push(group);
+            groupByImageId.set(closest.value.id, group);
           }
-          
-          processed++;
-          
-        } catch (error) {
-          console.error(`❌ Error processing image ${image.filename}:`, error);
-          errors++;
+          group.push(image);
+          groupByImageId.set(image.id, group);
         }
+
+        scanned.add(image.perceptual_hash, image);
       }
 
       // Calculate statistics
@@ -150,7 +348,7 @@ class DuplicateDetectionService {
       const duplicateImages = totalDuplicates - duplicateGroups.length; // Subtract one "original" per group
 
       console.log(`✅ Visual duplicate scan completed:`);
-      console.log(`   📊 Processed: ${processed} images`);
+      console.log(`   📊 Processed: ${images.length} images (${missing.length - errors} newly hashed)`);
       console.log(`   🔗 Duplicate groups found: ${duplicateGroups.length}`);
       console.log(`   📸 Total duplicate images: ${duplicateImages}`);
       console.log(`   ❌ Errors: ${errors}`);
@@ -158,8 +356,9 @@ class DuplicateDetectionService {
       return {
         success: true,
         stats: {
-          totalImages: images.length,
-          processedImages: processed,
+          totalImages: images.length + errors,
+          processedImages: images.length,
+          newlyHashed: missing.length - errors,
           duplicateGroups: duplicateGroups.length,
           duplicateImages: duplicateImages,
           errors: errors
@@ -181,12 +380,112 @@ class DuplicateDetectionService {
   }
 
   /**
-   * Remove duplicate images (keeping the first one in each group)
+   * Resolve a duplicate group: copy the tags, focused-tag regions and project assignments of the
+   * discarded copies onto the image being kept, then move the copies to the trash
+   * @param {number} keepId - Image to keep
+   * @param {Array} discardIds - Images to merge into it and trash
+   * @returns {Object} { keeper, before, removedImages, added: { tags, focusedTags, projectAssignments }, errors }
+   * @throws {Error} with code INVALID_DUPLICATE_MERGE when the keeper or copies can't be used
    */
-  async removeDuplicates(duplicateGroups, keepFirstInGroup = true) {
+  async mergeDuplicates(keepId, discardIds, userId = null) {
+    const keeper = await this.databaseService.getImageById(keepId);
+    if (!keeper || keeper.deleted_at) {
+      throw createMergeError(`Image ${keepId} to keep was not found`);
+    }
+
+    const discards = [];
+    for (const discardId of discardIds) {
+      if (String(discardId) === String(keeper.id)) continue;
+      const image = await this.databaseService.getImageById(discardId);
+      if (image && !image.deleted_at) discards.push(image);
+    }
+    if (discards.length === 0) {
+      throw createMergeError('No duplicates to merge - they may already have been removed');
+    }
+
+    const tags = [...keeper.tags];
+    const focusedTags = keeper.focused_tags.map(({ tag_name, x_coordinate, y_coordinate, width, height }) => ({
+      tag_name, x_coordinate, y_coordinate, width, height
+    }));
+    const projectAssignments = [...keeper.project_assignments];
+    const added = { tags: [], focusedTags: 0, projectAssignments: 0 };
+
+    const assignmentKey = (assignment) => `${assignment.projectId}|${assignment.roomId || ''}|${assignment.stageId || ''}`;
+    const sameRegion = (a, b) =>
+      a.tag_name.toLowerCase() === b.tag_name.toLowerCase() &&
+      Math.abs(a.x_coordinate - b.x_coordinate) <= REGION_TOLERANCE &&
+      Math.abs(a.y_coordinate - b.y_coordinate) <= REGION_TOLERANCE;
+
+    for (const discard of discards) {
+      for (const tag of discard.tags) {
+        if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+          tags.push(tag);
+          added.tags.push(tag);
+        }
+      }
+
+      for (const region of discard.focused_tags) {
+        if (!focusedTags.some(existing => sameRegion(existing, region))) {
+          const { tag_name, x_coordinate, y_coordinate, width, height } = region;
+          focusedTags.push({ tag_name, x_coordinate, y_coordinate, width, height });
+          added.focusedTags++;
+        }
+      }
+
+      for (const assignment of discard.project_assignments) {
+        if (!projectAssignments.some(existing => assignmentKey(existing) === assignmentKey(assignment))) {
+          projectAssignments.push(assignment);
+          added.projectAssignments++;
+        }
+      }
+    }
+
+    console.log(`🔀 Merging ${discards.length} duplicates into image ${keeper.id}: +${added.tags.length} tags, +${added.focusedTags} regions, +${added.projectAssignments} assignments`);
+    await this.databaseService.updateImageTags(keeper.id, tags, focusedTags, projectAssignments);
+
+    try {
+      await metadataService.updateImageMetadata(keeper.dropbox_path, {
+        tags,
+        focusedTags,
+        title: keeper.title,
+        name: keeper.name,
+        description: keeper.description
+      });
+    } catch (metadataError) {
+      // Same as a normal tag edit - the database is the source of truth
+      console.error('⚠️ Metadata embedding failed (non-critical):', metadataError.message);
+    }
+
+    // Only trash the copies once everything they carried is on the keeper
+    const removedImages = [];
+    let errors = 0;
+    for (const discard of discards) {
+      try {
+        await this.trashService.trashImage(discard, userId);
+        removedImages.push(discard);
+      } catch (error) {
+        console.error(`❌ Error moving duplicate ${discard.filename} to trash:`, error);
+        errors++;
+      }
+    }
+
+    return {
+      keeper: await this.databaseService.getImageById(keeper.id),
+      before: keeper,
+      removedImages,
+      added,
+      errors
+    };
+  }
+
+  /**
+   * Merge each duplicate group into one of its images (the lowest id by default) and trash the rest
+   */
+  async removeDuplicates(duplicateGroups, keepFirstInGroup = true, userId = null) {
     console.log('🗑️ Starting duplicate removal...');
     
-    let removed = 0;
+    const removed = [];
+    const merges = [];
     let errors = 0;
 
     for (const group of duplicateGroups) {
@@ -194,33 +493,26 @@ class DuplicateDetectionService {
 
       // Sort by ID to ensure consistent "first" selection
       const sortedImages = group.images.sort((a, b) => a.id - b.id);
-      const imagesToRemove = keepFirstInGroup ? sortedImages.slice(1) : sortedImages.slice(0, -1);
+      const keeper = keepFirstInGroup ? sortedImages[0] : sortedImages[sortedImages.length - 1];
+      const discardIds = sortedImages.filter(image => image !== keeper).map(image => image.id);
 
-      for (const image of imagesToRemove) {
-        try {
-          console.log(`🗑️ Removing duplicate: ${image.filename}`);
-          
-          // Delete from Dropbox
-          await this.dropboxService.deleteFile(image.dropbox_path);
-          
-          // Delete from database
-          await this.databaseService.query('DELETE FROM image_tags WHERE image_id = $1', [image.id]);
-          await this.databaseService.query('DELETE FROM focused_tags WHERE image_id = $1', [image.id]);
-          await this.databaseService.query('DELETE FROM images WHERE id = $1', [image.id]);
-          
-          removed++;
-          
-        } catch (error) {
-          console.error(`❌ Error removing duplicate ${image.filename}:`, error);
-          errors++;
-        }
+      try {
+        const result = await this.mergeDuplicates(keeper.id, discardIds, userId);
+        removed.push(...result.removedImages);
+        merges.push(result);
+        errors += result.errors;
+      } catch (error) {
+        console.error(`❌ Error resolving duplicate group of image ${keeper.id}:`, error.message);
+        errors++;
       }
     }
 
-    console.log(`✅ Duplicate removal completed: ${removed} removed, ${errors} errors`);
+    console.log(`✅ Duplicate removal completed: ${removed.length} moved to trash, ${errors} errors`);
     
     return {
-      removed: removed,
+      removed: removed.length,
+      removedImages: removed,
+      merges,
       errors: errors
     };
   }
@@ -1,6 +1,31 @@
 const path = require('path');
 const url = require('url');
 
+// Tokens a filename template can use, e.g. '{project}-{room}-{seq}' or '{date}_{source}_{content}'.
+// Values are lowercased with anything but letters, digits and hyphens dropped; a token with
+// no value for an image is left out along with the separator before it.
+const TEMPLATE_TOKENS = {
+  seq: 'Sequence number, e.g. AA-0042 - an image keeps its number when renamed',
+  type: 'Top-level folder the folder rules pick, e.g. archier, texture, precedent',
+  category: 'Tag that picked the folder, e.g. kitchens, metal, taroonahouse (or general)',
+  project: 'First project the image is assigned to, or its Archier project tag',
+  room: 'Room of that project assignment',
+  stage: 'Stage of that project assignment',
+  date: 'Date the image was added, YYYY-MM-DD',
+  source: 'Site it was saved from, e.g. archdaily',
+  content: 'What it shows, guessed from title, tags and original name, e.g. interior',
+  size: 'Dimensions of large images, or a size class (md, lg, xl)',
+  name: 'Image name'
+};
+
+const DEFAULT_TEMPLATE = '{seq}-{type}-{category}';
+const TOKEN_PATTERN = /\{([^{}]*)\}/g;
+const TEMPLATE_LITERAL = /^[A-Za-z0-9 _.-]*$/;
+const TEMPLATE_SEPARATORS = /[-_. ]/;
+const MAX_BASENAME_LENGTH = 100;
+// Marks a token with no value until it is dropped
+const EMPTY_TOKEN = '\u0000';
+
 class FilenameGeneratorService {
   constructor() {
     // Common architecture/design domains for specialized naming
@@ -28,6 +53,109 @@ class FilenameGeneratorService {
       large: { max: 5000000, suffix: 'lg' },
       xlarge: { max: Infinity, suffix: 'xl' }
     };
+
+    this.template = DEFAULT_TEMPLATE;
+  }
+
+  get tokens() {
+    return TEMPLATE_TOKENS;
+  }
+
+  // The active template from filename_templates (Settings → Filename templates)
+  async loadTemplate(databaseService) {
+    const active = await databaseService.getActiveFilenameTemplate();
+    this.template = active ? active.template : DEFAULT_TEMPLATE;
+    console.log(`🏷️ Filename template: ${this.template}`);
+    return this.template;
+  }
+
+  // Without {seq} two images can get the same name - callers add a -1, -2 suffix
+  usesSequence(template = this.template) {
+    return template.includes('{seq}');
+  }
+
+  /**
+   * Check a filename template
+   * @returns {Object} { errors, warnings } - lists of messages
+   */
+  validateTemplate(template) {
+    const errors = [];
+    const warnings = [];
+    const text = typeof template === 'string' ? template.trim() : '';
+
+    if (!text) {
+      return { errors: ['A template is required'], warnings };
+    }
+    if (text.length > MAX_BASENAME_LENGTH) {
+      errors.push(`Templates can be at most ${MAX_BASENAME_LENGTH} characters`);
+    }
+
+    const tokens = [...text.matchAll(TOKEN_PATTERN)].map(match => match[1]);
+    const unknown = tokens.filter(token => !TEMPLATE_TOKENS[token]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown token${unknown.length > 1 ? 's' : ''}: ${unknown.map(token => `{${token}}`).join(', ')}`);
+    }
+    if (tokens.length === 0) {
+      errors.push('Use at least one token, e.g. {seq}');
+    }
+    if (!TEMPLATE_LITERAL.test(text.replace(TOKEN_PATTERN, ''))) {
+      errors.push('Outside tokens, only letters, digits, spaces, hyphens, underscores and dots are allowed');
+    }
+    if (tokens.length > 0 && !tokens.includes('seq')) {
+      warnings.push('Without {seq} images can get the same name - a -1, -2, ... suffix is added when they do');
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Fill in a filename template for one image
+   * @param {string} template - e.g. '{project}-{room}-{seq}'
+   * @param {Object} context - { sequence (formatted, e.g. 'AA-0042'), type, category, project, room,
+   *   stage, date, sourceUrl, title, description, tags, originalName, width, height, fileSize,
+   *   name, extension }
+   * @returns {string} filename with extension
+   */
+  renderTemplate(template, context = {}) {
+    const { tags = [], extension = '.jpg' } = context;
+    const clean = (value) => (value === null || value === undefined ? '' : String(value))
+      .toLowerCase()
+      .replace(/\s+/g, '')
+      .replace(/[^a-z0-9-]/g, '')
+      .replace(/-+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    const values = {
+      seq: context.sequence || '',
+      type: clean(context.type),
+      category: clean(context.category),
+      project: clean(context.project),
+      room: clean(context.room),
+      stage: clean(context.stage),
+      date: context.date ? this.getDateComponent(new Date(context.date)) : '',
+      source: clean(this.getSourceComponent(context.sourceUrl)),
+      content: clean(this.getContentComponent({
+        title: context.title || '',
+        description: context.description || '',
+        tags,
+        originalName: context.originalName || ''
+      })),
+      size: clean(this.getSizeComponent({ width: context.width, height: context.height, fileSize: context.fileSize })),
+      name: clean(context.name)
+    };
+
+    let baseFilename = template
+      .replace(TOKEN_PATTERN, (match, token) => values[token] || EMPTY_TOKEN)
+      .replace(new RegExp(`${TEMPLATE_SEPARATORS.source}*${EMPTY_TOKEN}`, 'g'), '')
+      .replace(new RegExp(EMPTY_TOKEN, 'g'), '')
+      .replace(new RegExp(`^${TEMPLATE_SEPARATORS.source}+|${TEMPLATE_SEPARATORS.source}+$`, 'g'), '')
+      .replace(/\s+/g, '-');
+
+    if (baseFilename.length > MAX_BASENAME_LENGTH) {
+      baseFilename = baseFilename.substring(0, MAX_BASENAME_LENGTH);
+    }
+
+    return `${baseFilename || 'image'}${extension.startsWith('.') ? extension : `.${extension}`}`;
   }
 
   /**
@@ -107,8 +235,7 @@ class FilenameGeneratorService {
   /**
    * Generate date component (YYYY-MM-DD)
    */
-  getDateComponent() {
-    const now = new Date();
+  getDateComponent(now = new Date()) {
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
     const day = String(now.getDate()).padStart(2, '0');
@@ -1,162 +1,166 @@
 const path = require('path');
 
+// Folder-routing rules decide where an image is filed: the first enabled rule whose conditions
+// the image's tags meet gives its folder (relative to the Dropbox base folder).
+//   all        - tags the image must have every one of
+//   any        - tags it must have at least one of (ignored when empty)
+//   none       - tags it must not have
+//   categories - tags that fill {category} in the folder; the rule only matches an image
+//                with one of them
+//   categoryOrder - which of them wins: 'list', the earliest in categories (so 'taroona house'
+//                before 'taroona'), or 'tags', the image's first tag that is one
+//   folder     - e.g. 'Texture/{category}'; {category} is filled in proper case
+// The rules live in the folder_rules table, edited from the Dashboard (loadRules() after a change).
+const CATEGORY_PLACEHOLDER = '{category}';
+const CATEGORY_ORDERS = ['list', 'tags'];
+const INVALID_FOLDER_CHARACTERS = /[\\:*?"<>|]/;
+const MAX_RULES = 200;
+
+// Used only until the rules have been loaded - every saved rule list ends in a catch-all
+const FALLBACK_RULE = {
+  name: 'Everything else',
+  all: [],
+  any: [],
+  none: [],
+  categories: [],
+  categoryOrder: 'list',
+  folder: 'Precedent/General',
+  enabled: true
+};
+
+const normalizeTagList = (tags) => [...new Set((tags || [])
+  .map(tag => String(tag).toLowerCase().trim())
+  .filter(tag => tag.length > 0))];
+
 class FolderPathService {
   constructor() {
-    // Define the EXACT folder structure as specified
-    this.precedentCategories = [
-      'art',
-      'bathrooms', 
-      'details',
-      'doors',
-      'exterior',
-      'exteriors',
-      'furniture',
-      'interiors',
-      'joinery',
-      'kitchens',
-      'landscape',
-      'lighting',
-      'spatial',
-      'stairs',
-      'structure'
-      // Note: 'general' is not included - it's the automatic fallback
-    ];
-    
-    this.materialCategories = [
-      'brick',
-      'carpet', 
-      'concrete',
-      'fabric',
-      'landscape',
-      'metal',
-      'stone',
-      'tile',
-      'wood'
-      // Note: 'general' is not included - it's the automatic fallback
-    ];
-    
-    // Archier project structure: [Project Name]/[Final|WIP]
-    this.archierSubfolders = [
-      'final',
-      'wip'
-    ];
+    this.rules = [];
+  }
+
+  setRules(rules) {
+    this.rules = rules;
+  }
+
+  async loadRules(databaseService) {
+    this.setRules(await databaseService.getFolderRules());
+    console.log(`📁 Loaded ${this.rules.length} folder rules`);
+    return this.rules;
   }
 
   /**
-   * Generate folder path based on EXACT tag logic matching the provided structure
-   * @param {Array} tags - Array of tags for the image
-   * @param {string} baseFolder - Base SnapTag folder path
-   * @returns {string} Single folder path (first matching tag wins)
+   * Check a proposed rule list and normalise it (lowercase tags, trimmed folder without slashes)
+   * @param {Array} rules - [{ name, all, any, none, categories, categoryOrder, folder, enabled }]
+   * @returns {Object} { rules, errors: [{ rule: index or null, message }] }
    */
-  generateFolderPath(tags = [], baseFolder = '/SnapTag') {
-    console.log('📁 Generating folder path for tags:', tags);
-    console.log('📁 Base folder:', baseFolder);
-    
-    // Normalize tags to lowercase for comparison
-    const normalizedTags = tags.map(tag => tag.toLowerCase().trim());
-    console.log('📁 Normalized tags:', normalizedTags);
-    
-    // Step 1: Check for Archier project structure
-    if (normalizedTags.includes('archier')) {
-      console.log('🏗️ Processing as Archier project');
-      // Archier project structure: /SnapTag/Archier/[Project Name]/[Final|WIP]
-      let folderPath = path.posix.join(baseFolder, 'Archier');
-      
-      // Look for project names (expandable list)
-      const projectNames = [
-        // Legacy city names
-        'yandoit', 'ballarat', 'melbourne', 'brunswick', 'geelong', 
-        'sydney', 'adelaide', 'perth', 'canberra', 'hobart',
-        'bendigo', 'shepparton', 'warrnambool', 'mildura',
-        // Current Archier projects
-        'taroona house', 'taroona',
-        'the boulevard', 'boulevard',
-        'five yards house', 'five yards',
-        'hampden road house', 'hampden road',
-        'davison street', 'davison st',
-        'yandoit house',
-        'oakover preston',
-        'corner house',
-        'parks victoria',
-        'caroma',
-        'off grid house', 'off grid',
-        'farm house',
-        'view house',
-        'court house',
-        'casa acton',
-        'harry house',
-        'willisdene house',
-        'julius street',
-        'yagiz',
-        'creative spaces'
-      ];
-      
-      let projectName = null;
-      for (const project of projectNames) {
-        if (normalizedTags.includes(project)) {
-          projectName = this.toProperCase(project);
-          break;
-        }
+  validateRules(rules) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      return { rules: [], errors: [{ rule: null, message: 'At least one rule is required' }] };
+    }
+    if (rules.length > MAX_RULES) {
+      return { rules: [], errors: [{ rule: null, message: `At most ${MAX_RULES} rules are allowed` }] };
+    }
+
+    const errors = [];
+    const normalized = rules.map((rule, index) => {
+      const folder = String(rule.folder || '').trim().replace(/^\/+|\/+$/g, '');
+      const normalizedRule = {
+        name: String(rule.name || '').trim() || `Rule ${index + 1}`,
+        all: normalizeTagList(rule.all),
+        any: normalizeTagList(rule.any),
+        none: normalizeTagList(rule.none),
+        categories: normalizeTagList(rule.categories),
+        categoryOrder: rule.categoryOrder || 'list',
+        folder,
+        enabled: rule.enabled !== false
+      };
+      const addError = (message) => errors.push({ rule: index, message: `${normalizedRule.name}: ${message}` });
+
+      const segments = folder.split('/');
+      const placeholders = folder.match(/\{[^}]*\}/g) || [];
+      if (!folder) {
+        addError('a folder is required');
+      } else if (segments.some(segment => segment.trim() === '' || segment === '.' || segment === '..')) {
+        addError('the folder has an empty, "." or ".." part');
+      } else if (INVALID_FOLDER_CHARACTERS.test(folder)) {
+        addError('the folder contains a character Dropbox does not allow (\\ : * ? " < > |)');
       }
-      
-      if (projectName) {
-        folderPath = path.posix.join(folderPath, projectName);
-        
-        // Determine Final vs WIP (changed from Complete to Final)
-        if (normalizedTags.includes('final') || normalizedTags.includes('complete')) {
-          folderPath = path.posix.join(folderPath, 'Final');
-        } else if (normalizedTags.includes('wip')) {
-          folderPath = path.posix.join(folderPath, 'WIP');
-        }
-        // If neither final nor wip specified, default to project root
-      } else {
-        // No specific project, put in generic Archier folder
-        console.log('⚠️ Archier tag found but no specific project name detected');
+      if (placeholders.some(placeholder => placeholder !== CATEGORY_PLACEHOLDER)) {
+        addError(`${CATEGORY_PLACEHOLDER} is the only placeholder a folder can use`);
       }
-      
-      console.log('✅ Archier folder path:', folderPath);
-      return folderPath;
-    }
-    
-    // Step 2: Check for Texture category (if "texture" tag OR any material category tag exists)
-    if (normalizedTags.includes('texture') || normalizedTags.some(tag => this.materialCategories.includes(tag))) {
-      console.log('🏷️ Texture classification: explicit texture tag OR material category tag found');
-      
-      // Look for specific material category
-      for (const tag of normalizedTags) {
-        if (this.materialCategories.includes(tag)) {
-          const folderPath = path.posix.join(baseFolder, 'Texture', this.toProperCase(tag));
-          console.log('✅ Texture with material category:', tag, '-> folder:', folderPath);
-          return folderPath;
-        }
+      if (placeholders.includes(CATEGORY_PLACEHOLDER) && normalizedRule.categories.length === 0) {
+        addError(`the folder uses ${CATEGORY_PLACEHOLDER} but the rule has no categories`);
       }
-      
-      // Texture classification but no specific material category, use Texture/General
-      const generalTexturePath = path.posix.join(baseFolder, 'Texture', 'General');
-      console.log('📁 Texture classification but no specific material category, using Texture/General:', generalTexturePath);
-      return generalTexturePath;
+      if (normalizedRule.categories.length > 0 && !placeholders.includes(CATEGORY_PLACEHOLDER)) {
+        addError(`the rule has categories but its folder doesn't use ${CATEGORY_PLACEHOLDER}`);
+      }
+      if (!CATEGORY_ORDERS.includes(normalizedRule.categoryOrder)) {
+        addError(`category order must be ${CATEGORY_ORDERS.join(' or ')}`);
+      }
+      const contradictions = normalizedRule.none.filter(tag => normalizedRule.all.includes(tag));
+      if (contradictions.length > 0) {
+        addError(`can never match - ${contradictions.join(', ')} is both required and excluded`);
+      }
+
+      return normalizedRule;
+    });
+
+    const enabledRules = normalized.filter(rule => rule.enabled);
+    const lastRule = enabledRules[enabledRules.length - 1];
+    if (!lastRule || !this.isCatchAll(lastRule)) {
+      errors.push({ rule: null, message: 'The last enabled rule must have no conditions, so every image gets a folder' });
     }
-    
-    // Step 3: Check for Precedent category (explicit precedent tag OR default fallback)
-    console.log('📂 Processing as Precedent (not Archier or Texture)');
-    const basePrecedentPath = path.posix.join(baseFolder, 'Precedent');
-    
-    // Find first matching precedent category in tag order
-    console.log('🔍 Looking for precedent categories in tag order:', normalizedTags);
-    console.log('🔍 Available categories:', this.precedentCategories);
-    
-    for (const tag of normalizedTags) {
-      if (this.precedentCategories.includes(tag)) {
-        const categoryPath = path.posix.join(basePrecedentPath, this.toProperCase(tag));
-        console.log('✅ First matching precedent category:', tag, '-> folder:', categoryPath);
-        return categoryPath;
+
+    return { rules: normalized, errors };
+  }
+
+  isCatchAll(rule) {
+    return rule.all.length === 0 && rule.any.length === 0 && rule.none.length === 0 && rule.categories.length === 0;
+  }
+
+  /**
+   * The first enabled rule an image's tags meet
+   * @returns {Object} { rule, index (null for the fallback before rules are loaded), category }
+   */
+  matchFolderRule(tags = [], rules = this.rules) {
+    const normalizedTags = tags.map(tag => tag.toLowerCase().trim());
+
+    for (const [index, rule] of rules.entries()) {
+      if (!rule.enabled) continue;
+      if (!rule.all.every(tag => normalizedTags.includes(tag))) continue;
+      if (rule.any.length > 0 && !rule.any.some(tag => normalizedTags.includes(tag))) continue;
+      if (rule.none.some(tag => normalizedTags.includes(tag))) continue;
+
+      let category = null;
+      if (rule.categories.length > 0) {
+        category = rule.categoryOrder === 'tags'
+          ? normalizedTags.find(tag => rule.categories.includes(tag))
+          : rule.categories.find(tag => normalizedTags.includes(tag));
+        if (!category) continue;
       }
+
+      return { rule, index, category };
     }
-    
-    // If no specific categories found, automatically use Precedent/General
-    const generalPath = path.posix.join(basePrecedentPath, 'General');
-    console.log('📁 No specific precedent categories found, using automatic Precedent/General folder:', generalPath);
-    return generalPath;
+
+    return { rule: FALLBACK_RULE, index: null, category: null };
+  }
+
+  // A rule's folder with {category} filled in, relative to the base folder
+  renderFolder(rule, category = null) {
+    return rule.folder.split(CATEGORY_PLACEHOLDER).join(category ? this.toProperCase(category) : '');
+  }
+
+  /**
+   * Generate folder path from the folder rules
+   * @param {Array} tags - Array of tags for the image
+   * @param {string} baseFolder - Base SnapTag folder path
+   * @param {Array} rules - Rules to use instead of the saved ones (previews)
+   * @returns {string} Single folder path (first matching rule wins)
+   */
+  generateFolderPath(tags = [], baseFolder = '/SnapTag', rules = this.rules) {
+    const { rule, category } = this.matchFolderRule(tags, rules);
+    const folderPath = path.posix.join(baseFolder, this.renderFolder(rule, category));
+    console.log(`📁 Folder for [${tags.join(', ')}]: ${folderPath} (rule "${rule.name}")`);
+    return folderPath;
   }
 
   /**
@@ -185,6 +189,28 @@ class FolderPathService {
     return firstLetter + secondLetter;
   }
 
+  // Sequence number as it appears in filenames: 42 -> AA-0042, 10000 -> AB-0001
+  formatSequence(sequenceNumber) {
+    const numberInGroup = ((sequenceNumber - 1) % 9999) + 1;
+    return `${this.getLetterSequence(sequenceNumber)}-${numberInGroup.toString().padStart(4, '0')}`;
+  }
+
+  /**
+   * The type and category parts of a tag-based filename, from the folder rule the tags match:
+   * the type is the rule's top-level folder (archier, texture, precedent, ...) and the category
+   * the tag that filled {category}, or 'general'
+   * @returns {Object} { type, category } - lowercase letters and digits only
+   */
+  getFilenameParts(tags = []) {
+    const cleanTag = (tag) => tag.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const { rule, category } = this.matchFolderRule(tags);
+    const [typeFolder] = this.renderFolder(rule, category).split('/');
+    return {
+      type: cleanTag(typeFolder) || 'general',
+      category: category ? cleanTag(category) : 'general'
+    };
+  }
+
   /**
    * Generate filename with logical structure: XXXX-category-specifictag
    * @param {Array} tags - Array of tags
@@ -201,114 +227,14 @@ class FolderPathService {
       .map(tag => tag.toLowerCase().trim())
       .filter(tag => tag.length > 0);
     
-    // Helper function to clean tag for filename
-    const cleanTag = (tag) => {
-      return tag
-        .replace(/[^a-z0-9]/g, '') // Remove non-alphanumeric characters (no hyphens)
-        .replace(/\s+/g, ''); // Remove any remaining spaces
-    };
-    
     // Determine filename structure: AXXXX-Type-Category
-    // Types: Archier, Precedent, Texture (only these 3)
-    let filenameStructure = '';
-    
-    if (normalizedTags.includes('archier')) {
-      // TYPE: Archier
-      filenameStructure = 'archier';
-      
-      // CATEGORY: Find project name (must match the list in generateFolderPath)
-      const projectNames = [
-        // Legacy city names
-        'yandoit', 'ballarat', 'melbourne', 'brunswick', 'geelong', 
-        'sydney', 'adelaide', 'perth', 'canberra', 'hobart',
-        'bendigo', 'shepparton', 'warrnambool', 'mildura',
-        // Current Archier projects
-        'taroona house', 'taroona',
-        'the boulevard', 'boulevard',
-        'five yards house', 'five yards',
-        'hampden road house', 'hampden road',
-        'davison street', 'davison st',
-        'yandoit house',
-        'oakover preston',
-        'corner house',
-        'parks victoria',
-        'caroma',
-        'off grid house', 'off grid',
-        'farm house',
-        'view house',
-        'court house',
-        'casa acton',
-        'harry house',
-        'willisdene house',
-        'julius street',
-        'yagiz',
-        'creative spaces'
-      ];
-      
-      let categoryFound = false;
-      for (const project of projectNames) {
-        if (normalizedTags.includes(project)) {
-          filenameStructure += '-' + cleanTag(project);
-          categoryFound = true;
-          break;
-        }
-      }
-      
-      // Fallback category if no project found
-      if (!categoryFound) {
-        filenameStructure += '-general';
-      }
-      
-    } else if (normalizedTags.includes('texture') || normalizedTags.some(tag => this.materialCategories.includes(tag))) {
-      // TYPE: Texture (if has 'texture' tag OR any material category tag)
-      filenameStructure = 'texture';
-      
-      // CATEGORY: Find material category
-      let categoryFound = false;
-      for (const material of this.materialCategories) {
-        if (normalizedTags.includes(material)) {
-          filenameStructure += '-' + cleanTag(material);
-          categoryFound = true;
-          break;
-        }
-      }
-      
-      // Fallback category if no material found
-      if (!categoryFound) {
-        filenameStructure += '-general';
-      }
-      
-    } else {
-      // TYPE: Precedent (default for everything else)
-      filenameStructure = 'precedent';
-      
-      // CATEGORY: Find precedent category
-      let categoryFound = false;
-      for (const category of this.precedentCategories) {
-        if (normalizedTags.includes(category)) {
-          filenameStructure += '-' + cleanTag(category);
-          categoryFound = true;
-          break;
-        }
-      }
-      
-      // Fallback category if no precedent category found
-      if (!categoryFound) {
-        filenameStructure += '-general';
-      }
-    }
+    const { type, category } = this.getFilenameParts(normalizedTags);
+    const filenameStructure = `${type}-${category}`;
     
     // Add sequential number with AA prefix (double letter format)
     let filename;
     if (sequenceNumber !== null) {
-      // Convert sequence number to AA, AB, AC... format
-      const letterPart = this.getLetterSequence(sequenceNumber);
-      
-      // Calculate the number within the current letter group (1-9999)
-      const numberInGroup = ((sequenceNumber - 1) % 9999) + 1;
-      const paddedNumber = numberInGroup.toString().padStart(4, '0');
-      
-      filename = `${letterPart}-${paddedNumber}-${filenameStructure}`;
+      filename = `${this.formatSequence(sequenceNumber)}-${filenameStructure}`;
     } else {
       // Fallback to date-based if no sequence provided
       const date = new Date();
@@ -430,56 +356,25 @@ class FolderPathService {
   }
 
   /**
-   * Get all possible folder paths for the EXACT structure
+   * Get all folder paths the rules can file images in, with their parent folders
    * @param {string} baseFolder - Base SnapTag folder path
+   * @param {Array} rules - Rules to use instead of the saved ones
    * @returns {Array} Array of all possible folder paths
    */
-  getAllFolderPaths(baseFolder = '/SnapTag') {
-    const paths = [];
-    
-    // Archier paths (with expandable projects list)
-    const archierBase = path.posix.join(baseFolder, 'Archier');
-    paths.push(archierBase);
-    
-    const projectNames = [
-      // Legacy city names
-      'Yandoit', 'Ballarat', 'Melbourne', 'Brunswick', 'Geelong',
-      'Sydney', 'Adelaide', 'Perth', 'Canberra', 'Hobart',
-      'Bendigo', 'Shepparton', 'Warrnambool', 'Mildura',
-      // Current Archier projects
-      'Taroona House', 'The Boulevard', 'Five Yards House', 'Hampden Road House',
-      'Davison Street', 'Yandoit House', 'Oakover Preston', 'Corner House',
-      'Parks Victoria', 'Caroma', 'Off Grid House', 'Farm House',
-      'View House', 'Court House', 'Casa Acton', 'Harry House',
-      'Willisdene House', 'Julius Street', 'Yagiz', 'Creative Spaces'
-    ];
-    
-    for (const project of projectNames) {
-      const projectPath = path.posix.join(archierBase, project);
-      paths.push(projectPath);
-      paths.push(path.posix.join(projectPath, 'Final'));
-      paths.push(path.posix.join(projectPath, 'WIP'));
-    }
-    
-    // Precedent paths
-    const precedentBase = path.posix.join(baseFolder, 'Precedent');
-    paths.push(precedentBase);
-    paths.push(path.posix.join(precedentBase, 'General')); // Add General subfolder
-    
-    for (const category of this.precedentCategories) {
-      paths.push(path.posix.join(precedentBase, this.toProperCase(category)));
-    }
-    
-    // Texture paths
-    const textureBase = path.posix.join(baseFolder, 'Texture');
-    paths.push(textureBase);
-    paths.push(path.posix.join(textureBase, 'General')); // Add General subfolder
+  getAllFolderPaths(baseFolder = '/SnapTag', rules = this.rules) {
+    const paths = new Set();
     
-    for (const material of this.materialCategories) {
-      paths.push(path.posix.join(textureBase, this.toProperCase(material)));
+    for (const rule of rules.filter(item => item.enabled)) {
+      const categories = rule.categories.length > 0 ? rule.categories : [null];
+      for (const category of categories) {
+        const segments = this.renderFolder(rule, category).split('/');
+        segments.forEach((segment, index) => {
+          paths.add(path.posix.join(baseFolder, ...segments.slice(0, index + 1)));
+        });
+      }
     }
     
-    return paths;
+    return [...paths];
   }
 }
 
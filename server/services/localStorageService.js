@@ -0,0 +1,255 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { generateContentHash } = require('../utils/fileHash');
+
+// Local disk storage provider - mirrors the DropboxService interface so the
+// rest of the server can run without a Dropbox account (dev, self-hosting).
+class LocalStorageService {
+  constructor() {
+    this.name = 'local';
+    this.rootDir = path.resolve(process.env.LOCAL_STORAGE_ROOT || path.join(__dirname, '../storage'));
+    this.publicUrl = (process.env.STORAGE_PUBLIC_URL || '').replace(/\/$/, '');
+    this.linkTtlSeconds = parseInt(process.env.LOCAL_STORAGE_LINK_TTL, 10) || 4 * 60 * 60; // Match Dropbox's 4 hour temporary links
+    this.signingSecret = process.env.STORAGE_SIGNING_SECRET;
+
+    if (!this.signingSecret) {
+      // Links still work for this process, but won't survive a restart
+      this.signingSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️ STORAGE_SIGNING_SECRET not set - using a random secret, links expire on restart');
+    }
+
+    console.log('🔧 Local Storage Service initialized');
+    console.log(`   Root directory: ${this.rootDir}`);
+  }
+
+  // Map a storage path (e.g. /SnapTag/Precedent/General/AA-0001.jpg) onto the root directory
+  resolvePath(storagePath) {
+    const normalized = path.posix.normalize('/' + (storagePath || '').replace(/\\/g, '/'));
+    const absolutePath = path.join(this.rootDir, normalized);
+
+    if (absolutePath !== this.rootDir && !absolutePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Path escapes storage root: ${storagePath}`);
+    }
+
+    return absolutePath;
+  }
+
+  async exists(absolutePath) {
+    try {
+      await fs.access(absolutePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Shape entries like Dropbox file metadata so callers can stay provider-agnostic
+  async buildMetadata(storagePath) {
+    const absolutePath = this.resolvePath(storagePath);
+    const stats = await fs.stat(absolutePath);
+    const normalized = path.posix.normalize('/' + storagePath);
+
+    return {
+      '.tag': stats.isDirectory() ? 'folder' : 'file',
+      id: 'local:' + crypto.createHash('sha1').update(normalized.toLowerCase()).digest('hex'),
+      name: path.posix.basename(normalized),
+      path_display: normalized,
+      path_lower: normalized.toLowerCase(),
+      size: stats.isDirectory() ? undefined : stats.size,
+      server_modified: stats.mtime.toISOString(),
+      content_hash: stats.isDirectory() ? undefined : await generateContentHash(absolutePath)
+    };
+  }
+
+  // Find a free "name (1).jpg" style path, the same way Dropbox autorename does
+  async getAvailablePath(storagePath) {
+    if (!(await this.exists(this.resolvePath(storagePath)))) {
+      return storagePath;
+    }
+
+    const ext = path.posix.extname(storagePath);
+    const base = storagePath.slice(0, storagePath.length - ext.length);
+    let counter = 1;
+    let candidate;
+
+    do {
+      candidate = `${base} (${counter})${ext}`;
+      counter++;
+    } while (await this.exists(this.resolvePath(candidate)));
+
+    return candidate;
+  }
+
+  async uploadFile(localFilePath, storagePath, overwrite = false) {
+    try {
+      console.log('📖 Reading file for upload:', localFilePath);
+      const fileBuffer = await fs.readFile(localFilePath);
+
+      if (fileBuffer.length === 0) {
+        throw new Error(`File is empty: ${localFilePath}`);
+      }
+
+      const targetPath = overwrite ? storagePath : await this.getAvailablePath(storagePath);
+      const absolutePath = this.resolvePath(targetPath);
+
+      await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+      await fs.writeFile(absolutePath, fileBuffer);
+
+      console.log(`📤 File saved to local storage: ${targetPath}`);
+      return this.buildMetadata(targetPath);
+    } catch (error) {
+      console.error('❌ Error saving to local storage:', error);
+      throw new Error(`Failed to upload file to local storage: ${error.message}`);
+    }
+  }
+
+  async downloadFile(storagePath, localFilePath) {
+    try {
+      await fs.mkdir(path.dirname(localFilePath), { recursive: true });
+      await fs.copyFile(this.resolvePath(storagePath), localFilePath);
+      console.log(`✅ File copied from local storage: ${storagePath}`);
+
+      return localFilePath;
+    } catch (error) {
+      console.error('❌ Error reading from local storage:', error);
+      throw new Error(`Failed to download file from local storage: ${error.message}`);
+    }
+  }
+
+  async moveFile(fromPath, toPath) {
+    try {
+      console.log('🚚 Moving file in local storage...');
+      console.log(`   From: ${fromPath}`);
+      console.log(`   To: ${toPath}`);
+
+      const sourcePath = this.resolvePath(fromPath);
+      const targetPath = this.resolvePath(toPath);
+
+      if (!(await this.exists(sourcePath))) {
+        throw new Error(`Source file not found: ${fromPath}`);
+      }
+
+      // Case-only renames point at the same file on case-insensitive disks
+      if (sourcePath.toLowerCase() !== targetPath.toLowerCase() && await this.exists(targetPath)) {
+        throw new Error(`Target file already exists: ${toPath}. This would create a duplicate.`);
+      }
+
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.rename(sourcePath, targetPath);
+
+      console.log(`✅ File moved successfully: ${fromPath} → ${toPath}`);
+      return { metadata: await this.buildMetadata(toPath) };
+    } catch (error) {
+      console.error('❌ Error moving file in local storage:', error);
+      throw new Error(`Failed to move file in local storage: ${error.message}`);
+    }
+  }
+
+  async deleteFile(storagePath) {
+    try {
+      const metadata = await this.buildMetadata(storagePath);
+      await fs.unlink(this.resolvePath(storagePath));
+      console.log(`✅ File deleted from local storage: ${storagePath}`);
+
+      return { metadata };
+    } catch (error) {
+      console.error('❌ Error deleting from local storage:', error);
+      throw new Error(`Failed to delete file from local storage: ${error.message}`);
+    }
+  }
+
+  async listFiles(folderPath = '/SnapTag', recursive = false) {
+    try {
+      const entries = [];
+      const walk = async (currentPath) => {
+        const dirEntries = await fs.readdir(this.resolvePath(currentPath), { withFileTypes: true });
+
+        for (const dirEntry of dirEntries) {
+          const entryPath = path.posix.join(currentPath, dirEntry.name);
+          entries.push(await this.buildMetadata(entryPath));
+
+          if (recursive && dirEntry.isDirectory()) {
+            await walk(entryPath);
+          }
+        }
+      };
+
+      if (await this.exists(this.resolvePath(folderPath))) {
+        await walk(folderPath);
+      }
+
+      return entries;
+    } catch (error) {
+      console.error('❌ Error listing files:', error);
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+  }
+
+  signPath(storagePath, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${storagePath}:${expires}`)
+      .digest('hex');
+  }
+
+  verifySignature(storagePath, expires, signature) {
+    if (!storagePath || !expires || !signature) return false;
+    if (parseInt(expires, 10) < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this.signPath(storagePath, expires));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  // Signed, expiring URL served by the /api/storage/local route
+  async getTemporaryLink(storagePath) {
+    const expires = Math.floor(Date.now() / 1000) + this.linkTtlSeconds;
+    const signature = this.signPath(storagePath, expires);
+    const query = new URLSearchParams({ path: storagePath, expires: String(expires), signature });
+
+    return `${this.publicUrl}/api/storage/local?${query.toString()}`;
+  }
+
+  /**
+   * Duplicate a file to multiple storage locations
+   * @param {string} sourcePath - Source file path in storage
+   * @param {Array} targetPaths - Array of target paths to copy to
+   * @returns {Array} Array of copy results
+   */
+  async duplicateFile(sourcePath, targetPaths) {
+    console.log(`🔄 Duplicating file from ${sourcePath} to ${targetPaths.length} locations`);
+    const results = [];
+
+    for (const targetPath of targetPaths) {
+      try {
+        const absoluteTarget = this.resolvePath(targetPath);
+        if (await this.exists(absoluteTarget)) {
+          throw new Error(`Target file already exists: ${targetPath}`);
+        }
+
+        await fs.mkdir(path.dirname(absoluteTarget), { recursive: true });
+        await fs.copyFile(this.resolvePath(sourcePath), absoluteTarget);
+
+        const metadata = await this.buildMetadata(targetPath);
+        results.push({
+          success: true,
+          targetPath,
+          dropboxId: metadata.id,
+          result: { metadata }
+        });
+      } catch (error) {
+        console.error(`❌ Failed to copy to ${targetPath}:`, error.message);
+        results.push({
+          success: false,
+          targetPath,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = new LocalStorageService();
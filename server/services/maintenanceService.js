@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+
+// Maintenance tasks that check or change production data in bulk (path fixes, folder migrations,
+// orphan cleanup, ...). Each is split in two so it can be previewed before anything changes:
+//   plan(params)           -> the exact list of changes it would make, reading data only
+//   applyAction(action)    -> makes one of those changes
+// A dry run returns the plan with a planId (a hash of its actions). Running the task
+// queues a 'maintenance' job whose items are the plan's actions; given the planId of a
+// preview, the job refuses to start if the plan no longer matches what was previewed.
+// Tasks without applyAction are reports: their dry run is all there is.
+
+const PARAM_TYPES = ['string', 'integer', 'boolean', 'integer[]'];
+
+const createParamsError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_MAINTENANCE_PARAMS';
+  return error;
+};
+
+class MaintenanceService {
+  constructor(databaseService, batchProcessingService, auditService, authService) {
+    this.databaseService = databaseService;
+    this.batchProcessingService = batchProcessingService;
+    this.auditService = auditService;
+    this.authService = authService;
+    this.operations = new Map();
+
+    batchProcessingService.registerJobType('maintenance', {
+      listItems: (payload) => this.listPlannedActions(payload),
+      describeItem: (action) => action.description,
+      processItem: (action, { operation }, job) => this.applyAction(operation, action, job),
+      finish: (job) => this.finish(job)
+    });
+  }
+
+  /**
+   * Register a maintenance task
+   * @param {string} name - e.g. 'fix-dropbox-paths'
+   * @param {Object} operation
+   *   description - shown in the Maintenance section of the Dashboard and job results
+   *   role - least role that may preview and run it (default 'admin')
+   *   params - { [name]: { type: 'string' | 'integer' | 'boolean' | 'integer[]', description,
+   *     default?, required?, min?, max?, enum? } }, validated before plan() sees them
+   *   route - optional older route that also previews and runs it (see routeHandler)
+   *   plan(params) -> { actions, summary?, report? }. Each action is
+   *     { type: 'db_update' | 'dropbox_move' | 'db_delete' | 'tag_merge' | 'tag_rename' | 'metadata_write' | 'project_create',
+   *       entityType, entityId, description, before, after }
+   *     report is returned with the preview as-is, for tasks that only check things
+   *   applyAction(action, job) -> result stored with the job item; { skipped: true } if there was nothing to do.
+   *     Throw batchProcessingService.createPermanentError when the entity no longer matches action.before.
+   *     Leave it out for report-only tasks.
+   *   summarize(job, items) -> optional job result, instead of the default counts
+   */
+  register(name, operation) {
+    Object.entries(operation.params || {}).forEach(([param, schema]) => {
+      if (!PARAM_TYPES.includes(schema.type)) {
+        throw new Error(`Maintenance task ${name}: parameter ${param} has unknown type "${schema.type}"`);
+      }
+    });
+    this.operations.set(name, { name, role: 'admin', params: {}, ...operation });
+  }
+
+  hasOperation(name) {
+    return this.operations.has(name);
+  }
+
+  getOperation(name) {
+    const operation = this.operations.get(name);
+    if (!operation) {
+      throw new Error(`Unknown maintenance operation: ${name}`);
+    }
+    return operation;
+  }
+
+  canRun(user, name) {
+    return this.authService.hasRole(user, this.getOperation(name).role);
+  }
+
+  // Tasks the user's role allows, with what the Maintenance page needs to build their forms
+  listOperations(user) {
+    return [...this.operations.values()]
+      .filter(operation => this.authService.hasRole(user, operation.role))
+      .map(({ name, description, role, params, route, applyAction }) => ({
+        name,
+        description,
+        role,
+        params,
+        route: route || null,
+        reportOnly: !applyAction
+      }));
+  }
+
+  /**
+   * Check request parameters against a task's schema and fill in defaults
+   * @throws {Error} with code INVALID_MAINTENANCE_PARAMS naming the first bad parameter
+   */
+  validateParams(name, params = {}) {
+    const schema = this.getOperation(name).params;
+
+    const unknown = Object.keys(params).filter(param => !schema[param]);
+    if (unknown.length > 0) {
+      throw createParamsError(`Unknown parameter${unknown.length > 1 ? 's' : ''} for ${name}: ${unknown.join(', ')}`);
+    }
+
+    const validated = {};
+    for (const [param, { type, required, min, max, enum: allowed, default: defaultValue }] of Object.entries(schema)) {
+      let value = params[param];
+
+      if (value === undefined || value === null || value === '') {
+        if (required) {
+          throw createParamsError(`${param} is required`);
+        }
+        if (defaultValue !== undefined) {
+          validated[param] = defaultValue;
+        }
+        continue;
+      }
+
+      if (type === 'integer') {
+        value = Number(value);
+        if (!Number.isInteger(value)) throw createParamsError(`${param} must be a whole number`);
+        if (min !== undefined && value < min) throw createParamsError(`${param} must be at least ${min}`);
+        if (max !== undefined && value > max) throw createParamsError(`${param} must be at most ${max}`);
+      } else if (type === 'integer[]') {
+        value = (Array.isArray(value) ? value : String(value).split(',')).map(item => Number(String(item).trim()));
+        if (value.length === 0 || !value.every(Number.isInteger)) throw createParamsError(`${param} must be a list of whole numbers`);
+      } else if (type === 'boolean') {
+        if (typeof value !== 'boolean') throw createParamsError(`${param} must be true or false`);
+      } else {
+        value = String(value).trim();
+        if (allowed && !allowed.includes(value)) throw createParamsError(`${param} must be one of: ${allowed.join(', ')}`);
+      }
+
+      validated[param] = value;
+    }
+
+    return validated;
+  }
+
+  hashActions(actions) {
+    return crypto.createHash('sha256').update(JSON.stringify(actions)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Work out what a task would change, without changing anything
+   * @returns {Object} { operation, description, reportOnly, params, planId, summary: { total, byType, ... }, actions, report }
+   */
+  async preview(name, params = {}) {
+    const operation = this.getOperation(name);
+    const validatedParams = this.validateParams(name, params);
+    const { actions = [], summary = {}, report } = await operation.plan(validatedParams);
+
+    const byType = {};
+    actions.forEach(action => {
+      byType[action.type] = (byType[action.type] || 0) + 1;
+    });
+
+    return {
+      operation: name,
+      description: operation.description,
+      reportOnly: !operation.applyAction,
+      params: validatedParams,
+      planId: this.hashActions(actions),
+      summary: { ...summary, total: actions.length, byType },
+      actions,
+      report
+    };
+  }
+
+  /**
+   * Queue a task as a 'maintenance' job
+   * @param {Object} options - { planId } of the preview to run, and { userId, route } for the job
+   * @returns {Object} the job row
+   */
+  async execute(name, params = {}, { planId = null, userId = null, route = null } = {}) {
+    const operation = this.getOperation(name);
+    if (!operation.applyAction) {
+      throw createParamsError(`${name} is a report - preview it instead`);
+    }
+    const validatedParams = this.validateParams(name, params);
+    return this.batchProcessingService.enqueue('maintenance', { operation: name, params: validatedParams, planId }, { userId, route });
+  }
+
+  // Past runs (newest first), optionally of one task
+  async getHistory({ operation = null, limit = 50 } = {}) {
+    return this.databaseService.listJobs({ type: 'maintenance', operation, limit });
+  }
+
+  async listPlannedActions({ operation: name, params, planId }) {
+    const operation = this.getOperation(name);
+    const { actions } = await operation.plan(params || {});
+
+    if (planId && this.hashActions(actions) !== planId) {
+      throw this.batchProcessingService.createPermanentError('The data has changed since this plan was previewed - preview it again before running it');
+    }
+
+    console.log(`🛠️ Maintenance ${name}: ${actions.length} planned changes`);
+    return actions;
+  }
+
+  async applyAction(name, action, job) {
+    const result = await this.getOperation(name).applyAction(action, job);
+
+    if (!(result && result.skipped)) {
+      await this.auditService.record(this.auditService.jobRequest(job), {
+        action: `maintenance.${name}`,
+        entityType: action.entityType,
+        entityId: action.entityId,
+        imageId: action.entityType === 'image' ? action.entityId : null,
+        before: action.before,
+        after: action.after
+      });
+    }
+
+    return result === undefined ? null : result;
+  }
+
+  async finish(job) {
+    const operation = this.getOperation(job.payload.operation);
+    const items = await this.databaseService.getJobItems(job.id, { limit: job.total });
+
+    if (operation.summarize) {
+      return operation.summarize(job, items);
+    }
+
+    const message = `${operation.description}: ${job.completed} applied, ${job.skipped} skipped, ${job.failed} errors`;
+    console.log(`🎉 ${message}`);
+    return {
+      success: true,
+      message,
+      stats: {
+        total: job.total,
+        applied: job.completed,
+        skipped: job.skipped,
+        errors: job.failed,
+        errorDetails: items.filter(item => item.status === 'failed').map(({ item, error }) => `${item.description}: ${error}`)
+      }
+    };
+  }
+
+  /**
+   * Express handler for a task's older route: { dryRun: true } returns the plan,
+   * anything else queues it (with { planId } from the preview to run exactly that plan)
+   */
+  routeHandler(name) {
+    return async (req, res) => {
+      const operation = this.getOperation(name);
+      try {
+        const { dryRun = false, planId = null, ...params } = req.body || {};
+
+        if (dryRun) {
+          console.log(`🔎 Planning ${operation.description} (dry run)...`);
+          const plan = await this.preview(name, params);
+          return res.json({ success: true, dryRun: true, ...plan });
+        }
+
+        const job = await this.execute(name, params, {
+          planId,
+          userId: req.user.id,
+          route: this.auditService.describeRoute(req)
+        });
+
+        res.status(202).json({
+          success: true,
+          message: `${operation.description} queued${planId ? ' with the previewed plan' : ''}`,
+          jobId: job.id
+        });
+      } catch (error) {
+        console.error(`❌ ${operation.description} failed:`, error);
+        if (error.code === 'INVALID_MAINTENANCE_PARAMS') {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: `${operation.description} failed: ${error.message}` });
+      }
+    };
+  }
+}
+
+module.exports = MaintenanceService;
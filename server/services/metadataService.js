@@ -3,6 +3,21 @@ const ep = new exiftool.ExiftoolProcess();
 const fs = require('fs').promises;
 const path = require('path');
 
+// Defines SnapTag's XMP properties (SnapTagFocusedTags, SnapTagColorPalette). Command-line runs
+// load it with -config; the stay-open process can't take arguments before -stay_open (node-exiftool
+// fixes them), so it finds the file through EXIFTOOL_HOME, where exiftool looks for .ExifTool_config.
+const EXIFTOOL_CONFIG_DIR = path.join(__dirname, '../config');
+const EXIFTOOL_CONFIG = path.join(EXIFTOOL_CONFIG_DIR, '.ExifTool_config');
+
+// exiftool skips a tag it doesn't know with just a warning and still exits normally - report that
+// as the failure it is
+const assertTagsWritten = (result, what) => {
+  const output = `${(result && result.data) || ''}\n${(result && result.error) || ''}`;
+  if (/is not defined|nothing to do|\b0 image files updated/i.test(output)) {
+    throw new Error(`${what} was not written: ${output.trim()}`);
+  }
+};
+
 // Optional sharp dependency with fallback
 let sharp = null;
 try {
@@ -19,7 +34,7 @@ class MetadataService {
 
   async init() {
     if (!this.initialized) {
-      await ep.open();
+      await ep.open({ env: { ...process.env, EXIFTOOL_HOME: EXIFTOOL_CONFIG_DIR } });
       this.initialized = true;
       console.log('ExifTool initialized');
     }
@@ -36,7 +51,7 @@ class MetadataService {
     await this.init();
 
     try {
-      const { tags, title, description, focusedTags } = metadata;
+      const { tags, title, description, focusedTags, colorPalette } = metadata;
       
       // Create output path
       const ext = path.extname(imagePath);
@@ -71,13 +86,19 @@ class MetadataService {
         metadataArgs['XMP:SnapTagFocusedTags'] = JSON.stringify(focusedTags);
       }
 
+      // Dominant colours as hex values, most dominant first
+      if (colorPalette && colorPalette.length > 0) {
+        metadataArgs['XMP:SnapTagColorPalette'] = colorPalette.map(color => color.hex);
+      }
+
       // Write metadata to image
       console.log(`🔧 Debug - About to write metadata to: ${imagePath}`);
       console.log(`🔧 Debug - ExifTool process initialized:`, this.initialized);
       
       // Write metadata using proper ExifTool syntax
-      const result = await ep.writeMetadata(imagePath, metadataArgs, ['-overwrite_original']);
+      const result = await ep.writeMetadata(imagePath, metadataArgs, ['overwrite_original']);
       console.log(`🔧 Debug - ExifTool result:`, result);
+      assertTagsWritten(result, 'Metadata');
       
       // Force a small delay to ensure write completes
       await new Promise(resolve => setTimeout(resolve, 500));
@@ -117,7 +138,7 @@ class MetadataService {
       const util = require('util');
       const execPromise = util.promisify(exec);
       
-      const readCmd = `exiftool -j -s "${imagePath}"`;
+      const readCmd = `exiftool -config "${EXIFTOOL_CONFIG}" -j -s "${imagePath}"`;
       console.log(`🔍 Reading metadata from: ${imagePath}`);
       
       const result = await execPromise(readCmd);
@@ -136,6 +157,7 @@ class MetadataService {
             creator: data['XMP:Creator'] || data['IPTC:By-line'] || '',
             rights: data['XMP:Rights'] || data['IPTC:CopyrightNotice'] || '',
             focusedTags: this.extractFocusedTags(data),
+            colorPalette: [].concat(data.SnapTagColorPalette || data['XMP:SnapTagColorPalette'] || []),
             dateCreated: data['IPTC:DateCreated'] || data['EXIF:CreateDate'] || '',
             imageWidth: data['EXIF:ImageWidth'] || data['File:ImageWidth'] || 0,
             imageHeight: data['EXIF:ImageHeight'] || data['File:ImageHeight'] || 0,
@@ -154,7 +176,7 @@ class MetadataService {
 
   async updateImageMetadata(imagePath, newMetadata) {
     // Use direct command line approach - more reliable than node wrapper
-    const dropboxService = require('./dropboxService');
+    const storageService = require('./storageService');
     const fs = require('fs').promises;
     const { exec } = require('child_process');
     const util = require('util');
@@ -174,9 +196,9 @@ class MetadataService {
         // Directory might already exist, ignore
       }
       
-      // Download file from Dropbox
+      // Download file from storage
       console.log(`📥 Downloading file for metadata update...`);
-      await dropboxService.downloadFile(imagePath, tempPath);
+      await storageService.downloadFile(imagePath, tempPath);
       
       // Verify file was downloaded
       const stats = await fs.stat(tempPath);
@@ -274,9 +296,9 @@ class MetadataService {
         console.log(`⚠️ Could not parse verification result, but command completed successfully`);
       }
       
-      // Re-upload to Dropbox with updated metadata (overwrite existing file)
+      // Re-upload to storage with updated metadata (overwrite existing file)
       console.log(`📤 Re-uploading file with embedded metadata (overwriting original)...`);
-      await dropboxService.uploadFile(tempPath, imagePath, true);
+      await storageService.uploadFile(tempPath, imagePath, true);
       
       // Clean up temp file
       await fs.unlink(tempPath);
@@ -301,18 +323,18 @@ class MetadataService {
 
   async updateImageMetadataFull(imagePath, newMetadata) {
     // Full version with download/upload (has SDK issue currently)
-    const dropboxService = require('./dropboxService');
+    const storageService = require('./storageService');
     const tempPath = `temp/update-${Date.now()}-${path.basename(imagePath)}`;
     
     try {
       // Download file
-      await dropboxService.downloadFile(imagePath, tempPath);
+      await storageService.downloadFile(imagePath, tempPath);
       
       // Update metadata
       await this.addMetadataToImage(tempPath, newMetadata);
       
       // Re-upload
-      await dropboxService.uploadFile(tempPath, imagePath);
+      await storageService.uploadFile(tempPath, imagePath);
       
       // Cleanup
       await fs.unlink(tempPath);
@@ -330,6 +352,22 @@ class MetadataService {
     }
   }
 
+  // Write just the colour palette into a local file, leaving its other metadata as it is
+  async embedColorPalette(imagePath, colorPalette) {
+    await this.init();
+
+    try {
+      const result = await ep.writeMetadata(imagePath, {
+        'XMP:SnapTagColorPalette': colorPalette.map(color => color.hex)
+      }, ['overwrite_original']);
+      assertTagsWritten(result, 'Colour palette');
+      return imagePath;
+    } catch (error) {
+      console.error('Error embedding colour palette:', error);
+      throw new Error(`Failed to embed colour palette: ${error.message}`);
+    }
+  }
+
   extractTags(metadata) {
     const tags = [];
     
@@ -361,8 +399,9 @@ class MetadataService {
 
   extractFocusedTags(metadata) {
     try {
-      if (metadata['XMP:SnapTagFocusedTags']) {
-        return JSON.parse(metadata['XMP:SnapTagFocusedTags']);
+      const focusedTags = metadata.SnapTagFocusedTags || metadata['XMP:SnapTagFocusedTags'];
+      if (focusedTags) {
+        return JSON.parse(focusedTags);
       }
     } catch (error) {
       console.error('Error parsing focused tags:', error);
@@ -437,64 +476,17 @@ class MetadataService {
     }
   }
 
-  // Auto-tagging using basic image analysis
-  async generateAutoTags(imagePath) {
-    try {
-      if (!sharp) {
-        console.log('⚠️  Sharp not available - generating basic auto tags from file info');
-        const tags = [];
-        
-        // Basic tags from file extension
-        const ext = path.extname(imagePath).toLowerCase();
-        if (ext === '.jpg' || ext === '.jpeg') {
-          tags.push('format-jpeg');
-        } else if (ext === '.png') {
-          tags.push('format-png');
-        } else if (ext === '.webp') {
-          tags.push('format-webp');
-        }
-        
-        return tags;
-      }
-
-      const metadata = await sharp(imagePath).metadata();
-      const tags = [];
-
-      // Basic categorization based on image properties
-      if (metadata.width && metadata.height) {
-        const aspectRatio = metadata.width / metadata.height;
-        
-        if (aspectRatio > 1.5) {
-          tags.push('landscape-orientation');
-        } else if (aspectRatio < 0.75) {
-          tags.push('portrait-orientation');
-        } else {
-          tags.push('square-orientation');
-        }
+  // Pixel size of an image file, for auto-tagging rules with size conditions - null without Sharp
+  // or if the file can't be read
+  async getImageDimensions(imagePath) {
+    if (!sharp) return null;
 
-        // Size categories
-        const pixels = metadata.width * metadata.height;
-        if (pixels > 8000000) { // > 8MP
-          tags.push('high-resolution');
-        } else if (pixels < 1000000) { // < 1MP
-          tags.push('low-resolution');
-        }
-      }
-
-      // Color space
-      if (metadata.space) {
-        tags.push(`colorspace-${metadata.space.toLowerCase()}`);
-      }
-
-      // Format
-      if (metadata.format) {
-        tags.push(`format-${metadata.format.toLowerCase()}`);
-      }
-
-      return tags;
+    try {
+      const { width, height } = await sharp(imagePath).metadata();
+      return width && height ? { width, height } : null;
     } catch (error) {
-      console.error('Error generating auto tags:', error);
-      return [];
+      console.error('Error reading image dimensions:', error.message);
+      return null;
     }
   }
 }
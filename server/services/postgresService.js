@@ -1,4 +1,36 @@
 const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const { parseSearchQuery, formatSearchTerm } = require('../utils/searchQuery');
+
+const FACET_BUCKET_LIMIT = 25;
+// ts_headline markers around matched words - characters that won't turn up in titles or tags
+const HIGHLIGHT_START = '⟦';
+const HIGHLIGHT_END = '⟧';
+
+// Kinds of tag in the hierarchy (migration 017) - 'free' is anything outside the taxonomy
+const TAG_TYPES = ['category', 'material', 'project', 'style', 'free'];
+
+const createTagHierarchyError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_TAG_HIERARCHY';
+  return error;
+};
+
+const createTagAliasError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_TAG_ALIAS';
+  return error;
+};
+
+const createTagUndoConflict = (message) => {
+  const error = new Error(message);
+  error.code = 'TAG_UNDO_CONFLICT';
+  return error;
+};
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_LOCK_ID = 741852963;
 
 class PostgresService {
   constructor() {
@@ -21,11 +53,8 @@ class PostgresService {
       console.log('✅ PostgreSQL connected successfully');
       client.release();
 
-      // Create tables
-      await this.createTables();
-      
-      // Add thumbnail column if needed
-      await this.addThumbnailColumn();
+      // Bring the schema up to date
+      await this.runMigrations();
       
       this.isInitialized = true;
       console.log('✅ PostgreSQL database initialized');
@@ -35,137 +64,94 @@ class PostgresService {
     }
   }
 
-  async createTables() {
+  // Apply any pending files from server/migrations (NNN-description.js) in version order.
+  // Each migration runs in its own transaction and is recorded in schema_migrations;
+  // an advisory lock keeps two instances starting at once from racing each other.
+  async runMigrations() {
     const client = await this.pool.connect();
-    
-    try {
-      // Enable UUID extension
-      await client.query('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
 
-      // Images table
+    try {
       await client.query(`
-        CREATE TABLE IF NOT EXISTS images (
-          id SERIAL PRIMARY KEY,
-          filename VARCHAR(255) NOT NULL,
-          original_name VARCHAR(255) NOT NULL,
-          dropbox_path VARCHAR(500) UNIQUE NOT NULL,
-          dropbox_id VARCHAR(255),
-          title TEXT,
-          description TEXT,
-          upload_date TIMESTAMP NOT NULL,
-          file_size INTEGER,
-          source_url TEXT,
-          width INTEGER,
-          height INTEGER,
-          mime_type VARCHAR(100),
-          file_hash VARCHAR(64),
-          project_assignments TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )
       `);
 
-      // Add project_assignments column if it doesn't exist (migration)
-      await client.query(`
-        ALTER TABLE images 
-        ADD COLUMN IF NOT EXISTS project_assignments TEXT
-      `);
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
 
-      // Tags table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS tags (
-          id SERIAL PRIMARY KEY,
-          name VARCHAR(255) UNIQUE NOT NULL,
-          color VARCHAR(7),
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          usage_count INTEGER DEFAULT 0
-        )
-      `);
+      try {
+        const appliedResult = await client.query('SELECT version FROM schema_migrations');
+        const appliedVersions = new Set(appliedResult.rows.map(row => row.version));
+        const pending = this.loadMigrations().filter(migration => !appliedVersions.has(migration.version));
 
-      // Image-tags relationship table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS image_tags (
-          id SERIAL PRIMARY KEY,
-          image_id INTEGER NOT NULL REFERENCES images(id) ON DELETE CASCADE,
-          tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(image_id, tag_id)
-        )
-      `);
+        if (pending.length === 0) {
+          console.log('✅ Database schema is up to date');
+          return;
+        }
 
-      // Focused tags table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS focused_tags (
-          id SERIAL PRIMARY KEY,
-          image_id INTEGER NOT NULL REFERENCES images(id) ON DELETE CASCADE,
-          tag_name VARCHAR(255) NOT NULL,
-          x_coordinate REAL NOT NULL,
-          y_coordinate REAL NOT NULL,
-          width REAL,
-          height REAL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
+        for (const migration of pending) {
+          console.log(`🔄 Applying migration ${migration.version}: ${migration.description}`);
 
-      // Stages table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS stages (
-          id SERIAL PRIMARY KEY,
-          name VARCHAR(255) UNIQUE NOT NULL,
-          description TEXT,
-          order_index INTEGER DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          usage_count INTEGER DEFAULT 0
-        )
-      `);
+          try {
+            await client.query('BEGIN');
+            await migration.up(client);
+            await client.query(
+              'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+              [migration.version, migration.name]
+            );
+            await client.query('COMMIT');
+          } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+          }
+        }
 
-      // Rooms table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS rooms (
-          id SERIAL PRIMARY KEY,
-          name VARCHAR(255) UNIQUE NOT NULL,
-          description TEXT,
-          category VARCHAR(255),
-          order_index INTEGER DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          usage_count INTEGER DEFAULT 0
-        )
-      `);
+        console.log(`✅ Applied ${pending.length} migration(s)`);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+      }
+    } finally {
+      client.release();
+    }
+  }
 
-      // Image sequence counter table (for atomic sequence number generation)
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS image_sequence (
-          id INTEGER PRIMARY KEY DEFAULT 1,
-          last_sequence INTEGER NOT NULL DEFAULT 0,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
+  loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+      .map(file => {
+        const match = file.match(/^(\d+)-(.+)\.js$/);
+        if (!match) return null;
+
+        const migration = require(path.join(MIGRATIONS_DIR, file));
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          description: migration.description || match[2],
+          up: migration.up
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+  }
 
-      // Create performance indexes for common queries
-      await client.query('CREATE INDEX IF NOT EXISTS idx_images_dropbox_path ON images(dropbox_path)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_images_file_hash ON images(file_hash)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(name)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_image_tags_image ON image_tags(image_id)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_image_tags_tag ON image_tags(tag_id)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_focused_tags_image ON focused_tags(image_id)');
-      
-      // PERFORMANCE: Critical indexes for search and pagination
-      await client.query('CREATE INDEX IF NOT EXISTS idx_images_upload_date ON images(upload_date DESC)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_images_created_at ON images(created_at DESC)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_images_filename ON images(filename)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_images_title ON images(title)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_images_source_url ON images(source_url)');
-      
-      // PERFORMANCE: Composite indexes for common search patterns
-      await client.query('CREATE INDEX IF NOT EXISTS idx_images_upload_filename ON images(upload_date DESC, filename)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_focused_tags_name ON focused_tags(tag_name)');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_tags_name_lower ON tags(LOWER(name))');
-      await client.query('CREATE INDEX IF NOT EXISTS idx_focused_tags_name_lower ON focused_tags(LOWER(tag_name))');
+  async getMigrationStatus() {
+    const migrations = this.loadMigrations();
+    const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
 
-      console.log('✅ PostgreSQL tables created successfully');
-    } finally {
-      client.release();
+    if (!this.pool) {
+      return { currentVersion: null, latestVersion, applied: 0, pending: migrations.length };
     }
+
+    const result = await this.query('SELECT version FROM schema_migrations ORDER BY version');
+    const appliedVersions = new Set(result.rows.map(row => row.version));
+
+    return {
+      currentVersion: result.rows.length > 0 ? result.rows[result.rows.length - 1].version : 0,
+      latestVersion,
+      applied: appliedVersions.size,
+      pending: migrations.filter(migration => !appliedVersions.has(migration.version)).length
+    };
   }
 
   async query(text, params = []) {
@@ -205,18 +191,21 @@ class PostgresService {
 
       const {
         filename, original_name, dropbox_path, dropbox_id, title, description,
-        upload_date, file_size, source_url, width, height, mime_type, file_hash, tags, focused_tags
+        upload_date, file_size, source_url, width, height, mime_type, file_hash, content_hash, created_by, tags, focused_tags,
+        color_palette, sequence_number
       } = imageData;
 
       // Insert image
       const imageResult = await client.query(`
         INSERT INTO images (
           filename, original_name, dropbox_path, dropbox_id, title, description,
-          upload_date, file_size, source_url, width, height, mime_type, file_hash
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          upload_date, file_size, source_url, width, height, mime_type, file_hash, content_hash, created_by, color_palette,
+          sequence_number
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
         RETURNING id
       `, [filename, original_name, dropbox_path, dropbox_id, title, description,
-          upload_date, file_size, source_url, width, height, mime_type, file_hash]);
+          upload_date, file_size, source_url, width, height, mime_type, file_hash, content_hash || null, created_by || null,
+          color_palette ? JSON.stringify(color_palette) : null, sequence_number || null]);
 
       const imageId = imageResult.rows[0].id;
 
@@ -289,6 +278,12 @@ class PostgresService {
       if (!normalizedTagName) {
         throw new Error('Tag name cannot be empty');
       }
+
+      // An alias (migration 018) stands for its canonical tag
+      const alias = await useClient.query('SELECT tag_id FROM tag_aliases WHERE alias = $1', [normalizedTagName]);
+      if (alias.rows.length > 0) {
+        return alias.rows[0].tag_id;
+      }
       
       // Use INSERT ... ON CONFLICT for atomic tag creation (prevents race conditions)
       const result = await useClient.query(`
@@ -323,6 +318,142 @@ class PostgresService {
     }
   }
 
+  /**
+   * Compile a search box query (utils/searchQuery.js) into SQL conditions on images aliased as i
+   * @param {string} searchTerm - Raw query, e.g. 'wood -tag:archier project:de-witt'
+   * @param {Array} params - Query parameters; values are appended and referenced as $n
+   * @returns {Array} Conditions to AND into the WHERE clause
+   */
+  compileSearchQuery(searchTerm, params) {
+    return parseSearchQuery(searchTerm).map(clause => {
+      const condition = this.compileSearchClause(clause, params);
+      // COALESCE so NULL columns (e.g. no width recorded) count as "not matching" when negated
+      return clause.negated ? `NOT COALESCE((${condition}), FALSE)` : `(${condition})`;
+    });
+  }
+
+  /**
+   * Full-text query for one free-text term, matched against images.search_vector (migration 010)
+   * Words match as stemmed prefixes ("kitch" finds "kitchens"), quoted phrases as stemmed phrases
+   * @returns {string} tsquery expression referencing a new $n parameter
+   */
+  compileTextQuery(value, params) {
+    if (/\s/.test(value)) {
+      params.push(value);
+      return `phraseto_tsquery('english', $${params.length})`;
+    }
+
+    // to_tsquery has its own operator syntax - keep only the words and AND their prefixes
+    const words = value.match(/[\p{L}\p{N}]+/gu) || [];
+    params.push(words.map(word => `${word}:*`).join(' & '));
+    return `to_tsquery('english', $${params.length})`;
+  }
+
+  /**
+   * Relevance of images (aliased as i) to the free-text terms of a search query
+   * @returns {string|null} ts_rank expression, or null when the query has no free text to rank by
+   */
+  compileSearchRank(searchTerm, params) {
+    const textClauses = parseSearchQuery(searchTerm).filter(clause => clause.field === 'text' && !clause.negated);
+    if (textClauses.length === 0) return null;
+
+    const tsquery = textClauses.map(clause => this.compileTextQuery(clause.value, params)).join(' && ');
+    return `ts_rank(i.search_vector, ${tsquery})`;
+  }
+
+  /**
+   * Images (aliased as i) tagged with a tag or any tag below it in the hierarchy (migration 017),
+   * so tag:materials also finds images tagged wood or brick. An alias (migration 018) stands for
+   * its canonical tag. Focused tags match by name.
+   * @param {string} placeholder - $n parameter holding the tag name
+   * @returns {string} SQL condition
+   */
+  compileTagTreeMatch(placeholder) {
+    return `i.id IN (
+      WITH RECURSIVE tag_tree AS (
+        SELECT tt.id, tt.name FROM tags tt
+        WHERE LOWER(tt.name) = LOWER(${placeholder})
+           OR tt.id IN (SELECT ta.tag_id FROM tag_aliases ta WHERE ta.alias = LOWER(TRIM(${placeholder})))
+        UNION
+        SELECT child.id, child.name FROM tags child JOIN tag_tree ON child.parent_id = tag_tree.id
+      )
+      SELECT tit.image_id FROM image_tags tit WHERE tit.tag_id IN (SELECT id FROM tag_tree)
+      UNION
+      SELECT tft.image_id FROM focused_tags tft
+      WHERE LOWER(tft.tag_name) = LOWER(${placeholder}) OR LOWER(tft.tag_name) IN (SELECT LOWER(name) FROM tag_tree)
+    )`;
+  }
+
+  compileSearchClause({ field, value, operator, tolerance }, params) {
+    const param = (paramValue) => {
+      params.push(paramValue);
+      return `$${params.length}`;
+    };
+
+    const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+    // Projects, rooms and stages can be named as typed or slugged ("de-witt" for "De Witt")
+    const nameMatches = (column, placeholder) =>
+      `(LOWER(${column}) = LOWER(${placeholder}) OR LOWER(REPLACE(${column}, ' ', '-')) = LOWER(${placeholder}))`;
+
+    switch (field) {
+      case 'text':
+        // A word that names a parent tag ("materials") also finds images tagged with its children
+        return `i.search_vector @@ ${this.compileTextQuery(value, params)} OR ${this.compileTagTreeMatch(param(value))}`;
+      case 'tag':
+        return this.compileTagTreeMatch(param(value));
+      case 'project': {
+        const project = param(value);
+        return `EXISTS (
+          SELECT 1 FROM image_project_assignments sipa
+          JOIN projects sp ON sp.id = sipa.project_id
+          WHERE sipa.image_id = i.id AND (LOWER(sp.id) = LOWER(${project}) OR ${nameMatches('sp.name', project)})
+        )`;
+      }
+      case 'room': {
+        const room = param(value);
+        return `EXISTS (
+          SELECT 1 FROM image_project_assignments sipa
+          JOIN rooms sr ON sr.id = sipa.room_id
+          WHERE sipa.image_id = i.id AND ${nameMatches('sr.name', room)}
+        )`;
+      }
+      case 'stage': {
+        const stage = param(value);
+        return `EXISTS (
+          SELECT 1 FROM image_project_assignments sipa
+          JOIN stages ss ON ss.id = sipa.stage_id
+          WHERE sipa.image_id = i.id AND ${nameMatches('ss.name', stage)}
+        )`;
+      }
+      case 'source':
+        return `i.source_url ILIKE ${param(`%${escapeLike(value)}%`)}`;
+      case 'before':
+        return `i.upload_date < ${param(value)}::date`;
+      case 'after':
+        return `i.upload_date >= ${param(value)}::date`;
+      case 'width':
+      case 'height':
+        // Operator and column come from the parser's whitelist, never from the raw query
+        return `i.${field} ${operator} ${param(value)}`;
+      case 'orientation':
+        if (value === 'landscape') return 'i.width > i.height';
+        if (value === 'portrait') return 'i.width < i.height';
+        return 'i.width = i.height';
+      case 'color': {
+        // Any palette colour (migration 013) within the tolerance, measured as RGB distance
+        const [r, g, b] = [1, 3, 5].map(start => param(parseInt(value.slice(start, start + 2), 16)));
+        const maxDistance = param(Math.sqrt(3 * 255 ** 2) * tolerance / 100);
+        return `EXISTS (
+          SELECT 1 FROM jsonb_array_elements(i.color_palette) spc
+          WHERE sqrt(power((spc->>'r')::int - ${r}::int, 2) + power((spc->>'g')::int - ${g}::int, 2) + power((spc->>'b')::int - ${b}::int, 2)) <= ${maxDistance}::float
+        )`;
+      }
+      default:
+        throw new Error(`Unsupported search field: ${field}`);
+    }
+  }
+
   // Get total count for pagination (optimized count query)
   async getImageCount(searchTerm, tagFilter) {
     try {
@@ -335,28 +466,13 @@ class PostgresService {
       `;
 
       const params = [];
-      const conditions = [];
+      const conditions = ['i.deleted_at IS NULL']; // Trashed images only show up in the Trash view
       let paramCount = 0;
 
       // Apply same filtering logic as searchImages but only count
       if (searchTerm && searchTerm.trim()) {
-        const searchWords = searchTerm.trim().split(/\s+/);
-        const contentConditions = [];
-        
-        // Search for exact phrase in content (case-insensitive)
-        contentConditions.push(`LOWER(i.title) LIKE LOWER($${++paramCount})`);
-        contentConditions.push(`LOWER(i.description) LIKE LOWER($${++paramCount})`);
-        contentConditions.push(`LOWER(i.filename) LIKE LOWER($${++paramCount})`);
-        contentConditions.push(`LOWER(i.original_name) LIKE LOWER($${++paramCount})`);
-        const exactPattern = `%${searchTerm.trim()}%`;
-        params.push(exactPattern, exactPattern, exactPattern, exactPattern);
-        
-        // Search in tags
-        contentConditions.push(`LOWER(t.name) LIKE LOWER($${++paramCount})`);
-        contentConditions.push(`LOWER(ft.tag_name) LIKE LOWER($${++paramCount})`);
-        params.push(exactPattern, exactPattern);
-        
-        conditions.push(`(${contentConditions.join(' OR ')})`);
+        conditions.push(...this.compileSearchQuery(searchTerm, params));
+        paramCount = params.length;
       }
 
       // Tag filtering
@@ -364,18 +480,8 @@ class PostgresService {
         tagFilter.forEach(tag => {
           const trimmedTag = tag.trim();
           if (trimmedTag) {
-            const existsCondition = `
-              EXISTS (
-                SELECT 1 FROM image_tags it2 
-                JOIN tags t2 ON it2.tag_id = t2.id 
-                WHERE it2.image_id = i.id AND LOWER(t2.name) = LOWER($${++paramCount})
-              ) OR EXISTS (
-                SELECT 1 FROM focused_tags ft2 
-                WHERE ft2.image_id = i.id AND LOWER(ft2.tag_name) = LOWER($${++paramCount})
-              )
-            `;
-            conditions.push(`(${existsCondition})`);
-            params.push(trimmedTag, trimmedTag);
+            conditions.push(`(${this.compileTagTreeMatch(`$${++paramCount}`)})`);
+            params.push(trimmedTag);
           }
         });
       }
@@ -387,6 +493,7 @@ class PostgresService {
       const result = await this.query(query, params);
       return parseInt(result.rows[0]?.total || 0);
     } catch (error) {
+      if (error.code === 'INVALID_SEARCH_QUERY') throw error;
       console.error('❌ Error counting images:', error);
       return 0;
     }
@@ -396,65 +503,32 @@ class PostgresService {
     try {
       // Removed debug overhead for performance
       
+      const params = [];
+
+      // sortBy=relevance ranks by the free-text terms in the search box (upload date when there are none)
+      const relevance = sortBy === 'relevance' && searchTerm && searchTerm.trim()
+        ? this.compileSearchRank(searchTerm, params)
+        : null;
+
       // PERFORMANCE OPTIMIZED: Single query with STRING_AGG to avoid JSON parsing issues
       let query = `
         SELECT DISTINCT i.*, 
                STRING_AGG(DISTINCT t.name, ',') as tag_names,
-               COUNT(DISTINCT ft.id) as focused_tag_count
+               COUNT(DISTINCT ft.id) as focused_tag_count${relevance ? `,
+               ${relevance} as relevance` : ''}
         FROM images i
         LEFT JOIN image_tags it ON i.id = it.image_id
         LEFT JOIN tags t ON it.tag_id = t.id
         LEFT JOIN focused_tags ft ON i.id = ft.image_id
       `;
 
-      const params = [];
-      const conditions = [];
-      let paramCount = 0;
+      const conditions = ['i.deleted_at IS NULL']; // Trashed images only show up in the Trash view
+      let paramCount = params.length;
 
-      // Smart search in content (case-insensitive)
+      // Search box query language (see utils/searchQuery.js)
       if (searchTerm && searchTerm.trim()) {
-        const searchWords = searchTerm.trim().split(/\s+/);
-        const contentConditions = [];
-        
-        // Search for exact phrase in content (case-insensitive)
-        contentConditions.push(`LOWER(i.title) LIKE LOWER($${++paramCount})`);
-        contentConditions.push(`LOWER(i.description) LIKE LOWER($${++paramCount})`);
-        contentConditions.push(`LOWER(i.filename) LIKE LOWER($${++paramCount})`);
-        contentConditions.push(`LOWER(i.original_name) LIKE LOWER($${++paramCount})`);
-        const exactPattern = `%${searchTerm.trim()}%`;
-        params.push(exactPattern, exactPattern, exactPattern, exactPattern);
-        
-        // Search for individual words in content
-        searchWords.forEach(word => {
-          if (word.length > 2) {
-            contentConditions.push(`LOWER(i.title) LIKE LOWER($${++paramCount})`);
-            contentConditions.push(`LOWER(i.description) LIKE LOWER($${++paramCount})`);
-            contentConditions.push(`LOWER(i.filename) LIKE LOWER($${++paramCount})`);
-            contentConditions.push(`LOWER(i.original_name) LIKE LOWER($${++paramCount})`);
-            const wordPattern = `%${word}%`;
-            params.push(wordPattern, wordPattern, wordPattern, wordPattern);
-          }
-        });
-        
-        // Search in tags (both regular and focused, case-insensitive)
-        // Exact phrase in tags - ALWAYS include this
-        contentConditions.push(`LOWER(t.name) LIKE LOWER($${++paramCount})`);
-        contentConditions.push(`LOWER(ft.tag_name) LIKE LOWER($${++paramCount})`);
-        params.push(exactPattern, exactPattern);
-        
-        // Individual words in tags - include ALL words, not just length > 2
-        searchWords.forEach(word => {
-          if (word.length > 1) {
-            contentConditions.push(`LOWER(t.name) LIKE LOWER($${++paramCount})`);
-            contentConditions.push(`LOWER(ft.tag_name) LIKE LOWER($${++paramCount})`);
-            const wordPattern = `%${word}%`;
-            params.push(wordPattern, wordPattern);
-          }
-        });
-        
-        if (contentConditions.length > 0) {
-          conditions.push(`(${contentConditions.join(' OR ')})`);
-        }
+        conditions.push(...this.compileSearchQuery(searchTerm, params));
+        paramCount = params.length;
       }
 
       // Tag filter - CRITICAL FIX: Enforce ALL required tags (AND logic)
@@ -468,18 +542,8 @@ class PostgresService {
           
           validTags.forEach(tag => {
             const trimmedTag = tag.toString().trim();
-            const existsCondition = `
-              EXISTS (
-                SELECT 1 FROM image_tags it2 
-                JOIN tags t2 ON it2.tag_id = t2.id 
-                WHERE it2.image_id = i.id AND LOWER(t2.name) = LOWER($${++paramCount})
-              ) OR EXISTS (
-                SELECT 1 FROM focused_tags ft2 
-                WHERE ft2.image_id = i.id AND LOWER(ft2.tag_name) = LOWER($${++paramCount})
-              )
-            `;
-            conditions.push(`(${existsCondition})`);
-            params.push(trimmedTag, trimmedTag);
+            conditions.push(`(${this.compileTagTreeMatch(`$${++paramCount}`)})`);
+            params.push(trimmedTag);
           });
           
           // Removed debug logging for performance
@@ -496,8 +560,8 @@ class PostgresService {
       const sortDirection = sortOrder && sortOrder.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
 
       query += `
-        GROUP BY i.id, i.filename, i.upload_date, i.file_size, i.created_at, i.original_name, i.dropbox_path, i.dropbox_id, i.title, i.description, i.source_url, i.width, i.height, i.mime_type, i.file_hash, i.project_assignments, i.updated_at
-        ORDER BY i.${sortColumn} ${sortDirection}
+        GROUP BY i.id, i.filename, i.upload_date, i.file_size, i.created_at, i.original_name, i.dropbox_path, i.dropbox_id, i.title, i.description, i.source_url, i.width, i.height, i.mime_type, i.file_hash, i.updated_at
+        ORDER BY ${relevance ? `relevance ${sortDirection}, i.upload_date DESC` : `i.${sortColumn} ${sortDirection}`}
       `;
       
       // Add LIMIT and OFFSET for database-level pagination
@@ -518,6 +582,7 @@ class PostgresService {
       for (const image of images) {
         // Convert STRING_AGG result to array
         image.tags = image.tag_names ? image.tag_names.split(',').filter(tag => tag.trim()) : [];
+        delete image.search_vector; // only used for matching, no need to send it to the client
       }
       
       // Get all focused tags for all images in one query if we have images
@@ -558,6 +623,151 @@ class PostgresService {
     }
   }
 
+  /**
+   * Facet buckets for a search result set - how many of the given images each refinement would keep
+   * Every bucket carries the search term that applies it (see utils/searchQuery.js)
+   * @param {Array} imageIds - ids of the current results
+   * @returns {Object} { tags, projects, rooms, stages, sources, orientations, years }
+   */
+  async getSearchFacets(imageIds) {
+    const empty = { tags: [], projects: [], rooms: [], stages: [], sources: [], orientations: [], years: [] };
+    if (!imageIds || imageIds.length === 0) return empty;
+
+    const [tags, projects, rooms, stages, sources, orientations, years] = await Promise.all([
+      this.all(`
+        SELECT t.name AS value, COUNT(DISTINCT it.image_id) AS count
+        FROM image_tags it
+        JOIN tags t ON t.id = it.tag_id
+        WHERE it.image_id = ANY($1::int[])
+        GROUP BY t.name
+        ORDER BY count DESC, t.name
+        LIMIT $2
+      `, [imageIds, FACET_BUCKET_LIMIT]),
+      this.all(`
+        SELECT p.id AS value, p.name AS label, COUNT(DISTINCT ipa.image_id) AS count
+        FROM image_project_assignments ipa
+        JOIN projects p ON p.id = ipa.project_id
+        WHERE ipa.image_id = ANY($1::int[])
+        GROUP BY p.id, p.name
+        ORDER BY count DESC, p.name
+        LIMIT $2
+      `, [imageIds, FACET_BUCKET_LIMIT]),
+      this.all(`
+        SELECT r.name AS value, COUNT(DISTINCT ipa.image_id) AS count
+        FROM image_project_assignments ipa
+        JOIN rooms r ON r.id = ipa.room_id
+        WHERE ipa.image_id = ANY($1::int[])
+        GROUP BY r.name
+        ORDER BY count DESC, r.name
+        LIMIT $2
+      `, [imageIds, FACET_BUCKET_LIMIT]),
+      this.all(`
+        SELECT s.name AS value, COUNT(DISTINCT ipa.image_id) AS count
+        FROM image_project_assignments ipa
+        JOIN stages s ON s.id = ipa.stage_id
+        WHERE ipa.image_id = ANY($1::int[])
+        GROUP BY s.name
+        ORDER BY count DESC, s.name
+        LIMIT $2
+      `, [imageIds, FACET_BUCKET_LIMIT]),
+      this.all(`
+        SELECT domain AS value, COUNT(*) AS count
+        FROM (
+          SELECT LOWER(substring(source_url from '^(?:[a-zA-Z]+://)?(?:www\.)?([^/:?#]+)')) AS domain
+          FROM images
+          WHERE id = ANY($1::int[]) AND source_url IS NOT NULL AND source_url != ''
+        ) sources
+        WHERE domain IS NOT NULL
+        GROUP BY domain
+        ORDER BY count DESC, domain
+        LIMIT $2
+      `, [imageIds, FACET_BUCKET_LIMIT]),
+      this.all(`
+        SELECT CASE
+                 WHEN width > height THEN 'landscape'
+                 WHEN width < height THEN 'portrait'
+                 ELSE 'square'
+               END AS value,
+               COUNT(*) AS count
+        FROM images
+        WHERE id = ANY($1::int[]) AND width IS NOT NULL AND height IS NOT NULL
+        GROUP BY 1
+        ORDER BY count DESC
+      `, [imageIds]),
+      this.all(`
+        SELECT EXTRACT(YEAR FROM upload_date)::int AS value, COUNT(*) AS count
+        FROM images
+        WHERE id = ANY($1::int[])
+        GROUP BY 1
+        ORDER BY value DESC
+      `, [imageIds])
+    ]);
+
+    const toBuckets = (rows, field) => rows.map(row => ({
+      value: row.value,
+      label: row.label || String(row.value),
+      count: parseInt(row.count, 10),
+      query: formatSearchTerm(field, row.value)
+    }));
+
+    return {
+      tags: toBuckets(tags, 'tag'),
+      projects: toBuckets(projects, 'project'),
+      rooms: toBuckets(rooms, 'room'),
+      stages: toBuckets(stages, 'stage'),
+      sources: toBuckets(sources, 'source'),
+      orientations: toBuckets(orientations, 'orientation'),
+      // A year is "after the end of last year and before the start of next year"
+      years: years.map(row => ({
+        value: row.value,
+        label: String(row.value),
+        count: parseInt(row.count, 10),
+        query: `after:${row.value - 1} before:${row.value + 1}`
+      }))
+    };
+  }
+
+  /**
+   * Snippets showing where the free-text terms of a search matched each image (gallery card tooltips)
+   * @param {Array} imageIds - ids of the current results
+   * @param {string} searchTerm - Raw search box query
+   * @returns {Object} imageId -> [{ text, match }] segments; images without a highlighted match are left out
+   */
+  async getSearchHighlights(imageIds, searchTerm) {
+    if (!imageIds.length || !searchTerm || !searchTerm.trim()) return {};
+
+    const params = [imageIds];
+    const textClauses = parseSearchQuery(searchTerm).filter(clause => clause.field === 'text' && !clause.negated);
+    if (textClauses.length === 0) return {};
+
+    const tsquery = textClauses.map(clause => this.compileTextQuery(clause.value, params)).join(' && ');
+    const rows = await this.all(`
+      SELECT i.id, ts_headline(
+        'english',
+        concat_ws(' · ', i.title, i.name,
+          (SELECT string_agg(t.name, ', ') FROM image_tags it JOIN tags t ON t.id = it.tag_id WHERE it.image_id = i.id),
+          i.description, i.filename),
+        ${tsquery},
+        'StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=20, MinWords=5, MaxFragments=2, FragmentDelimiter=" … "'
+      ) AS highlight
+      FROM images i
+      WHERE i.id = ANY($1::int[])
+    `, params);
+
+    const highlights = {};
+    for (const row of rows) {
+      if (!row.highlight.includes(HIGHLIGHT_START)) continue;
+      // "a ⟦kitchen⟧ in wood" -> [{ text: 'a ', match: false }, { text: 'kitchen', match: true }, ...]
+      highlights[row.id] = row.highlight
+        .split(new RegExp(`(${HIGHLIGHT_START}[^${HIGHLIGHT_END}]*${HIGHLIGHT_END})`))
+        .filter(Boolean)
+        .map(part => part.startsWith(HIGHLIGHT_START)
+          ? { text: part.slice(1, -1), match: true }
+          : { text: part, match: false });
+    }
+    return highlights;
+  }
+
   async getFocusedTags(imageId) {
     return await this.all(`
       SELECT * FROM focused_tags 
@@ -566,6 +776,37 @@ class PostgresService {
     `, [imageId]);
   }
 
+  // Gallery rows (with tags, focused tags and project assignments) for a list of ids, in the order given
+  async getImagesByIds(imageIds) {
+    if (!imageIds || imageIds.length === 0) return [];
+
+    const rows = await this.all(`
+      SELECT i.*, STRING_AGG(DISTINCT t.name, ',') AS tag_names
+      FROM images i
+      LEFT JOIN image_tags it ON i.id = it.image_id
+      LEFT JOIN tags t ON it.tag_id = t.id
+      WHERE i.id = ANY($1::int[]) AND i.deleted_at IS NULL
+      GROUP BY i.id
+    `, [imageIds]);
+    const focusedTags = await this.all(`
+      SELECT image_id, tag_name, x_coordinate, y_coordinate, width, height
+      FROM focused_tags
+      WHERE image_id = ANY($1::int[])
+    `, [imageIds]);
+    const assignmentsByImage = await this.getProjectAssignmentsForImages(imageIds);
+
+    const imagesById = new Map(rows.map(({ search_vector, color_histogram, tag_names, ...image }) => [image.id, {
+      ...image,
+      tags: tag_names ? tag_names.split(',') : [],
+      focused_tags: focusedTags
+        .filter(focusedTag => focusedTag.image_id === image.id)
+        .map(({ image_id, ...focusedTag }) => focusedTag),
+      project_assignments: assignmentsByImage[image.id] || []
+    }]));
+
+    return imageIds.map(id => imagesById.get(id)).filter(Boolean);
+  }
+
   async getImageById(id) {
     try {
       console.log(`🗃️ PostgreSQL: Getting image by ID: ${id}`);
@@ -585,17 +826,8 @@ class PostgresService {
         console.log(`🗃️ PostgreSQL: Image data - filename: ${image.filename}, path: ${image.dropbox_path}`);
         image.tags = image.tag_names ? image.tag_names.split(',') : [];
         
-        // Parse project assignments
-        if (image.project_assignments) {
-          try {
-            image.project_assignments = JSON.parse(image.project_assignments);
-          } catch (e) {
-            console.warn('Failed to parse project_assignments:', e);
-            image.project_assignments = [];
-          }
-        } else {
-          image.project_assignments = [];
-        }
+        const assignmentsByImage = await this.getProjectAssignmentsForImages([image.id]);
+        image.project_assignments = assignmentsByImage[image.id] || [];
         
         console.log(`🗃️ PostgreSQL: Getting focused tags for image ${id}`);
         image.focused_tags = await this.getFocusedTags(id);
@@ -611,21 +843,283 @@ class PostgresService {
   }
 
   async getAllImages() {
-    return this.all('SELECT * FROM images ORDER BY created_at DESC');
+    return this.all('SELECT * FROM images WHERE deleted_at IS NULL ORDER BY created_at DESC');
   }
 
   async getAllTags() {
     // Get tags with actual usage counts from image_tags table
     return this.all(`
-      SELECT t.id, t.name, t.color, t.created_at,
+      SELECT t.id, t.name, t.color, t.created_at, t.parent_id, t.tag_type,
              COALESCE(COUNT(it.image_id), 0) as usage_count
       FROM tags t
       LEFT JOIN image_tags it ON t.id = it.tag_id
-      GROUP BY t.id, t.name, t.color, t.created_at
+        AND it.image_id IN (SELECT id FROM images WHERE deleted_at IS NULL)
+      GROUP BY t.id, t.name, t.color, t.created_at, t.parent_id, t.tag_type
       ORDER BY COALESCE(COUNT(it.image_id), 0) DESC, t.name ASC
     `);
   }
 
+  /**
+   * Canonical tag names for any aliases among the given names
+   * @param {string[]} tagNames - Names as typed; matched lowercased and trimmed
+   * @returns {Promise<Map<string, string>>} alias -> canonical tag name, only for names that are aliases
+   */
+  async getCanonicalTagNames(tagNames) {
+    const names = [...new Set((tagNames || []).filter(Boolean).map(name => name.toString().toLowerCase().trim()))];
+    if (names.length === 0) return new Map();
+
+    const rows = await this.all(`
+      SELECT ta.alias, t.name
+      FROM tag_aliases ta
+      JOIN tags t ON t.id = ta.tag_id
+      WHERE ta.alias = ANY($1)
+    `, [names]);
+    return new Map(rows.map(row => [row.alias, row.name]));
+  }
+
+  async getTagAliases() {
+    return this.all(`
+      SELECT ta.id, ta.alias, ta.tag_id, t.name AS tag_name, ta.created_at
+      FROM tag_aliases ta
+      JOIN tags t ON t.id = ta.tag_id
+      ORDER BY t.name, ta.alias
+    `);
+  }
+
+  /**
+   * Make an alias stand for a tag. The alias must not already be a tag - merge that tag instead.
+   * @throws {Error} code INVALID_TAG_ALIAS when the alias is empty, taken or itself a tag
+   */
+  async createTagAlias(tagId, alias, userId = null) {
+    const normalizedAlias = (alias || '').toLowerCase().trim();
+    if (!normalizedAlias) {
+      throw createTagAliasError('Alias is required');
+    }
+    if (normalizedAlias.includes(',')) {
+      throw createTagAliasError('Aliases cannot contain commas');
+    }
+
+    const tag = await this.get('SELECT id, name FROM tags WHERE id = $1', [tagId]);
+    if (!tag) {
+      throw createTagAliasError('Tag not found');
+    }
+
+    const existingTag = await this.get('SELECT id FROM tags WHERE LOWER(name) = $1', [normalizedAlias]);
+    if (existingTag) {
+      throw createTagAliasError(`"${normalizedAlias}" is already a tag - merge it into "${tag.name}" instead`);
+    }
+
+    const existingAlias = await this.get(`
+      SELECT t.name FROM tag_aliases ta JOIN tags t ON t.id = ta.tag_id WHERE ta.alias = $1
+    `, [normalizedAlias]);
+    if (existingAlias) {
+      throw createTagAliasError(`"${normalizedAlias}" is already an alias of "${existingAlias.name}"`);
+    }
+
+    const created = await this.get(`
+      INSERT INTO tag_aliases (alias, tag_id, created_by) VALUES ($1, $2, $3)
+      RETURNING id, alias, tag_id, created_at
+    `, [normalizedAlias, tag.id, userId]);
+    return { ...created, tag_name: tag.name };
+  }
+
+  async deleteTagAlias(id) {
+    return this.get('DELETE FROM tag_aliases WHERE id = $1 RETURNING id, alias, tag_id', [id]);
+  }
+
+  // Tag merges and renames kept for undo (TagHistoryService, migration 019)
+  async createTagOperation({ operation, tagId, summary, snapshot, imageIds = [], createdBy = null }, client = null) {
+    const { rows: [tagOperation] } = await (client || this).query(`
+      INSERT INTO tag_operations (operation, tag_id, summary, snapshot, image_ids, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [operation, tagId, summary, JSON.stringify(snapshot), imageIds, createdBy]);
+    return tagOperation;
+  }
+
+  async getTagOperations({ newerThanDays, limit = 50 }) {
+    return this.all(`
+      SELECT o.id, o.operation, o.tag_id, o.summary, o.image_ids, o.created_at, o.undone_at,
+             cu.email AS created_by_email, uu.email AS undone_by_email
+      FROM tag_operations o
+      LEFT JOIN users cu ON cu.id = o.created_by
+      LEFT JOIN users uu ON uu.id = o.undone_by
+      WHERE o.created_at > CURRENT_TIMESTAMP - ($1 || ' days')::INTERVAL
+      ORDER BY o.created_at DESC
+      LIMIT $2
+    `, [String(newerThanDays), limit]);
+  }
+
+  async getTagOperation(id) {
+    return this.get('SELECT * FROM tag_operations WHERE id = $1', [id]);
+  }
+
+  async deleteTagOperationsOlderThan(days) {
+    const result = await this.query(
+      `DELETE FROM tag_operations WHERE created_at < CURRENT_TIMESTAMP - ($1 || ' days')::INTERVAL`,
+      [String(days)]
+    );
+    return result.rowCount;
+  }
+
+  // Filename and path of images as they are now, for putting them back after an undo
+  async getImageFileSnapshots(imageIds, client = null) {
+    if (!imageIds || imageIds.length === 0) return [];
+    const { rows } = await (client || this).query('SELECT id, filename, dropbox_path FROM images WHERE id = ANY($1) ORDER BY id', [imageIds]);
+    return rows;
+  }
+
+  // Claim an operation for undoing inside a transaction; a second undo of it waits, then fails
+  async lockTagOperationForUndo(client, operationId) {
+    const { rows: [operation] } = await client.query('SELECT undone_at FROM tag_operations WHERE id = $1 FOR UPDATE', [operationId]);
+    if (!operation) throw createTagUndoConflict('Tag change not found');
+    if (operation.undone_at) throw createTagUndoConflict('This change has already been undone');
+  }
+
+  /**
+   * Bring back the source tag of a merge, with its images, child tags and aliases
+   * @throws {Error} code TAG_UNDO_CONFLICT when the tags have changed since in a way that can't be reversed
+   */
+  async undoTagMerge(operation, userId = null) {
+    const { source, target, sourceImageIds, movedImageIds, childTagIds, aliasIds, keptAlias } = operation.snapshot;
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this.lockTagOperationForUndo(client, operation.id);
+
+      const { rows: [currentTarget] } = await client.query('SELECT id, name FROM tags WHERE id = $1', [target.id]);
+      if (!currentTarget) {
+        throw createTagUndoConflict(`"${target.name}" has been deleted since the merge`);
+      }
+
+      if (keptAlias) {
+        await client.query('DELETE FROM tag_aliases WHERE alias = $1 AND tag_id = $2', [keptAlias, target.id]);
+      }
+      const { rows: [nameTaken] } = await client.query(`
+        SELECT name FROM tags WHERE LOWER(name) = LOWER($1)
+        UNION ALL
+        SELECT alias FROM tag_aliases WHERE alias = LOWER($1)
+      `, [source.name]);
+      if (nameTaken) {
+        throw createTagUndoConflict(`"${source.name}" has been reused as a tag or alias since the merge`);
+      }
+
+      await client.query(`
+        INSERT INTO tags (id, name, color, created_at, parent_id, tag_type)
+        VALUES ($1, $2, $3, $4, (SELECT id FROM tags WHERE id = $5), $6)
+      `, [source.id, source.name, source.color, source.created_at, source.parent_id, source.tag_type || 'free']);
+
+      await client.query(`
+        INSERT INTO image_tags (image_id, tag_id)
+        SELECT id, $2 FROM images WHERE id = ANY($1)
+        ON CONFLICT (image_id, tag_id) DO NOTHING
+      `, [sourceImageIds, source.id]);
+      // Images that only had the source tag got the target from the merge - take it off again
+      await client.query('DELETE FROM image_tags WHERE tag_id = $1 AND image_id = ANY($2)', [target.id, movedImageIds]);
+
+      await client.query('UPDATE tags SET parent_id = $1 WHERE id = ANY($2) AND parent_id = $3', [source.id, childTagIds, target.id]);
+      await client.query('UPDATE tag_aliases SET tag_id = $1 WHERE id = ANY($2) AND tag_id = $3', [source.id, aliasIds, target.id]);
+
+      await client.query('UPDATE tag_operations SET undone_at = CURRENT_TIMESTAMP, undone_by = $2 WHERE id = $1', [operation.id, userId]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Give a renamed tag its old name back (and the alias the rename used up, if any)
+   * @throws {Error} code TAG_UNDO_CONFLICT when the tag has changed since or the old name is taken
+   */
+  async undoTagRename(operation, userId = null) {
+    const { tagId, oldName, newName, removedAlias } = operation.snapshot;
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this.lockTagOperationForUndo(client, operation.id);
+
+      const { rows: [tag] } = await client.query('SELECT id, name FROM tags WHERE id = $1', [tagId]);
+      if (!tag) {
+        throw createTagUndoConflict(`"${newName}" has been deleted or merged since the rename`);
+      }
+      if (tag.name !== newName) {
+        throw createTagUndoConflict(`"${newName}" has been renamed again since, to "${tag.name}"`);
+      }
+
+      const { rows: [nameTaken] } = await client.query(`
+        SELECT name FROM tags WHERE LOWER(name) = LOWER($1) AND id <> $2
+        UNION ALL
+        SELECT alias FROM tag_aliases WHERE alias = LOWER($1) AND tag_id <> $2
+      `, [oldName, tagId]);
+      if (nameTaken) {
+        throw createTagUndoConflict(`"${oldName}" has been reused as a tag or alias since the rename`);
+      }
+
+      await client.query('DELETE FROM tag_aliases WHERE alias = $1 AND tag_id = $2', [oldName, tagId]);
+      await client.query('UPDATE tags SET name = $1 WHERE id = $2', [oldName, tagId]);
+      if (removedAlias) {
+        await client.query(`
+          INSERT INTO tag_aliases (alias, tag_id) VALUES ($1, $2)
+          ON CONFLICT (alias) DO NOTHING
+        `, [newName, tagId]);
+      }
+
+      await client.query('UPDATE tag_operations SET undone_at = CURRENT_TIMESTAMP, undone_by = $2 WHERE id = $1', [operation.id, userId]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Move a tag under another (parentId null makes it top-level) and/or change its type.
+   * Leaving either out keeps its current value.
+   * @throws {Error} code INVALID_TAG_HIERARCHY for unknown types, missing parents and cycles
+   */
+  async updateTagHierarchy(tagId, { parentId, tagType } = {}) {
+    if (tagType !== undefined && !TAG_TYPES.includes(tagType)) {
+      throw createTagHierarchyError(`Unknown tag type "${tagType}" - use one of ${TAG_TYPES.join(', ')}`);
+    }
+
+    if (parentId !== undefined && parentId !== null) {
+      if (Number(parentId) === Number(tagId)) {
+        throw createTagHierarchyError('A tag cannot be its own parent');
+      }
+
+      const parent = await this.get('SELECT id FROM tags WHERE id = $1', [parentId]);
+      if (!parent) {
+        throw createTagHierarchyError('Parent tag not found');
+      }
+
+      // The new parent must not already sit below the tag being moved
+      const cycle = await this.get(`
+        WITH RECURSIVE ancestors AS (
+          SELECT id, parent_id FROM tags WHERE id = $1
+          UNION
+          SELECT t.id, t.parent_id FROM tags t JOIN ancestors a ON t.id = a.parent_id
+        )
+        SELECT 1 FROM ancestors WHERE id = $2
+      `, [parentId, tagId]);
+      if (cycle) {
+        throw createTagHierarchyError('Cannot move a tag under one of its own children');
+      }
+    }
+
+    return this.get(`
+      UPDATE tags
+      SET parent_id = CASE WHEN $2 THEN $3::integer ELSE parent_id END,
+          tag_type = COALESCE($4, tag_type)
+      WHERE id = $1
+      RETURNING id, name, color, parent_id, tag_type
+    `, [tagId, parentId !== undefined, parentId === undefined ? null : parentId, tagType === undefined ? null : tagType]);
+  }
+
   async getImageSources() {
     const result = await this.all(`
       SELECT DISTINCT source_url 
@@ -644,6 +1138,7 @@ class PostgresService {
         AVG(file_size) as avg_file_size,
         SUM(file_size) as total_file_size
       FROM images
+      WHERE deleted_at IS NULL
     `);
     
     const tagStats = await this.get('SELECT COUNT(*) as total_tags FROM tags');
@@ -677,13 +1172,9 @@ class PostgresService {
         await this.saveFocusedTags(imageId, focusedTags, client);
       }
 
-      // Update project assignments if provided
-      if (projectAssignments !== null) {
-        const projectAssignmentsJson = JSON.stringify(projectAssignments);
-        await client.query(
-          'UPDATE images SET project_assignments = $1 WHERE id = $2',
-          [projectAssignmentsJson, imageId]
-        );
+      // Replace project assignments if provided
+      if (projectAssignments !== null && projectAssignments !== undefined) {
+        await this.setImageProjectAssignments(imageId, projectAssignments, client);
       }
 
       await client.query('COMMIT');
@@ -696,6 +1187,69 @@ class PostgresService {
     }
   }
 
+  // Project assignment methods
+  async getProjectAssignmentsForImages(imageIds) {
+    if (!imageIds || imageIds.length === 0) return {};
+
+    const result = await this.query(`
+      SELECT ipa.id, ipa.image_id, ipa.project_id, p.name AS project_name,
+             ipa.room_id, r.name AS room_name, ipa.stage_id, s.name AS stage_name
+      FROM image_project_assignments ipa
+      JOIN projects p ON p.id = ipa.project_id
+      LEFT JOIN rooms r ON r.id = ipa.room_id
+      LEFT JOIN stages s ON s.id = ipa.stage_id
+      WHERE ipa.image_id = ANY($1)
+      ORDER BY ipa.created_at ASC, ipa.id ASC
+    `, [imageIds]);
+
+    const assignmentsByImage = {};
+    for (const row of result.rows) {
+      if (!assignmentsByImage[row.image_id]) {
+        assignmentsByImage[row.image_id] = [];
+      }
+      assignmentsByImage[row.image_id].push({
+        id: row.id,
+        projectId: row.project_id,
+        projectName: row.project_name,
+        roomId: row.room_id,
+        room: row.room_name,
+        stageId: row.stage_id,
+        stage: row.stage_name
+      });
+    }
+    return assignmentsByImage;
+  }
+
+  async setImageProjectAssignments(imageId, assignments, client = null) {
+    const useClient = client || await this.pool.connect();
+
+    try {
+      await useClient.query('DELETE FROM image_project_assignments WHERE image_id = $1', [imageId]);
+
+      for (const assignment of assignments || []) {
+        if (!assignment.projectId) continue;
+
+        await useClient.query(`
+          INSERT INTO image_project_assignments (image_id, project_id, room_id, stage_id)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT DO NOTHING
+        `, [imageId, assignment.projectId, assignment.roomId || null, assignment.stageId || null]);
+      }
+    } finally {
+      if (!client) useClient.release();
+    }
+  }
+
+  // Add one assignment to many images, keeping their existing assignments
+  async addProjectAssignmentToImages(imageIds, { projectId, roomId = null, stageId = null }) {
+    const result = await this.query(`
+      INSERT INTO image_project_assignments (image_id, project_id, room_id, stage_id)
+      SELECT id, $2, $3, $4 FROM images WHERE id = ANY($1::int[])
+      ON CONFLICT DO NOTHING
+    `, [imageIds, projectId, roomId || null, stageId || null]);
+    return result.rowCount;
+  }
+
   async updateImageSource(imageId, sourceUrl) {
     await this.query('UPDATE images SET source_url = $1 WHERE id = $2', [sourceUrl, imageId]);
   }
@@ -704,6 +1258,45 @@ class PostgresService {
     await this.query('DELETE FROM images WHERE id = $1', [id]);
   }
 
+  // Trash methods (soft delete - see services/trashService.js)
+  async markImageTrashed(id, { trashPath, userId }) {
+    return this.get(`
+      UPDATE images
+      SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, trashed_from_path = dropbox_path,
+          dropbox_path = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `, [id, userId || null, trashPath]);
+  }
+
+  async markImageRestored(id) {
+    return this.get(`
+      UPDATE images
+      SET deleted_at = NULL, deleted_by = NULL, dropbox_path = COALESCE(trashed_from_path, dropbox_path),
+          trashed_from_path = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND deleted_at IS NOT NULL
+      RETURNING *
+    `, [id]);
+  }
+
+  async getTrashedImages() {
+    return this.all(`
+      SELECT i.id, i.filename, i.title, i.dropbox_path, i.trashed_from_path, i.file_size,
+             i.deleted_at, u.email AS deleted_by_email
+      FROM images i
+      LEFT JOIN users u ON u.id = i.deleted_by
+      WHERE i.deleted_at IS NOT NULL
+      ORDER BY i.deleted_at DESC
+    `);
+  }
+
+  async getTrashedImagesOlderThan(days) {
+    return this.all(`
+      SELECT id, filename, dropbox_path FROM images
+      WHERE deleted_at IS NOT NULL AND deleted_at < CURRENT_TIMESTAMP - ($1 || ' days')::INTERVAL
+    `, [String(days)]);
+  }
+
   // Duplicate detection methods
   async checkDuplicateByUrl(sourceUrl) {
     if (!sourceUrl) return null;
@@ -711,7 +1304,7 @@ class PostgresService {
     return await this.get(`
       SELECT id, filename, original_name, created_at, dropbox_path, source_url
       FROM images 
-      WHERE source_url = $1
+      WHERE source_url = $1 AND deleted_at IS NULL
       ORDER BY created_at DESC
       LIMIT 1
     `, [sourceUrl]);
@@ -734,7 +1327,7 @@ class PostgresService {
       FROM images i
       LEFT JOIN image_tags it ON i.id = it.image_id  
       LEFT JOIN tags t ON it.tag_id = t.id
-      WHERE i.source_url = $1
+      WHERE i.source_url = $1 AND i.deleted_at IS NULL
       GROUP BY i.id, i.filename, i.original_name, i.created_at, i.dropbox_path, i.source_url
       ORDER BY i.created_at DESC
       LIMIT 1
@@ -762,15 +1355,660 @@ class PostgresService {
     return await this.get(`
       SELECT id, filename, original_name, created_at, dropbox_path
       FROM images 
-      WHERE file_hash = $1
+      WHERE file_hash = $1 AND deleted_at IS NULL
       ORDER BY created_at DESC
       LIMIT 1
     `, [fileHash]);
   }
 
+  // Image signature methods (visual duplicate detection and "find similar")
+  async getPerceptualHashes() {
+    return this.all('SELECT id, perceptual_hash FROM images WHERE perceptual_hash IS NOT NULL');
+  }
+
+  async saveImageSignature(imageId, { perceptualHash, differenceHash, colorHistogram }) {
+    await this.query(`
+      UPDATE images SET perceptual_hash = $1, difference_hash = $2, color_histogram = $3
+      WHERE id = $4
+    `, [perceptualHash, differenceHash, colorHistogram, imageId]);
+  }
+
+  async getImagesMissingSignature() {
+    return this.all(`
+      SELECT id, filename, dropbox_path FROM images
+      WHERE (perceptual_hash IS NULL OR difference_hash IS NULL OR color_histogram IS NULL) AND deleted_at IS NULL
+      ORDER BY id ASC
+    `);
+  }
+
+  // Every complete signature, for ranking by similarity
+  async getImageSignatures() {
+    return this.all(`
+      SELECT id, perceptual_hash, difference_hash, color_histogram FROM images
+      WHERE perceptual_hash IS NOT NULL AND difference_hash IS NOT NULL AND color_histogram IS NOT NULL
+        AND deleted_at IS NULL
+    `);
+  }
+
+  // Colour palette methods (search by colour)
+  async saveColorPalette(imageId, colorPalette) {
+    await this.query('UPDATE images SET color_palette = $1 WHERE id = $2', [JSON.stringify(colorPalette), imageId]);
+  }
+
+  async getImagesMissingColorPalette() {
+    return this.all(`
+      SELECT id, filename, dropbox_path FROM images
+      WHERE color_palette IS NULL AND deleted_at IS NULL
+      ORDER BY id ASC
+    `);
+  }
+
+  // Summary rows for reporting visual matches - trashed images are never reported
+  async getImagesForSimilarityReport(imageIds) {
+    return this.all(`
+      SELECT id, filename, original_name, name, title, dropbox_path, created_at
+      FROM images
+      WHERE id = ANY($1::int[]) AND deleted_at IS NULL
+    `, [imageIds]);
+  }
+
+  // Storage sync methods
+  async getSyncCursor(key) {
+    const row = await this.get('SELECT cursor FROM sync_state WHERE key = $1', [key]);
+    return row ? row.cursor : null;
+  }
+
+  async saveSyncCursor(key, cursor) {
+    await this.query(`
+      INSERT INTO sync_state (key, cursor, last_synced_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (key) DO UPDATE SET cursor = EXCLUDED.cursor, last_synced_at = CURRENT_TIMESTAMP
+    `, [key, cursor]);
+  }
+
+  async findImageByDropboxId(dropboxId) {
+    if (!dropboxId) return null;
+    return this.get('SELECT * FROM images WHERE dropbox_id = $1 LIMIT 1', [dropboxId]);
+  }
+
+  async findImageByPath(dropboxPath) {
+    if (!dropboxPath) return null;
+    return this.get('SELECT * FROM images WHERE LOWER(dropbox_path) = LOWER($1) LIMIT 1', [dropboxPath]);
+  }
+
+  // Only rows without a Dropbox id can be matched by content - rows with an id that
+  // differs from the file are genuine copies, not moves
+  async findUnlinkedImageByContentHash(contentHash, excludeIds = []) {
+    if (!contentHash) return null;
+    return this.get(`
+      SELECT * FROM images
+      WHERE content_hash = $1 AND dropbox_id IS NULL AND NOT (id = ANY($2::int[]))
+      ORDER BY created_at ASC
+      LIMIT 1
+    `, [contentHash, excludeIds]);
+  }
+
+  async findImagesUnderPath(dropboxPath) {
+    return this.all(`
+      SELECT id, filename, dropbox_path FROM images
+      WHERE LOWER(dropbox_path) = LOWER($1) OR LOWER(dropbox_path) LIKE LOWER($2)
+    `, [dropboxPath, dropboxPath.replace(/[\\%_]/g, '\\$&') + '/%']);
+  }
+
+  async updateImageLocation(imageId, { dropbox_path, filename, dropbox_id, content_hash, file_size }) {
+    await this.query(`
+      UPDATE images
+      SET dropbox_path = $1, filename = $2, dropbox_id = COALESCE($3, dropbox_id),
+          content_hash = COALESCE($4, content_hash), file_size = COALESCE($5, file_size),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+    `, [dropbox_path, filename, dropbox_id || null, content_hash || null, file_size || null, imageId]);
+  }
+
+  // User and session methods
+  async getUserCount() {
+    const row = await this.get('SELECT COUNT(*) AS count FROM users');
+    return parseInt(row.count, 10);
+  }
+
+  async getAllUsers() {
+    return this.all('SELECT id, email, name, role, created_at, last_login_at FROM users ORDER BY email');
+  }
+
+  async getUserById(id) {
+    return this.get('SELECT id, email, name, role, created_at, last_login_at FROM users WHERE id = $1', [id]);
+  }
+
+  // Includes password_hash - only for checking credentials
+  async getUserByEmail(email) {
+    return this.get('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+  }
+
+  async createUser({ email, name, passwordHash, role }) {
+    return this.get(`
+      INSERT INTO users (email, name, password_hash, role)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, email, name, role, created_at, last_login_at
+    `, [email.trim().toLowerCase(), name || null, passwordHash, role]);
+  }
+
+  async updateUser(id, { name, role, passwordHash }) {
+    return this.get(`
+      UPDATE users
+      SET name = COALESCE($1, name), role = COALESCE($2, role), password_hash = COALESCE($3, password_hash)
+      WHERE id = $4
+      RETURNING id, email, name, role, created_at, last_login_at
+    `, [name === undefined ? null : name, role || null, passwordHash || null, id]);
+  }
+
+  async deleteUser(id) {
+    return this.query('DELETE FROM users WHERE id = $1', [id]);
+  }
+
+  async countAdmins() {
+    const row = await this.get("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'");
+    return parseInt(row.count, 10);
+  }
+
+  async createSession(tokenHash, userId, expiresAt) {
+    await this.query('INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)', [tokenHash, userId, expiresAt]);
+    await this.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [userId]);
+  }
+
+  async getSessionUser(tokenHash) {
+    return this.get(`
+      SELECT u.id, u.email, u.name, u.role
+      FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP
+    `, [tokenHash]);
+  }
+
+  async deleteSession(tokenHash) {
+    return this.query('DELETE FROM sessions WHERE token_hash = $1', [tokenHash]);
+  }
+
+  async deleteUserSessions(userId) {
+    return this.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+  }
+
+  async deleteExpiredSessions() {
+    const result = await this.query('DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
+
+  async createApiToken(userId, name, tokenHash, tokenPrefix) {
+    return this.get(`
+      INSERT INTO api_tokens (user_id, name, token_hash, token_prefix)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, name, token_prefix, created_at, last_used_at, revoked_at
+    `, [userId, name, tokenHash, tokenPrefix]);
+  }
+
+  async getApiTokensForUser(userId) {
+    return this.all(`
+      SELECT id, name, token_prefix, created_at, last_used_at, revoked_at
+      FROM api_tokens
+      WHERE user_id = $1
+      ORDER BY revoked_at IS NOT NULL, created_at DESC
+    `, [userId]);
+  }
+
+  async revokeApiToken(tokenId, userId) {
+    const result = await this.query(`
+      UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    `, [tokenId, userId]);
+    return result.rowCount > 0;
+  }
+
+  // Look up the owner of an active token and record that it was used
+  async getApiTokenUser(tokenHash) {
+    return this.get(`
+      WITH used AS (
+        UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1 AND revoked_at IS NULL
+        RETURNING id, user_id
+      )
+      SELECT u.id, u.email, u.name, u.role, used.id AS api_token_id
+      FROM used
+      JOIN users u ON u.id = used.user_id
+    `, [tokenHash]);
+  }
+
+  // Audit log methods
+  async insertAuditEntry({ userId, userEmail, action, entityType, entityId, imageId, before, after, route }) {
+    await this.query(`
+      INSERT INTO audit_log (user_id, user_email, action, entity_type, entity_id, image_id, before, after, route)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      userId || null,
+      userEmail || null,
+      action,
+      entityType,
+      entityId === undefined || entityId === null ? null : String(entityId),
+      imageId || null,
+      before === undefined ? null : JSON.stringify(before),
+      after === undefined ? null : JSON.stringify(after),
+      route || null
+    ]);
+  }
+
+  async getImageAuditHistory(imageId, limit = 100) {
+    return this.all(`
+      SELECT id, user_id, user_email, action, entity_type, entity_id, before, after, route, created_at
+      FROM audit_log
+      WHERE image_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `, [imageId, limit]);
+  }
+
+  async searchAuditLog({ userId, action, from, to, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+    if (action) {
+      // "tag" matches tag.create, tag.merge, ...
+      params.push(action.includes('.') ? action : `${action}.%`);
+      conditions.push(`action ${action.includes('.') ? '=' : 'LIKE'} $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`created_at < $${params.length}::date + INTERVAL '1 day'`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countRow = await this.get(`SELECT COUNT(*) AS total FROM audit_log ${whereClause}`, params);
+
+    params.push(limit, offset);
+    const entries = await this.all(`
+      SELECT id, user_id, user_email, action, entity_type, entity_id, image_id, before, after, route, created_at
+      FROM audit_log
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return { entries, total: parseInt(countRow.total, 10) };
+  }
+
+  async getAuditActions() {
+    const rows = await this.all('SELECT DISTINCT action FROM audit_log ORDER BY action');
+    return rows.map(row => row.action);
+  }
+
+  // Job queue methods (see services/batchProcessingService.js)
+  async createJob({ type, payload, maxAttempts, createdBy, route }) {
+    return this.get(`
+      INSERT INTO jobs (type, payload, max_attempts, created_by, route)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [type, JSON.stringify(payload || {}), maxAttempts, createdBy || null, route || null]);
+  }
+
+  // Take the oldest queued job that is due; SKIP LOCKED so two workers never claim the same one
+  async claimNextJob() {
+    return this.get(`
+      UPDATE jobs
+      SET status = 'running', attempts = attempts + 1, error = NULL,
+          started_at = COALESCE(started_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = 'queued' AND run_after <= CURRENT_TIMESTAMP
+        ORDER BY run_after, id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `);
+  }
+
+  // Jobs left running by a process that exited; the attempt it was on doesn't count
+  async requeueInterruptedJobs() {
+    const rows = await this.all(`
+      UPDATE jobs
+      SET status = 'queued', attempts = GREATEST(attempts - 1, 0), current_item = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'running'
+      RETURNING id
+    `);
+    return rows.map(row => row.id);
+  }
+
+  async getJob(id) {
+    return this.get(`
+      SELECT j.*, u.email AS created_by_email
+      FROM jobs j
+      LEFT JOIN users u ON u.id = j.created_by
+      WHERE j.id = $1
+    `, [id]);
+  }
+
+  // operation narrows 'maintenance' jobs to one task
+  async listJobs({ status, type, operation, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`j.status = $${params.length}`);
+    }
+    if (type) {
+      params.push(type);
+      conditions.push(`j.type = $${params.length}`);
+    }
+    if (operation) {
+      params.push(operation);
+      conditions.push(`j.payload->>'operation' = $${params.length}`);
+    }
+
+    params.push(limit);
+    return this.all(`
+      SELECT j.*, u.email AS created_by_email
+      FROM jobs j
+      LEFT JOIN users u ON u.id = j.created_by
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY j.created_at DESC, j.id DESC
+      LIMIT $${params.length}
+    `, params);
+  }
+
+  // Record the job's work list; items are stored in order with positions from 0
+  async saveJobItems(jobId, items) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM job_items WHERE job_id = $1', [jobId]);
+      await client.query(`
+        INSERT INTO job_items (job_id, position, item)
+        SELECT $1, ordinality - 1, value FROM jsonb_array_elements($2::jsonb) WITH ORDINALITY
+      `, [jobId, JSON.stringify(items)]);
+      await client.query(`
+        UPDATE jobs SET total = $2, completed = 0, failed = 0, skipped = 0, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [jobId, items.length]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getPendingJobItems(jobId) {
+    return this.all(`
+      SELECT position, item, attempts FROM job_items
+      WHERE job_id = $1 AND status = 'pending'
+      ORDER BY position
+    `, [jobId]);
+  }
+
+  async getJobItems(jobId, { status, limit = 100 } = {}) {
+    const params = [jobId, limit];
+    if (status) params.push(status);
+
+    return this.all(`
+      SELECT position, item, status, attempts, error, result, updated_at FROM job_items
+      WHERE job_id = $1 ${status ? 'AND status = $3' : ''}
+      ORDER BY position
+      LIMIT $2
+    `, params);
+  }
+
+  // Record one item's outcome and bump the matching counter on the job in the same statement
+  async finishJobItem(jobId, position, { status, attempts, error = null, result = null }) {
+    const counter = { succeeded: 'completed', failed: 'failed', skipped: 'skipped' }[status];
+    await this.query(`
+      WITH item AS (
+        UPDATE job_items
+        SET status = $3, attempts = $4, error = $5, result = $6, updated_at = CURRENT_TIMESTAMP
+        WHERE job_id = $1 AND position = $2 AND status = 'pending'
+        RETURNING job_id
+      )
+      UPDATE jobs SET ${counter} = ${counter} + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (SELECT job_id FROM item)
+    `, [jobId, position, status, attempts, error, result === null ? null : JSON.stringify(result)]);
+  }
+
+  async setJobCurrentItem(jobId, currentItem) {
+    await this.query('UPDATE jobs SET current_item = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [jobId, currentItem]);
+  }
+
+  async isJobCancelRequested(jobId) {
+    const row = await this.get('SELECT cancel_requested FROM jobs WHERE id = $1', [jobId]);
+    return !row || row.cancel_requested;
+  }
+
+  /**
+   * Move a job to a new status
+   * @param {Object} changes - { status, error, result, runAfter } - finished states also set finished_at
+   */
+  async updateJobStatus(jobId, { status, error = null, result, runAfter = null }) {
+    const finished = ['succeeded', 'failed', 'cancelled'].includes(status);
+    return this.get(`
+      UPDATE jobs
+      SET status = $2, error = $3, result = COALESCE($4, result), run_after = COALESCE($5, run_after),
+          current_item = NULL, finished_at = ${finished ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [jobId, status, error, result === undefined ? null : JSON.stringify(result), runAfter]);
+  }
+
+  // Queued jobs are cancelled straight away; running ones stop before their next item
+  async requestJobCancel(jobId) {
+    return this.get(`
+      UPDATE jobs
+      SET cancel_requested = TRUE,
+          status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+          finished_at = CASE WHEN status = 'queued' THEN CURRENT_TIMESTAMP ELSE finished_at END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('queued', 'running')
+      RETURNING *
+    `, [jobId]);
+  }
+
+  // Queue a failed or cancelled job again; with retryFailedItems its failed items are retried too
+  async requeueJob(jobId, { retryFailedItems = true } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const job = await client.query(`
+        UPDATE jobs
+        SET status = 'queued', attempts = 0, cancel_requested = FALSE, error = NULL,
+            run_after = CURRENT_TIMESTAMP, finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status IN ('failed', 'cancelled')
+        RETURNING id
+      `, [jobId]);
+
+      if (job.rows.length > 0 && retryFailedItems) {
+        const reset = await client.query(`
+          UPDATE job_items SET status = 'pending', attempts = 0, error = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE job_id = $1 AND status = 'failed'
+        `, [jobId]);
+        await client.query('UPDATE jobs SET failed = failed - $2 WHERE id = $1', [jobId, reset.rowCount]);
+      }
+
+      await client.query('COMMIT');
+      return job.rows.length > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteFinishedJobsBefore(cutoff) {
+    const result = await this.query(`
+      DELETE FROM jobs WHERE status IN ('succeeded', 'failed', 'cancelled') AND finished_at < $1
+    `, [cutoff]);
+    return result.rowCount;
+  }
+
+  // Folder-routing rules (FolderPathService), in the order they are tried
+  async getFolderRules() {
+    const rows = await this.all(`
+      SELECT id, name, match_all, match_any, match_none, categories, category_order, folder_template, enabled
+      FROM folder_rules
+      ORDER BY position, id
+    `);
+    return rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      all: row.match_all,
+      any: row.match_any,
+      none: row.match_none,
+      categories: row.categories,
+      categoryOrder: row.category_order,
+      folder: row.folder_template,
+      enabled: row.enabled
+    }));
+  }
+
+  // Replace the whole rule list - rules are edited and reordered together, so they are saved together
+  async replaceFolderRules(rules, userId = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM folder_rules');
+      for (const [position, rule] of rules.entries()) {
+        await client.query(`
+          INSERT INTO folder_rules (position, name, match_all, match_any, match_none, categories, category_order, folder_template, enabled, updated_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `, [position, rule.name, rule.all, rule.any, rule.none, rule.categories, rule.categoryOrder, rule.folder, rule.enabled, userId]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Auto-tagging rules (AutoTagService), in the order they run
+  async getAutoTagRules() {
+    const rows = await this.all(`
+      SELECT id, name, source_domains, filename_pattern, min_width, min_height, min_aspect_ratio, max_aspect_ratio,
+        match_all, match_any, match_none, project_ids, add_tags, remove_tags, enabled
+      FROM auto_tag_rules
+      ORDER BY position, id
+    `);
+    return rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      domains: row.source_domains,
+      filenamePattern: row.filename_pattern,
+      minWidth: row.min_width,
+      minHeight: row.min_height,
+      minAspectRatio: row.min_aspect_ratio,
+      maxAspectRatio: row.max_aspect_ratio,
+      all: row.match_all,
+      any: row.match_any,
+      none: row.match_none,
+      projects: row.project_ids,
+      add: row.add_tags,
+      remove: row.remove_tags,
+      enabled: row.enabled
+    }));
+  }
+
+  // Replace the whole rule list, like replaceFolderRules - order matters, so they are saved together
+  async replaceAutoTagRules(rules, userId = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM auto_tag_rules');
+      for (const [position, rule] of rules.entries()) {
+        await client.query(`
+          INSERT INTO auto_tag_rules (
+            position, name, source_domains, filename_pattern, min_width, min_height, min_aspect_ratio, max_aspect_ratio,
+            match_all, match_any, match_none, project_ids, add_tags, remove_tags, enabled, updated_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        `, [position, rule.name, rule.domains, rule.filenamePattern, rule.minWidth, rule.minHeight, rule.minAspectRatio,
+          rule.maxAspectRatio, rule.all, rule.any, rule.none, rule.projects, rule.add, rule.remove, rule.enabled, userId]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Filename templates (FilenameGeneratorService) - one is active at a time
+  async getFilenameTemplates() {
+    return this.all(`
+      SELECT t.id, t.name, t.template, t.is_active, t.created_at, t.updated_at, u.email AS created_by_email
+      FROM filename_templates t
+      LEFT JOIN users u ON u.id = t.created_by
+      ORDER BY t.is_active DESC, t.name, t.id
+    `);
+  }
+
+  async getFilenameTemplate(id) {
+    return this.get('SELECT * FROM filename_templates WHERE id = $1', [id]);
+  }
+
+  async getActiveFilenameTemplate() {
+    return this.get('SELECT * FROM filename_templates WHERE is_active');
+  }
+
+  async createFilenameTemplate({ name, template, createdBy = null }) {
+    return this.get(`
+      INSERT INTO filename_templates (name, template, created_by)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [name, template, createdBy]);
+  }
+
+  async updateFilenameTemplate(id, { name, template }) {
+    return this.get(`
+      UPDATE filename_templates
+      SET name = $1, template = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `, [name, template, id]);
+  }
+
+  async activateFilenameTemplate(id) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('UPDATE filename_templates SET is_active = FALSE WHERE is_active AND id <> $1', [id]);
+      const result = await client.query(`
+        UPDATE filename_templates SET is_active = TRUE, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [id]);
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteFilenameTemplate(id) {
+    await this.query('DELETE FROM filename_templates WHERE id = $1 AND NOT is_active', [id]);
+  }
+
   // Stages and Rooms Management
   async getAllStages() {
-    // PERFORMANCE: Calculate actual usage from project assignments instead of static usage_count
+    // Usage is the number of distinct images assigned to each stage
     const result = await this.query(`
       SELECT 
         s.id, 
@@ -778,14 +2016,9 @@ class PostgresService {
         s.description, 
         s.order_index, 
         s.created_at,
-        COUNT(CASE 
-          WHEN i.project_assignments IS NOT NULL 
-          AND i.project_assignments != '' 
-          AND i.project_assignments ILIKE '%"stage":"' || s.name || '"%' 
-          THEN 1 
-        END) as usage_count
+        COUNT(DISTINCT ipa.image_id) as usage_count
       FROM stages s
-      LEFT JOIN images i ON i.project_assignments ILIKE '%"stage":"' || s.name || '"%'
+      LEFT JOIN image_project_assignments ipa ON ipa.stage_id = s.id
       GROUP BY s.id, s.name, s.description, s.order_index, s.created_at
       ORDER BY s.order_index ASC, s.name ASC
     `);
@@ -817,7 +2050,7 @@ class PostgresService {
   }
 
   async getAllRooms() {
-    // PERFORMANCE: Calculate actual usage from project assignments instead of static usage_count
+    // Usage is the number of distinct images assigned to each room
     const result = await this.query(`
       SELECT 
         r.id, 
@@ -826,14 +2059,9 @@ class PostgresService {
         r.category, 
         r.order_index, 
         r.created_at,
-        COUNT(CASE 
-          WHEN i.project_assignments IS NOT NULL 
-          AND i.project_assignments != '' 
-          AND i.project_assignments ILIKE '%"room":"' || r.name || '"%' 
-          THEN 1 
-        END) as usage_count
+        COUNT(DISTINCT ipa.image_id) as usage_count
       FROM rooms r
-      LEFT JOIN images i ON i.project_assignments ILIKE '%"room":"' || r.name || '"%'
+      LEFT JOIN image_project_assignments ipa ON ipa.room_id = r.id
       GROUP BY r.id, r.name, r.description, r.category, r.order_index, r.created_at
       ORDER BY r.order_index ASC, r.name ASC
     `);
@@ -871,19 +2099,6 @@ class PostgresService {
     return result.rows || result; // Return just the rows array
   }
 
-  // Add thumbnail_image_id column if it doesn't exist
-  async addThumbnailColumn() {
-    try {
-      await this.query(`
-        ALTER TABLE projects 
-        ADD COLUMN IF NOT EXISTS thumbnail_image_id INTEGER REFERENCES images(id)
-      `);
-      console.log('✅ Added thumbnail_image_id column to projects table');
-    } catch (error) {
-      console.error('❌ Error adding thumbnail column:', error);
-    }
-  }
-
   // Set project thumbnail
   async setProjectThumbnail(projectId, imageId) {
     const query = 'UPDATE projects SET thumbnail_image_id = $1 WHERE id = $2';
@@ -893,126 +2108,91 @@ class PostgresService {
   // Project assignments search method
   async searchImagesWithProjectAssignments(searchFilters) {
     try {
-      console.log('🔍 searchImagesWithProjectAssignments called with:', JSON.stringify(searchFilters, null, 2));
-      const { projectAssignment, tags, searchTerm } = searchFilters;
+      const { projectAssignment, tags, searchTerm, sortBy = 'upload_date', sortOrder = 'desc' } = searchFilters;
       
+      const params = [];
+      const relevance = sortBy === 'relevance' && searchTerm && searchTerm.trim()
+        ? this.compileSearchRank(searchTerm, params)
+        : null;
+
       let query = `
-        SELECT DISTINCT i.*, 
-               COALESCE(string_agg(DISTINCT t.name, ',' ORDER BY t.name), '') as tags,
-               COALESCE(json_agg(DISTINCT jsonb_build_object(
-                 'tag_name', ft.tag_name,
-                 'x_coordinate', ft.x_coordinate,
-                 'y_coordinate', ft.y_coordinate,
-                 'width', ft.width,
-                 'height', ft.height
-               )) FILTER (WHERE ft.tag_name IS NOT NULL), '[]') as focused_tags
+        SELECT i.*, 
+               COALESCE(string_agg(DISTINCT t.name, ',' ORDER BY t.name), '') as tag_names
         FROM images i
         LEFT JOIN image_tags it ON i.id = it.image_id
         LEFT JOIN tags t ON it.tag_id = t.id
-        LEFT JOIN focused_tags ft ON i.id = ft.image_id
-        WHERE 1=1
       `;
       
-      const params = [];
-      let paramCount = 0;
+      const conditions = ['i.deleted_at IS NULL']; // Trashed images only show up in the Trash view
+      let paramCount = params.length;
       
-      // Filter by project assignments if specified
-      if (projectAssignment) {
-        console.log('🔍 Processing project assignment filter:', projectAssignment);
-        const { projectId, room, stage } = projectAssignment;
-        
-        // Convert projectId to actual project name for matching
-        let projectName = projectId;
-        if (projectId === 'de-witt') {
-          projectName = 'de witt st';
-        } else if (projectId === 'light-house') {
-          projectName = 'light house';
-        }
-        console.log(`🔍 Mapped projectId "${projectId}" to projectName "${projectName}"`);
-        
-        // First, check if there are any images with project_assignments at all
-        const testQuery = `SELECT COUNT(*) as total, 
-                                  COUNT(CASE WHEN project_assignments IS NOT NULL AND project_assignments != '' THEN 1 END) as with_assignments
-                           FROM images`;
-        const testResult = await this.query(testQuery);
-        console.log(`📊 Database stats: ${testResult.rows[0].total} total images, ${testResult.rows[0].with_assignments} with project assignments`);
-        
-        // Sample some project assignments to see the data structure
-        const sampleQuery = `SELECT id, filename, project_assignments FROM images 
-                             WHERE project_assignments IS NOT NULL AND project_assignments != '' 
-                             LIMIT 3`;
-        const sampleResult = await this.query(sampleQuery);
-        console.log(`📊 Sample project assignments:`, sampleResult.rows);
-        
-        // Build a more flexible search for project assignments
-        let assignmentConditions = [];
-        
-        // Must contain the project (using simple string search)
-        paramCount++;
-        assignmentConditions.push(`COALESCE(i.project_assignments, '') ILIKE $${paramCount}`);
-        const searchPattern = `%"projectId":"${projectId}"%`;
-        params.push(searchPattern);
-        
-        console.log(`🔍 Searching for project assignment containing: ${searchPattern}`);
-        
-        // If room is specified, must also contain that room
-        if (room) {
-          paramCount++;
-          assignmentConditions.push(`COALESCE(i.project_assignments, '') ILIKE $${paramCount}`);
-          params.push(`%"room":"${room}"%`);
+      // Exact, indexed match on project (and optionally room/stage)
+      if (projectAssignment && projectAssignment.projectId) {
+        const { projectId, roomId, stageId } = projectAssignment;
+        const assignmentConditions = [`ipa.image_id = i.id`, `ipa.project_id = $${++paramCount}`];
+        params.push(projectId);
+
+        if (roomId) {
+          assignmentConditions.push(`ipa.room_id = $${++paramCount}`);
+          params.push(roomId);
         }
-        
-        // If stage is specified, must also contain that stage  
-        if (stage) {
-          paramCount++;
-          assignmentConditions.push(`COALESCE(i.project_assignments, '') ILIKE $${paramCount}`);
-          params.push(`%"stage":"${stage}"%`);
+
+        if (stageId) {
+          assignmentConditions.push(`ipa.stage_id = $${++paramCount}`);
+          params.push(stageId);
         }
-        
-        query += ` AND i.project_assignments IS NOT NULL AND (${assignmentConditions.join(' AND ')})`;
+
+        conditions.push(`EXISTS (SELECT 1 FROM image_project_assignments ipa WHERE ${assignmentConditions.join(' AND ')})`);
       }
       
-      // Filter by tags if specified
+      // Image must have ALL requested tags
       if (tags && tags.length > 0) {
-        const tagConditions = tags.map(() => {
-          paramCount++;
-          return `t.name = $${paramCount}`;
+        tags.filter(tag => tag && tag.trim()).forEach(tag => {
+          conditions.push(this.compileTagTreeMatch(`$${++paramCount}`));
+          params.push(tag.trim());
         });
-        query += ` AND (${tagConditions.join(' OR ')})`;
-        params.push(...tags);
       }
       
-      // Filter by search term if specified
-      if (searchTerm) {
-        paramCount++;
-        query += ` AND (
-          i.filename ILIKE $${paramCount} OR 
-          i.original_name ILIKE $${paramCount} OR 
-          i.title ILIKE $${paramCount} OR 
-          i.description ILIKE $${paramCount}
-        )`;
-        params.push(`%${searchTerm}%`);
+      if (searchTerm && searchTerm.trim()) {
+        conditions.push(...this.compileSearchQuery(searchTerm, params));
+        paramCount = params.length;
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
       }
+
+      const validSortColumns = ['upload_date', 'filename', 'file_size', 'created_at'];
+      const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'upload_date';
+      const sortDirection = sortOrder && sortOrder.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
       
       query += `
-        GROUP BY i.id, i.filename, i.original_name, i.dropbox_path, i.dropbox_id, 
-                 i.title, i.description, i.upload_date, i.file_size, i.source_url,
-                 i.width, i.height, i.mime_type, i.file_hash, i.project_assignments,
-                 i.created_at, i.updated_at
-        ORDER BY i.upload_date DESC
+        GROUP BY i.id
+        ORDER BY ${relevance ? `${relevance} ${sortDirection}, i.upload_date DESC` : `i.${sortColumn} ${sortDirection}`}
       `;
       
-      console.log('🔍 Final query:', query);
-      console.log('🔍 Query params:', params);
-      
       const result = await this.query(query, params);
-      console.log('🔍 Query result count:', result.rows.length);
-      const images = result.rows.map(row => ({
+      const images = result.rows.map(({ search_vector, ...row }) => ({
         ...row,
-        tags: row.tags ? row.tags.split(',').filter(tag => tag.trim()) : [],
-        focused_tags: row.focused_tags || [],
-        project_assignments: row.project_assignments ? JSON.parse(row.project_assignments) : []
+        tags: row.tag_names ? row.tag_names.split(',').filter(tag => tag.trim()) : []
       }));
+
+      if (images.length > 0) {
+        const imageIds = images.map(img => img.id);
+        const focusedTagsResult = await this.query(`
+          SELECT image_id, tag_name, x_coordinate, y_coordinate, width, height
+          FROM focused_tags 
+          WHERE image_id = ANY($1)
+        `, [imageIds]);
+        const assignmentsByImage = await this.getProjectAssignmentsForImages(imageIds);
+
+        for (const image of images) {
+          image.focused_tags = focusedTagsResult.rows
+            .filter(ft => ft.image_id === image.id)
+            .map(({ image_id, ...focusedTag }) => focusedTag);
+          image.project_assignments = assignmentsByImage[image.id] || [];
+        }
+      }
       
       return images;
     } catch (error) {
@@ -0,0 +1,30 @@
+// Storage backend selection
+//
+// Every provider implements the same interface:
+//   uploadFile(localFilePath, storagePath, overwrite)  -> file metadata ({ id, name, path_display, size, ... })
+//   downloadFile(storagePath, localFilePath)           -> localFilePath
+//   moveFile(fromPath, toPath)
+//   deleteFile(storagePath)
+//   listFiles(folderPath, recursive)                   -> array of file/folder metadata entries
+//   getTemporaryLink(storagePath)                      -> URL string the browser can load
+//   duplicateFile(sourcePath, targetPaths)             -> array of per-target results
+//
+// Pick the backend with STORAGE_PROVIDER=dropbox|local (defaults to dropbox).
+
+const providers = {
+  dropbox: () => require('./dropboxService'),
+  local: () => require('./localStorageService')
+};
+
+const providerName = (process.env.STORAGE_PROVIDER || 'dropbox').toLowerCase().trim();
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown STORAGE_PROVIDER "${providerName}". Expected one of: ${Object.keys(providers).join(', ')}`);
+}
+
+const storageService = providers[providerName]();
+storageService.name = providerName;
+
+console.log(`🗄️ Storage provider: ${providerName}`);
+
+module.exports = storageService;
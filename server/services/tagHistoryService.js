@@ -0,0 +1,172 @@
+// Undo for tag merges and renames. Each one is stored (tag_operations) with the tags involved,
+// the affected image ids and those images' file paths at the time. Undoing puts the database rows
+// back, moves files that have been renamed since back to their old paths, and re-embeds the
+// restored tags in every affected file. Possible until the retention period ends.
+
+const createUndoError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class TagHistoryService {
+  /**
+   * @param {Object} databaseService
+   * @param {Object} storageService
+   * @param {Object} metadataService - writes tags into image files
+   */
+  constructor(databaseService, storageService, metadataService) {
+    this.databaseService = databaseService;
+    this.storageService = storageService;
+    this.metadataService = metadataService;
+    this.retentionDays = parseInt(process.env.TAG_UNDO_RETENTION_DAYS, 10) || 7;
+  }
+
+  /**
+   * Record a merge, inside its transaction so there is never a merge without its undo record
+   * @param {Object} merge
+   *   source, target - tag rows
+   *   sourceImageIds - images that had the source tag; movedImageIds - those of them without the target
+   *   childTagIds, aliasIds - tags and aliases moved from the source to the target
+   *   keptAlias - the source name, if the merge kept it as an alias of the target
+   * @param {Object} client - the merge's database transaction
+   */
+  async recordMerge({ source, target, sourceImageIds, movedImageIds, childTagIds = [], aliasIds = [], keptAlias = null, userId = null }, client = null) {
+    const images = await this.databaseService.getImageFileSnapshots(sourceImageIds, client);
+    return this.databaseService.createTagOperation({
+      operation: 'merge',
+      tagId: target.id,
+      summary: `Merged "${source.name}" into "${target.name}"`,
+      snapshot: {
+        source: {
+          id: source.id,
+          name: source.name,
+          color: source.color,
+          created_at: source.created_at,
+          parent_id: source.parent_id,
+          tag_type: source.tag_type
+        },
+        target: { id: target.id, name: target.name },
+        sourceImageIds,
+        movedImageIds,
+        childTagIds,
+        aliasIds,
+        keptAlias,
+        images
+      },
+      imageIds: sourceImageIds,
+      createdBy: userId
+    }, client);
+  }
+
+  /**
+   * Record a rename, with the images that had the tag as they were before it
+   * @param {Object} rename - tagId, oldName, newName, images ({ id, filename, dropbox_path }),
+   *   removedAlias - true if the new name was an alias of the tag, removed by the rename
+   * @param {Object} client - the rename's database transaction
+   */
+  async recordRename({ tagId, oldName, newName, images, removedAlias = false, userId = null }, client = null) {
+    return this.databaseService.createTagOperation({
+      operation: 'rename',
+      tagId,
+      summary: `Renamed "${oldName}" to "${newName}"`,
+      snapshot: { tagId, oldName, newName, removedAlias, images },
+      imageIds: images.map(image => image.id),
+      createdBy: userId
+    }, client);
+  }
+
+  isExpired(operation) {
+    const ageMs = Date.now() - new Date(operation.created_at).getTime();
+    return ageMs > this.retentionDays * 24 * 60 * 60 * 1000;
+  }
+
+  // Merges and renames still inside the retention period, newest first
+  async getRecent(limit = 50) {
+    const operations = await this.databaseService.getTagOperations({ newerThanDays: this.retentionDays, limit });
+    return operations.map(operation => ({
+      ...operation,
+      image_count: operation.image_ids.length,
+      undoable: !operation.undone_at,
+      expires_at: new Date(new Date(operation.created_at).getTime() + this.retentionDays * 24 * 60 * 60 * 1000)
+    }));
+  }
+
+  /**
+   * Undo a merge or rename
+   * @returns {Object} { operation, images, filesMoved, metadataUpdated, errors }
+   * @throws {Error} code TAG_UNDO_NOT_FOUND, TAG_UNDO_EXPIRED or TAG_UNDO_CONFLICT
+   */
+  async undo(operationId, userId = null) {
+    const operation = await this.databaseService.getTagOperation(operationId);
+    if (!operation) {
+      throw createUndoError('Tag change not found', 'TAG_UNDO_NOT_FOUND');
+    }
+    if (this.isExpired(operation)) {
+      throw createUndoError(`Tag changes can only be undone for ${this.retentionDays} days`, 'TAG_UNDO_EXPIRED');
+    }
+
+    if (operation.operation === 'merge') {
+      await this.databaseService.undoTagMerge(operation, userId);
+    } else {
+      await this.databaseService.undoTagRename(operation, userId);
+    }
+    console.log(`↩️ Undid tag change ${operation.id}: ${operation.summary}`);
+
+    const restored = await this.restoreImageFiles(operation.snapshot.images || []);
+    return { operation, images: operation.snapshot.images || [], ...restored };
+  }
+
+  // Put each image back at its recorded path and embed its (restored) database tags
+  async restoreImageFiles(snapshots) {
+    let filesMoved = 0;
+    let metadataUpdated = 0;
+    const errors = [];
+
+    for (const snapshot of snapshots) {
+      try {
+        const image = await this.databaseService.getImageById(snapshot.id);
+        if (!image || image.deleted_at) continue;
+
+        let { dropbox_path: dropboxPath, filename } = image;
+        if (dropboxPath !== snapshot.dropbox_path) {
+          const occupant = await this.databaseService.findImageByPath(snapshot.dropbox_path);
+          if (occupant && occupant.id !== image.id) {
+            errors.push(`${image.filename}: ${snapshot.dropbox_path} now belongs to image ${occupant.id} - left at ${dropboxPath}`);
+          } else {
+            await this.storageService.moveFile(dropboxPath, snapshot.dropbox_path);
+            await this.databaseService.updateImageLocation(image.id, { dropbox_path: snapshot.dropbox_path, filename: snapshot.filename });
+            console.log(`↩️ Moved ${dropboxPath} → ${snapshot.dropbox_path}`);
+            dropboxPath = snapshot.dropbox_path;
+            filename = snapshot.filename;
+            filesMoved++;
+          }
+        }
+
+        await this.metadataService.updateImageMetadata(dropboxPath, {
+          tags: image.tags,
+          focusedTags: image.focused_tags || [],
+          title: image.title || filename,
+          description: image.description || `Tagged with: ${image.tags.join(', ') || 'no tags'}`
+        });
+        metadataUpdated++;
+      } catch (error) {
+        console.error(`❌ Failed to restore image ${snapshot.id} after undo:`, error.message);
+        errors.push(`${snapshot.filename}: ${error.message}`);
+      }
+    }
+
+    return { filesMoved, metadataUpdated, errors };
+  }
+
+  // Forget merges and renames older than TAG_UNDO_RETENTION_DAYS
+  async purgeExpired() {
+    const deleted = await this.databaseService.deleteTagOperationsOlderThan(this.retentionDays);
+    if (deleted > 0) {
+      console.log(`🧹 Deleted ${deleted} tag changes older than ${this.retentionDays} days`);
+    }
+    return deleted;
+  }
+}
+
+module.exports = TagHistoryService;
@@ -1,6 +1,7 @@
 class TagSuggestionService {
-  constructor(databaseService) {
+  constructor(databaseService, autoTagService = null) {
     this.databaseService = databaseService;
+    this.autoTagService = autoTagService;
     this.openaiApiKey = process.env.OPENAI_API_KEY;
   }
 
@@ -303,16 +304,13 @@ Respond with valid JSON only:
         });
       });
       
-      // Check for specific architectural sites
-      const domain = this.extractDomain(sourceUrl);
-      if (domain.includes('architizer')) {
-        suggestions.push({ tag: 'architecture', confidence: 0.9, reason: 'Architizer source' });
-      } else if (domain.includes('dezeen')) {
-        suggestions.push({ tag: 'design', confidence: 0.9, reason: 'Dezeen source' });
-      } else if (domain.includes('archdaily')) {
-        suggestions.push({ tag: 'architecture', confidence: 0.9, reason: 'ArchDaily source' });
-      } else if (domain.includes('pinterest')) {
-        suggestions.push({ tag: 'precedents', confidence: 0.7, reason: 'Pinterest source' });
+      // Tags that auto-tagging rules add for this site (AutoTagService)
+      if (this.autoTagService) {
+        this.autoTagService.rules
+          .filter(rule => rule.enabled && rule.domains.length > 0 && this.autoTagService.matchesDomain(rule, sourceUrl))
+          .forEach(rule => rule.add.forEach(tag => {
+            suggestions.push({ tag, confidence: 0.9, reason: `Auto-tagging rule "${rule.name}"` });
+          }));
       }
       
     } catch (error) {
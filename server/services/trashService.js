@@ -0,0 +1,98 @@
+const path = require('path');
+
+const TRASH_FOLDER = '.trash';
+
+// Soft delete for images: the file is moved into a .trash folder under the SnapTag base folder
+// and the row is flagged with deleted_at, so it can be restored until the retention period ends.
+class TrashService {
+  /**
+   * @param {Object} databaseService
+   * @param {Object} storageService
+   * @param {Function} getBaseFolder - returns the current SnapTag base folder (it can change in Settings)
+   */
+  constructor(databaseService, storageService, getBaseFolder) {
+    this.databaseService = databaseService;
+    this.storageService = storageService;
+    this.getBaseFolder = getBaseFolder;
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+  }
+
+  // The image id keeps names unique when several trashed images share a filename
+  getTrashPath(image) {
+    return path.posix.join(this.getBaseFolder(), TRASH_FOLDER, `${image.id}-${image.filename}`);
+  }
+
+  /**
+   * Move an image to the trash
+   * @returns {Object|null} The updated image row, or null if it was already trashed
+   */
+  async trashImage(image, userId = null) {
+    if (image.deleted_at) return null;
+
+    let trashPath = this.getTrashPath(image);
+    try {
+      await this.storageService.moveFile(image.dropbox_path, trashPath);
+      console.log(`🗑️ Moved to trash: ${image.dropbox_path} → ${trashPath}`);
+    } catch (moveError) {
+      // A missing file shouldn't block trashing the record - keep pointing at the old path
+      console.error(`⚠️ Failed to move ${image.dropbox_path} to trash (continuing anyway):`, moveError.message);
+      trashPath = image.dropbox_path;
+    }
+
+    return this.databaseService.markImageTrashed(image.id, { trashPath, userId });
+  }
+
+  /**
+   * Move a trashed image back to where it was deleted from
+   * @throws {Error} if something else now occupies the original path
+   */
+  async restoreImage(image) {
+    if (!image.deleted_at) {
+      throw new Error('Image is not in the trash');
+    }
+
+    const originalPath = image.trashed_from_path || image.dropbox_path;
+    if (originalPath !== image.dropbox_path) {
+      await this.storageService.moveFile(image.dropbox_path, originalPath);
+      console.log(`♻️ Restored from trash: ${image.dropbox_path} → ${originalPath}`);
+    }
+
+    return this.databaseService.markImageRestored(image.id);
+  }
+
+  // Permanently remove a trashed image's file and row
+  async purgeImage(image) {
+    try {
+      await this.storageService.deleteFile(image.dropbox_path);
+      console.log(`✅ Deleted from storage: ${image.dropbox_path}`);
+    } catch (deleteError) {
+      console.error(`⚠️ Failed to delete ${image.dropbox_path} from storage (continuing anyway):`, deleteError.message);
+    }
+
+    await this.databaseService.deleteImage(image.id);
+  }
+
+  // Permanently remove everything that has been in the trash longer than TRASH_RETENTION_DAYS
+  async purgeExpired() {
+    const expired = await this.databaseService.getTrashedImagesOlderThan(this.retentionDays);
+    let purged = 0;
+
+    for (const image of expired) {
+      try {
+        await this.purgeImage(image);
+        purged++;
+      } catch (error) {
+        console.error(`❌ Failed to purge trashed image ${image.id}:`, error.message);
+      }
+    }
+
+    if (purged > 0) {
+      console.log(`🧹 Purged ${purged} images older than ${this.retentionDays} days from the trash`);
+    }
+    return purged;
+  }
+}
+
+TrashService.TRASH_FOLDER = TRASH_FOLDER;
+
+module.exports = TrashService;
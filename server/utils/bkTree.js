@@ -0,0 +1,65 @@
+// BK-tree: an index for "everything within distance n of this key" under a metric such as
+// Hamming distance. Each child edge is labelled with its distance to the parent, so a search
+// only descends into children whose label is within n of the query's distance to the parent.
+class BKTree {
+  /**
+   * @param {Function} distance - (a, b) => non-negative integer, must satisfy the triangle inequality
+   */
+  constructor(distance) {
+    this.distance = distance;
+    this.root = null;
+    this.size = 0;
+  }
+
+  add(key, value) {
+    this.size++;
+
+    if (!this.root) {
+      this.root = { key, values: [value], children: new Map() };
+      return;
+    }
+
+    let node = this.root;
+    for (;;) {
+      const distance = this.distance(key, node.key);
+      if (distance === 0) {
+        node.values.push(value);
+        return;
+      }
+
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, { key, values: [value], children: new Map() });
+        return;
+      }
+      node = child;
+    }
+  }
+
+  /**
+   * @returns {Array} [{ value, distance }] for every entry within maxDistance of key
+   */
+  search(key, maxDistance) {
+    const matches = [];
+    const pending = this.root ? [this.root] : [];
+
+    while (pending.length > 0) {
+      const node = pending.pop();
+      const distance = this.distance(key, node.key);
+
+      if (distance <= maxDistance) {
+        node.values.forEach(value => matches.push({ value, distance }));
+      }
+
+      for (const [edge, child] of node.children) {
+        if (edge >= distance - maxDistance && edge <= distance + maxDistance) {
+          pending.push(child);
+        }
+      }
+    }
+
+    return matches;
+  }
+}
+
+module.exports = BKTree;
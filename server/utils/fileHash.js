@@ -29,7 +29,31 @@ function generateBufferHash(buffer) {
   return hash.digest('hex');
 }
 
+/**
+ * Generate a Dropbox-style content hash of a file
+ * (SHA-256 of the concatenated SHA-256 digests of each 4 MB block)
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Content hash as hex string, comparable to Dropbox's content_hash
+ */
+async function generateContentHash(filePath) {
+  try {
+    const fileBuffer = await fs.readFile(filePath);
+    const blockSize = 4 * 1024 * 1024;
+    const blockHashes = [];
+
+    for (let offset = 0; offset < fileBuffer.length; offset += blockSize) {
+      blockHashes.push(crypto.createHash('sha256').update(fileBuffer.subarray(offset, offset + blockSize)).digest());
+    }
+
+    return crypto.createHash('sha256').update(Buffer.concat(blockHashes)).digest('hex');
+  } catch (error) {
+    console.error('Error generating content hash:', error);
+    throw new Error(`Failed to generate content hash: ${error.message}`);
+  }
+}
+
 module.exports = {
   generateFileHash,
-  generateBufferHash
+  generateBufferHash,
+  generateContentHash
 }; 
\ No newline at end of file
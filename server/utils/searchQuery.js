@@ -0,0 +1,171 @@
+// Parser for the gallery search box query language
+//
+//   wood kitch                   both words, as word beginnings (full-text: title, name, tags, description, filename, source site)
+//   "timber cladding"            phrase
+//   -archier / NOT archier       exclude a word (works in front of any term)
+//   tag:kitchen  -tag:archier    image has / doesn't have the tag or one of its child tags (quote multi-word tags)
+//   project:de-witt room:kitchen stage:wip
+//   source:pinterest             source URL contains
+//   before:2024-06  after:2023   upload date (YYYY, YYYY-MM or YYYY-MM-DD)
+//   width>2000  height<=1200     pixel dimensions (>, >=, <, <=, =)
+//   orientation:landscape        landscape, portrait or square
+//   color:#c8a27a  color:#8a9~25 palette has a colour close to this one; ~0-100 sets the tolerance
+//
+// Terms are ANDed together. The parser only produces clauses - PostgresService.compileSearchQuery
+// turns them into parameterised SQL.
+
+const VALUE_FIELDS = ['tag', 'project', 'room', 'stage', 'source'];
+const DATE_FIELDS = ['before', 'after'];
+const DIMENSION_FIELDS = ['width', 'height'];
+const ORIENTATIONS = ['landscape', 'portrait', 'square'];
+
+// Colour search tolerance, as a percentage of the largest possible RGB distance
+const DEFAULT_COLOR_TOLERANCE = 15;
+
+const FIELD_ALIASES = {
+  tags: 'tag',
+  from: 'source',
+  colour: 'color'
+};
+
+// [negation][field operator]("quoted value" | bare value)
+const TOKEN_PATTERN = /\s*([-!])?(?:([a-z]+)(:|>=|<=|>|<|=))?(?:"([^"]*)"?|(\S+))/iy;
+
+const createQueryError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SEARCH_QUERY';
+  return error;
+};
+
+// "2024" / "2024-06" / "2024-06-15" -> { start, end } as YYYY-MM-DD, end exclusive
+const parseDatePeriod = (value) => {
+  const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+  const day = match[3] ? parseInt(match[3], 10) : null;
+
+  const start = new Date(Date.UTC(year, month === null ? 0 : month, day === null ? 1 : day));
+  if (start.getUTCMonth() !== (month === null ? 0 : month)) return null; // e.g. 2024-02-31
+
+  const end = new Date(start);
+  if (day !== null) {
+    end.setUTCDate(end.getUTCDate() + 1);
+  } else if (month !== null) {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  } else {
+    end.setUTCFullYear(end.getUTCFullYear() + 1);
+  }
+
+  const format = (date) => date.toISOString().slice(0, 10);
+  return { start: format(start), end: format(end) };
+};
+
+const buildFieldClause = (field, operator, value) => {
+  if (VALUE_FIELDS.includes(field)) {
+    if (operator !== ':') throw createQueryError(`Use ${field}:value`);
+    if (!value) throw createQueryError(`${field}: needs a value`);
+    return { field, value };
+  }
+
+  if (DATE_FIELDS.includes(field)) {
+    const period = operator === ':' ? parseDatePeriod(value) : null;
+    if (!period) {
+      throw createQueryError(`${field}: expects a date like 2024, 2024-06 or 2024-06-15`);
+    }
+    // before: the start of the period, after: the end of it
+    return { field, value: field === 'before' ? period.start : period.end };
+  }
+
+  if (DIMENSION_FIELDS.includes(field)) {
+    // width:>2000 is accepted as well as width>2000
+    const match = (operator === ':' ? value : operator + value).match(/^(>=|<=|>|<|=)?(\d+)$/);
+    if (!match) {
+      throw createQueryError(`${field} expects a number of pixels, e.g. ${field}>2000`);
+    }
+    return { field, operator: match[1] || '=', value: parseInt(match[2], 10) };
+  }
+
+  if (field === 'orientation') {
+    const orientation = value.toLowerCase();
+    if (operator !== ':' || !ORIENTATIONS.includes(orientation)) {
+      throw createQueryError(`orientation: expects one of ${ORIENTATIONS.join(', ')}`);
+    }
+    return { field, value: orientation };
+  }
+
+  if (field === 'color') {
+    // #rgb or #rrggbb (the # is optional), then an optional ~tolerance
+    const match = operator === ':' ? value.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})(?:~(\d{1,3}))?$/i) : null;
+    const tolerance = match && match[2] !== undefined ? parseInt(match[2], 10) : DEFAULT_COLOR_TOLERANCE;
+    if (!match || tolerance > 100) {
+      throw createQueryError('color: expects a hex colour like #c8a27a, optionally with a tolerance from 0 to 100 (#c8a27a~25)');
+    }
+    const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    return { field, value: `#${hex.toLowerCase()}`, tolerance };
+  }
+
+  return null;
+};
+
+/**
+ * Parse a search box query into clauses
+ * @param {string} query - e.g. 'wood "timber cladding" -tag:archier width>2000'
+ * @returns {Array} [{ field, value, operator?, tolerance?, negated }] where field is 'text' for free text
+ * @throws {Error} with code INVALID_SEARCH_QUERY when a field has an invalid value
+ */
+const parseSearchQuery = (query = '') => {
+  const clauses = [];
+  let negateNext = false;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < query.length && query.slice(TOKEN_PATTERN.lastIndex).trim()) {
+    const match = TOKEN_PATTERN.exec(query);
+    if (!match) break;
+
+    const [raw, negation, rawField, operator, quotedValue, bareValue] = match;
+    const value = (quotedValue !== undefined ? quotedValue : bareValue || '').trim();
+    const negated = Boolean(negation) || negateNext;
+    negateNext = false;
+
+    // Boolean keywords - terms are always ANDed, so AND is just noise
+    if (!negation && !rawField && quotedValue === undefined) {
+      if (value === 'AND') continue;
+      if (value === 'NOT') {
+        negateNext = true;
+        continue;
+      }
+    }
+
+    if (rawField) {
+      const field = FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase();
+      const clause = buildFieldClause(field, operator, value);
+
+      if (clause) {
+        clauses.push({ ...clause, negated });
+        continue;
+      }
+
+      // Not a known field (e.g. "10:30") - search for the text as typed
+      const text = raw.trim().replace(/^[-!]/, '');
+      clauses.push({ field: 'text', value: text.replace(/"/g, ''), negated });
+      continue;
+    }
+
+    // Skip stray punctuation such as a lone "-"
+    if (/[\p{L}\p{N}]/u.test(value)) {
+      clauses.push({ field: 'text', value, negated });
+    }
+  }
+
+  return clauses;
+};
+
+// Build a term that parses back to field:value, e.g. tag:"living room" (used for facet refinements)
+const formatSearchTerm = (field, value) => {
+  const text = String(value);
+  return /[\s"]/.test(text) ? `${field}:"${text.replace(/"/g, '')}"` : `${field}:${text}`;
+};
+
+module.exports = { parseSearchQuery, formatSearchTerm };